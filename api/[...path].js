@@ -0,0 +1,108 @@
+import routes from './_routes/index.js';
+import { GatewayError, sendData, sendError } from './_lib/envelope.js';
+import { pickParams } from './_lib/params.js';
+import { getCacheStore, cacheKey, cacheControl, createETag, isNotModified } from './_lib/cache.js';
+import { clientId, peekRequest, takeRequest } from './_lib/rateLimit.js';
+import { getNasaQuota } from './_lib/nasa.js';
+
+// The client's own allowance, as in the IETF RateLimit header draft; the
+// X-RateLimit-* headers carry NASA's quota, shared by everyone
+const setClientLimit = (res, limit) => {
+  res.setHeader('RateLimit-Limit', String(limit.limit));
+  res.setHeader('RateLimit-Remaining', String(limit.remaining));
+  res.setHeader('RateLimit-Reset', String(limit.reset));
+};
+
+// Answer from the cache when possible, otherwise from the route, storing the
+// result under the route's cache policy. `fetchFresh` runs the route
+const loadData = async (name, route, params, fetchFresh) => {
+  const policy = route.cacheFor ? route.cacheFor(params) : null;
+  if (!policy) {
+    return { data: await fetchFresh(), policy };
+  }
+
+  const store = getCacheStore();
+  const key = cacheKey(name, params);
+  const cached = await store.get(key);
+  if (cached) {
+    return { ...cached, policy };
+  }
+
+  const data = await fetchFresh();
+  const entry = { data, etag: createETag(data) };
+  await store.set(key, entry, policy.maxAge);
+  return { ...entry, policy };
+};
+
+// Single entry point for /api/*: picks the route from the first path segment,
+// checks its parameters and wraps the result in the shared envelope
+export default async function handler(req, res) {
+  try {
+    if (req.method !== 'GET') {
+      throw new GatewayError('METHOD_NOT_ALLOWED', 'Only GET requests are supported');
+    }
+
+    const client = clientId(req);
+    setClientLimit(res, peekRequest(client));
+
+    const { path = [], ...query } = req.query;
+    const [name, ...segments] = [].concat(path);
+    const route = Object.prototype.hasOwnProperty.call(routes, name) ? routes[name] : null;
+
+    if (!route || segments.length > (route.pathParam ? 1 : 0)) {
+      throw new GatewayError('NOT_FOUND', `No such endpoint: /api/${[].concat(path).join('/')}`);
+    }
+
+    const params = pickParams(query, route.params);
+    if (segments.length === 1) {
+      if (params[route.pathParam] !== undefined) {
+        throw new GatewayError('INVALID_PARAMETER', `${route.pathParam} was given in both the path and the query`);
+      }
+      params[route.pathParam] = segments[0];
+    }
+    if (route.check) {
+      route.check(params);
+    }
+
+    // Only requests that reach NASA count against the client's limit, once
+    // per NASA call; routes the gateway answers itself (health) never do
+    const fetchFresh = () => {
+      if (!route.local) {
+        const limit = takeRequest(client, Date.now(), route.nasaCalls || 1);
+        setClientLimit(res, limit);
+        if (!limit.allowed) {
+          throw new GatewayError(
+            'RATE_LIMITED',
+            `Too many requests, please try again in ${limit.reset} seconds`,
+            { retryAfter: limit.reset }
+          );
+        }
+      }
+      return route.handle(params);
+    };
+
+    const { data, etag, policy } = await loadData(name, route, params, fetchFresh);
+
+    // What is left of the shared NASA key's hourly quota, when NASA has said
+    const quota = getNasaQuota();
+    if (quota.remaining != null) {
+      res.setHeader('X-RateLimit-Remaining', quota.remaining);
+      if (quota.limit != null) {
+        res.setHeader('X-RateLimit-Limit', quota.limit);
+      }
+    }
+
+    res.setHeader('Cache-Control', cacheControl(policy));
+    if (etag) {
+      res.setHeader('ETag', etag);
+      if (isNotModified(req, etag)) {
+        res.status(304).end();
+        return;
+      }
+    }
+
+    sendData(res, data);
+  } catch (error) {
+    sendError(res, error);
+  }
+}
@@ -0,0 +1,86 @@
+import { createHash } from 'crypto';
+
+// Every request for the same route and parameters gets the same answer until
+// it expires, so repeat visits do not use up the shared NASA_API_KEY quota.
+// The store is in memory by default, which lasts as long as the function
+// instance; setCacheStore swaps in a shared one (Redis, Vercel KV, ...) with
+// the same async get/set interface
+
+const DAY = 24 * 60 * 60;
+
+// Cache-Control policies a route can pick; maxAge is in seconds
+export const CachePolicies = {
+  // Past dates: NASA does not change them any more
+  IMMUTABLE: { maxAge: 365 * DAY, immutable: true },
+  // Today, the latest entry or anything still being added to
+  SHORT: { maxAge: 10 * 60, immutable: false },
+  // Searches and listings that change, but slowly
+  HOURLY: { maxAge: 60 * 60, immutable: false }
+};
+
+// Longest an entry stays in the memory store, whatever its policy
+const MEMORY_MAX_AGE = DAY;
+const MEMORY_MAX_ENTRIES = 500;
+
+// Least recently used entries are dropped first once the store is full
+export const createMemoryStore = ({ maxEntries = MEMORY_MAX_ENTRIES } = {}) => {
+  const entries = new Map();
+
+  return {
+    async get(key) {
+      const entry = entries.get(key);
+      if (!entry) return undefined;
+      if (entry.expires <= Date.now()) {
+        entries.delete(key);
+        return undefined;
+      }
+      // Map keeps insertion order, so re-inserting marks it recently used
+      entries.delete(key);
+      entries.set(key, entry);
+      return entry.value;
+    },
+
+    async set(key, value, maxAge) {
+      entries.delete(key);
+      entries.set(key, { value, expires: Date.now() + Math.min(maxAge, MEMORY_MAX_AGE) * 1000 });
+      while (entries.size > maxEntries) {
+        entries.delete(entries.keys().next().value);
+      }
+    }
+  };
+};
+
+let store = createMemoryStore();
+
+export const getCacheStore = () => store;
+
+export const setCacheStore = (next) => {
+  store = next;
+};
+
+// Immutable once every date has passed. NASA's day follows US time, so
+// yesterday (UTC) may still be today's entry and is kept short-lived too
+export const cacheForDates = (...dates) => {
+  const settled = new Date(Date.now() - DAY * 1000).toISOString().slice(0, 10);
+  return dates.every(date => date && date < settled) ? CachePolicies.IMMUTABLE : CachePolicies.SHORT;
+};
+
+// Parameters are sorted so their order in the URL does not matter
+export const cacheKey = (route, params) => {
+  const search = new URLSearchParams(Object.entries(params).sort(([a], [b]) => a.localeCompare(b)));
+  return `${route}?${search.toString()}`;
+};
+
+export const createETag = (data) => `"${createHash('sha1').update(JSON.stringify(data)).digest('hex')}"`;
+
+export const cacheControl = (policy) => {
+  if (!policy) return 'no-store';
+  return `public, max-age=${policy.maxAge}${policy.immutable ? ', immutable' : ''}`;
+};
+
+// Whether the client's If-None-Match already names this ETag
+export const isNotModified = (req, etag) => {
+  const header = req.headers?.['if-none-match'];
+  if (!header) return false;
+  return header.split(',').some(tag => tag.trim() === '*' || tag.trim().replace(/^W\//, '') === etag);
+};
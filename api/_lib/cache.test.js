@@ -0,0 +1,61 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  CachePolicies, createMemoryStore, cacheForDates, cacheKey, createETag, cacheControl, isNotModified
+} from './cache.js';
+
+const daysAgo = (days) => new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+
+test('evicts the least recently used entry once full', async () => {
+  const store = createMemoryStore({ maxEntries: 2 });
+  await store.set('a', 1, 60);
+  await store.set('b', 2, 60);
+  await store.get('a');
+  await store.set('c', 3, 60);
+
+  assert.equal(await store.get('a'), 1);
+  assert.equal(await store.get('b'), undefined);
+  assert.equal(await store.get('c'), 3);
+});
+
+test('drops entries once they expire', async () => {
+  const store = createMemoryStore();
+  await store.set('gone', 1, 0);
+  await store.set('kept', 2, 60);
+
+  assert.equal(await store.get('gone'), undefined);
+  assert.equal(await store.get('kept'), 2);
+});
+
+test('keeps past dates immutable and recent ones short-lived', () => {
+  assert.equal(cacheForDates('2024-01-15'), CachePolicies.IMMUTABLE);
+  assert.equal(cacheForDates('2024-01-01', '2024-01-07'), CachePolicies.IMMUTABLE);
+  assert.equal(cacheForDates('2024-01-01', undefined), CachePolicies.SHORT);
+  assert.equal(cacheForDates(daysAgo(0)), CachePolicies.SHORT);
+  assert.equal(cacheForDates(daysAgo(1)), CachePolicies.SHORT);
+
+  assert.equal(cacheControl(CachePolicies.IMMUTABLE), 'public, max-age=31536000, immutable');
+  assert.equal(cacheControl(CachePolicies.SHORT), 'public, max-age=600');
+  assert.equal(cacheControl(null), 'no-store');
+});
+
+test('keys ignore parameter order', () => {
+  assert.equal(cacheKey('apod', { thumbs: 'true', date: '2024-01-15' }), cacheKey('apod', { date: '2024-01-15', thumbs: 'true' }));
+  assert.notEqual(cacheKey('apod', { date: '2024-01-15' }), cacheKey('epic', { date: '2024-01-15' }));
+});
+
+test('matches If-None-Match against the ETag', () => {
+  const etag = createETag({ title: 'Horsehead Nebula' });
+
+  assert.match(etag, /^"[0-9a-f]{40}"$/);
+  assert.equal(createETag({ title: 'Horsehead Nebula' }), etag);
+  assert.notEqual(createETag({ title: 'Crab Nebula' }), etag);
+
+  const request = (value) => ({ headers: { 'if-none-match': value } });
+  assert.equal(isNotModified(request(etag), etag), true);
+  assert.equal(isNotModified(request(`W/${etag}`), etag), true);
+  assert.equal(isNotModified(request(`"other", ${etag}`), etag), true);
+  assert.equal(isNotModified(request('*'), etag), true);
+  assert.equal(isNotModified(request('"other"'), etag), false);
+  assert.equal(isNotModified({ headers: {} }, etag), false);
+});
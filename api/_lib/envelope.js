@@ -0,0 +1,52 @@
+// The gateway's response envelope, shared with the Render backend:
+//   { success: true, data }                       on success
+//   { success: false, error: { code, message } }  on failure
+
+// Error codes the gateway answers with, and their HTTP status
+export const ErrorCodes = {
+  METHOD_NOT_ALLOWED: 405,
+  NOT_FOUND: 404,
+  UNKNOWN_PARAMETER: 400,
+  INVALID_PARAMETER: 400,
+  INVALID_DATE: 400,
+  DATE_OUT_OF_RANGE: 400,
+  UPSTREAM_REJECTED: 400,
+  RATE_LIMITED: 429,
+  UPSTREAM_ERROR: 502,
+  INTERNAL_ERROR: 500
+};
+
+// retryAfter (seconds) is sent as the Retry-After header
+export class GatewayError extends Error {
+  constructor(code, message, { retryAfter = null } = {}) {
+    super(message);
+    this.name = 'GatewayError';
+    this.code = code;
+    this.status = ErrorCodes[code] || 500;
+    this.retryAfter = retryAfter;
+  }
+}
+
+export const sendData = (res, data) => {
+  res.status(200).json({ success: true, data });
+};
+
+export const sendError = (res, error) => {
+  // Anything unexpected is logged here and hidden from the client
+  const gatewayError = error instanceof GatewayError
+    ? error
+    : new GatewayError('INTERNAL_ERROR', 'The gateway could not complete the request');
+  if (gatewayError !== error) {
+    console.error(error);
+  }
+
+  // Errors are never cached; the next request may well succeed
+  res.setHeader('Cache-Control', 'no-store');
+  if (gatewayError.retryAfter) {
+    res.setHeader('Retry-After', String(gatewayError.retryAfter));
+  }
+  res.status(gatewayError.status).json({
+    success: false,
+    error: { code: gatewayError.code, message: gatewayError.message }
+  });
+};
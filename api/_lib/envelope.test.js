@@ -0,0 +1,43 @@
+import { test, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { GatewayError, sendData, sendError } from './envelope.js';
+
+const fakeResponse = () => {
+  const out = { headers: {} };
+  out.res = {
+    setHeader(name, value) { out.headers[name] = value; },
+    status(code) { out.status = code; return this; },
+    json(body) { out.body = body; }
+  };
+  return out;
+};
+
+test('sends data as { success: true, data }', () => {
+  const out = fakeResponse();
+  sendData(out.res, [1, 2]);
+
+  assert.equal(out.status, 200);
+  assert.deepEqual(out.body, { success: true, data: [1, 2] });
+});
+
+test('sends gateway errors with their code, status and Retry-After', () => {
+  const out = fakeResponse();
+  sendError(out.res, new GatewayError('RATE_LIMITED', 'Slow down', { retryAfter: 30 }));
+
+  assert.equal(out.status, 429);
+  assert.deepEqual(out.body, { success: false, error: { code: 'RATE_LIMITED', message: 'Slow down' } });
+  assert.equal(out.headers['Retry-After'], '30');
+  assert.equal(out.headers['Cache-Control'], 'no-store');
+});
+
+test('hides unexpected errors behind INTERNAL_ERROR', () => {
+  const logged = mock.method(console, 'error', () => {});
+  const out = fakeResponse();
+  sendError(out.res, new TypeError('secret detail'));
+
+  assert.equal(out.status, 500);
+  assert.equal(out.body.error.code, 'INTERNAL_ERROR');
+  assert.doesNotMatch(out.body.error.message, /secret/);
+  assert.equal(logged.mock.callCount(), 1);
+  logged.mock.restore();
+});
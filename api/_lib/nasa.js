@@ -0,0 +1,66 @@
+import { GatewayError } from './envelope.js';
+
+// api.nasa.gov URL for a path, with the deployment's key added
+export const nasaUrl = (path, params = {}) => {
+  const search = new URLSearchParams({ ...params, api_key: process.env.NASA_API_KEY });
+  return `https://api.nasa.gov/${path}?${search.toString()}`;
+};
+
+// NASA's X-RateLimit-* headers from the most recent answer. Every request
+// shares one key, so the latest reading is the quota left for everyone
+let quota = { limit: null, remaining: null };
+
+export const getNasaQuota = () => quota;
+
+const readQuota = (response) => {
+  const remaining = response.headers?.get('x-ratelimit-remaining');
+  if (remaining != null && remaining !== '') {
+    quota = { limit: response.headers.get('x-ratelimit-limit'), remaining };
+  }
+};
+
+// The different message fields NASA's APIs use for errors
+const upstreamMessage = (body) => {
+  if (!body || typeof body !== 'object') return null;
+  return body.error?.message || body.error_message || body.msg || body.reason
+    || (typeof body.error === 'string' ? body.error : null);
+};
+
+// Fetch JSON from NASA with Node's built-in fetch (Node 18+), mapping
+// failures onto the gateway's error codes: NASA's own 4xx answers become
+// UPSTREAM_REJECTED (429 stays RATE_LIMITED) and everything else
+// UPSTREAM_ERROR. Empty bodies read as `empty`
+export const fetchNasa = async (url, { what, empty = null } = {}) => {
+  let response;
+  try {
+    response = await fetch(url);
+  } catch (error) {
+    console.error(error);
+    throw new GatewayError('UPSTREAM_ERROR', `Could not reach NASA for ${what}`);
+  }
+
+  readQuota(response);
+
+  const text = await response.text();
+  let body = empty;
+  if (text) {
+    try {
+      body = JSON.parse(text);
+    } catch (error) {
+      throw new GatewayError('UPSTREAM_ERROR', `NASA sent an unreadable response for ${what}`);
+    }
+  }
+
+  if (response.status === 429) {
+    const retryAfter = Number(response.headers?.get('retry-after')) || null;
+    throw new GatewayError('RATE_LIMITED', upstreamMessage(body) || 'NASA API rate limit reached, please try again later', { retryAfter });
+  }
+  if (response.status >= 400 && response.status < 500) {
+    throw new GatewayError('UPSTREAM_REJECTED', upstreamMessage(body) || `NASA rejected the request for ${what}`);
+  }
+  if (!response.ok) {
+    throw new GatewayError('UPSTREAM_ERROR', `NASA failed to return ${what}`);
+  }
+
+  return body;
+};
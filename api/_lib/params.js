@@ -0,0 +1,62 @@
+import { GatewayError } from './envelope.js';
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Only the names a route lists are accepted, each at most once; anything
+// else is an error rather than being forwarded to NASA
+export const pickParams = (query, allowed) => {
+  const params = {};
+
+  for (const [name, value] of Object.entries(query)) {
+    if (!allowed.includes(name)) {
+      throw new GatewayError('UNKNOWN_PARAMETER', `Unknown parameter "${name}". Allowed: ${allowed.join(', ') || 'none'}`);
+    }
+    if (Array.isArray(value)) {
+      throw new GatewayError('INVALID_PARAMETER', `${name} can only be given once`);
+    }
+    if (value !== '') {
+      params[name] = value;
+    }
+  }
+
+  return params;
+};
+
+// Same rules as the client's validateDate: YYYY-MM-DD, a real calendar day,
+// not in the future and not before `min`. allowFuture relaxes the third rule
+// for predictions such as asteroid approaches
+export const checkDate = (name, value, { min = null, allowFuture = false } = {}) => {
+  if (value === undefined) return;
+
+  const time = Date.parse(value);
+  if (!DATE_PATTERN.test(value) || Number.isNaN(time) || new Date(time).toISOString().slice(0, 10) !== value) {
+    throw new GatewayError('INVALID_DATE', `${name} must be a valid date in YYYY-MM-DD format`);
+  }
+  if (!allowFuture && time > Date.now()) {
+    throw new GatewayError('DATE_OUT_OF_RANGE', `${name} cannot be in the future`);
+  }
+  if (min && value < min) {
+    throw new GatewayError('DATE_OUT_OF_RANGE', `${name} must be on or after ${min}`);
+  }
+};
+
+// Whole days from start to end, for checking window lengths
+export const daysBetween = (start, end) => (Date.parse(end) - Date.parse(start)) / (24 * 60 * 60 * 1000);
+
+export const checkOneOf = (name, value, allowed) => {
+  if (value !== undefined && !allowed.includes(value)) {
+    throw new GatewayError('INVALID_PARAMETER', `${name} must be one of ${allowed.join(', ')}`);
+  }
+};
+
+export const checkPattern = (name, value, pattern, description) => {
+  if (value !== undefined && !pattern.test(value)) {
+    throw new GatewayError('INVALID_PARAMETER', `${name} must be ${description}`);
+  }
+};
+
+export const requireParam = (name, value) => {
+  if (value === undefined) {
+    throw new GatewayError('INVALID_PARAMETER', `${name} is required`);
+  }
+};
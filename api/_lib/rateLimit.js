@@ -0,0 +1,56 @@
+// Per-client request limits, so one busy browser (or a classroom behind one
+// address) cannot use up the quota of the shared NASA_API_KEY on its own.
+// Only requests that go on to NASA are counted: answers from the cache and
+// 304 revalidations cost the quota nothing. Counts are kept per function
+// instance, which is enough to stop bursts
+
+export const CLIENT_RATE_LIMIT = {
+  requests: 60,
+  windowMs: 60 * 1000
+};
+
+// Expired windows are swept once this many clients are being tracked
+const SWEEP_THRESHOLD = 5000;
+
+const windows = new Map();
+
+// Vercel puts the caller's address first in x-forwarded-for
+export const clientId = (req) => {
+  const forwarded = req.headers?.['x-forwarded-for'];
+  const first = typeof forwarded === 'string' ? forwarded.split(',')[0].trim() : '';
+  return first || req.socket?.remoteAddress || 'unknown';
+};
+
+// The client's window, or a fresh one once it has ended
+const currentWindow = (id, now) => {
+  const window = windows.get(id);
+  return window && window.resetAt > now
+    ? window
+    : { count: 0, resetAt: now + CLIENT_RATE_LIMIT.windowMs };
+};
+
+// What the RateLimit-* headers report: the limit, how many requests remain
+// and the seconds until the window ends
+const describe = (window, now) => ({
+  limit: CLIENT_RATE_LIMIT.requests,
+  remaining: Math.max(0, CLIENT_RATE_LIMIT.requests - window.count),
+  reset: Math.ceil((window.resetAt - now) / 1000)
+});
+
+// The client's standing without counting a request
+export const peekRequest = (id, now = Date.now()) => describe(currentWindow(id, now), now);
+
+// Count `cost` requests for the client, adding whether they are allowed
+export const takeRequest = (id, now = Date.now(), cost = 1) => {
+  if (windows.size >= SWEEP_THRESHOLD) {
+    for (const [key, window] of windows) {
+      if (window.resetAt <= now) windows.delete(key);
+    }
+  }
+
+  const window = currentWindow(id, now);
+  window.count += cost;
+  windows.set(id, window);
+
+  return { ...describe(window, now), allowed: window.count <= CLIENT_RATE_LIMIT.requests };
+};
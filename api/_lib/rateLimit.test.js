@@ -0,0 +1,51 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { CLIENT_RATE_LIMIT, clientId, peekRequest, takeRequest } from './rateLimit.js';
+
+const { requests, windowMs } = CLIENT_RATE_LIMIT;
+
+test('allows the limit per window, then refuses until the window ends', () => {
+  const start = 1000000;
+  for (let i = 1; i <= requests; i++) {
+    assert.deepEqual(takeRequest('window-client', start), {
+      limit: requests,
+      remaining: requests - i,
+      reset: windowMs / 1000,
+      allowed: true
+    });
+  }
+
+  const refused = takeRequest('window-client', start + 15000);
+  assert.equal(refused.allowed, false);
+  assert.equal(refused.remaining, 0);
+  assert.equal(refused.reset, (windowMs - 15000) / 1000);
+
+  const next = takeRequest('window-client', start + windowMs);
+  assert.equal(next.allowed, true);
+  assert.equal(next.remaining, requests - 1);
+});
+
+test('counts requests that cost several at once', () => {
+  assert.equal(takeRequest('costly-client', 0, 3).remaining, requests - 3);
+  assert.equal(takeRequest('costly-client', 0).remaining, requests - 4);
+});
+
+test('keeps clients apart', () => {
+  takeRequest('first-client', 0);
+
+  assert.equal(peekRequest('first-client', 0).remaining, requests - 1);
+  assert.equal(peekRequest('second-client', 0).remaining, requests);
+});
+
+test('peeking does not count a request', () => {
+  peekRequest('peek-client', 0);
+  peekRequest('peek-client', 0);
+
+  assert.equal(takeRequest('peek-client', 0).remaining, requests - 1);
+});
+
+test('identifies clients by their forwarded address', () => {
+  assert.equal(clientId({ headers: { 'x-forwarded-for': '203.0.113.7, 10.0.0.1' } }), '203.0.113.7');
+  assert.equal(clientId({ headers: {}, socket: { remoteAddress: '192.0.2.1' } }), '192.0.2.1');
+  assert.equal(clientId({ headers: {} }), 'unknown');
+});
@@ -0,0 +1,70 @@
+import { GatewayError } from '../_lib/envelope.js';
+import { checkDate, checkOneOf, checkPattern, daysBetween } from '../_lib/params.js';
+import { nasaUrl, fetchNasa } from '../_lib/nasa.js';
+import { CachePolicies, cacheForDates } from '../_lib/cache.js';
+
+// Archive bounds, as in the client
+const APOD_START_DATE = '1995-06-16';
+const MAX_RANGE_DAYS = 100;
+const MAX_COUNT = 100;
+
+// GET /api/apod, /api/apod/:date (the Render backend's form) or
+// /api/apod?start_date&end_date | count
+const apod = {
+  params: ['date', 'start_date', 'end_date', 'count', 'thumbs'],
+  pathParam: 'date',
+
+  // Random picks differ on every request; without a date (or an end date)
+  // the answer includes today's entry
+  cacheFor({ date, start_date, end_date, count }) {
+    if (count !== undefined) return null;
+    if (date) return cacheForDates(date);
+    if (start_date) return cacheForDates(start_date, end_date);
+    return CachePolicies.SHORT;
+  },
+
+  check({ date, start_date, end_date, count, thumbs }) {
+    // NASA rejects count combined with any date parameter, so fail early with a clear message
+    if (count !== undefined && (date || start_date || end_date)) {
+      throw new GatewayError('INVALID_PARAMETER', 'count cannot be combined with date, start_date or end_date');
+    }
+    if (date && (start_date || end_date)) {
+      throw new GatewayError('INVALID_PARAMETER', 'date cannot be combined with start_date or end_date');
+    }
+    if (end_date && !start_date) {
+      throw new GatewayError('INVALID_PARAMETER', 'end_date requires start_date');
+    }
+
+    checkDate('date', date, { min: APOD_START_DATE });
+    checkDate('start_date', start_date, { min: APOD_START_DATE });
+    checkDate('end_date', end_date, { min: APOD_START_DATE });
+    if (start_date) {
+      // NASA ends an open range today, so measure it against today as well
+      const days = daysBetween(start_date, end_date || new Date().toISOString().slice(0, 10));
+      if (days < 0) {
+        throw new GatewayError('DATE_OUT_OF_RANGE', 'end_date must be on or after start_date');
+      }
+      if (days >= MAX_RANGE_DAYS) {
+        throw new GatewayError('DATE_OUT_OF_RANGE', `The range covers at most ${MAX_RANGE_DAYS} days`);
+      }
+    }
+    checkPattern('count', count, /^[1-9]\d*$/, `a whole number between 1 and ${MAX_COUNT}`);
+    if (count !== undefined && Number(count) > MAX_COUNT) {
+      throw new GatewayError('INVALID_PARAMETER', `count must be a whole number between 1 and ${MAX_COUNT}`);
+    }
+    checkOneOf('thumbs', thumbs, ['true', 'false']);
+  },
+
+  async handle({ date, start_date, end_date, count, thumbs }) {
+    const params = {};
+    if (date) params.date = date;
+    if (start_date) params.start_date = start_date;
+    if (end_date) params.end_date = end_date;
+    if (count) params.count = count;
+    if (thumbs) params.thumbs = thumbs;
+
+    return fetchNasa(nasaUrl('planetary/apod', params), { what: 'APOD' });
+  }
+};
+
+export default apod;
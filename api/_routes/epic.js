@@ -0,0 +1,28 @@
+import { checkDate, checkOneOf } from '../_lib/params.js';
+import { nasaUrl, fetchNasa } from '../_lib/nasa.js';
+import { CachePolicies, cacheForDates } from '../_lib/cache.js';
+
+const COLLECTIONS = ['natural', 'enhanced'];
+const EPIC_START_DATE = '2015-06-13';
+
+// GET /api/epic?[collection][&date]
+const epic = {
+  params: ['collection', 'date'],
+
+  cacheFor({ date }) {
+    return date ? cacheForDates(date) : CachePolicies.SHORT;
+  },
+
+  check({ collection, date }) {
+    checkOneOf('collection', collection, COLLECTIONS);
+    checkDate('date', date, { min: EPIC_START_DATE });
+  },
+
+  async handle({ collection = 'natural', date }) {
+    // Without a date EPIC answers with the most recent day of imagery
+    const path = date ? `EPIC/api/${collection}/date/${date}` : `EPIC/api/${collection}`;
+    return fetchNasa(nasaUrl(path), { what: 'EPIC imagery', empty: [] });
+  }
+};
+
+export default epic;
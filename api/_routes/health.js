@@ -0,0 +1,11 @@
+// GET /api/health, also served at /health like the Render backend
+const health = {
+  params: [],
+  local: true,
+
+  async handle() {
+    return { status: 'ok', timestamp: new Date().toISOString() };
+  }
+};
+
+export default health;
@@ -0,0 +1,31 @@
+import apod from './apod.js';
+import epic from './epic.js';
+import health from './health.js';
+import marsManifest from './mars-manifest.js';
+import marsPhotos from './mars-photos.js';
+import mediaAsset from './media-asset.js';
+import mediaSearch from './media-search.js';
+import neoFeed from './neo-feed.js';
+import spaceWeather from './space-weather.js';
+
+// Each route lists the query parameters it accepts, optionally one that can
+// also come from the path (/api/<route>/<value>), and resolves to the data
+// sent back in the envelope. check throws for parameters NASA would reject,
+// before anything is counted or fetched. cacheFor picks the route's cache
+// policy for a set of parameters; routes without one (health) are never
+// cached. nasaCalls is how many NASA requests one answer takes (1 when not
+// given), and so what it counts against a client's limit; routes marked local
+// do not call NASA and never count
+const routes = {
+  apod,
+  epic,
+  health,
+  'mars-manifest': marsManifest,
+  'mars-photos': marsPhotos,
+  'media-asset': mediaAsset,
+  'media-search': mediaSearch,
+  'neo-feed': neoFeed,
+  'space-weather': spaceWeather
+};
+
+export default routes;
@@ -0,0 +1,25 @@
+import { GatewayError } from '../_lib/envelope.js';
+import { nasaUrl, fetchNasa } from '../_lib/nasa.js';
+import { CachePolicies } from '../_lib/cache.js';
+import { ROVERS } from './mars-photos.js';
+
+// GET /api/mars-manifest?rover
+const marsManifest = {
+  params: ['rover'],
+
+  cacheFor() {
+    return CachePolicies.HOURLY;
+  },
+
+  check({ rover }) {
+    if (!ROVERS.includes(rover)) {
+      throw new GatewayError('INVALID_PARAMETER', `rover must be one of ${ROVERS.join(', ')}`);
+    }
+  },
+
+  async handle({ rover }) {
+    return fetchNasa(nasaUrl(`mars-photos/api/v1/manifests/${rover}`), { what: 'the rover manifest' });
+  }
+};
+
+export default marsManifest;
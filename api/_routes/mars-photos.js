@@ -0,0 +1,42 @@
+import { GatewayError } from '../_lib/envelope.js';
+import { checkDate, checkPattern } from '../_lib/params.js';
+import { nasaUrl, fetchNasa } from '../_lib/nasa.js';
+import { CachePolicies } from '../_lib/cache.js';
+
+export const ROVERS = ['curiosity', 'perseverance', 'opportunity', 'spirit'];
+
+// GET /api/mars-photos?rover&(sol|earth_date)[&camera][&page]
+const marsPhotos = {
+  params: ['rover', 'sol', 'earth_date', 'camera', 'page'],
+
+  // Active rovers' photos can take days to be downlinked, so even past sols
+  // and dates keep gaining photos for a while
+  cacheFor() {
+    return CachePolicies.HOURLY;
+  },
+
+  check({ rover, sol, earth_date, camera, page }) {
+    if (!ROVERS.includes(rover)) {
+      throw new GatewayError('INVALID_PARAMETER', `rover must be one of ${ROVERS.join(', ')}`);
+    }
+    // NASA ignores sol when earth_date is present, so insist on exactly one
+    if ((sol === undefined) === (earth_date === undefined)) {
+      throw new GatewayError('INVALID_PARAMETER', 'Provide either sol or earth_date');
+    }
+    checkPattern('sol', sol, /^\d+$/, 'a whole number of 0 or more');
+    checkDate('earth_date', earth_date);
+    checkPattern('camera', camera, /^[A-Za-z0-9_]+$/, 'a camera code');
+    checkPattern('page', page, /^[1-9]\d*$/, 'a whole number of 1 or more');
+  },
+
+  async handle({ rover, sol, earth_date, camera, page }) {
+    const params = { page: page || '1' };
+    if (sol !== undefined) params.sol = sol;
+    if (earth_date !== undefined) params.earth_date = earth_date;
+    if (camera) params.camera = camera.toLowerCase();
+
+    return fetchNasa(nasaUrl(`mars-photos/api/v1/rovers/${rover}/photos`, params), { what: 'Mars rover photos' });
+  }
+};
+
+export default marsPhotos;
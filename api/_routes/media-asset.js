@@ -0,0 +1,27 @@
+import { GatewayError } from '../_lib/envelope.js';
+import { requireParam } from '../_lib/params.js';
+import { fetchNasa } from '../_lib/nasa.js';
+import { CachePolicies } from '../_lib/cache.js';
+
+// GET /api/media-asset?nasa_id or /api/media-asset/:nasa_id
+const mediaAsset = {
+  params: ['nasa_id'],
+  pathParam: 'nasa_id',
+
+  cacheFor() {
+    return CachePolicies.HOURLY;
+  },
+
+  check({ nasa_id }) {
+    requireParam('nasa_id', nasa_id);
+    if (!nasa_id.trim()) {
+      throw new GatewayError('INVALID_PARAMETER', 'nasa_id is required');
+    }
+  },
+
+  async handle({ nasa_id }) {
+    return fetchNasa(`https://images-api.nasa.gov/asset/${encodeURIComponent(nasa_id.trim())}`, { what: 'the media asset' });
+  }
+};
+
+export default mediaAsset;
@@ -0,0 +1,48 @@
+import { GatewayError } from '../_lib/envelope.js';
+import { checkPattern, requireParam } from '../_lib/params.js';
+import { fetchNasa } from '../_lib/nasa.js';
+import { CachePolicies } from '../_lib/cache.js';
+
+const MEDIA_TYPES = ['image', 'video', 'audio'];
+
+// GET /api/media-search?q[&media_type][&year_start][&year_end][&center][&page][&page_size]
+const mediaSearch = {
+  params: ['q', 'media_type', 'year_start', 'year_end', 'center', 'page', 'page_size'],
+
+  cacheFor() {
+    return CachePolicies.HOURLY;
+  },
+
+  check({ q, media_type, year_start, year_end, center, page, page_size }) {
+    requireParam('q', q);
+    if (!q.trim()) {
+      throw new GatewayError('INVALID_PARAMETER', 'q is required');
+    }
+    if (media_type !== undefined && !media_type.split(',').every(type => MEDIA_TYPES.includes(type))) {
+      throw new GatewayError('INVALID_PARAMETER', `media_type must be a comma-separated list of ${MEDIA_TYPES.join(', ')}`);
+    }
+    checkPattern('year_start', year_start, /^\d{4}$/, 'a four-digit year');
+    checkPattern('year_end', year_end, /^\d{4}$/, 'a four-digit year');
+    if (year_start && year_end && year_start > year_end) {
+      throw new GatewayError('INVALID_PARAMETER', 'year_start must be on or before year_end');
+    }
+    checkPattern('center', center, /^[A-Za-z]{2,5}$/, 'a NASA center code');
+    checkPattern('page', page, /^[1-9]\d*$/, 'a whole number of 1 or more');
+    checkPattern('page_size', page_size, /^[1-9]\d?$/, 'between 1 and 99');
+  },
+
+  async handle({ q, media_type, year_start, year_end, center, page, page_size }) {
+    const params = new URLSearchParams({ q: q.trim() });
+    if (media_type) params.set('media_type', media_type);
+    if (year_start) params.set('year_start', year_start);
+    if (year_end) params.set('year_end', year_end);
+    if (center) params.set('center', center);
+    if (page) params.set('page', page);
+    if (page_size) params.set('page_size', page_size);
+
+    // The Image and Video Library does not take an API key
+    return fetchNasa(`https://images-api.nasa.gov/search?${params.toString()}`, { what: 'the media library search' });
+  }
+};
+
+export default mediaSearch;
@@ -0,0 +1,43 @@
+import { GatewayError } from '../_lib/envelope.js';
+import { checkDate, daysBetween, requireParam } from '../_lib/params.js';
+import { nasaUrl, fetchNasa } from '../_lib/nasa.js';
+import { cacheForDates } from '../_lib/cache.js';
+
+const MAX_RANGE_DAYS = 7;
+
+// GET /api/neo-feed?start_date[&end_date]
+const neoFeed = {
+  params: ['start_date', 'end_date'],
+
+  // Without end_date NASA returns a week from start_date
+  cacheFor({ start_date, end_date }) {
+    return cacheForDates(start_date, end_date);
+  },
+
+  check({ start_date, end_date }) {
+    requireParam('start_date', start_date);
+    // Close approaches are predicted, so future windows are fine
+    checkDate('start_date', start_date, { allowFuture: true });
+    checkDate('end_date', end_date, { allowFuture: true });
+
+    // NASA answers longer windows with a 400 that is hard to read, so check here
+    if (end_date) {
+      const days = daysBetween(start_date, end_date);
+      if (days < 0) {
+        throw new GatewayError('DATE_OUT_OF_RANGE', 'end_date must be on or after start_date');
+      }
+      if (days >= MAX_RANGE_DAYS) {
+        throw new GatewayError('DATE_OUT_OF_RANGE', `The feed covers at most ${MAX_RANGE_DAYS} days`);
+      }
+    }
+  },
+
+  async handle({ start_date, end_date }) {
+    const params = { start_date };
+    if (end_date) params.end_date = end_date;
+
+    return fetchNasa(nasaUrl('neo/rest/v1/feed', params), { what: 'the asteroid feed' });
+  }
+};
+
+export default neoFeed;
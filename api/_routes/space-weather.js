@@ -0,0 +1,47 @@
+import { GatewayError } from '../_lib/envelope.js';
+import { checkDate, daysBetween, requireParam } from '../_lib/params.js';
+import { nasaUrl, fetchNasa } from '../_lib/nasa.js';
+import { cacheForDates } from '../_lib/cache.js';
+
+const MAX_RANGE_DAYS = 31;
+const DONKI_START_DATE = '2010-01-01';
+
+// DONKI endpoint for each list in the response
+const ENDPOINTS = { flares: 'FLR', cmes: 'CME', storms: 'GST' };
+
+// GET /api/space-weather?start_date&end_date, answering { flares, cmes, storms }
+const spaceWeather = {
+  params: ['start_date', 'end_date'],
+  nasaCalls: Object.keys(ENDPOINTS).length,
+
+  cacheFor({ start_date, end_date }) {
+    return cacheForDates(start_date, end_date);
+  },
+
+  check({ start_date, end_date }) {
+    requireParam('start_date', start_date);
+    requireParam('end_date', end_date);
+    checkDate('start_date', start_date, { min: DONKI_START_DATE });
+    checkDate('end_date', end_date, { min: DONKI_START_DATE });
+
+    const days = daysBetween(start_date, end_date);
+    if (days < 0) {
+      throw new GatewayError('DATE_OUT_OF_RANGE', 'end_date must be on or after start_date');
+    }
+    if (days >= MAX_RANGE_DAYS) {
+      throw new GatewayError('DATE_OUT_OF_RANGE', `The timeline covers at most ${MAX_RANGE_DAYS} days`);
+    }
+  },
+
+  async handle({ start_date, end_date }) {
+    // Flares, CMEs and storms are separate DONKI endpoints; fetch them
+    // together. DONKI sends an empty body rather than [] when nothing happened
+    const params = { startDate: start_date, endDate: end_date };
+    const entries = await Promise.all(Object.entries(ENDPOINTS).map(async ([name, type]) => (
+      [name, await fetchNasa(nasaUrl(`DONKI/${type}`, params), { what: 'space weather events', empty: [] })]
+    )));
+    return Object.fromEntries(entries);
+  }
+};
+
+export default spaceWeather;
@@ -0,0 +1,200 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import handler from '../[...path].js';
+import routes from '../_routes/index.js';
+import { setCacheStore, createMemoryStore } from '../_lib/cache.js';
+import { CLIENT_RATE_LIMIT } from '../_lib/rateLimit.js';
+
+const realFetch = global.fetch;
+let upstream;
+let client = 0;
+
+// Fake NASA: answers every URL with `upstream.body`, recording the URLs
+const fakeNasa = (body, { status = 200, headers = {} } = {}) => {
+  upstream = { urls: [], body };
+  global.fetch = async (url) => {
+    upstream.urls.push(url);
+    return new Response(JSON.stringify(body), { status, headers });
+  };
+};
+
+// Call the gateway the way Vercel does and capture the response. Each call
+// comes from its own address so the per-client limit stays out of the way
+const call = async (path, query = {}, { method = 'GET', headers = {} } = {}) => {
+  client += 1;
+  const out = { headers: {} };
+  const res = {
+    setHeader(name, value) { out.headers[name.toLowerCase()] = String(value); },
+    status(code) { out.status = code; return this; },
+    json(body) { out.body = body; },
+    end() { out.body = undefined; }
+  };
+  await handler({ method, query: { path, ...query }, headers: { 'x-forwarded-for': `10.0.0.${client}`, ...headers } }, res);
+  return out;
+};
+
+const assertError = (out, status, code) => {
+  assert.equal(out.status, status);
+  assert.equal(out.body.success, false);
+  assert.equal(out.body.error.code, code);
+  assert.equal(typeof out.body.error.message, 'string');
+};
+
+beforeEach(() => {
+  setCacheStore(createMemoryStore());
+  fakeNasa({ title: 'Horsehead Nebula' });
+});
+
+afterEach(() => {
+  global.fetch = realFetch;
+});
+
+test('every route lists its params and can be handled', () => {
+  assert.deepEqual(Object.keys(routes).sort(), [
+    'apod', 'epic', 'health', 'mars-manifest', 'mars-photos', 'media-asset', 'media-search', 'neo-feed', 'space-weather'
+  ]);
+  for (const [name, route] of Object.entries(routes)) {
+    assert.ok(Array.isArray(route.params), name);
+    assert.equal(typeof route.handle, 'function', name);
+    if (!route.local) {
+      assert.equal(typeof route.check, 'function', name);
+    }
+    if (route.pathParam) {
+      assert.ok(route.params.includes(route.pathParam), name);
+    }
+  }
+});
+
+test('wraps data as { success, data }', async () => {
+  const out = await call(['apod', '2024-01-15']);
+
+  assert.equal(out.status, 200);
+  assert.deepEqual(out.body, { success: true, data: { title: 'Horsehead Nebula' } });
+  assert.match(upstream.urls[0], /^https:\/\/api\.nasa\.gov\/planetary\/apod\?date=2024-01-15&/);
+});
+
+test('answers /health without calling NASA', async () => {
+  const out = await call(['health']);
+
+  assert.equal(out.body.success, true);
+  assert.equal(out.body.data.status, 'ok');
+  assert.equal(upstream.urls.length, 0);
+});
+
+test('rejects invalid dates with 400', async () => {
+  assertError(await call(['apod', '2024-02-30']), 400, 'INVALID_DATE');
+  assertError(await call(['apod'], { date: '15-01-2024' }), 400, 'INVALID_DATE');
+  assertError(await call(['apod', '1990-01-01']), 400, 'DATE_OUT_OF_RANGE');
+  assert.equal(upstream.urls.length, 0);
+});
+
+test('limits APOD ranges to 100 days, counting open ranges up to today', async () => {
+  assertError(await call(['apod'], { start_date: '2024-01-01', end_date: '2024-04-10' }), 400, 'DATE_OUT_OF_RANGE');
+  assertError(await call(['apod'], { start_date: '1995-06-16' }), 400, 'DATE_OUT_OF_RANGE');
+  assert.equal(upstream.urls.length, 0);
+
+  const recent = new Date(Date.now() - 10 * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+  assert.equal((await call(['apod'], { start_date: recent })).status, 200);
+  assert.equal(upstream.urls.length, 1);
+});
+
+test('rejects unknown and duplicated params with 400', async () => {
+  assertError(await call(['apod'], { api_key: 'DEMO_KEY' }), 400, 'UNKNOWN_PARAMETER');
+  assertError(await call(['apod'], { date: ['2024-01-01', '2024-01-02'] }), 400, 'INVALID_PARAMETER');
+  assertError(await call(['apod', '2024-01-01'], { date: '2024-01-01' }), 400, 'INVALID_PARAMETER');
+  assert.equal(upstream.urls.length, 0);
+});
+
+test('does not treat __proto__ as a param or a route', async () => {
+  const query = JSON.parse('{ "__proto__": "2024-01-01" }');
+  assertError(await call(['apod'], query), 400, 'UNKNOWN_PARAMETER');
+  assertError(await call(['__proto__']), 404, 'NOT_FOUND');
+  assertError(await call(['constructor']), 404, 'NOT_FOUND');
+});
+
+test('answers unknown endpoints with 404 and other methods with 405', async () => {
+  assertError(await call(['nope']), 404, 'NOT_FOUND');
+  assertError(await call(['health', 'extra']), 404, 'NOT_FOUND');
+  assertError(await call(['apod'], {}, { method: 'POST' }), 405, 'METHOD_NOT_ALLOWED');
+});
+
+test('maps NASA failures onto gateway codes', async () => {
+  fakeNasa({ msg: 'Date must be between Jun 16, 1995 and today' }, { status: 400 });
+  const rejected = await call(['apod', '2024-01-15']);
+  assertError(rejected, 400, 'UPSTREAM_REJECTED');
+  assert.equal(rejected.body.error.message, 'Date must be between Jun 16, 1995 and today');
+
+  fakeNasa({}, { status: 503 });
+  assertError(await call(['apod', '2024-01-16']), 502, 'UPSTREAM_ERROR');
+});
+
+test('serves repeats from the cache and answers If-None-Match with 304', async () => {
+  const first = await call(['apod', '2024-01-15']);
+  assert.equal(first.headers['cache-control'], 'public, max-age=31536000, immutable');
+  assert.ok(first.headers.etag);
+
+  const again = await call(['apod'], { date: '2024-01-15' });
+  assert.deepEqual(again.body, first.body);
+  assert.equal(again.headers.etag, first.headers.etag);
+
+  const revalidated = await call(['apod', '2024-01-15'], {}, { headers: { 'if-none-match': first.headers.etag } });
+  assert.equal(revalidated.status, 304);
+  assert.equal(revalidated.body, undefined);
+
+  assert.equal(upstream.urls.length, 1);
+});
+
+test('never caches random picks or errors', async () => {
+  const random = await call(['apod'], { count: '3' });
+  assert.equal(random.headers['cache-control'], 'no-store');
+  assert.equal(random.headers.etag, undefined);
+
+  assertError(await call(['apod', 'not-a-date']), 400, 'INVALID_DATE');
+});
+
+test('limits each client with 429, Retry-After and RateLimit-* headers', async () => {
+  const headers = { 'x-forwarded-for': '198.51.100.9' };
+  let out;
+  for (let i = 0; i < CLIENT_RATE_LIMIT.requests; i++) {
+    out = await call(['apod'], { count: '1' }, { headers });
+    assert.equal(out.status, 200);
+  }
+  assert.equal(out.headers['ratelimit-remaining'], '0');
+
+  const refused = await call(['apod'], { count: '1' }, { headers });
+  assertError(refused, 429, 'RATE_LIMITED');
+  assert.ok(Number(refused.headers['retry-after']) > 0);
+  assert.equal(refused.headers['ratelimit-limit'], String(CLIENT_RATE_LIMIT.requests));
+  assert.equal(upstream.urls.length, CLIENT_RATE_LIMIT.requests);
+
+  // Cache hits and the health check cost NASA nothing, so they still pass
+  await call(['apod', '2024-01-15']);
+  assert.equal((await call(['apod', '2024-01-15'], {}, { headers })).status, 200);
+  assert.equal((await call(['health'], {}, { headers })).status, 200);
+});
+
+test('charges clients per NASA call and never for rejected parameters', async () => {
+  const headers = { 'x-forwarded-for': '198.51.100.23' };
+  const { requests } = CLIENT_RATE_LIMIT;
+
+  const rejected = await call(['space-weather'], { start_date: '2024-05-31', end_date: '2024-05-01' }, { headers });
+  assertError(rejected, 400, 'DATE_OUT_OF_RANGE');
+  assert.equal(rejected.headers['ratelimit-remaining'], String(requests));
+  assertError(await call(['apod', '2024-02-30'], {}, { headers }), 400, 'INVALID_DATE');
+
+  // Flares, CMEs and storms are three DONKI calls
+  fakeNasa([]);
+  const timeline = await call(['space-weather'], { start_date: '2024-05-01', end_date: '2024-05-31' }, { headers });
+  assert.equal(timeline.status, 200);
+  assert.equal(upstream.urls.length, 3);
+  assert.equal(timeline.headers['ratelimit-remaining'], String(requests - 3));
+});
+
+test('passes NASA\'s shared quota through apart from the client\'s own', async () => {
+  fakeNasa({ title: 'Horsehead Nebula' }, { headers: { 'X-RateLimit-Limit': '1000', 'X-RateLimit-Remaining': '4' } });
+  const out = await call(['apod', '2024-03-01']);
+
+  assert.equal(out.headers['x-ratelimit-remaining'], '4');
+  assert.equal(out.headers['x-ratelimit-limit'], '1000');
+  assert.equal(out.headers['ratelimit-remaining'], String(CLIENT_RATE_LIMIT.requests - 1));
+});
@@ -1,24 +0,0 @@
-import fetch from 'node-fetch';
-
-export default async function handler(req, res) {
-  if (req.method !== 'GET') {
-    res.status(405).json({ error: 'Method Not Allowed' });
-    return;
-  }
-
-  const { date } = req.query;
-  const apiUrl = `https://api.nasa.gov/planetary/apod?api_key=${process.env.NASA_API_KEY}${date ? `&date=${date}` : ''}`;
-
-  try {
-    const response = await fetch(apiUrl);
-    const data = await response.json();
-    if (!response.ok) {
-      res.status(response.status).json({ error: data.error?.message || 'Failed to fetch APOD' });
-      return;
-    }
-    res.status(200).json(data);
-  } catch (err) {
-    console.error(err);
-    res.status(500).json({ error: 'Failed to fetch APOD' });
-  }
-} 
\ No newline at end of file
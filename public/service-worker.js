@@ -0,0 +1,133 @@
+// Service worker for offline support
+// - app shell: precached on install, navigations fall back to the cached index.html
+// - APOD JSON: network first, cached copy when offline
+// - build assets: cache first, trimmed like the images
+// - images: cache first, trimmed to a fixed number of files
+
+// Replaced with a hash of the build's assets by scripts/stamp-service-worker.js,
+// so each deploy gets fresh caches and the old ones are deleted on activate
+const VERSION = 'dev';
+const SHELL_CACHE = `nasa-explorer-shell-${VERSION}`;
+const ASSET_CACHE = `nasa-explorer-assets-${VERSION}`;
+const DATA_CACHE = `nasa-explorer-data-${VERSION}`;
+const IMAGE_CACHE = `nasa-explorer-images-${VERSION}`;
+const CURRENT_CACHES = [SHELL_CACHE, ASSET_CACHE, DATA_CACHE, IMAGE_CACHE];
+
+const SHELL_FILES = [
+  '/',
+  '/index.html',
+  '/manifest.json',
+  '/favicon.ico',
+  '/logo192.png',
+  '/logo512.png',
+  '/maskable192.png',
+  '/maskable512.png'
+];
+
+const MAX_ASSET_ENTRIES = 100;
+const MAX_DATA_ENTRIES = 200;
+const MAX_IMAGE_ENTRIES = 60;
+
+const isAPODRequest = (url) => url.pathname.includes('/api/apod');
+
+const isImageRequest = (request, url) =>
+  request.destination === 'image' || /\.(jpe?g|png|gif|webp)$/i.test(url.pathname);
+
+// Remove the oldest entries once a cache grows past its limit
+const trimCache = async (cacheName, maxEntries) => {
+  const cache = await caches.open(cacheName);
+  const keys = await cache.keys();
+  if (keys.length > maxEntries) {
+    await Promise.all(keys.slice(0, keys.length - maxEntries).map(key => cache.delete(key)));
+  }
+};
+
+const networkFirst = async (request, cacheName, maxEntries) => {
+  const cache = await caches.open(cacheName);
+  try {
+    const response = await fetch(request);
+    if (response.ok) {
+      await cache.put(request, response.clone());
+      trimCache(cacheName, maxEntries);
+    }
+    return response;
+  } catch (error) {
+    const cached = await cache.match(request);
+    if (cached) return cached;
+    throw error;
+  }
+};
+
+const cacheFirst = async (request, cacheName, maxEntries) => {
+  const cache = await caches.open(cacheName);
+  const cached = await cache.match(request);
+  if (cached) return cached;
+
+  const response = await fetch(request);
+  // Opaque responses (cross-origin images without CORS) are still worth keeping
+  if (response.ok || response.type === 'opaque') {
+    await cache.put(request, response.clone());
+    trimCache(cacheName, maxEntries);
+  }
+  return response;
+};
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    caches.open(SHELL_CACHE)
+      .then(cache => cache.addAll(SHELL_FILES))
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(
+        keys.filter(key => !CURRENT_CACHES.includes(key)).map(key => caches.delete(key))
+      ))
+      .then(() => self.clients.claim())
+  );
+});
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET') return;
+
+  const url = new URL(request.url);
+
+  if (request.mode === 'navigate') {
+    event.respondWith(
+      fetch(request).catch(() => caches.match('/index.html'))
+    );
+    return;
+  }
+
+  if (isAPODRequest(url)) {
+    event.respondWith(networkFirst(request, DATA_CACHE, MAX_DATA_ENTRIES));
+    return;
+  }
+
+  if (isImageRequest(request, url)) {
+    event.respondWith(cacheFirst(request, IMAGE_CACHE, MAX_IMAGE_ENTRIES));
+    return;
+  }
+
+  // Hashed build assets never change, so cache them as they are requested.
+  // They are kept apart from the shell so trimming never drops index.html
+  if (url.origin === self.location.origin && url.pathname.startsWith('/static/')) {
+    event.respondWith(cacheFirst(request, ASSET_CACHE, MAX_ASSET_ENTRIES));
+  }
+});
+
+// The app posts the image URLs of prefetched APODs so they can be viewed offline
+self.addEventListener('message', (event) => {
+  if (event.data?.type !== 'PRECACHE_IMAGES') return;
+
+  const urls = event.data.urls || [];
+  event.waitUntil(
+    Promise.all(urls.map(url =>
+      cacheFirst(new Request(url, { mode: 'no-cors' }), IMAGE_CACHE, MAX_IMAGE_ENTRIES).catch(() => null)
+    ))
+  );
+});
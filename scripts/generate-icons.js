@@ -0,0 +1,178 @@
+// Draws the app icon (a ringed planet on the night-sky blue of the header)
+// and writes the PNG and ICO files the manifest and index.html point to:
+//
+//   npm run icons
+//
+// "any" icons sit on a rounded square with a transparent corner. The maskable
+// icon fills the whole square and keeps the planet and ring inside the
+// central circle (40% of the size from the centre) that every mask shape
+// leaves visible.
+
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+
+const PUBLIC_DIR = path.join(__dirname, '..', 'public');
+const SAMPLES = 4; // per axis, for anti-aliasing
+
+const SKY_TOP = [30, 60, 114]; // #1e3c72
+const SKY_BOTTOM = [0, 8, 20]; // #000814
+const PLANET_LIGHT = [135, 206, 235]; // #87ceeb
+const PLANET_DARK = [30, 60, 114];
+const RING = [255, 215, 0]; // #ffd700
+const STAR = [255, 255, 255];
+
+// [x, y, radius] in units of the icon size
+const STARS = [
+  [0.2, 0.22, 0.012], [0.78, 0.18, 0.009], [0.84, 0.7, 0.011],
+  [0.16, 0.76, 0.008], [0.66, 0.86, 0.007], [0.3, 0.1, 0.006]
+];
+
+const RING_TILT = -0.35; // radians
+const CORNER_RADIUS = 0.22;
+
+const mix = (a, b, t) => a.map((value, index) => value + (b[index] - value) * t);
+const clamp01 = (value) => Math.min(1, Math.max(0, value));
+
+// Colour and coverage of the icon at (x, y), both in 0..1
+const shade = (x, y, { maskable, scale, withStars }) => {
+  if (!maskable) {
+    // Rounded square: distance past the inner rectangle of the corners
+    const dx = Math.max(Math.abs(x - 0.5) - (0.5 - CORNER_RADIUS), 0);
+    const dy = Math.max(Math.abs(y - 0.5) - (0.5 - CORNER_RADIUS), 0);
+    if (Math.hypot(dx, dy) > CORNER_RADIUS) return null;
+  }
+
+  let color = mix(SKY_TOP, SKY_BOTTOM, y);
+  const px = (x - 0.5) / scale;
+  const py = (y - 0.5) / scale;
+
+  // Ring, as an ellipse band in coordinates rotated by the tilt
+  const rx = px * Math.cos(RING_TILT) + py * Math.sin(RING_TILT);
+  const ry = -px * Math.sin(RING_TILT) + py * Math.cos(RING_TILT);
+  const ringDistance = Math.hypot(rx / 0.36, ry / 0.1);
+  const onRing = ringDistance > 0.78 && ringDistance < 1;
+  const planetDistance = Math.hypot(px, py) / 0.2;
+  const onPlanet = planetDistance < 1;
+
+  if (withStars && !onPlanet && !onRing) {
+    if (STARS.some(([sx, sy, radius]) => Math.hypot(x - sx, y - sy) < radius)) color = STAR;
+  }
+  // The far half of the ring passes behind the planet
+  if (onRing && ry < 0) color = mix(color, RING, 0.85);
+  if (onPlanet) {
+    const light = clamp01(Math.hypot(px + 0.08, py + 0.08) / 0.28);
+    color = mix(PLANET_LIGHT, PLANET_DARK, light);
+  }
+  if (onRing && ry >= 0) color = mix(color, RING, 0.95);
+
+  return color;
+};
+
+const render = (size, options) => {
+  const pixels = Buffer.alloc(size * size * 4);
+
+  for (let row = 0; row < size; row++) {
+    for (let column = 0; column < size; column++) {
+      const sum = [0, 0, 0];
+      let covered = 0;
+      for (let sy = 0; sy < SAMPLES; sy++) {
+        for (let sx = 0; sx < SAMPLES; sx++) {
+          const color = shade((column + (sx + 0.5) / SAMPLES) / size, (row + (sy + 0.5) / SAMPLES) / size, options);
+          if (!color) continue;
+          covered += 1;
+          color.forEach((value, index) => { sum[index] += value; });
+        }
+      }
+      const offset = (row * size + column) * 4;
+      if (covered) {
+        sum.forEach((value, index) => { pixels[offset + index] = Math.round(value / covered); });
+      }
+      pixels[offset + 3] = Math.round((covered / (SAMPLES * SAMPLES)) * 255);
+    }
+  }
+
+  return pixels;
+};
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+const crc32 = (buffer) => {
+  let crc = 0xffffffff;
+  for (const byte of buffer) crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+};
+
+const chunk = (type, data) => {
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(data.length);
+  const body = Buffer.concat([Buffer.from(type, 'ascii'), data]);
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(body));
+  return Buffer.concat([length, body, crc]);
+};
+
+// 8-bit RGBA PNG, no filtering
+const encodePNG = (size, pixels) => {
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(size, 0);
+  header.writeUInt32BE(size, 4);
+  header.writeUInt8(8, 8); // bit depth
+  header.writeUInt8(6, 9); // colour type: RGBA
+
+  const rows = [];
+  for (let row = 0; row < size; row++) {
+    rows.push(Buffer.from([0]), pixels.subarray(row * size * 4, (row + 1) * size * 4));
+  }
+
+  return Buffer.concat([
+    Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+    chunk('IHDR', header),
+    chunk('IDAT', zlib.deflateSync(Buffer.concat(rows), { level: 9 })),
+    chunk('IEND', Buffer.alloc(0))
+  ]);
+};
+
+// ICO holding PNG images, one per size
+const encodeICO = (images) => {
+  const header = Buffer.alloc(6);
+  header.writeUInt16LE(1, 2); // type: icon
+  header.writeUInt16LE(images.length, 4);
+
+  let offset = 6 + images.length * 16;
+  const entries = images.map(({ size, png }) => {
+    const entry = Buffer.alloc(16);
+    entry.writeUInt8(size % 256, 0);
+    entry.writeUInt8(size % 256, 1);
+    entry.writeUInt16LE(1, 4); // colour planes
+    entry.writeUInt16LE(32, 6); // bits per pixel
+    entry.writeUInt32LE(png.length, 8);
+    entry.writeUInt32LE(offset, 12);
+    offset += png.length;
+    return entry;
+  });
+
+  return Buffer.concat([header, ...entries, ...images.map(({ png }) => png)]);
+};
+
+const ANY = { maskable: false, scale: 1, withStars: true };
+const MASKABLE = { maskable: true, scale: 0.9, withStars: true };
+// Stars are lost at favicon sizes
+const SMALL = { maskable: false, scale: 1.15, withStars: false };
+
+const png = (size, options) => encodePNG(size, render(size, options));
+
+const write = (name, data) => {
+  fs.writeFileSync(path.join(PUBLIC_DIR, name), data);
+  console.log(`Wrote public/${name} (${data.length} bytes)`);
+};
+
+write('logo192.png', png(192, ANY));
+write('logo512.png', png(512, ANY));
+write('maskable192.png', png(192, MASKABLE));
+write('maskable512.png', png(512, MASKABLE));
+write('favicon.ico', encodeICO([16, 32, 48].map(size => ({ size, png: png(size, SMALL) }))));
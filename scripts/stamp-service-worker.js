@@ -0,0 +1,23 @@
+// Runs after `react-scripts build`: stamps build/service-worker.js with a
+// version derived from the build's hashed assets. Every build that changes the
+// app changes the worker's bytes, so browsers install it, and its activate step
+// deletes the caches of the previous version.
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const BUILD_DIR = path.join(__dirname, '..', 'build');
+const WORKER_FILE = path.join(BUILD_DIR, 'service-worker.js');
+const PLACEHOLDER = "const VERSION = 'dev';";
+
+const manifest = fs.readFileSync(path.join(BUILD_DIR, 'asset-manifest.json'));
+const version = crypto.createHash('sha256').update(manifest).digest('hex').slice(0, 12);
+
+const worker = fs.readFileSync(WORKER_FILE, 'utf8');
+if (!worker.includes(PLACEHOLDER)) {
+  throw new Error(`${WORKER_FILE} has no "${PLACEHOLDER}" line to stamp`);
+}
+
+fs.writeFileSync(WORKER_FILE, worker.replace(PLACEHOLDER, `const VERSION = '${version}';`));
+console.log(`Stamped service-worker.js with version ${version}`);
@@ -1,12 +1,77 @@
-import React, { useState } from 'react';
+import React, { useEffect } from 'react';
+import { Routes, Route, NavLink, Navigate, useNavigate } from 'react-router-dom';
 import APODViewer from './components/APODViewer';
+import APODGallery from './components/APODGallery';
+import About from './components/About';
+import FavoritesPage from './components/FavoritesPage';
+import SearchPage from './components/SearchPage';
+import SettingsPage from './components/SettingsPage';
+import MarsRoverPage from './components/MarsRoverPage';
+import NeoDashboard from './components/NeoDashboard';
+import EpicViewer from './components/EpicViewer';
+import MediaLibraryPage from './components/MediaLibraryPage';
+import SpaceWeatherPage from './components/SpaceWeatherPage';
 import ErrorBoundary from './components/ErrorBoundary';
+import LanguageSwitcher from './components/LanguageSwitcher';
+import RateLimitNotice from './components/RateLimitNotice';
+import apiService, { logError, networkService } from './services/api';
+import useSettings from './hooks/useSettings';
+import useI18n from './hooks/useI18n';
+import { precacheImages } from './serviceWorkerRegistration';
 import './App.css';
 
+const NAV_LINKS = [
+  { to: '/', labelKey: 'nav.apod' },
+  { to: '/gallery', labelKey: 'nav.gallery' },
+  { to: '/search', labelKey: 'nav.search' },
+  { to: '/mars', labelKey: 'nav.mars' },
+  { to: '/asteroids', labelKey: 'nav.asteroids' },
+  { to: '/earth', labelKey: 'nav.earth' },
+  { to: '/library', labelKey: 'nav.library' },
+  { to: '/space-weather', labelKey: 'nav.spaceWeather' },
+  { to: '/favorites', labelKey: 'nav.favorites' },
+  { to: '/settings', labelKey: 'nav.settings' },
+  { to: '/about', labelKey: 'nav.about' }
+];
+
+// Page backgrounds for the themes in services/settings
+const THEME_BACKGROUNDS = {
+  cosmic: 'linear-gradient(135deg, #0b1426 0%, #1e3c72 50%, #2a5298 100%)',
+  midnight: 'linear-gradient(135deg, #000000 0%, #05070d 50%, #0b1020 100%)',
+  nebula: 'linear-gradient(135deg, #1a0b2e 0%, #4a1e72 50%, #7b2a98 100%)'
+};
+
 function App() {
+  const navigate = useNavigate();
+  const { settings } = useSettings();
+  const { locale, t } = useI18n();
+
+  // Screen readers and hyphenation follow the UI language
+  useEffect(() => {
+    document.documentElement.lang = locale;
+  }, [locale]);
+
+  // Keep the most recent week of APODs (data and images) available offline
+  useEffect(() => {
+    if (!networkService.isOnline()) return;
+
+    apiService.prefetchRecentAPODs()
+      .then(entries => precacheImages(
+        entries
+          .map(entry => (entry.media_type === 'image' ? entry.url : entry.thumbnail_url))
+          .filter(Boolean)
+      ))
+      .catch(error => logError(error, 'App.prefetchRecentAPODs'));
+  }, []);
+
+  // Open a gallery entry in the detail view, handing over the data we already have
+  const handleGallerySelect = (entry) => {
+    navigate(`/apod/${entry.date}`, { state: { apod: entry } });
+  };
+
   return (
     <ErrorBoundary>
-      <div style={{ minHeight: '100vh', background: 'linear-gradient(135deg, #0b1426 0%, #1e3c72 50%, #2a5298 100%)' }}>
+      <div style={{ minHeight: '100vh', background: THEME_BACKGROUNDS[settings.theme] }}>
         {/* Professional NASA Header */}
         <header style={{
           background: 'linear-gradient(135deg, #000814 0%, #001d3d 100%)',
@@ -38,7 +103,7 @@ function App() {
               }}>
                 <img 
                   src="https://www.nasa.gov/wp-content/uploads/2023/03/nasa-logo-web-rgb.png"
-                  alt="NASA Logo"
+                  alt={t('app.logoAlt')}
                   style={{
                     width: '80px',
                     height: '80px',
@@ -71,7 +136,7 @@ function App() {
                     fontFamily: 'Arial, sans-serif',
                     letterSpacing: '1px'
                   }}>
-                    NASA
+                    {t('app.nasa')}
                   </div>
                   {/* NASA Logo Elements */}
                   <div style={{
@@ -107,7 +172,7 @@ function App() {
                   backgroundClip: 'text',
                   textShadow: '0 2px 4px rgba(0,0,0,0.3)'
                 }}>
-                  NASA Explorer
+                  {t('app.title')}
                 </h1>
                 <p style={{
                   fontSize: '1.1rem',
@@ -115,61 +180,42 @@ function App() {
                   color: '#87ceeb',
                   fontWeight: '300'
                 }}>
-                  National Aeronautics and Space Administration
+                  {t('app.agency')}
                 </p>
               </div>
             </div>
 
             {/* Navigation */}
-            <nav style={{ display: 'flex', gap: '15px' }}>
-              <button 
-                onClick={() => document.getElementById('apod-section').scrollIntoView({ behavior: 'smooth' })}
-                style={{
-                  color: '#87ceeb',
-                  background: 'transparent',
-                  textDecoration: 'none',
-                  padding: '8px 16px',
-                  borderRadius: '20px',
-                  border: '1px solid #87ceeb',
-                  fontSize: '0.9rem',
-                  transition: 'all 0.3s ease',
-                  cursor: 'pointer'
-                }}
-                onMouseEnter={(e) => {
-                  e.target.style.background = '#87ceeb';
-                  e.target.style.color = '#000814';
-                }}
-                onMouseLeave={(e) => {
-                  e.target.style.background = 'transparent';
-                  e.target.style.color = '#87ceeb';
-                }}
-              >
-                APOD
-              </button>
-              <button 
-                onClick={() => document.getElementById('about-section').scrollIntoView({ behavior: 'smooth' })}
-                style={{
-                  color: '#87ceeb',
-                  background: 'transparent',
-                  textDecoration: 'none',
-                  padding: '8px 16px',
-                  borderRadius: '20px',
-                  border: '1px solid transparent',
-                  fontSize: '0.9rem',
-                  transition: 'all 0.3s ease',
-                  cursor: 'pointer'
-                }}
-                onMouseEnter={(e) => {
-                  e.target.style.background = '#87ceeb';
-                  e.target.style.color = '#000814';
-                }}
-                onMouseLeave={(e) => {
-                  e.target.style.background = 'transparent';
-                  e.target.style.color = '#87ceeb';
-                }}
-              >
-                About
-              </button>
+            <nav style={{ display: 'flex', alignItems: 'center', gap: '15px', flexWrap: 'wrap' }}>
+              {NAV_LINKS.map(({ to, labelKey }) => (
+                <NavLink
+                  key={to}
+                  to={to}
+                  end={to === '/'}
+                  style={({ isActive }) => ({
+                    color: '#87ceeb',
+                    background: 'transparent',
+                    textDecoration: 'none',
+                    padding: '8px 16px',
+                    borderRadius: '20px',
+                    border: isActive ? '1px solid #87ceeb' : '1px solid transparent',
+                    fontSize: '0.9rem',
+                    transition: 'all 0.3s ease',
+                    cursor: 'pointer'
+                  })}
+                  onMouseEnter={(e) => {
+                    e.target.style.background = '#87ceeb';
+                    e.target.style.color = '#000814';
+                  }}
+                  onMouseLeave={(e) => {
+                    e.target.style.background = 'transparent';
+                    e.target.style.color = '#87ceeb';
+                  }}
+                >
+                  {t(labelKey)}
+                </NavLink>
+              ))}
+              <LanguageSwitcher />
             </nav>
           </div>
         </header>
@@ -180,230 +226,22 @@ function App() {
           background: 'transparent',
           padding: '0'
         }}>
-          {/* APOD Section */}
-          <section id="apod-section">
-            <APODViewer />
-          </section>
-          
-          {/* About Section */}
-          <section id="about-section" style={{
-            background: 'rgba(255,255,255,0.1)',
-            backdropFilter: 'blur(10px)',
-            margin: '40px 20px',
-            borderRadius: '20px',
-            padding: '40px',
-            border: '1px solid rgba(255,255,255,0.2)',
-            boxShadow: '0 8px 32px rgba(0,0,0,0.3)',
-            maxWidth: '1000px',
-            marginLeft: 'auto',
-            marginRight: 'auto'
-          }}>
-            <div style={{ color: 'white', textAlign: 'center' }}>
-              <div style={{
-                fontSize: '3rem',
-                marginBottom: '20px',
-                filter: 'drop-shadow(0 4px 8px rgba(0,0,0,0.3))'
-              }}>
-                🌍
-              </div>
-              <h2 style={{
-                fontSize: '2.5rem',
-                margin: '0 0 20px 0',
-                fontWeight: '600',
-                background: 'linear-gradient(45deg, #ffffff, #87ceeb, #ffd700)',
-                WebkitBackgroundClip: 'text',
-                WebkitTextFillColor: 'transparent',
-                backgroundClip: 'text'
-              }}>
-                About NASA Explorer
-              </h2>
-              
-              <div style={{
-                display: 'grid',
-                gridTemplateColumns: 'repeat(auto-fit, minmax(300px, 1fr))',
-                gap: '30px',
-                marginTop: '30px',
-                textAlign: 'left'
-              }}>
-                {/* Mission */}
-                <div style={{
-                  background: 'rgba(255,255,255,0.1)',
-                  padding: '25px',
-                  borderRadius: '15px',
-                  border: '1px solid rgba(255,255,255,0.2)'
-                }}>
-                  <h3 style={{
-                    fontSize: '1.5rem',
-                    marginBottom: '15px',
-                    color: '#87ceeb',
-                    display: 'flex',
-                    alignItems: 'center',
-                    gap: '10px'
-                  }}>
-                    🚀 Our Mission
-                  </h3>
-                  <p style={{
-                    color: '#e6f3ff',
-                    fontSize: '1.1rem',
-                    lineHeight: '1.6',
-                    margin: '0'
-                  }}>
-                    To make NASA's incredible astronomical discoveries accessible to everyone through cutting-edge web technology and AI-powered features.
-                  </p>
-                </div>
-
-                {/* Features */}
-                <div style={{
-                  background: 'rgba(255,255,255,0.1)',
-                  padding: '25px',
-                  borderRadius: '15px',
-                  border: '1px solid rgba(255,255,255,0.2)'
-                }}>
-                  <h3 style={{
-                    fontSize: '1.5rem',
-                    marginBottom: '15px',
-                    color: '#87ceeb',
-                    display: 'flex',
-                    alignItems: 'center',
-                    gap: '10px'
-                  }}>
-                    ⭐ Features
-                  </h3>
-                  <ul style={{
-                    color: '#e6f3ff',
-                    fontSize: '1.1rem',
-                    lineHeight: '1.8',
-                    margin: '0',
-                    paddingLeft: '20px'
-                  }}>
-                    <li>🖼️ High-resolution space imagery</li>
-                    <li>🤖 AI-powered text-to-speech</li>
-                    <li>📅 Explore any date since 1995</li>
-                    <li>🔊 Multiple voice options</li>
-                    <li>📱 Responsive design</li>
-                  </ul>
-                </div>
-
-                {/* Technology */}
-                <div style={{
-                  background: 'rgba(255,255,255,0.1)',
-                  padding: '25px',
-                  borderRadius: '15px',
-                  border: '1px solid rgba(255,255,255,0.2)'
-                }}>
-                  <h3 style={{
-                    fontSize: '1.5rem',
-                    marginBottom: '15px',
-                    color: '#87ceeb',
-                    display: 'flex',
-                    alignItems: 'center',
-                    gap: '10px'
-                  }}>
-                    💻 Technology
-                  </h3>
-                  <div style={{
-                    color: '#e6f3ff',
-                    fontSize: '1.1rem',
-                    lineHeight: '1.6'
-                  }}>
-                    <p style={{ margin: '0 0 10px 0' }}>
-                      <strong>Frontend:</strong> React.js with modern hooks
-                    </p>
-                    <p style={{ margin: '0 0 10px 0' }}>
-                      <strong>Backend:</strong> Node.js & Express API
-                    </p>
-                    <p style={{ margin: '0 0 10px 0' }}>
-                      <strong>AI:</strong> Web Speech API integration
-                    </p>
-                    <p style={{ margin: '0' }}>
-                      <strong>Data:</strong> NASA APOD API
-                    </p>
-                  </div>
-                </div>
-
-                {/* Contact */}
-                <div style={{
-                  background: 'rgba(255,255,255,0.1)',
-                  padding: '25px',
-                  borderRadius: '15px',
-                  border: '1px solid rgba(255,255,255,0.2)'
-                }}>
-                  <h3 style={{
-                    fontSize: '1.5rem',
-                    marginBottom: '15px',
-                    color: '#87ceeb',
-                    display: 'flex',
-                    alignItems: 'center',
-                    gap: '10px'
-                  }}>
-                    📧 Connect
-                  </h3>
-                  <p style={{
-                    color: '#e6f3ff',
-                    fontSize: '1.1rem',
-                    lineHeight: '1.6',
-                    margin: '0 0 15px 0'
-                  }}>
-                    Built with passion for space exploration and modern web development.
-                  </p>
-                  <div style={{ display: 'flex', gap: '15px', justifyContent: 'center' }}>
-                    <button 
-                      onClick={() => window.open('https://github.com/NavyasriB98', '_blank')}
-                      style={{
-                        padding: '8px 16px',
-                        background: 'linear-gradient(45deg, #007bff, #0056b3)',
-                        color: 'white',
-                        border: 'none',
-                        borderRadius: '20px',
-                        cursor: 'pointer',
-                        fontSize: '0.9rem',
-                        transition: 'all 0.3s ease',
-                        display: 'flex',
-                        alignItems: 'center',
-                        gap: '8px'
-                      }}
-                      onMouseEnter={(e) => {
-                        e.target.style.transform = 'translateY(-2px)';
-                        e.target.style.boxShadow = '0 4px 15px rgba(0,123,255,0.4)';
-                      }}
-                      onMouseLeave={(e) => {
-                        e.target.style.transform = 'translateY(0)';
-                        e.target.style.boxShadow = 'none';
-                      }}
-                    >
-                      🐙 GitHub
-                    </button>
-                    <button 
-                      onClick={() => window.open('https://navyasrib.netlify.app/', '_blank')}
-                      style={{
-                        padding: '8px 16px',
-                        background: 'linear-gradient(45deg, #6f42c1, #5a32a3)',
-                        color: 'white',
-                        border: 'none',
-                        borderRadius: '20px',
-                        cursor: 'pointer',
-                        fontSize: '0.9rem',
-                        transition: 'all 0.3s ease',
-                        display: 'flex',
-                        alignItems: 'center',
-                        gap: '8px'
-                      }}
-                      onMouseEnter={(e) => {
-                        e.target.style.transform = 'translateY(-2px)';
-                        e.target.style.boxShadow = '0 4px 15px rgba(111,66,193,0.4)';
-                      }}
-                      onMouseLeave={(e) => {
-                        e.target.style.transform = 'translateY(0)';
-                        e.target.style.boxShadow = 'none';
-                      }}
-                    >
-                      💼 Portfolio
-                    </button>
-                  </div>
-                </div>
-              </div>
-            </div>
-          </section>
+          <RateLimitNotice />
+          <Routes>
+            <Route path="/" element={<APODViewer />} />
+            <Route path="/apod/:date" element={<APODViewer />} />
+            <Route path="/gallery" element={<APODGallery onSelect={handleGallerySelect} />} />
+            <Route path="/search" element={<SearchPage />} />
+            <Route path="/mars" element={<MarsRoverPage />} />
+            <Route path="/asteroids" element={<NeoDashboard />} />
+            <Route path="/earth" element={<EpicViewer />} />
+            <Route path="/library" element={<MediaLibraryPage />} />
+            <Route path="/space-weather" element={<SpaceWeatherPage />} />
+            <Route path="/favorites" element={<FavoritesPage />} />
+            <Route path="/settings" element={<SettingsPage />} />
+            <Route path="/about" element={<About />} />
+            <Route path="*" element={<Navigate to="/" replace />} />
+          </Routes>
         </main>
 
         {/* Professional Footer */}
@@ -438,14 +276,14 @@ function App() {
                 fontSize: '12px',
                 fontWeight: 'bold'
               }}>
-                NASA
+                {t('app.nasa')}
               </div>
               <div>
                 <div style={{ fontWeight: '600', fontSize: '1.1rem' }}>
-                  National Aeronautics and Space Administration
+                  {t('app.agency')}
                 </div>
                 <div style={{ fontSize: '0.9rem', color: '#87ceeb', marginTop: '5px' }}>
-                  Inspiring the next generation of explorers
+                  {t('footer.tagline')}
                 </div>
               </div>
             </div>
@@ -457,18 +295,18 @@ function App() {
               color: '#87ceeb'
             }}>
               <p style={{ margin: '0' }}>
-                Data provided by{' '}
+                {t('footer.dataProvidedBy')}{' '}
                 <a 
                   href="https://api.nasa.gov/" 
                   target="_blank" 
                   rel="noopener noreferrer"
                   style={{ color: '#ffd700', textDecoration: 'none' }}
                 >
-                  NASA Open Data API
+                  {t('footer.dataSource')}
                 </a>
               </p>
               <p style={{ margin: '10px 0 0 0' }}>
-                Built with ❤️ for space exploration • © 2025 NASA Explorer
+                {t('footer.builtWith')}
               </p>
             </div>
           </div>
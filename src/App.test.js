@@ -1,8 +1,432 @@
-import { render, screen } from '@testing-library/react';
+import { render, screen, waitFor, fireEvent } from '@testing-library/react';
+import { MemoryRouter } from 'react-router-dom';
 import App from './App';
+import ErrorBoundary from './components/ErrorBoundary';
+import apodCache from './services/apodCache';
+import favoritesService from './services/favorites';
+import settingsService from './services/settings';
+import { buildWebVTT } from './services/transcript';
+import { rateLimitService } from './services/api';
+import i18n, { DEFAULT_LOCALE, PSEUDO_LOCALE } from './services/i18n';
+import { findUntranslatedText } from './i18n/pseudo';
 
-test('renders learn react link', () => {
-  render(<App />);
-  const linkElement = screen.getByText(/learn react/i);
-  expect(linkElement).toBeInTheDocument();
+const renderAt = (path) => render(
+  <MemoryRouter initialEntries={[path]}>
+    <App />
+  </MemoryRouter>
+);
+
+// Answer requests whose path starts with one of the given route prefixes with
+// that route's JSON body, and leave every other request to the fetch mock
+// already in place
+const mockRoutes = (routes) => {
+  const fallback = global.fetch;
+  global.fetch = jest.fn((url, options) => {
+    const { pathname } = new URL(url, window.location.origin);
+    const route = Object.keys(routes).find(prefix => pathname.startsWith(prefix));
+    if (!route) return fallback(url, options);
+    return Promise.resolve({ ok: true, json: () => Promise.resolve(routes[route]) });
+  });
+};
+
+beforeEach(async () => {
+  localStorage.clear();
+  i18n.setLocale(DEFAULT_LOCALE);
+  await apodCache.clear();
+  global.fetch = jest.fn(() => Promise.resolve({
+    ok: true,
+    json: () => Promise.resolve({
+      success: true,
+      data: {
+        date: '2024-01-15',
+        title: 'Horsehead Nebula',
+        explanation: 'A dark nebula in Orion.',
+        media_type: 'image',
+        url: 'https://apod.nasa.gov/apod/image/horsehead.jpg'
+      }
+    })
+  }));
+});
+
+afterEach(() => {
+  favoritesService.getAll().forEach(favorite => favoritesService.remove(favorite.date));
+  settingsService.reset();
+  delete URL.createObjectURL;
+  delete URL.revokeObjectURL;
+  delete global.fetch;
+  delete process.env.REACT_APP_PROXY_URL;
+  rateLimitService.reset();
+});
+
+test('renders the about page at /about', () => {
+  renderAt('/about');
+  expect(screen.getByText(/about nasa explorer/i)).toBeInTheDocument();
+});
+
+test('fetches the date named in an /apod/:date URL', async () => {
+  renderAt('/apod/2024-01-15');
+  expect(await screen.findByText('Horsehead Nebula')).toBeInTheDocument();
+  await waitFor(() => {
+    expect(global.fetch).toHaveBeenCalledWith(
+      expect.stringContaining('api/apod/2024-01-15'),
+      expect.anything()
+    );
+  });
+  expect(screen.queryByText('📦 Cached content')).not.toBeInTheDocument();
+  // Translation is off until a provider is configured
+  expect(screen.queryByRole('combobox', { name: /Translate/ })).not.toBeInTheDocument();
+});
+
+test('leaves day shortcuts alone while the lightbox is open', async () => {
+  renderAt('/apod/2024-01-15');
+  await screen.findByText('Horsehead Nebula');
+  const requests = global.fetch.mock.calls.length;
+
+  fireEvent.click(screen.getByRole('button', { name: '🔍 HD Version' }));
+  expect(screen.getByRole('dialog', { name: 'Image viewer: Horsehead Nebula' })).toBeInTheDocument();
+
+  fireEvent.keyDown(document, { key: 'ArrowLeft' });
+  fireEvent.keyDown(document, { key: 't' });
+  fireEvent.keyDown(document, { key: '?' });
+  expect(global.fetch).toHaveBeenCalledTimes(requests);
+  expect(screen.queryByRole('dialog', { name: 'Keyboard shortcuts' })).not.toBeInTheDocument();
+
+  fireEvent.keyDown(document, { key: 'Escape' });
+  expect(screen.queryByRole('dialog')).not.toBeInTheDocument();
+});
+
+test('times exported captions at the narration speed', async () => {
+  settingsService.update({ rate: 2 });
+  const files = [];
+  URL.createObjectURL = jest.fn((blob) => {
+    files.push(blob);
+    return 'blob:transcript';
+  });
+  URL.revokeObjectURL = jest.fn();
+  jest.spyOn(HTMLAnchorElement.prototype, 'click').mockImplementation(() => {});
+
+  renderAt('/apod/2024-01-15');
+  await screen.findByText('Horsehead Nebula');
+  fireEvent.change(screen.getByRole('combobox', { name: 'Export transcript' }), { target: { value: 'vtt' } });
+
+  const reader = new FileReader();
+  const text = await new Promise((resolve) => {
+    reader.onload = () => resolve(reader.result);
+    reader.readAsText(files[0]);
+  });
+  const { data } = await global.fetch.mock.results[0].value.then(response => response.json());
+  expect(text).toBe(buildWebVTT(data, { rate: 2 }));
+  expect(text).not.toBe(buildWebVTT(data));
+});
+
+test('labels APODs served from the cache while online', async () => {
+  await apodCache.set('2024-01-14', {
+    date: '2024-01-14',
+    title: 'Orion Nebula',
+    explanation: 'A stellar nursery.',
+    media_type: 'image',
+    url: 'https://apod.nasa.gov/apod/image/orion.jpg'
+  });
+
+  renderAt('/apod/2024-01-14');
+  expect(await screen.findByText('Orion Nebula')).toBeInTheDocument();
+  expect(screen.getByText('📦 Cached content')).toBeInTheDocument();
+  expect(global.fetch).not.toHaveBeenCalledWith(expect.stringContaining('api/apod/2024-01-14'), expect.anything());
+});
+
+test('saves settings chosen on the settings page', () => {
+  renderAt('/settings');
+  fireEvent.click(screen.getByRole('radio', { name: /midnight/i }));
+  fireEvent.change(screen.getByLabelText(/pitch/i), { target: { value: '1.4' } });
+
+  expect(JSON.parse(localStorage.getItem('nasa-explorer:settings'))).toMatchObject({
+    theme: 'midnight',
+    pitch: 1.4
+  });
+  expect(screen.getByRole('radio', { name: /midnight/i })).toHaveAttribute('aria-checked', 'true');
+});
+
+test('switches the UI language from the header', async () => {
+  renderAt('/apod/2024-01-15');
+  await screen.findByText('Horsehead Nebula');
+
+  fireEvent.change(screen.getByLabelText(/language/i), { target: { value: 'es' } });
+
+  expect(screen.getByRole('link', { name: 'Galería' })).toBeInTheDocument();
+  expect(screen.getByText('📅 15 de enero de 2024', { selector: 'span' })).toBeInTheDocument();
+  expect(screen.getByRole('button', { name: '📅 15 de enero de 2024' })).toHaveAttribute('aria-haspopup', 'dialog');
+  expect(document.documentElement.lang).toBe('es');
+});
+
+test('has no untranslated strings on the APOD view', async () => {
+  i18n.setLocale(PSEUDO_LOCALE);
+  renderAt('/apod/2024-01-15');
+  await screen.findByText('Horsehead Nebula');
+
+  expect(findUntranslatedText(screen.getByRole('banner'))).toEqual([]);
+  expect(findUntranslatedText(screen.getByRole('main'))).toEqual([]);
+  expect(findUntranslatedText(screen.getByRole('contentinfo'))).toEqual([]);
+});
+
+test.each(['/gallery', '/search', '/favorites', '/settings', '/about'])('has no untranslated strings on %s', async (path) => {
+  i18n.setLocale(PSEUDO_LOCALE);
+  renderAt(path);
+  await screen.findAllByRole('heading');
+
+  expect(findUntranslatedText(screen.getByRole('main'))).toEqual([]);
+});
+
+test('has no untranslated strings on a favorite card', async () => {
+  favoritesService.add({ date: '2024-01-15', title: 'Horsehead Nebula', media_type: 'image', url: 'https://apod.nasa.gov/horsehead.jpg' });
+  i18n.setLocale(PSEUDO_LOCALE);
+  renderAt('/favorites');
+
+  await screen.findByText('Horsehead Nebula');
+  expect(findUntranslatedText(screen.getByRole('main'))).toEqual([]);
+});
+
+test('has no untranslated strings in the error fallback', () => {
+  const Broken = () => {
+    throw new Error('Broken component');
+  };
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  i18n.setLocale(PSEUDO_LOCALE);
+
+  const { container } = render(<ErrorBoundary><Broken /></ErrorBoundary>);
+
+  expect(findUntranslatedText(container)).toEqual([]);
+  console.error.mockRestore();
+});
+
+test('browses Mars rover photos from the latest sol', async () => {
+  mockRoutes({
+    '/api/mars-manifest': {
+      photo_manifest: {
+        name: 'Curiosity',
+        status: 'active',
+        launch_date: '2011-11-26',
+        landing_date: '2012-08-06',
+        max_sol: 4102,
+        max_date: '2024-02-19',
+        total_photos: 695670,
+        photos: [{ sol: 4102, earth_date: '2024-02-19', total_photos: 30, cameras: ['FHAZ', 'NAVCAM'] }]
+      }
+    },
+    '/api/mars-photos': {
+      photos: [{
+        id: 1203,
+        sol: 4102,
+        earth_date: '2024-02-19',
+        img_src: 'https://mars.nasa.gov/1203.jpg',
+        camera: { name: 'NAVCAM', full_name: 'Navigation Camera' },
+        rover: { name: 'Curiosity' }
+      }]
+    }
+  });
+
+  renderAt('/mars');
+
+  expect(await screen.findByAltText('Curiosity photo 1203 from the Navigation Camera')).toBeInTheDocument();
+  expect(screen.getByText('Sol 4,102 (February 19, 2024): 30 photos from FHAZ, NAVCAM')).toBeInTheDocument();
+  expect(screen.getByText('Page 1 of 2')).toBeInTheDocument();
+  expect(global.fetch).toHaveBeenCalledWith(expect.stringContaining('api/mars-photos?rover=curiosity&page=1&sol=4102'), expect.anything());
+});
+
+test('sorts and filters asteroid close approaches', async () => {
+  const neo = (id, name, km, hazardous) => ({
+    id,
+    name: `(${name})`,
+    nasa_jpl_url: `https://ssd.jpl.nasa.gov/tools/sbdb_lookup.html#/?sstr=${id}`,
+    is_potentially_hazardous_asteroid: hazardous,
+    estimated_diameter: { meters: { estimated_diameter_min: 50, estimated_diameter_max: 110 } },
+    close_approach_data: [{
+      close_approach_date: '2024-03-01',
+      epoch_date_close_approach: 1709280000000 + Number(id),
+      relative_velocity: { kilometers_per_second: '10' },
+      miss_distance: { kilometers: String(km), lunar: String(km / 384400) },
+      orbiting_body: 'Earth'
+    }]
+  });
+  mockRoutes({
+    '/api/neo': {
+      near_earth_objects: {
+        '2024-03-01': [neo('1', '2024 AA', 3000000, false), neo('2', '2024 BB', 1000000, true), neo('3', '2024 CC', 2000000, false)]
+      }
+    }
+  });
+
+  renderAt('/asteroids?start=2024-03-01&end=2024-03-07');
+
+  const names = () => screen.getAllByRole('link', { name: /^2024 / }).map(link => link.textContent);
+  await waitFor(() => expect(names()).toEqual(['2024 AA', '2024 BB', '2024 CC']));
+  expect(screen.getByText('3 close approaches, 1 potentially hazardous')).toBeInTheDocument();
+
+  fireEvent.click(screen.getByRole('button', { name: /Miss distance/ }));
+  expect(names()).toEqual(['2024 BB', '2024 CC', '2024 AA']);
+  fireEvent.click(screen.getByRole('button', { name: /Miss distance/ }));
+  expect(names()).toEqual(['2024 AA', '2024 CC', '2024 BB']);
+
+  fireEvent.click(screen.getByLabelText(/Potentially hazardous only/));
+  expect(names()).toEqual(['2024 BB']);
+});
+
+test('animates a day of EPIC frames once they are preloaded', async () => {
+  const OriginalImage = window.Image;
+  // jsdom never loads images, so settle each one on the next tick
+  window.Image = class {
+    set src(value) {
+      setTimeout(() => this.onload?.());
+    }
+  };
+  mockRoutes({
+    '/api/epic': ['00:36:33', '02:24:15', '04:12:00'].map((time, i) => ({
+      identifier: `2024030500${i}`,
+      image: `epic_1b_2024030500${i}`,
+      caption: 'Earth from DSCOVR',
+      date: `2024-03-05 ${time}`,
+      centroid_coordinates: { lat: 3.9, lon: 160.2 - i * 26 }
+    }))
+  });
+
+  try {
+    renderAt('/earth?date=2024-03-05');
+
+    expect(await screen.findByText('3 images on March 5, 2024')).toBeInTheDocument();
+    expect(screen.getByText('Frame 1 of 3')).toBeInTheDocument();
+    expect(global.fetch).toHaveBeenCalledWith('/api/epic?collection=natural&date=2024-03-05', expect.anything());
+
+    fireEvent.change(screen.getByRole('slider', { name: 'Animation frame' }), { target: { value: '2' } });
+    expect(screen.getByText('Frame 3 of 3')).toBeInTheDocument();
+
+    fireEvent.click(await screen.findByRole('button', { name: '▶️ Play' }));
+    expect(await screen.findByText('Frame 1 of 3')).toBeInTheDocument();
+    fireEvent.click(screen.getByRole('button', { name: '⏸️ Pause' }));
+  } finally {
+    window.Image = OriginalImage;
+  }
+});
+
+test('searches the media library and lists an asset\'s files', async () => {
+  mockRoutes({
+    '/api/media-asset': { collection: { items: [{ href: 'http://images-assets.nasa.gov/image/as11-40-5874/as11-40-5874~orig.jpg' }] } },
+    '/api/media-search': {
+      collection: {
+        metadata: { total_hits: 1 },
+        items: [{
+          data: [{
+            nasa_id: 'as11-40-5874',
+            title: 'Aldrin on the Moon',
+            media_type: 'image',
+            date_created: '1969-07-20T00:00:00Z',
+            center: 'JSC',
+            keywords: ['Apollo 11']
+          }],
+          links: [{ rel: 'preview', href: 'http://images-assets.nasa.gov/image/as11-40-5874/as11-40-5874~thumb.jpg' }]
+        }]
+      }
+    }
+  });
+
+  renderAt('/library');
+
+  fireEvent.change(screen.getByLabelText('Keyword'), { target: { value: 'apollo' } });
+  fireEvent.click(screen.getByLabelText(/Video/));
+  fireEvent.click(screen.getByRole('button', { name: '🔍 Search' }));
+
+  fireEvent.click(await screen.findByRole('button', { name: /Aldrin on the Moon/ }));
+  expect(global.fetch).toHaveBeenCalledWith('/api/media-search?q=apollo&page=1&page_size=24&media_type=video', expect.anything());
+
+  const dialog = screen.getByRole('dialog', { name: 'Aldrin on the Moon' });
+  expect(dialog).toHaveTextContent('Johnson Space Center');
+  expect(await screen.findByRole('link', { name: 'as11-40-5874~orig.jpg' })).toHaveAttribute('href', 'https://images-assets.nasa.gov/image/as11-40-5874/as11-40-5874~orig.jpg');
+
+  fireEvent.keyDown(window, { key: 'Escape' });
+  expect(screen.queryByRole('dialog')).not.toBeInTheDocument();
+});
+
+const SPACE_WEATHER = {
+  flares: [{
+    flrID: '2024-05-14T16:46:00-FLR-001',
+    beginTime: '2024-05-14T16:46Z',
+    classType: 'X8.7',
+    sourceLocation: 'S18W89',
+    linkedEvents: [{ activityID: '2024-05-14T17:36:00-CME-001' }]
+  }],
+  cmes: [{
+    activityID: '2024-05-14T17:36:00-CME-001',
+    startTime: '2024-05-14T17:36Z',
+    cmeAnalyses: [{ speed: 2010, halfAngle: 45, isMostAccurate: true }],
+    linkedEvents: [{ activityID: '2024-05-14T16:46:00-FLR-001' }]
+  }],
+  storms: []
+};
+
+test('follows related space-weather events on the timeline', async () => {
+  mockRoutes({ '/api/space-weather': SPACE_WEATHER });
+
+  renderAt('/space-weather?start=2024-05-01&end=2024-05-31');
+
+  expect(await screen.findByText('Solar flares (1)')).toBeInTheDocument();
+  expect(screen.getByText('CMEs (1)')).toBeInTheDocument();
+  expect(screen.getByText('Geomagnetic storms (0)')).toBeInTheDocument();
+
+  fireEvent.click(screen.getByRole('button', { name: /^X8.7 solar flare/ }));
+  expect(screen.getByRole('heading', { name: 'X8.7 solar flare' })).toBeInTheDocument();
+
+  fireEvent.click(screen.getByRole('button', { name: /^CME at 2,010 km\/s · / }));
+  expect(screen.getByRole('heading', { name: 'CME at 2,010 km/s' })).toBeInTheDocument();
+  expect(screen.getByRole('button', { name: /^CME at 2,010 km\/s, / })).toHaveAttribute('aria-pressed', 'true');
+});
+
+test('marks APODs on days with notable space weather', async () => {
+  process.env.REACT_APP_PROXY_URL = '/';
+  mockRoutes({
+    '/api/space-weather': SPACE_WEATHER,
+    '/api/apod': { success: true, data: { date: '2024-05-14', title: 'Sunspot Region 3664', explanation: 'A huge sunspot group.', media_type: 'image', url: 'https://apod.nasa.gov/apod/image/sunspot.jpg' } }
+  });
+
+  renderAt('/apod/2024-05-14');
+
+  const marker = await screen.findByRole('link', { name: '☀️ Notable space weather (2)' });
+  expect(marker).toHaveAttribute('href', '/space-weather?start=2024-05-14&end=2024-05-14&event=2024-05-14T16%3A46%3A00-FLR-001');
+  expect(marker).toHaveAttribute('title', 'X8.7 solar flare, CME at 2,010 km/s');
+});
+
+test('counts down while the server is refusing requests', async () => {
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  global.fetch = jest.fn(() => Promise.resolve({
+    ok: false,
+    status: 429,
+    statusText: 'Too Many Requests',
+    headers: new Headers({ 'Retry-After': '120' }),
+    json: () => Promise.resolve({ success: false, error: { code: 'RATE_LIMITED', message: 'Slow down' } })
+  }));
+
+  renderAt('/apod/2024-01-15');
+
+  expect(await screen.findByText('Too many requests right now. New requests are possible in 120 s.')).toBeInTheDocument();
+  expect(screen.getByText(/You can try again in 120 s/)).toBeInTheDocument();
+});
+
+test('warns about the client\'s own allowance, not the shared quota', async () => {
+  const apodResponse = (headers) => Promise.resolve({
+    ok: true,
+    status: 200,
+    headers: new Headers(headers),
+    json: () => Promise.resolve({
+      success: true,
+      data: { date: '2024-01-15', title: 'Horsehead Nebula', explanation: 'A dark nebula.', media_type: 'image', url: 'https://apod.nasa.gov/horsehead.jpg' }
+    })
+  });
+
+  global.fetch = jest.fn(() => apodResponse({ 'RateLimit-Remaining': '50', 'X-RateLimit-Remaining': '3' }));
+  const { unmount } = renderAt('/apod/2024-01-15');
+  await screen.findByText('Horsehead Nebula');
+  expect(screen.queryByText(/close to the request limit/)).not.toBeInTheDocument();
+  unmount();
+
+  await apodCache.clear();
+  global.fetch = jest.fn(() => apodResponse({ 'RateLimit-Remaining': '4', 'X-RateLimit-Remaining': '900' }));
+  renderAt('/apod/2024-01-15');
+  expect(await screen.findByText(/close to the request limit, with 4 requests left/)).toBeInTheDocument();
 });
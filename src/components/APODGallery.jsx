@@ -0,0 +1,325 @@
+import React, { useState, useEffect } from 'react';
+import { useSearchParams } from 'react-router-dom';
+import apiService, { getErrorMessage, logError, APOD_START_DATE } from '../services/api';
+import useI18n from '../hooks/useI18n';
+import { getToday, daysAgo } from '../utils/dates';
+
+const PAGE_SIZE = 12;
+
+const APODGallery = ({ onSelect }) => {
+  const { t } = useI18n();
+  // Range and page live in the URL so the gallery survives back/forward navigation
+  const [searchParams, setSearchParams] = useSearchParams();
+  const rangeStart = searchParams.get('start');
+  const rangeEnd = searchParams.get('end');
+  const requestedPage = Math.max(0, (parseInt(searchParams.get('page'), 10) || 1) - 1);
+
+  const [mode, setMode] = useState('range');
+  const [startDate, setStartDate] = useState(rangeStart || daysAgo(6));
+  const [endDate, setEndDate] = useState(rangeEnd || getToday());
+  const [count, setCount] = useState(10);
+  const [entries, setEntries] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const totalPages = Math.max(1, Math.ceil(entries.length / PAGE_SIZE));
+  // A page past the end (an old link, or a shorter reload) shows the last one
+  const page = Math.min(requestedPage, totalPages - 1);
+  const pageEntries = entries.slice(page * PAGE_SIZE, (page + 1) * PAGE_SIZE);
+
+  const setPage = (nextPage) => {
+    const params = new URLSearchParams(searchParams);
+    params.set('page', String(nextPage + 1));
+    setSearchParams(params);
+  };
+
+  // Reload the range named in the URL, e.g. when returning from the detail view
+  useEffect(() => {
+    if (!rangeStart) return;
+    setMode('range');
+    setStartDate(rangeStart);
+    setEndDate(rangeEnd || getToday());
+    loadRange(rangeStart, rangeEnd);
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [rangeStart, rangeEnd]);
+
+  const loadEntries = async (request) => {
+    setLoading(true);
+    setError(null);
+
+    try {
+      setEntries(await request());
+    } catch (err) {
+      setError(getErrorMessage(err));
+      logError(err, 'APODGallery.loadEntries');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const loadRange = (start, end) => loadEntries(() => {
+    apiService.validateDateRange(start, end);
+    return apiService.fetchAPODRange(start, end);
+  });
+
+  const fetchEntries = () => {
+    if (mode === 'range') {
+      // Changing the URL triggers the load effect above
+      if (startDate === rangeStart && endDate === rangeEnd) {
+        loadRange(startDate, endDate);
+      } else {
+        setSearchParams({ start: startDate, end: endDate });
+      }
+      return;
+    }
+
+    setSearchParams({});
+    loadEntries(() => {
+      apiService.validateCount(count);
+      return apiService.fetchRandomAPODs(count);
+    });
+  };
+
+  const inputStyle = {
+    padding: '10px 12px',
+    borderRadius: '10px',
+    border: '2px solid #e0e0e0',
+    fontSize: '0.95rem',
+    color: '#333',
+    background: loading ? '#f5f5f5' : 'white'
+  };
+
+  const labelStyle = {
+    fontSize: '0.9rem',
+    fontWeight: '600',
+    color: '#333',
+    marginBottom: '8px',
+    display: 'block'
+  };
+
+  const modeButtonStyle = (active) => ({
+    padding: '8px 16px',
+    borderRadius: '20px',
+    border: '1px solid #007bff',
+    background: active ? '#007bff' : 'white',
+    color: active ? 'white' : '#007bff',
+    cursor: 'pointer',
+    fontSize: '0.9rem'
+  });
+
+  const pageButtonStyle = (disabled) => ({
+    padding: '8px 16px',
+    backgroundColor: disabled ? '#ccc' : '#007bff',
+    color: 'white',
+    border: 'none',
+    borderRadius: '8px',
+    cursor: disabled ? 'not-allowed' : 'pointer'
+  });
+
+  return (
+    <div style={{ padding: '0 20px 40px' }}>
+      <div style={{ maxWidth: '1000px', margin: '0 auto' }}>
+
+        {/* Gallery Controls */}
+        <div style={{
+          background: 'rgba(255,255,255,0.95)',
+          borderRadius: '15px',
+          padding: '30px',
+          marginBottom: '30px',
+          boxShadow: '0 8px 25px rgba(0,0,0,0.15)',
+          border: '1px solid rgba(255,255,255,0.3)'
+        }}>
+          <h3 style={{ color: '#333', marginBottom: '20px', fontSize: '1.5rem' }}>
+            {t('gallery.heading')}
+          </h3>
+
+          <div style={{ display: 'flex', gap: '10px', marginBottom: '20px' }}>
+            <button onClick={() => setMode('range')} style={modeButtonStyle(mode === 'range')}>
+              {t('gallery.range')}
+            </button>
+            <button onClick={() => setMode('random')} style={modeButtonStyle(mode === 'random')}>
+              {t('gallery.random')}
+            </button>
+          </div>
+
+          <div style={{ display: 'flex', gap: '20px', alignItems: 'flex-end', flexWrap: 'wrap' }}>
+            {mode === 'range' ? (
+              <>
+                <div>
+                  <label htmlFor="gallery-start" style={labelStyle}>{t('gallery.startDate')}</label>
+                  <input
+                    id="gallery-start"
+                    type="date"
+                    value={startDate}
+                    onChange={(e) => setStartDate(e.target.value)}
+                    min={APOD_START_DATE}
+                    max={endDate || getToday()}
+                    disabled={loading}
+                    style={inputStyle}
+                  />
+                </div>
+                <div>
+                  <label htmlFor="gallery-end" style={labelStyle}>{t('gallery.endDate')}</label>
+                  <input
+                    id="gallery-end"
+                    type="date"
+                    value={endDate}
+                    onChange={(e) => setEndDate(e.target.value)}
+                    min={startDate || APOD_START_DATE}
+                    max={getToday()}
+                    disabled={loading}
+                    style={inputStyle}
+                  />
+                </div>
+              </>
+            ) : (
+              <div>
+                <label htmlFor="gallery-count" style={labelStyle}>{t('gallery.count')}</label>
+                <input
+                  id="gallery-count"
+                  type="number"
+                  min="1"
+                  max="100"
+                  value={count}
+                  onChange={(e) => setCount(parseInt(e.target.value, 10))}
+                  disabled={loading}
+                  style={{ ...inputStyle, width: '120px' }}
+                />
+              </div>
+            )}
+
+            <button
+              onClick={fetchEntries}
+              disabled={loading}
+              style={{
+                padding: '12px 30px',
+                background: loading ? '#ccc' : 'linear-gradient(135deg, #007bff 0%, #0056b3 100%)',
+                color: 'white',
+                border: 'none',
+                borderRadius: '10px',
+                cursor: loading ? 'not-allowed' : 'pointer',
+                fontSize: '1rem',
+                fontWeight: '600'
+              }}
+            >
+              {loading ? t('gallery.loading') : t('gallery.load')}
+            </button>
+          </div>
+        </div>
+
+        {/* Error State */}
+        {error && (
+          <div style={{
+            color: '#d32f2f',
+            backgroundColor: '#ffebee',
+            border: '1px solid #f44336',
+            padding: '20px',
+            borderRadius: '8px',
+            marginBottom: '20px',
+            textAlign: 'center'
+          }}>
+            <p>❌ {error}</p>
+          </div>
+        )}
+
+        {/* Thumbnail Grid */}
+        {entries.length > 0 && (
+          <>
+            <div style={{
+              display: 'grid',
+              gridTemplateColumns: 'repeat(auto-fill, minmax(200px, 1fr))',
+              gap: '20px'
+            }}>
+              {pageEntries.map((entry) => {
+                const thumbnail = entry.media_type === 'image' ? entry.url : entry.thumbnail_url;
+
+                return (
+                  <button
+                    key={entry.date}
+                    onClick={() => onSelect && onSelect(entry)}
+                    title={entry.title}
+                    lang="en"
+                    style={{
+                      background: 'white',
+                      border: 'none',
+                      borderRadius: '12px',
+                      overflow: 'hidden',
+                      padding: '0',
+                      cursor: 'pointer',
+                      textAlign: 'left',
+                      boxShadow: '0 4px 15px rgba(0,0,0,0.15)'
+                    }}
+                  >
+                    {thumbnail ? (
+                      <img
+                        src={thumbnail}
+                        alt={entry.title}
+                        loading="lazy"
+                        style={{ width: '100%', height: '150px', objectFit: 'cover', background: '#000', display: 'block' }}
+                      />
+                    ) : (
+                      <div style={{
+                        height: '150px',
+                        background: '#000',
+                        color: 'white',
+                        display: 'flex',
+                        alignItems: 'center',
+                        justifyContent: 'center',
+                        fontSize: '2rem'
+                      }}>
+                        📹
+                      </div>
+                    )}
+                    <div style={{ padding: '10px' }}>
+                      <div style={{
+                        fontWeight: '600',
+                        color: '#333',
+                        fontSize: '0.95rem',
+                        whiteSpace: 'nowrap',
+                        overflow: 'hidden',
+                        textOverflow: 'ellipsis'
+                      }}>
+                        {entry.title}
+                      </div>
+                      <div style={{ fontSize: '0.8rem', color: '#666', marginTop: '4px' }}>
+                        📅 {entry.date}
+                      </div>
+                    </div>
+                  </button>
+                );
+              })}
+            </div>
+
+            {/* Pagination */}
+            <div style={{
+              display: 'flex',
+              justifyContent: 'center',
+              alignItems: 'center',
+              gap: '15px',
+              marginTop: '25px',
+              color: 'white'
+            }}>
+              <button
+                onClick={() => setPage(page - 1)}
+                disabled={page === 0}
+                style={pageButtonStyle(page === 0)}
+              >
+                {t('gallery.previous')}
+              </button>
+              <span>{t('gallery.page', { page: page + 1, total: totalPages })}</span>
+              <button
+                onClick={() => setPage(page + 1)}
+                disabled={page >= totalPages - 1}
+                style={pageButtonStyle(page >= totalPages - 1)}
+              >
+                {t('gallery.next')}
+              </button>
+            </div>
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default APODGallery;
@@ -0,0 +1,118 @@
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import { MemoryRouter } from 'react-router-dom';
+import APODGallery from './APODGallery';
+import apodCache from '../services/apodCache';
+import i18n, { DEFAULT_LOCALE } from '../services/i18n';
+import { addDays } from '../utils/dates';
+
+const apod = (date) => ({
+  date,
+  title: `APOD ${date}`,
+  explanation: 'An explanation.',
+  media_type: 'image',
+  url: `https://apod.nasa.gov/${date}.jpg`
+});
+
+// Fake server: a day per date in the requested range, or `count` random days
+const answer = (url) => {
+  const params = new URL(url).searchParams;
+  const entries = [];
+  if (params.has('count')) {
+    for (let i = 0; i < Number(params.get('count')); i++) entries.push(apod(addDays('2001-03-01', i * 30)));
+  } else {
+    for (let date = params.get('start_date'); date <= params.get('end_date'); date = addDays(date, 1)) entries.push(apod(date));
+  }
+  return Promise.resolve({ ok: true, json: () => Promise.resolve({ success: true, data: entries }) });
+};
+
+const renderGallery = (path) => {
+  const onSelect = jest.fn();
+  render(
+    <MemoryRouter initialEntries={[path]}>
+      <APODGallery onSelect={onSelect} />
+    </MemoryRouter>
+  );
+  return { onSelect };
+};
+
+const cardTitles = () => screen.getAllByRole('button', { name: /^APOD / }).map(card => card.getAttribute('title'));
+
+beforeEach(() => {
+  i18n.setLocale(DEFAULT_LOCALE);
+  global.fetch = jest.fn(answer);
+});
+
+afterEach(async () => {
+  delete global.fetch;
+  jest.restoreAllMocks();
+  await apodCache.clear();
+});
+
+test('loads the range in the URL and pages through it newest first', async () => {
+  const { onSelect } = renderGallery('/gallery?start=2024-01-01&end=2024-01-20');
+
+  expect(await screen.findByText('Page 1 of 2')).toBeInTheDocument();
+  expect(cardTitles()).toHaveLength(12);
+  expect(cardTitles()[0]).toBe('APOD 2024-01-20');
+  expect(screen.getByRole('button', { name: '◀ Previous' })).toBeDisabled();
+  expect(global.fetch.mock.calls[0][0]).toContain('api/apod?start_date=2024-01-01&thumbs=true&end_date=2024-01-20');
+
+  fireEvent.click(screen.getByRole('button', { name: 'Next ▶' }));
+  expect(screen.getByText('Page 2 of 2')).toBeInTheDocument();
+  expect(cardTitles()).toEqual(Array.from({ length: 8 }, (_, i) => `APOD 2024-01-0${8 - i}`));
+  expect(screen.getByRole('button', { name: 'Next ▶' })).toBeDisabled();
+
+  fireEvent.click(screen.getByRole('button', { name: /^APOD 2024-01-05/ }));
+  expect(onSelect).toHaveBeenCalledWith(apod('2024-01-05'));
+
+  fireEvent.click(screen.getByRole('button', { name: '◀ Previous' }));
+  expect(screen.getByText('Page 1 of 2')).toBeInTheDocument();
+});
+
+test('shows the last page for a page number past the end', async () => {
+  renderGallery('/gallery?start=2024-01-01&end=2024-01-20&page=7');
+
+  expect(await screen.findByText('Page 2 of 2')).toBeInTheDocument();
+  expect(cardTitles()).toHaveLength(8);
+  expect(screen.getByRole('button', { name: 'Next ▶' })).toBeDisabled();
+});
+
+test('loads the range chosen in the form', async () => {
+  renderGallery('/gallery');
+
+  fireEvent.change(screen.getByLabelText('Start Date'), { target: { value: '2023-12-30' } });
+  fireEvent.change(screen.getByLabelText('End Date'), { target: { value: '2024-01-02' } });
+  fireEvent.click(screen.getByRole('button', { name: '🚀 Load Gallery' }));
+
+  await waitFor(() => expect(cardTitles()).toEqual(['APOD 2024-01-02', 'APOD 2024-01-01', 'APOD 2023-12-31', 'APOD 2023-12-30']));
+  expect(screen.getByText('Page 1 of 1')).toBeInTheDocument();
+});
+
+test('checks the range before loading it, also when loading the same range again', async () => {
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  renderGallery('/gallery?start=2024-01-10&end=2024-01-01');
+
+  expect(await screen.findByText('❌ Start date must be on or before the end date.')).toBeInTheDocument();
+
+  fireEvent.click(screen.getByRole('button', { name: '🚀 Load Gallery' }));
+  expect(await screen.findByText('❌ Start date must be on or before the end date.')).toBeInTheDocument();
+  expect(global.fetch).not.toHaveBeenCalled();
+});
+
+test('loads random pictures in count mode', async () => {
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  renderGallery('/gallery');
+
+  fireEvent.click(screen.getByRole('button', { name: '🎲 Random' }));
+  fireEvent.change(screen.getByLabelText('Number of Pictures'), { target: { value: '0' } });
+  fireEvent.click(screen.getByRole('button', { name: '🚀 Load Gallery' }));
+  expect(await screen.findByText('❌ Count must be a whole number between 1 and 100.')).toBeInTheDocument();
+  expect(global.fetch).not.toHaveBeenCalled();
+
+  fireEvent.change(screen.getByLabelText('Number of Pictures'), { target: { value: '3' } });
+  fireEvent.click(screen.getByRole('button', { name: '🚀 Load Gallery' }));
+
+  await waitFor(() => expect(cardTitles()).toEqual(['APOD 2001-04-30', 'APOD 2001-03-31', 'APOD 2001-03-01']));
+  expect(global.fetch.mock.calls[0][0]).toContain('api/apod?count=3&thumbs=true');
+  expect(screen.queryByText(/❌/)).not.toBeInTheDocument();
+});
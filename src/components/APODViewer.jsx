@@ -1,24 +1,84 @@
 import React, { useState, useEffect, useRef } from 'react';
-import apiService, { getErrorMessage, logError, networkService, ErrorTypes } from '../services/api';
+import { Link, useParams, useNavigate, useLocation } from 'react-router-dom';
+import apiService, { getErrorMessage, logError, networkService, ErrorTypes, APOD_START_DATE } from '../services/api';
+import viewHistory from '../services/viewHistory';
+import { getToday, addDays, clampDate, randomDate } from '../utils/dates';
+import { downloadFile } from '../utils/download';
+import { buildMarkdownTranscript, buildTextTranscript, buildWebVTT, getTranscriptFilename } from '../services/transcript';
+import useFavorites from '../hooks/useFavorites';
+import useNarration from '../hooks/useNarration';
+import useSettings from '../hooks/useSettings';
+import useTranslatedAPOD from '../hooks/useTranslatedAPOD';
+import useNotableSpaceWeather from '../hooks/useNotableSpaceWeather';
+import useI18n from '../hooks/useI18n';
+import translationService, { LANGUAGES } from '../services/translation';
+import { getEventSummary } from '../utils/donki';
+import CalendarPicker from './CalendarPicker';
+import KeyboardShortcutsHelp from './KeyboardShortcutsHelp';
+import VideoEmbed from './VideoEmbed';
+import ImageLightbox from './ImageLightbox';
+import ReadAlongText from './ReadAlongText';
+
+const SHORTCUTS = [
+  { keys: ['←'], descriptionKey: 'shortcuts.previous' },
+  { keys: ['→'], descriptionKey: 'shortcuts.next' },
+  { keys: ['T'], descriptionKey: 'shortcuts.today' },
+  { keys: ['R'], descriptionKey: 'shortcuts.random' },
+  { keys: ['?'], descriptionKey: 'shortcuts.help' }
+];
+
+const TRANSCRIPT_FORMATS = {
+  markdown: { labelKey: 'apod.exportMarkdown', extension: 'md', type: 'text/markdown', build: buildMarkdownTranscript },
+  text: { labelKey: 'apod.exportText', extension: 'txt', type: 'text/plain', build: buildTextTranscript },
+  vtt: { labelKey: 'apod.exportVtt', extension: 'vtt', type: 'text/vtt', build: buildWebVTT }
+};
+
+const navButtonStyle = (disabled) => ({
+  padding: '8px 16px',
+  background: disabled ? '#e9ecef' : 'white',
+  color: disabled ? '#adb5bd' : '#007bff',
+  border: `1px solid ${disabled ? '#dee2e6' : '#007bff'}`,
+  borderRadius: '20px',
+  cursor: disabled ? 'not-allowed' : 'pointer',
+  fontSize: '0.9rem'
+});
 
 const APODViewer = () => {
+  const { date: routeDate } = useParams();
+  const navigate = useNavigate();
+  const location = useLocation();
+  
   const [apodData, setApodData] = useState(null);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
-  const [selectedDate, setSelectedDate] = useState(new Date().toISOString().split('T')[0]);
+  const [selectedDate, setSelectedDate] = useState(routeDate || getToday());
   const [isOnline, setIsOnline] = useState(networkService.isOnline());
   const [retryCount, setRetryCount] = useState(0);
+  const [cacheCleared, setCacheCleared] = useState(false);
+  const [isCachedContent, setIsCachedContent] = useState(false);
+  const [showShortcuts, setShowShortcuts] = useState(false);
+  const [showLightbox, setShowLightbox] = useState(false);
+  const { isFavorite, toggleFavorite } = useFavorites();
+  const { t } = useI18n();
   
-  // Text-to-Speech state
-  const [isPlaying, setIsPlaying] = useState(false);
-  const [isPaused, setIsPaused] = useState(false);
-  const [playbackRate, setPlaybackRate] = useState(1);
-  const [selectedVoice, setSelectedVoice] = useState(null);
-  const [availableVoices, setAvailableVoices] = useState([]);
-  const [currentPosition, setCurrentPosition] = useState(0);
+  // Text-to-Speech, using the saved voice and delivery settings. When a
+  // translation is shown, that is what gets read.
+  const { settings, updateSettings } = useSettings();
+  const canTranslate = translationService.isAvailable();
+  const translation = useTranslatedAPOD(apodData, canTranslate ? settings.translateTo : null);
+  const spaceWeather = useNotableSpaceWeather(apodData?.date);
+  const narration = useNarration(translation.apod || apodData, {
+    preferences: settings,
+    onError: (event) => {
+      console.error('Speech synthesis error:', event);
+      setError({ messageKey: 'narration.failed' });
+    }
+  });
+  const { isPlaying, isPaused } = narration;
+  // Character offset into the explanation being spoken; -1 while the intro is read
+  const currentPosition = isPlaying ? narration.position : -1;
   
-  const speechSynthRef = useRef(null);
-  const utteranceRef = useRef(null);
+  const latestRequestRef = useRef(null);
 
   // Network status monitoring
   useEffect(() => {
@@ -27,9 +87,9 @@ const APODViewer = () => {
       setError(null); // Clear network errors when back online
     };
     
+    // Saved APODs stay viewable offline, so only the banner changes here
     const handleOffline = () => {
       setIsOnline(false);
-      setError('You are currently offline. Please check your internet connection.');
     };
 
     const removeOnlineListener = networkService.addOnlineListener(handleOnline);
@@ -41,53 +101,76 @@ const APODViewer = () => {
     };
   }, []);
 
-  // Initialize voices
+  // Remember opened dates so the calendar can mark them, and warm the cache
+  // for the next day so stepping forward feels instant
   useEffect(() => {
-    const loadVoices = () => {
-      try {
-        const voices = speechSynthesis.getVoices();
-        setAvailableVoices(voices);
-        
-        // Try to find a good default voice (prefer English)
-        const englishVoices = voices.filter(voice => voice.lang.startsWith('en'));
-        const defaultVoice = englishVoices.find(voice => voice.name.includes('Natural')) ||
-                            englishVoices.find(voice => voice.name.includes('Premium')) ||
-                            englishVoices[0] || voices[0];
-        
-        setSelectedVoice(defaultVoice);
-      } catch (error) {
-        console.warn('Speech synthesis not supported:', error);
-      }
-    };
-
-    loadVoices();
-    speechSynthesis.addEventListener('voiceschanged', loadVoices);
-
-    return () => {
-      speechSynthesis.removeEventListener('voiceschanged', loadVoices);
-    };
-  }, []);
+    if (!apodData) return;
+    
+    viewHistory.add(apodData.date);
+    
+    const nextDate = addDays(apodData.date, 1);
+    if (nextDate <= getToday() && networkService.isOnline()) {
+      apiService.prefetchAPOD(nextDate);
+    }
+  }, [apodData]);
 
-  const fetchAPOD = async () => {
-    if (!isOnline) {
-      setError('Cannot fetch data while offline. Please check your internet connection.');
+  // Load whichever date the URL points at (today for the home route)
+  useEffect(() => {
+    const date = routeDate || getToday();
+    setSelectedDate(date);
+    
+    // Entries opened from the gallery are handed over in router state
+    const preloaded = location.state?.apod;
+    if (preloaded && preloaded.date === date) {
+      latestRequestRef.current = date;
+      stopSpeech();
+      setApodData(preloaded);
+      setIsCachedContent(false);
+      setError(null);
       return;
     }
+    
+    fetchAPOD(date);
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [routeDate]);
 
+  // While offline this still runs: the cache and service worker answer for saved dates
+  const fetchAPOD = async (date = selectedDate) => {
+    latestRequestRef.current = date;
     setLoading(true);
     setError(null);
     stopSpeech(); // Stop any current speech when fetching new content
     
     try {
       // Validate date before making request
-      apiService.validateDate(selectedDate);
+      apiService.validateDate(date);
+      
+      const { data, fromCache } = await apiService.fetchAPOD(date, {
+        // Today's entry may be served from cache; swap in the fresh copy when it arrives
+        onRevalidate: (fresh) => {
+          if (latestRequestRef.current === date) {
+            setApodData(fresh);
+            setIsCachedContent(false);
+          }
+        }
+      });
+      
+      // Ignore responses for dates the user has already navigated away from
+      if (latestRequestRef.current !== date) return;
       
-      const data = await apiService.fetchAPOD(selectedDate);
       setApodData(data);
+      setIsCachedContent(fromCache);
       setRetryCount(0); // Reset retry count on success
     } catch (err) {
-      const errorMessage = getErrorMessage(err);
-      setError(errorMessage);
+      if (latestRequestRef.current !== date) return;
+      
+      if (!networkService.isOnline() && err.type === ErrorTypes.NETWORK) {
+        setError({ messageKey: 'apod.notSavedOffline' });
+        return;
+      }
+      
+      // Kept as the error itself so the message follows the UI language
+      setError(err);
       setRetryCount(prev => prev + 1);
       
       // Log error for debugging
@@ -98,89 +181,107 @@ const APODViewer = () => {
         if (retryCount < 2) { // Max 3 attempts total
           setTimeout(() => {
             console.log(`Auto-retrying APOD fetch (attempt ${retryCount + 2})`);
-            fetchAPOD();
+            fetchAPOD(date);
           }, 2000 * (retryCount + 1)); // Exponential backoff
         }
       }
     } finally {
-      setLoading(false);
+      if (latestRequestRef.current === date) {
+        setLoading(false);
+      }
     }
   };
 
-  const handleDateChange = (newDate) => {
-    setSelectedDate(newDate);
-    setError(null); // Clear any previous errors when date changes
+  const handleClearCache = async () => {
+    await apiService.clearCache();
+    setCacheCleared(true);
+    setTimeout(() => setCacheCleared(false), 3000);
   };
 
-  const prepareSpeechText = () => {
-    if (!apodData) return '';
-    
-    // Create a natural reading experience
-    let speechText = `Today's Astronomy Picture of the Day is titled: ${apodData.title}.`;
-    
-    if (apodData.copyright) {
-      speechText += ` This image is by ${apodData.copyright}.`;
+  const isFirstDate = selectedDate <= APOD_START_DATE;
+  const isLastDate = selectedDate >= getToday();
+
+  // All day navigation is clamped to the APOD archive
+  const goToDate = (date) => {
+    const target = clampDate(date, APOD_START_DATE, getToday());
+    if (target !== selectedDate) {
+      handleDateChange(target);
     }
+  };
+
+  const goToPreviousDay = () => goToDate(addDays(selectedDate, -1));
+  const goToNextDay = () => goToDate(addDays(selectedDate, 1));
+  const goToToday = () => goToDate(getToday());
+  const goToRandomDay = () => goToDate(randomDate(APOD_START_DATE, getToday()));
+
+  // Keyboard shortcuts (ignored while typing in form fields or with modifiers held)
+  useEffect(() => {
+    const handleKeyDown = (event) => {
+      if (event.ctrlKey || event.metaKey || event.altKey) return;
+      // The lightbox handles its own keys
+      if (showLightbox) return;
+      if (event.target.closest && event.target.closest('input, textarea, select, [contenteditable="true"]')) return;
+      
+      if (event.key === '?') {
+        setShowShortcuts(prev => !prev);
+        return;
+      }
+      if (loading || showShortcuts) return;
+      
+      switch (event.key) {
+        case 'ArrowLeft':
+          goToPreviousDay();
+          break;
+        case 'ArrowRight':
+          goToNextDay();
+          break;
+        case 't':
+        case 'T':
+          goToToday();
+          break;
+        case 'r':
+        case 'R':
+          goToRandomDay();
+          break;
+        default:
+          return;
+      }
+      event.preventDefault();
+    };
     
-    speechText += ` Here's the description: ${apodData.explanation}`;
+    document.addEventListener('keydown', handleKeyDown);
+    return () => document.removeEventListener('keydown', handleKeyDown);
+  });
+
+  const handleDateChange = (newDate) => {
+    setSelectedDate(newDate);
+    setError(null); // Clear any previous errors when date changes
     
-    return speechText;
+    // The URL is the source of truth; the route effect fetches the new date
+    if (newDate) {
+      navigate(`/apod/${newDate}`);
+    }
   };
 
-  const startSpeech = () => {
+  // Starts from the top, or from the given sentence of the explanation
+  const startSpeech = (fromSentence = null) => {
     if (!apodData) return;
     
     try {
-      stopSpeech(); // Stop any existing speech
-      
-      const text = prepareSpeechText();
-      const utterance = new SpeechSynthesisUtterance(text);
-      
-      // Configure voice settings
-      if (selectedVoice) {
-        utterance.voice = selectedVoice;
+      if (fromSentence === null) {
+        narration.play();
+      } else {
+        narration.playSentence(fromSentence);
       }
-      utterance.rate = playbackRate;
-      utterance.pitch = 1;
-      utterance.volume = 1;
-      
-      // Event handlers
-      utterance.onstart = () => {
-        setIsPlaying(true);
-        setIsPaused(false);
-      };
-      
-      utterance.onend = () => {
-        setIsPlaying(false);
-        setIsPaused(false);
-        setCurrentPosition(0);
-      };
-      
-      utterance.onerror = (event) => {
-        console.error('Speech synthesis error:', event);
-        setIsPlaying(false);
-        setIsPaused(false);
-        setError('Speech synthesis failed. Please try again or check your audio settings.');
-      };
-      
-      utterance.onboundary = (event) => {
-        setCurrentPosition(event.charIndex);
-      };
-      
-      utteranceRef.current = utterance;
-      speechSynthesis.speak(utterance);
     } catch (error) {
       console.error('Speech synthesis error:', error);
-      setError('Speech synthesis is not supported in your browser.');
+      setError({ messageKey: 'narration.unsupported' });
     }
   };
 
   const pauseSpeech = () => {
     try {
-      if (speechSynthesis.speaking && !speechSynthesis.paused) {
-        speechSynthesis.pause();
-        setIsPaused(true);
-      }
+      narration.pause();
     } catch (error) {
       console.error('Error pausing speech:', error);
     }
@@ -188,10 +289,7 @@ const APODViewer = () => {
 
   const resumeSpeech = () => {
     try {
-      if (speechSynthesis.paused) {
-        speechSynthesis.resume();
-        setIsPaused(false);
-      }
+      narration.resume();
     } catch (error) {
       console.error('Error resuming speech:', error);
     }
@@ -199,19 +297,34 @@ const APODViewer = () => {
 
   const stopSpeech = () => {
     try {
-      speechSynthesis.cancel();
-      setIsPlaying(false);
-      setIsPaused(false);
-      setCurrentPosition(0);
+      narration.stop();
     } catch (error) {
       console.error('Error stopping speech:', error);
     }
   };
 
+  const skipSpeech = (direction) => {
+    try {
+      if (direction > 0) {
+        narration.next();
+      } else {
+        narration.previous();
+      }
+    } catch (error) {
+      console.error('Error skipping speech:', error);
+    }
+  };
+
+  const exportTranscript = (format) => {
+    const { extension, type, build } = TRANSCRIPT_FORMATS[format];
+    // Caption timings follow the narration speed
+    downloadFile(getTranscriptFilename(apodData, extension), build(apodData, { rate: settings.rate }), type);
+  };
+
+  // Voice and rate changes are saved and carry on from the current word
   const handleVoiceChange = (voiceIndex) => {
     try {
-      const voice = availableVoices[voiceIndex];
-      setSelectedVoice(voice);
+      updateSettings({ voiceURI: narration.voices[voiceIndex].voiceURI });
     } catch (error) {
       console.error('Error changing voice:', error);
     }
@@ -219,15 +332,7 @@ const APODViewer = () => {
 
   const handleRateChange = (rate) => {
     try {
-      setPlaybackRate(rate);
-      if (isPlaying && !isPaused) {
-        // Restart with new rate
-        const wasPlaying = isPlaying;
-        stopSpeech();
-        if (wasPlaying) {
-          setTimeout(startSpeech, 100);
-        }
-      }
+      updateSettings({ rate });
     } catch (error) {
       console.error('Error changing playback rate:', error);
     }
@@ -252,7 +357,7 @@ const APODViewer = () => {
             textAlign: 'center'
           }}>
             <span style={{ fontSize: '1.2rem' }}>📡</span>
-            <span>You are currently offline. Some features may not work properly.</span>
+            <span>{t('apod.offline')}</span>
           </div>
         )}
         
@@ -281,7 +386,7 @@ const APODViewer = () => {
               color: '#ffffff',
               textShadow: '2px 2px 4px rgba(0,0,0,0.8)'
             }}>
-              Astronomy Picture of the Day
+              {t('apod.heading')}
             </h2>
             <p style={{
               fontSize: '1.3rem',
@@ -291,7 +396,7 @@ const APODViewer = () => {
               lineHeight: '1.6',
               textShadow: '1px 1px 2px rgba(0,0,0,0.7)'
             }}>
-              Discover the cosmos through NASA's daily featured astronomical images and scientific explanations
+              {t('apod.intro')}
             </p>
           </div>
         </div>
@@ -313,7 +418,7 @@ const APODViewer = () => {
             flexWrap: 'wrap'
           }}>
             
-            {/* Date Input */}
+            {/* Date Picker */}
             <div style={{ display: 'flex', flexDirection: 'column', alignItems: 'center' }}>
               <label style={{
                 fontSize: '0.9rem',
@@ -324,26 +429,12 @@ const APODViewer = () => {
                 alignItems: 'center',
                 gap: '5px'
               }}>
-                📅 Select Date
+                {t('apod.selectDate')}
               </label>
-              <input
-                type="date"
+              <CalendarPicker
                 value={selectedDate}
-                onChange={(e) => handleDateChange(e.target.value)}
-                max={new Date().toISOString().split('T')[0]}
-                min="1995-06-16"
+                onChange={handleDateChange}
                 disabled={loading}
-                style={{
-                  padding: '12px 15px',
-                  borderRadius: '10px',
-                  border: '2px solid #e0e0e0',
-                  fontSize: '1rem',
-                  color: '#333',
-                  background: loading ? '#f5f5f5' : 'white',
-                  boxShadow: '0 2px 8px rgba(0,0,0,0.1)',
-                  transition: 'all 0.3s ease',
-                  cursor: loading ? 'not-allowed' : 'pointer'
-                }}
               />
             </div>
 
@@ -351,25 +442,25 @@ const APODViewer = () => {
             <div style={{ display: 'flex', flexDirection: 'column', alignItems: 'center' }}>
               <div style={{ height: '28px', marginBottom: '8px' }}></div>
               <button 
-                onClick={fetchAPOD} 
-                disabled={loading || !isOnline}
+                onClick={() => fetchAPOD()} 
+                disabled={loading}
                 style={{
                   padding: '12px 30px',
-                  background: loading || !isOnline ? '#ccc' : 'linear-gradient(135deg, #007bff 0%, #0056b3 100%)',
+                  background: loading ? '#ccc' : 'linear-gradient(135deg, #007bff 0%, #0056b3 100%)',
                   color: 'white',
                   border: 'none',
                   borderRadius: '10px',
-                  cursor: loading || !isOnline ? 'not-allowed' : 'pointer',
+                  cursor: loading ? 'not-allowed' : 'pointer',
                   fontSize: '1.1rem',
                   fontWeight: '600',
                   display: 'flex',
                   alignItems: 'center',
                   gap: '10px',
-                  boxShadow: loading || !isOnline ? 'none' : '0 4px 15px rgba(0,123,255,0.3)',
+                  boxShadow: loading ? 'none' : '0 4px 15px rgba(0,123,255,0.3)',
                   transition: 'all 0.3s ease'
                 }}
               >
-                {loading ? '🔄 Loading...' : !isOnline ? '📡 Offline' : '🚀 Fetch APOD'}
+                {t(loading ? 'apod.loadingButton' : !isOnline ? 'apod.loadSaved' : 'apod.fetch')}
               </button>
             </div>
 
@@ -382,19 +473,59 @@ const APODViewer = () => {
               maxWidth: '200px'
             }}>
               <div style={{ fontSize: '0.85rem', color: '#666', textAlign: 'center' }}>
-                <div style={{ fontWeight: '600', marginBottom: '5px' }}>📊 Data Source</div>
-                <div>NASA APOD API</div>
+                <div style={{ fontWeight: '600', marginBottom: '5px' }}>{t('apod.dataSource')}</div>
+                <div>{t('apod.dataSourceName')}</div>
                 <div style={{ fontSize: '0.75rem', marginTop: '5px', color: '#888' }}>
-                  Since June 16, 1995
+                  {t('apod.since', { date: APOD_START_DATE })}
                 </div>
                 {retryCount > 0 && (
                   <div style={{ fontSize: '0.75rem', marginTop: '5px', color: '#dc3545' }}>
-                    Retries: {retryCount}
+                    {t('apod.retries', { count: retryCount })}
                   </div>
                 )}
+                <button
+                  onClick={handleClearCache}
+                  style={{
+                    marginTop: '8px',
+                    padding: '4px 10px',
+                    background: 'transparent',
+                    border: '1px solid #adb5bd',
+                    borderRadius: '6px',
+                    color: '#666',
+                    fontSize: '0.75rem',
+                    cursor: 'pointer'
+                  }}
+                >
+                  {t(cacheCleared ? 'apod.cacheCleared' : 'apod.clearCache')}
+                </button>
               </div>
             </div>
           </div>
+
+          {/* Day Navigation */}
+          <div style={{
+            display: 'flex',
+            justifyContent: 'center',
+            gap: '10px',
+            marginTop: '20px',
+            flexWrap: 'wrap'
+          }}>
+            <button onClick={goToPreviousDay} disabled={loading || isFirstDate} title={t('apod.previousTitle')} style={navButtonStyle(loading || isFirstDate)}>
+              {t('apod.previous')}
+            </button>
+            <button onClick={goToToday} disabled={loading || isLastDate} title={t('apod.todayTitle')} style={navButtonStyle(loading || isLastDate)}>
+              {t('apod.today')}
+            </button>
+            <button onClick={goToRandomDay} disabled={loading} title={t('apod.randomTitle')} style={navButtonStyle(loading)}>
+              {t('apod.random')}
+            </button>
+            <button onClick={goToNextDay} disabled={loading || isLastDate} title={t('apod.nextTitle')} style={navButtonStyle(loading || isLastDate)}>
+              {t('apod.next')}
+            </button>
+            <button onClick={() => setShowShortcuts(true)} title={t('apod.shortcutsTitle')} style={navButtonStyle(false)}>
+              ⌨️
+            </button>
+          </div>
         </div>
 
       {/* Loading State */}
@@ -409,10 +540,10 @@ const APODViewer = () => {
             animation: 'spin 1s linear infinite',
             margin: '0 auto 20px'
           }}></div>
-          <p style={{ fontSize: '1.1rem', color: '#333' }}>Fetching astronomy data...</p>
+          <p style={{ fontSize: '1.1rem', color: '#333' }}>{t('apod.loading')}</p>
           {retryCount > 0 && (
             <p style={{ fontSize: '0.9rem', color: '#666', marginTop: '10px' }}>
-              Retry attempt {retryCount + 1}
+              {t('apod.retryAttempt', { count: retryCount + 1 })}
             </p>
           )}
         </div>
@@ -429,21 +560,21 @@ const APODViewer = () => {
           marginBottom: '20px',
           textAlign: 'center'
         }}>
-          <p style={{ marginBottom: '10px' }}>❌ {error}</p>
+          <p style={{ marginBottom: '10px' }}>❌ {getErrorMessage(error)}</p>
           <div style={{ display: 'flex', gap: '10px', justifyContent: 'center', flexWrap: 'wrap' }}>
             <button 
-              onClick={fetchAPOD}
-              disabled={loading || !isOnline}
+              onClick={() => fetchAPOD()}
+              disabled={loading}
               style={{
                 padding: '8px 16px',
-                backgroundColor: loading || !isOnline ? '#ccc' : '#f44336',
+                backgroundColor: loading ? '#ccc' : '#f44336',
                 color: 'white',
                 border: 'none',
                 borderRadius: '4px',
-                cursor: loading || !isOnline ? 'not-allowed' : 'pointer'
+                cursor: loading ? 'not-allowed' : 'pointer'
               }}
             >
-              Try Again
+              {t('apod.tryAgain')}
             </button>
             {!isOnline && (
               <button 
@@ -457,7 +588,7 @@ const APODViewer = () => {
                   cursor: 'pointer'
                 }}
               >
-                Reload Page
+                {t('apod.reload')}
               </button>
             )}
           </div>
@@ -475,17 +606,90 @@ const APODViewer = () => {
         }}>
           {/* Title */}
           <div style={{ padding: '20px', borderBottom: '1px solid #eee' }}>
-            <h3 style={{ 
-              fontSize: '1.8rem', 
-              marginBottom: '10px',
-              color: '#333',
-              lineHeight: '1.4'
-            }}>
-              {apodData.title}
-            </h3>
+            <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'flex-start', gap: '15px' }}>
+              <h3 lang="en" style={{ 
+                fontSize: '1.8rem', 
+                marginBottom: '10px',
+                color: '#333',
+                lineHeight: '1.4'
+              }}>
+                {apodData.title}
+              </h3>
+              <div style={{ display: 'flex', gap: '8px', flexWrap: 'wrap', justifyContent: 'flex-end' }}>
+                <select
+                  value=""
+                  onChange={(e) => {
+                    if (e.target.value) exportTranscript(e.target.value);
+                  }}
+                  aria-label={t('apod.exportLabel')}
+                  title={t('apod.exportTitle')}
+                  style={{
+                    padding: '8px 10px',
+                    backgroundColor: 'white',
+                    color: '#333',
+                    border: '1px solid #007bff',
+                    borderRadius: '20px',
+                    cursor: 'pointer',
+                    fontSize: '0.9rem'
+                  }}
+                >
+                  <option value="">{t('apod.export')}</option>
+                  {Object.entries(TRANSCRIPT_FORMATS).map(([format, { labelKey }]) => (
+                    <option key={format} value={format}>{t(labelKey)}</option>
+                  ))}
+                </select>
+                <button
+                  onClick={() => toggleFavorite(apodData)}
+                  aria-pressed={isFavorite(apodData.date)}
+                  title={t(isFavorite(apodData.date) ? 'apod.removeFavorite' : 'apod.addFavorite')}
+                  style={{
+                    padding: '8px 14px',
+                    backgroundColor: isFavorite(apodData.date) ? '#ffd700' : 'white',
+                    color: '#333',
+                    border: '1px solid #ffd700',
+                    borderRadius: '20px',
+                    cursor: 'pointer',
+                    fontSize: '0.9rem',
+                    whiteSpace: 'nowrap'
+                  }}
+                >
+                  {t(isFavorite(apodData.date) ? 'apod.favorited' : 'apod.favorite')}
+                </button>
+              </div>
+            </div>
             <div style={{ display: 'flex', gap: '20px', fontSize: '0.9rem', color: '#666' }}>
-              <span>📅 {apodData.date}</span>
-              {apodData.copyright && <span>📷 {apodData.copyright}</span>}
+              <span>{t('apod.date', { date: apodData.date })}</span>
+              {apodData.copyright && <span>{t('apod.copyright', { name: apodData.copyright })}</span>}
+              {isCachedContent && (
+                <span style={{
+                  padding: '2px 8px',
+                  backgroundColor: '#fff3cd',
+                  color: '#856404',
+                  borderRadius: '10px',
+                  fontSize: '0.8rem'
+                }}>
+                  {t('apod.cached')}
+                </span>
+              )}
+              {spaceWeather.length > 0 && (
+                <Link
+                  to={`/space-weather?start=${apodData.date}&end=${apodData.date}&event=${encodeURIComponent(spaceWeather[0].id)}`}
+                  title={spaceWeather.map(event => {
+                    const summary = getEventSummary(event);
+                    return t(summary.key, summary.params);
+                  }).join(', ')}
+                  style={{
+                    padding: '2px 8px',
+                    backgroundColor: '#ffe8d1',
+                    color: '#8a4b08',
+                    borderRadius: '10px',
+                    fontSize: '0.8rem',
+                    textDecoration: 'none'
+                  }}
+                >
+                  {t('apod.spaceWeather', { count: spaceWeather.length })}
+                </Link>
+              )}
             </div>
           </div>
 
@@ -496,14 +700,14 @@ const APODViewer = () => {
             borderBottom: '1px solid #eee'
           }}>
             <h4 style={{ marginBottom: '15px', color: '#333', display: 'flex', alignItems: 'center', gap: '10px' }}>
-              🤖 AI Audio Narration
+              {t('narration.heading')}
             </h4>
             
             {/* Main Controls */}
             <div style={{ display: 'flex', gap: '10px', marginBottom: '15px', flexWrap: 'wrap' }}>
               {!isPlaying ? (
                 <button
-                  onClick={startSpeech}
+                  onClick={() => startSpeech()}
                   style={{
                     padding: '10px 20px',
                     backgroundColor: '#28a745',
@@ -517,10 +721,25 @@ const APODViewer = () => {
                     gap: '8px'
                   }}
                 >
-                  ▶️ Play Description
+                  {t('narration.play')}
                 </button>
               ) : (
-                <div style={{ display: 'flex', gap: '10px' }}>
+                <div style={{ display: 'flex', gap: '10px', flexWrap: 'wrap' }}>
+                  <button
+                    onClick={() => skipSpeech(-1)}
+                    title={t('narration.previous')}
+                    style={{
+                      padding: '10px 16px',
+                      backgroundColor: '#6c757d',
+                      color: 'white',
+                      border: 'none',
+                      borderRadius: '8px',
+                      cursor: 'pointer',
+                      fontSize: '1rem'
+                    }}
+                  >
+                    ⏮️
+                  </button>
                   {!isPaused ? (
                     <button
                       onClick={pauseSpeech}
@@ -534,7 +753,7 @@ const APODViewer = () => {
                         fontSize: '1rem'
                       }}
                     >
-                      ⏸️ Pause
+                      {t('narration.pause')}
                     </button>
                   ) : (
                     <button
@@ -549,9 +768,24 @@ const APODViewer = () => {
                         fontSize: '1rem'
                       }}
                     >
-                      ▶️ Resume
+                      {t('narration.resume')}
                     </button>
                   )}
+                  <button
+                    onClick={() => skipSpeech(1)}
+                    title={t('narration.next')}
+                    style={{
+                      padding: '10px 16px',
+                      backgroundColor: '#6c757d',
+                      color: 'white',
+                      border: 'none',
+                      borderRadius: '8px',
+                      cursor: 'pointer',
+                      fontSize: '1rem'
+                    }}
+                  >
+                    ⏭️
+                  </button>
                   <button
                     onClick={stopSpeech}
                     style={{
@@ -564,7 +798,7 @@ const APODViewer = () => {
                       fontSize: '1rem'
                     }}
                   >
-                    ⏹️ Stop
+                    {t('narration.stop')}
                   </button>
                 </div>
               )}
@@ -575,10 +809,10 @@ const APODViewer = () => {
               {/* Voice Selection */}
               <div>
                 <label style={{ display: 'block', marginBottom: '5px', fontWeight: 'bold', fontSize: '0.9rem' }}>
-                  🎭 Voice:
+                  {t('narration.voice')}
                 </label>
                 <select
-                  value={availableVoices.indexOf(selectedVoice)}
+                  value={narration.voices.indexOf(narration.voice)}
                   onChange={(e) => handleVoiceChange(parseInt(e.target.value))}
                   style={{
                     width: '100%',
@@ -588,8 +822,8 @@ const APODViewer = () => {
                     fontSize: '0.9rem'
                   }}
                 >
-                  {availableVoices.map((voice, index) => (
-                    <option key={index} value={index}>
+                  {narration.voices.map((voice, index) => (
+                    <option key={index} value={index} lang={voice.lang}>
                       {voice.name} ({voice.lang})
                     </option>
                   ))}
@@ -599,24 +833,37 @@ const APODViewer = () => {
               {/* Speed Control */}
               <div>
                 <label style={{ display: 'block', marginBottom: '5px', fontWeight: 'bold', fontSize: '0.9rem' }}>
-                  ⚡ Speed: {playbackRate}x
+                  {t('narration.speed', { rate: narration.rate })}
                 </label>
                 <input
                   type="range"
                   min="0.5"
                   max="2"
                   step="0.1"
-                  value={playbackRate}
+                  value={narration.rate}
                   onChange={(e) => handleRateChange(parseFloat(e.target.value))}
                   style={{ width: '100%' }}
                 />
                 <div style={{ display: 'flex', justifyContent: 'space-between', fontSize: '0.8rem', color: '#666' }}>
-                  <span>0.5x</span>
-                  <span>1x</span>
-                  <span>2x</span>
+                  <span>{t('narration.rate', { rate: 0.5 })}</span>
+                  <span>{t('narration.rate', { rate: 1 })}</span>
+                  <span>{t('narration.rate', { rate: 2 })}</span>
                 </div>
               </div>
             </div>
+            {translation.apod && narration.supported && narration.voices.length > 0 && !narration.hasMatchingVoice && (
+              <div style={{ marginTop: '10px', fontSize: '0.85rem', color: '#856404' }}>
+                {t('narration.noMatchingVoice', {
+                  language: translationService.getLanguageName(translation.apod.lang),
+                  voice: narration.voice?.name || t('narration.defaultVoice')
+                })}
+              </div>
+            )}
+            <div style={{ marginTop: '10px', fontSize: '0.85rem' }}>
+              <Link to="/settings" style={{ color: '#007bff', textDecoration: 'none' }}>
+                {t('narration.moreSettings')}
+              </Link>
+            </div>
 
             {/* Status */}
             {isPlaying && (
@@ -638,30 +885,52 @@ const APODViewer = () => {
                   animation: 'spin 1s linear infinite'
                 }}></div>
                 <span style={{ color: '#0066cc' }}>
-                  {isPaused ? '⏸️ Paused' : '🔊 Playing audio description...'}
+                  {t(isPaused ? 'narration.paused' : 'narration.playing')}
                 </span>
+                <div style={{ flex: 1, minWidth: '120px' }}>
+                  <div
+                    role="progressbar"
+                    aria-label={t('narration.progress')}
+                    aria-valuemin={0}
+                    aria-valuemax={100}
+                    aria-valuenow={Math.round(narration.progress * 100)}
+                    style={{ height: '6px', background: '#cce4ff', borderRadius: '3px', overflow: 'hidden' }}
+                  >
+                    <div style={{
+                      width: `${narration.progress * 100}%`,
+                      height: '100%',
+                      background: '#007bff',
+                      transition: 'width 0.3s ease'
+                    }} />
+                  </div>
+                  <div style={{ fontSize: '0.75rem', color: '#666', marginTop: '4px', textAlign: 'right' }}>
+                    {t('narration.sentence', { current: narration.segment + 1, total: narration.total })}
+                  </div>
+                </div>
               </div>
             )}
           </div>
 
-          {/* Image */}
+          {/* Media */}
           {apodData.media_type === 'image' ? (
             <div style={{ position: 'relative' }}>
               <img 
                 src={apodData.url}
+                lang="en"
                 alt={apodData.title}
+                onClick={() => setShowLightbox(true)}
                 style={{
                   width: '100%',
                   height: 'auto',
                   maxHeight: '600px',
                   objectFit: 'contain',
-                  background: '#000'
+                  background: '#000',
+                  cursor: 'zoom-in',
+                  display: 'block'
                 }}
               />
-              <a 
-                href={apodData.hdurl || apodData.url}
-                target="_blank"
-                rel="noopener noreferrer"
+              <button 
+                onClick={() => setShowLightbox(true)}
                 style={{
                   position: 'absolute',
                   top: '10px',
@@ -669,52 +938,109 @@ const APODViewer = () => {
                   padding: '8px 12px',
                   backgroundColor: 'rgba(0,0,0,0.7)',
                   color: 'white',
-                  textDecoration: 'none',
+                  border: 'none',
                   borderRadius: '6px',
-                  fontSize: '0.9rem'
+                  fontSize: '0.9rem',
+                  cursor: 'pointer'
                 }}
               >
-                🔍 HD Version
-              </a>
+                {t('apod.hdVersion')}
+              </button>
             </div>
           ) : (
-            <div style={{ padding: '20px', textAlign: 'center' }}>
-              <p style={{ marginBottom: '15px', color: '#666' }}>
-                📹 This APOD features a video
-              </p>
-              <a 
-                href={apodData.url}
-                target="_blank"
-                rel="noopener noreferrer"
-                style={{
-                  padding: '10px 20px',
-                  backgroundColor: '#007bff',
-                  color: 'white',
-                  textDecoration: 'none',
-                  borderRadius: '8px',
-                  fontSize: '1rem'
-                }}
-              >
-                ▶️ Watch Video
-              </a>
-            </div>
+            <VideoEmbed apod={apodData} />
           )}
 
           {/* Description */}
           <div style={{ padding: '20px' }}>
-            <h4 style={{ marginBottom: '15px', color: '#333' }}>📖 Description:</h4>
-            <p style={{ 
-              lineHeight: '1.8', 
-              fontSize: '1.1rem', 
-              color: '#444',
-              textAlign: 'justify'
-            }}>
-              {apodData.explanation}
+            <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', flexWrap: 'wrap', gap: '10px', marginBottom: '15px' }}>
+              <h4 style={{ color: '#333', margin: 0 }}>{t('apod.description')}</h4>
+              {canTranslate && (
+                <label style={{ display: 'flex', alignItems: 'center', gap: '6px', fontSize: '0.9rem', color: '#555' }}>
+                  {t('apod.translate')}
+                  <select
+                    value={settings.translateTo || ''}
+                    onChange={(e) => updateSettings({ translateTo: e.target.value || null })}
+                    style={{ padding: '6px', borderRadius: '4px', border: '1px solid #ddd', fontSize: '0.9rem' }}
+                  >
+                    <option value="">{t('apod.originalText')}</option>
+                    {LANGUAGES.map(({ code, name }) => (
+                      <option key={code} value={code} lang={code}>{name}</option>
+                    ))}
+                  </select>
+                </label>
+              )}
+            </div>
+
+            {translation.loading && (
+              <p style={{ color: '#0066cc', fontSize: '0.9rem', marginBottom: '10px' }}>{t('apod.translating')}</p>
+            )}
+            {translation.error && (
+              <p style={{ color: '#721c24', backgroundColor: '#f8d7da', padding: '8px 12px', borderRadius: '6px', fontSize: '0.9rem', marginBottom: '10px' }}>
+                {t('apod.translationFailed', { error: getErrorMessage(translation.error) })}
+              </p>
+            )}
+
+            {translation.apod ? (
+              <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(280px, 1fr))', gap: '25px' }}>
+                <div>
+                  <div style={{ fontSize: '0.8rem', color: '#888', textTransform: 'uppercase', marginBottom: '8px' }}>
+                    {t('apod.englishOriginal')}
+                  </div>
+                  <h5 lang="en" style={{ fontSize: '1.1rem', color: '#333', marginBottom: '10px' }}>{apodData.title}</h5>
+                  <p lang="en" style={{ lineHeight: '1.8', fontSize: '1.05rem', color: '#666', textAlign: 'justify' }}>
+                    {apodData.explanation}
+                  </p>
+                </div>
+                <div>
+                  <div style={{ fontSize: '0.8rem', color: '#888', textTransform: 'uppercase', marginBottom: '8px' }}>
+                    {t('apod.translatedBy', {
+                      language: translationService.getLanguageName(translation.apod.lang),
+                      provider: translationService.getProvider().name
+                    })}
+                  </div>
+                  <h5 lang={translation.apod.lang} style={{ fontSize: '1.1rem', color: '#333', marginBottom: '10px' }}>
+                    {translation.apod.title}
+                  </h5>
+                  <ReadAlongText
+                    text={translation.apod.explanation}
+                    lang={translation.apod.lang}
+                    position={currentPosition}
+                    onSentenceClick={startSpeech}
+                  />
+                </div>
+              </div>
+            ) : (
+              <ReadAlongText
+                text={apodData.explanation}
+                lang="en"
+                position={currentPosition}
+                onSentenceClick={startSpeech}
+              />
+            )}
+            <p style={{ marginTop: '10px', fontSize: '0.8rem', color: '#888' }}>
+              {t('apod.sentenceHint')}
             </p>
           </div>
         </div>
       )}
 
+      {showLightbox && apodData?.media_type === 'image' && (
+        <ImageLightbox
+          src={apodData.url}
+          hdSrc={apodData.hdurl}
+          alt={apodData.title}
+          onClose={() => setShowLightbox(false)}
+        />
+      )}
+
+      {showShortcuts && (
+        <KeyboardShortcutsHelp
+          shortcuts={SHORTCUTS.map(({ keys, descriptionKey }) => ({ keys, description: t(descriptionKey) }))}
+          onClose={() => setShowShortcuts(false)}
+        />
+      )}
+
       {/* CSS for animations */}
       <style>{`
         @keyframes spin {
@@ -0,0 +1,230 @@
+import React from 'react';
+import useI18n from '../hooks/useI18n';
+
+const FEATURES = [
+  'about.featureImagery', 'about.featureSpeech', 'about.featureDates', 'about.featureMars', 'about.featureAsteroids',
+  'about.featureEarth', 'about.featureLibrary', 'about.featureSpaceWeather', 'about.featureVoices', 'about.featureResponsive'
+];
+
+const TECHNOLOGY = [
+  ['about.frontend', 'about.frontendValue'],
+  ['about.backend', 'about.backendValue'],
+  ['about.ai', 'about.aiValue'],
+  ['about.data', 'about.dataValue']
+];
+
+const About = () => {
+  const { t } = useI18n();
+
+  return (
+    <section id="about-section" style={{
+      background: 'rgba(255,255,255,0.1)',
+      backdropFilter: 'blur(10px)',
+      margin: '40px 20px',
+      borderRadius: '20px',
+      padding: '40px',
+      border: '1px solid rgba(255,255,255,0.2)',
+      boxShadow: '0 8px 32px rgba(0,0,0,0.3)',
+      maxWidth: '1000px',
+      marginLeft: 'auto',
+      marginRight: 'auto'
+    }}>
+      <div style={{ color: 'white', textAlign: 'center' }}>
+        <div style={{
+          fontSize: '3rem',
+          marginBottom: '20px',
+          filter: 'drop-shadow(0 4px 8px rgba(0,0,0,0.3))'
+        }}>
+          🌍
+        </div>
+        <h2 style={{
+          fontSize: '2.5rem',
+          margin: '0 0 20px 0',
+          fontWeight: '600',
+          background: 'linear-gradient(45deg, #ffffff, #87ceeb, #ffd700)',
+          WebkitBackgroundClip: 'text',
+          WebkitTextFillColor: 'transparent',
+          backgroundClip: 'text'
+        }}>
+          {t('about.heading')}
+        </h2>
+        
+        <div style={{
+          display: 'grid',
+          gridTemplateColumns: 'repeat(auto-fit, minmax(300px, 1fr))',
+          gap: '30px',
+          marginTop: '30px',
+          textAlign: 'left'
+        }}>
+          {/* Mission */}
+          <div style={{
+            background: 'rgba(255,255,255,0.1)',
+            padding: '25px',
+            borderRadius: '15px',
+            border: '1px solid rgba(255,255,255,0.2)'
+          }}>
+            <h3 style={{
+              fontSize: '1.5rem',
+              marginBottom: '15px',
+              color: '#87ceeb',
+              display: 'flex',
+              alignItems: 'center',
+              gap: '10px'
+            }}>
+              {t('about.mission')}
+            </h3>
+            <p style={{
+              color: '#e6f3ff',
+              fontSize: '1.1rem',
+              lineHeight: '1.6',
+              margin: '0'
+            }}>
+              {t('about.missionText')}
+            </p>
+          </div>
+
+          {/* Features */}
+          <div style={{
+            background: 'rgba(255,255,255,0.1)',
+            padding: '25px',
+            borderRadius: '15px',
+            border: '1px solid rgba(255,255,255,0.2)'
+          }}>
+            <h3 style={{
+              fontSize: '1.5rem',
+              marginBottom: '15px',
+              color: '#87ceeb',
+              display: 'flex',
+              alignItems: 'center',
+              gap: '10px'
+            }}>
+              {t('about.features')}
+            </h3>
+            <ul style={{
+              color: '#e6f3ff',
+              fontSize: '1.1rem',
+              lineHeight: '1.8',
+              margin: '0',
+              paddingLeft: '20px'
+            }}>
+              {FEATURES.map(key => <li key={key}>{t(key)}</li>)}
+            </ul>
+          </div>
+
+          {/* Technology */}
+          <div style={{
+            background: 'rgba(255,255,255,0.1)',
+            padding: '25px',
+            borderRadius: '15px',
+            border: '1px solid rgba(255,255,255,0.2)'
+          }}>
+            <h3 style={{
+              fontSize: '1.5rem',
+              marginBottom: '15px',
+              color: '#87ceeb',
+              display: 'flex',
+              alignItems: 'center',
+              gap: '10px'
+            }}>
+              {t('about.technology')}
+            </h3>
+            <div style={{
+              color: '#e6f3ff',
+              fontSize: '1.1rem',
+              lineHeight: '1.6'
+            }}>
+              {TECHNOLOGY.map(([labelKey, valueKey], index) => (
+                <p key={labelKey} style={{ margin: index === TECHNOLOGY.length - 1 ? '0' : '0 0 10px 0' }}>
+                  <strong>{t(labelKey)}</strong> {t(valueKey)}
+                </p>
+              ))}
+            </div>
+          </div>
+
+          {/* Contact */}
+          <div style={{
+            background: 'rgba(255,255,255,0.1)',
+            padding: '25px',
+            borderRadius: '15px',
+            border: '1px solid rgba(255,255,255,0.2)'
+          }}>
+            <h3 style={{
+              fontSize: '1.5rem',
+              marginBottom: '15px',
+              color: '#87ceeb',
+              display: 'flex',
+              alignItems: 'center',
+              gap: '10px'
+            }}>
+              {t('about.connect')}
+            </h3>
+            <p style={{
+              color: '#e6f3ff',
+              fontSize: '1.1rem',
+              lineHeight: '1.6',
+              margin: '0 0 15px 0'
+            }}>
+              {t('about.connectText')}
+            </p>
+            <div style={{ display: 'flex', gap: '15px', justifyContent: 'center' }}>
+              <button 
+                onClick={() => window.open('https://github.com/NavyasriB98', '_blank')}
+                style={{
+                  padding: '8px 16px',
+                  background: 'linear-gradient(45deg, #007bff, #0056b3)',
+                  color: 'white',
+                  border: 'none',
+                  borderRadius: '20px',
+                  cursor: 'pointer',
+                  fontSize: '0.9rem',
+                  transition: 'all 0.3s ease',
+                  display: 'flex',
+                  alignItems: 'center',
+                  gap: '8px'
+                }}
+                onMouseEnter={(e) => {
+                  e.target.style.transform = 'translateY(-2px)';
+                  e.target.style.boxShadow = '0 4px 15px rgba(0,123,255,0.4)';
+                }}
+                onMouseLeave={(e) => {
+                  e.target.style.transform = 'translateY(0)';
+                  e.target.style.boxShadow = 'none';
+                }}
+              >
+                {t('about.github')}
+              </button>
+              <button 
+                onClick={() => window.open('https://navyasrib.netlify.app/', '_blank')}
+                style={{
+                  padding: '8px 16px',
+                  background: 'linear-gradient(45deg, #6f42c1, #5a32a3)',
+                  color: 'white',
+                  border: 'none',
+                  borderRadius: '20px',
+                  cursor: 'pointer',
+                  fontSize: '0.9rem',
+                  transition: 'all 0.3s ease',
+                  display: 'flex',
+                  alignItems: 'center',
+                  gap: '8px'
+                }}
+                onMouseEnter={(e) => {
+                  e.target.style.transform = 'translateY(-2px)';
+                  e.target.style.boxShadow = '0 4px 15px rgba(111,66,193,0.4)';
+                }}
+                onMouseLeave={(e) => {
+                  e.target.style.transform = 'translateY(0)';
+                  e.target.style.boxShadow = 'none';
+                }}
+              >
+                {t('about.portfolio')}
+              </button>
+            </div>
+          </div>
+        </div>
+      </div>
+    </section>
+  );
+};
+
+export default About;
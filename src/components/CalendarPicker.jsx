@@ -0,0 +1,357 @@
+import React, { useState, useEffect, useRef, useMemo } from 'react';
+import apiService, { APOD_START_DATE } from '../services/api';
+import apodCache from '../services/apodCache';
+import viewHistory from '../services/viewHistory';
+import useFavorites from '../hooks/useFavorites';
+import useI18n from '../hooks/useI18n';
+import { getToday, addDays, clampDate } from '../utils/dates';
+
+// Month and weekday names in the UI language. The grid starts on Sunday;
+// 7 January 2024 was one
+const monthNames = (locale) => {
+  const format = new Intl.DateTimeFormat(locale, { month: 'long', timeZone: 'UTC' });
+  return Array.from({ length: 12 }, (_, month) => format.format(Date.UTC(2024, month, 1)));
+};
+const weekdayNames = (locale) => {
+  const format = new Intl.DateTimeFormat(locale, { weekday: 'short', timeZone: 'UTC' });
+  return Array.from({ length: 7 }, (_, day) => format.format(Date.UTC(2024, 0, 7 + day)));
+};
+
+const pad = (value) => String(value).padStart(2, '0');
+const formatDate = (year, month, day) => `${year}-${pad(month + 1)}-${pad(day)}`;
+const parseMonth = (date) => ({ year: Number(date.slice(0, 4)), month: Number(date.slice(5, 7)) - 1 });
+const lastDayOf = ({ year, month }) => new Date(year, month + 1, 0).getDate();
+
+// Same day of another month, or its last day when the month is shorter
+const addMonths = (date, months) => {
+  const { year, month } = parseMonth(date);
+  const total = year * 12 + month + months;
+  const target = { year: Math.floor(total / 12), month: total % 12 };
+  return formatDate(target.year, target.month, Math.min(Number(date.slice(8, 10)), lastDayOf(target)));
+};
+
+// Days moved by the arrow keys in the day grid
+const DAY_STEPS = { ArrowLeft: -1, ArrowRight: 1, ArrowUp: -7, ArrowDown: 7 };
+
+// Same bounds as the fetch itself
+const isSelectable = (date) => {
+  try {
+    apiService.validateDate(date);
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+const CELL_COLORS = {
+  favorite: '#ffd700',
+  viewed: '#b3d9ff',
+  cached: '#d4edda'
+};
+
+const MARKERS = [['favorite', 'calendar.favorite'], ['viewed', 'calendar.viewed'], ['cached', 'calendar.cached']];
+
+const CalendarPicker = ({ value, onChange, disabled = false }) => {
+  const { t, locale, formatDate: formatDisplayDate } = useI18n();
+  const months = useMemo(() => monthNames(locale), [locale]);
+  const weekdays = useMemo(() => weekdayNames(locale), [locale]);
+  const { favorites } = useFavorites();
+  const [open, setOpen] = useState(false);
+  const [view, setView] = useState(parseMonth(value || getToday()));
+  const [viewed, setViewed] = useState(new Set());
+  const [cached, setCached] = useState(new Map()); // date -> { title, thumbnail }
+  const [hoverDate, setHoverDate] = useState(null);
+  const [focusDate, setFocusDate] = useState(null); // day moved to with the keyboard
+  const containerRef = useRef(null);
+  const gridRef = useRef(null);
+
+  const first = parseMonth(APOD_START_DATE);
+  const last = parseMonth(getToday());
+  const favoriteDates = new Set(favorites.map(favorite => favorite.date));
+
+  // Show the month of the selected date whenever it changes
+  useEffect(() => {
+    if (value) setView(parseMonth(value));
+  }, [value]);
+
+  // Refresh the markers each time the calendar opens
+  useEffect(() => {
+    setFocusDate(null);
+    if (!open) return;
+
+    setViewed(new Set(viewHistory.getAll()));
+    apodCache.getAll().then(entries => {
+      setCached(new Map(entries.map(({ date, data }) => [date, {
+        title: data.title,
+        thumbnail: data.media_type === 'image' ? data.url : data.thumbnail_url
+      }])));
+    });
+  }, [open]);
+
+  // Close on outside click or Escape
+  useEffect(() => {
+    if (!open) return;
+
+    const handleClick = (event) => {
+      if (containerRef.current && !containerRef.current.contains(event.target)) {
+        setOpen(false);
+      }
+    };
+    const handleKey = (event) => {
+      if (event.key === 'Escape') setOpen(false);
+    };
+
+    document.addEventListener('mousedown', handleClick);
+    document.addEventListener('keydown', handleKey);
+    return () => {
+      document.removeEventListener('mousedown', handleClick);
+      document.removeEventListener('keydown', handleKey);
+    };
+  }, [open]);
+
+  // Follow the keyboard with the focus once the day is rendered
+  useEffect(() => {
+    if (!focusDate || !gridRef.current) return;
+    const button = gridRef.current.querySelector(`[data-date="${focusDate}"]`);
+    if (button) button.focus();
+  }, [focusDate]);
+
+  const clampView = ({ year, month }) => {
+    if (year < first.year || (year === first.year && month < first.month)) return first;
+    if (year > last.year || (year === last.year && month > last.month)) return last;
+    return { year, month };
+  };
+
+  const shiftMonths = (months) => {
+    const total = view.year * 12 + view.month + months;
+    setView(clampView({ year: Math.floor(total / 12), month: total % 12 }));
+  };
+
+  const atFirstMonth = view.year === first.year && view.month === first.month;
+  const atLastMonth = view.year === last.year && view.month === last.month;
+
+  const daysInMonth = lastDayOf(view);
+  const leadingBlanks = new Date(view.year, view.month, 1).getDay();
+  const years = Array.from({ length: last.year - first.year + 1 }, (_, index) => last.year - index);
+
+  // The one day in the grid reached with Tab: the day last moved to, else
+  // the selected day or today when shown, else the first day of the month
+  const inView = (date) => Boolean(date) && parseMonth(date).year === view.year && parseMonth(date).month === view.month;
+  const activeDate = [focusDate, value, getToday()].find(inView)
+    || clampDate(formatDate(view.year, view.month, 1), APOD_START_DATE, getToday());
+
+  // Arrows move by day and week, Page Up/Down by month (by year with Shift),
+  // Home/End to the ends of the month, and Enter or Space picks the day. The
+  // keys stay in the grid so the viewer's own shortcuts don't fire as well
+  const handleGridKeyDown = (event) => {
+    if (event.key === 'Enter' || event.key === ' ') {
+      event.preventDefault();
+      event.stopPropagation();
+      if (isSelectable(activeDate)) handleSelect(activeDate);
+      return;
+    }
+
+    let next;
+    if (event.key in DAY_STEPS) next = addDays(activeDate, DAY_STEPS[event.key]);
+    else if (event.key === 'PageUp') next = addMonths(activeDate, event.shiftKey ? -12 : -1);
+    else if (event.key === 'PageDown') next = addMonths(activeDate, event.shiftKey ? 12 : 1);
+    else if (event.key === 'Home') next = formatDate(view.year, view.month, 1);
+    else if (event.key === 'End') next = formatDate(view.year, view.month, daysInMonth);
+    else return;
+
+    event.preventDefault();
+    event.stopPropagation();
+    next = clampDate(next, APOD_START_DATE, getToday());
+    setFocusDate(next);
+    setView(parseMonth(next));
+  };
+
+  const handleSelect = (date) => {
+    setOpen(false);
+    onChange(date);
+  };
+
+  const navButtonStyle = (isDisabled) => ({
+    padding: '4px 8px',
+    border: 'none',
+    background: 'transparent',
+    color: isDisabled ? '#ccc' : '#333',
+    cursor: isDisabled ? 'not-allowed' : 'pointer',
+    fontSize: '1rem'
+  });
+
+  const cellStyle = (date, selectable) => {
+    let background = 'white';
+    if (favoriteDates.has(date)) background = CELL_COLORS.favorite;
+    else if (viewed.has(date)) background = CELL_COLORS.viewed;
+    else if (cached.has(date)) background = CELL_COLORS.cached;
+
+    return {
+      position: 'relative',
+      width: '36px',
+      height: '36px',
+      border: date === value ? '2px solid #007bff' : '1px solid #eee',
+      borderRadius: '6px',
+      background,
+      color: selectable ? '#333' : '#ccc',
+      cursor: selectable ? 'pointer' : 'not-allowed',
+      fontSize: '0.85rem',
+      fontWeight: date === getToday() ? '700' : '400'
+    };
+  };
+
+  return (
+    <div ref={containerRef} style={{ position: 'relative' }}>
+      <button
+        onClick={() => setOpen(prev => !prev)}
+        disabled={disabled}
+        aria-haspopup="dialog"
+        aria-expanded={open}
+        style={{
+          padding: '12px 15px',
+          borderRadius: '10px',
+          border: '2px solid #e0e0e0',
+          fontSize: '1rem',
+          color: '#333',
+          background: disabled ? '#f5f5f5' : 'white',
+          boxShadow: '0 2px 8px rgba(0,0,0,0.1)',
+          cursor: disabled ? 'not-allowed' : 'pointer',
+          minWidth: '160px'
+        }}
+      >
+        {value ? t('apod.date', { date: value }) : t('calendar.choose')}
+      </button>
+
+      {open && (
+        <div
+          role="dialog"
+          aria-label={t('calendar.dialog')}
+          style={{
+            position: 'absolute',
+            top: 'calc(100% + 8px)',
+            left: '50%',
+            transform: 'translateX(-50%)',
+            zIndex: 20,
+            background: 'white',
+            borderRadius: '12px',
+            padding: '15px',
+            boxShadow: '0 8px 25px rgba(0,0,0,0.25)',
+            width: '300px'
+          }}
+        >
+          {/* Month / Year Navigation */}
+          <div style={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', marginBottom: '10px' }}>
+            <div>
+              <button onClick={() => shiftMonths(-12)} disabled={atFirstMonth} title={t('calendar.previousYear')} aria-label={t('calendar.previousYear')} style={navButtonStyle(atFirstMonth)}>«</button>
+              <button onClick={() => shiftMonths(-1)} disabled={atFirstMonth} title={t('calendar.previousMonth')} aria-label={t('calendar.previousMonth')} style={navButtonStyle(atFirstMonth)}>‹</button>
+            </div>
+            <div style={{ display: 'flex', gap: '4px' }}>
+              <select
+                value={view.month}
+                onChange={(e) => setView(clampView({ year: view.year, month: Number(e.target.value) }))}
+                aria-label={t('calendar.month')}
+                style={{ padding: '2px', borderRadius: '4px', border: '1px solid #ddd' }}
+              >
+                {months.map((name, index) => <option key={index} value={index}>{name}</option>)}
+              </select>
+              <select
+                value={view.year}
+                onChange={(e) => setView(clampView({ year: Number(e.target.value), month: view.month }))}
+                aria-label={t('calendar.year')}
+                style={{ padding: '2px', borderRadius: '4px', border: '1px solid #ddd' }}
+              >
+                {years.map(year => <option key={year} value={year}>{year}</option>)}
+              </select>
+            </div>
+            <div>
+              <button onClick={() => shiftMonths(1)} disabled={atLastMonth} title={t('calendar.nextMonth')} aria-label={t('calendar.nextMonth')} style={navButtonStyle(atLastMonth)}>›</button>
+              <button onClick={() => shiftMonths(12)} disabled={atLastMonth} title={t('calendar.nextYear')} aria-label={t('calendar.nextYear')} style={navButtonStyle(atLastMonth)}>»</button>
+            </div>
+          </div>
+
+          {/* Day Grid */}
+          <div ref={gridRef} onKeyDown={handleGridKeyDown} style={{ display: 'grid', gridTemplateColumns: 'repeat(7, 36px)', gap: '4px', justifyContent: 'center' }}>
+            {weekdays.map(day => (
+              <div key={day} style={{ textAlign: 'center', fontSize: '0.75rem', color: '#888', fontWeight: '600' }}>{day}</div>
+            ))}
+            {Array.from({ length: leadingBlanks }, (_, index) => <div key={`blank-${index}`} />)}
+            {Array.from({ length: daysInMonth }, (_, index) => {
+              const day = index + 1;
+              const date = formatDate(view.year, view.month, day);
+              const selectable = isSelectable(date);
+              const preview = hoverDate === date ? cached.get(date) : null;
+              const markers = { favorite: favoriteDates.has(date), viewed: viewed.has(date), cached: cached.has(date) };
+              const label = [
+                formatDisplayDate(date),
+                ...MARKERS.filter(([key]) => markers[key]).map(([, labelKey]) => t(labelKey))
+              ].join(', ');
+
+              return (
+                <button
+                  key={date}
+                  onClick={() => selectable && handleSelect(date)}
+                  onMouseEnter={() => setHoverDate(date)}
+                  onMouseLeave={() => setHoverDate(null)}
+                  disabled={!selectable}
+                  data-date={date}
+                  tabIndex={date === activeDate ? 0 : -1}
+                  aria-label={label}
+                  aria-current={date === value ? 'date' : undefined}
+                  style={cellStyle(date, selectable)}
+                >
+                  {day}
+                  {favoriteDates.has(date) && (
+                    <span style={{ position: 'absolute', top: '-2px', right: '1px', fontSize: '0.6rem' }}>★</span>
+                  )}
+                  {preview && (
+                    <div style={{
+                      position: 'absolute',
+                      bottom: 'calc(100% + 6px)',
+                      left: '50%',
+                      transform: 'translateX(-50%)',
+                      zIndex: 30,
+                      background: '#000814',
+                      borderRadius: '6px',
+                      padding: '4px',
+                      width: '96px',
+                      pointerEvents: 'none',
+                      boxShadow: '0 4px 12px rgba(0,0,0,0.4)'
+                    }}>
+                      {preview.thumbnail && (
+                        <img src={preview.thumbnail} alt="" style={{ width: '88px', height: '60px', objectFit: 'cover', borderRadius: '4px', display: 'block' }} />
+                      )}
+                      <div lang="en" style={{ color: 'white', fontSize: '0.65rem', marginTop: '3px', whiteSpace: 'nowrap', overflow: 'hidden', textOverflow: 'ellipsis' }}>
+                        {preview.title}
+                      </div>
+                    </div>
+                  )}
+                </button>
+              );
+            })}
+          </div>
+
+          {/* Legend */}
+          <div style={{ display: 'flex', gap: '10px', justifyContent: 'center', marginTop: '12px', fontSize: '0.75rem', color: '#666', flexWrap: 'wrap' }}>
+            {MARKERS.map(([key, labelKey]) => (
+              <span key={key} style={{ display: 'flex', alignItems: 'center', gap: '4px' }}>
+                <span style={{ width: '10px', height: '10px', borderRadius: '2px', background: CELL_COLORS[key], border: '1px solid #ddd' }} />
+                {t(labelKey)}
+              </span>
+            ))}
+          </div>
+
+          <div style={{ textAlign: 'center', marginTop: '10px' }}>
+            <button
+              onClick={() => handleSelect(getToday())}
+              style={{ padding: '4px 12px', border: '1px solid #007bff', borderRadius: '12px', background: 'white', color: '#007bff', cursor: 'pointer', fontSize: '0.8rem' }}
+            >
+              {t('calendar.today')}
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default CalendarPicker;
@@ -0,0 +1,143 @@
+import { render, screen, fireEvent, act, within } from '@testing-library/react';
+import CalendarPicker from './CalendarPicker';
+import apodCache from '../services/apodCache';
+import favoritesService from '../services/favorites';
+import i18n, { DEFAULT_LOCALE } from '../services/i18n';
+
+// Opening the calendar reads the offline cache for its markers
+const openCalendar = async (props = {}) => {
+  render(<CalendarPicker value="2024-01-15" onChange={jest.fn()} {...props} />);
+  fireEvent.click(screen.getByRole('button', { expanded: false }));
+  await act(() => apodCache.getAll());
+  return screen.getByRole('dialog');
+};
+
+beforeEach(() => {
+  localStorage.clear();
+  i18n.setLocale(DEFAULT_LOCALE);
+});
+
+afterEach(async () => {
+  favoritesService.getAll().forEach(favorite => favoritesService.remove(favorite.date));
+  await apodCache.clear();
+});
+
+test('names months, weekdays and controls in the UI language', async () => {
+  i18n.setLocale('fr');
+  await openCalendar();
+
+  expect(screen.getByRole('button', { name: '📅 15 janvier 2024', expanded: true })).toBeInTheDocument();
+  expect(screen.getByRole('dialog', { name: 'Choisir une date d’APOD' })).toBeInTheDocument();
+  expect(screen.getByRole('combobox', { name: 'Mois' })).toHaveDisplayValue('janvier');
+  expect(screen.getByText('lun.')).toBeInTheDocument();
+  expect(screen.getByRole('button', { name: 'Mois suivant' })).toBeInTheDocument();
+  expect(screen.getByRole('button', { name: '15 janvier 2024' })).toHaveAttribute('aria-current', 'date');
+});
+
+test('marks viewed, favorite and cached days and previews cached ones on hover', async () => {
+  localStorage.setItem('nasa-explorer:viewed', JSON.stringify(['2024-01-10']));
+  favoritesService.add({ date: '2024-01-12', title: 'Favorite Nebula', media_type: 'image', url: 'https://apod.nasa.gov/fav.jpg' });
+  await apodCache.set('2024-01-14', { title: 'Cached Galaxy', media_type: 'image', url: 'https://apod.nasa.gov/galaxy.jpg' });
+
+  await openCalendar();
+
+  expect(screen.getByRole('button', { name: 'January 10, 2024, Viewed' })).toBeInTheDocument();
+  expect(screen.getByRole('button', { name: 'January 12, 2024, Favorite' })).toHaveTextContent('★');
+  const cachedDay = screen.getByRole('button', { name: 'January 14, 2024, Saved offline' });
+  expect(screen.getByRole('button', { name: 'January 13, 2024' })).toBeInTheDocument();
+
+  // Only cached days have a preview
+  fireEvent.mouseEnter(screen.getByRole('button', { name: 'January 10, 2024, Viewed' }));
+  expect(screen.queryByRole('presentation')).not.toBeInTheDocument();
+
+  fireEvent.mouseEnter(cachedDay);
+  expect(within(cachedDay).getByRole('presentation')).toHaveAttribute('src', 'https://apod.nasa.gov/galaxy.jpg');
+  expect(within(cachedDay).getByText('Cached Galaxy')).toBeInTheDocument();
+
+  fireEvent.mouseLeave(cachedDay);
+  expect(screen.queryByText('Cached Galaxy')).not.toBeInTheDocument();
+});
+
+test('keeps navigation within the first APOD and today', async () => {
+  jest.useFakeTimers('modern');
+  jest.setSystemTime(new Date('2024-03-20T12:00:00Z'));
+
+  try {
+    await openCalendar({ value: '1995-06-20' });
+
+    // No month before the first APOD
+    expect(screen.getByRole('button', { name: 'Previous month' })).toBeDisabled();
+    expect(screen.getByRole('button', { name: 'Previous year' })).toBeDisabled();
+    expect(screen.getByRole('button', { name: 'June 15, 1995' })).toBeDisabled();
+    expect(screen.getByRole('button', { name: 'June 16, 1995' })).toBeEnabled();
+
+    // Jumping a year from late in the range stops at the current month
+    fireEvent.change(screen.getByRole('combobox', { name: 'Year' }), { target: { value: '2023' } });
+    fireEvent.change(screen.getByRole('combobox', { name: 'Month' }), { target: { value: '11' } });
+    fireEvent.click(screen.getByRole('button', { name: 'Next year' }));
+    expect(screen.getByRole('combobox', { name: 'Month' })).toHaveDisplayValue('March');
+    expect(screen.getByRole('combobox', { name: 'Year' })).toHaveDisplayValue('2024');
+    expect(screen.getByRole('button', { name: 'Next month' })).toBeDisabled();
+    expect(screen.getByRole('button', { name: 'March 20, 2024' })).toBeEnabled();
+    expect(screen.getByRole('button', { name: 'March 21, 2024' })).toBeDisabled();
+
+    // Picking a month of the first year that precedes the first APOD
+    fireEvent.change(screen.getByRole('combobox', { name: 'Year' }), { target: { value: '1995' } });
+    expect(screen.getByRole('combobox', { name: 'Month' })).toHaveDisplayValue('June');
+  } finally {
+    jest.useRealTimers();
+  }
+});
+
+test('moves between days with the keyboard and selects with Enter', async () => {
+  const onChange = jest.fn();
+  const viewerShortcut = jest.fn();
+  document.addEventListener('keydown', viewerShortcut);
+  await openCalendar({ onChange });
+
+  const selected = screen.getByRole('button', { name: 'January 15, 2024' });
+  expect(selected).toHaveAttribute('tabindex', '0');
+  expect(screen.getByRole('button', { name: 'January 16, 2024' })).toHaveAttribute('tabindex', '-1');
+
+  fireEvent.keyDown(selected, { key: 'ArrowRight' });
+  expect(screen.getByRole('button', { name: 'January 16, 2024' })).toHaveFocus();
+  fireEvent.keyDown(screen.getByRole('button', { name: 'January 16, 2024' }), { key: 'ArrowDown' });
+  expect(screen.getByRole('button', { name: 'January 23, 2024' })).toHaveFocus();
+  fireEvent.keyDown(screen.getByRole('button', { name: 'January 23, 2024' }), { key: 'End' });
+  expect(screen.getByRole('button', { name: 'January 31, 2024' })).toHaveFocus();
+
+  // Moving past the end of the month shows the next one
+  fireEvent.keyDown(screen.getByRole('button', { name: 'January 31, 2024' }), { key: 'ArrowRight' });
+  expect(screen.getByRole('combobox', { name: 'Month' })).toHaveDisplayValue('February');
+  expect(screen.getByRole('button', { name: 'February 1, 2024' })).toHaveFocus();
+
+  fireEvent.keyDown(screen.getByRole('button', { name: 'February 1, 2024' }), { key: 'PageUp', shiftKey: true });
+  expect(screen.getByRole('button', { name: 'February 1, 2023' })).toHaveFocus();
+  fireEvent.keyDown(screen.getByRole('button', { name: 'February 1, 2023' }), { key: 'ArrowUp' });
+  expect(screen.getByRole('button', { name: 'January 25, 2023' })).toHaveFocus();
+
+  // The viewer's arrow-key shortcuts don't see keys handled by the grid
+  expect(viewerShortcut).not.toHaveBeenCalled();
+  document.removeEventListener('keydown', viewerShortcut);
+
+  fireEvent.keyDown(screen.getByRole('button', { name: 'January 25, 2023' }), { key: 'Enter' });
+  expect(onChange).toHaveBeenCalledWith('2023-01-25');
+  expect(screen.queryByRole('dialog')).not.toBeInTheDocument();
+});
+
+test('stops keyboard movement at the first APOD', async () => {
+  await openCalendar({ value: '1995-06-17' });
+
+  fireEvent.keyDown(screen.getByRole('button', { name: 'June 17, 1995' }), { key: 'PageUp' });
+  expect(screen.getByRole('button', { name: 'June 16, 1995' })).toHaveFocus();
+  fireEvent.keyDown(screen.getByRole('button', { name: 'June 16, 1995' }), { key: 'ArrowLeft' });
+  expect(screen.getByRole('button', { name: 'June 16, 1995' })).toHaveFocus();
+  expect(screen.getByRole('combobox', { name: 'Month' })).toHaveDisplayValue('June');
+});
+
+test('closes on Escape', async () => {
+  await openCalendar();
+
+  fireEvent.keyDown(document, { key: 'Escape' });
+  expect(screen.queryByRole('dialog')).not.toBeInTheDocument();
+});
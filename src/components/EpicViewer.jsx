@@ -0,0 +1,321 @@
+import React, { useState, useEffect } from 'react';
+import { useSearchParams } from 'react-router-dom';
+import apiService, { getErrorMessage, logError } from '../services/api';
+import { EPIC_COLLECTIONS, EPIC_START_DATE } from '../utils/epic';
+import { getToday } from '../utils/dates';
+import useI18n from '../hooks/useI18n';
+import useImagePreloader from '../hooks/useImagePreloader';
+
+// Delay between animation frames; EPIC takes roughly one image every
+// one to two hours, so this shows a day's rotation in a few seconds
+const FRAME_MS = 400;
+
+const cardStyle = {
+  background: 'rgba(255,255,255,0.95)',
+  borderRadius: '15px',
+  padding: '30px',
+  marginBottom: '30px',
+  boxShadow: '0 8px 25px rgba(0,0,0,0.15)',
+  border: '1px solid rgba(255,255,255,0.3)'
+};
+
+const labelStyle = {
+  fontSize: '0.9rem',
+  fontWeight: '600',
+  color: '#333',
+  marginBottom: '8px',
+  display: 'block'
+};
+
+const inputStyle = {
+  padding: '10px 12px',
+  borderRadius: '10px',
+  border: '2px solid #e0e0e0',
+  fontSize: '0.95rem',
+  color: '#333',
+  background: 'white'
+};
+
+const modeButtonStyle = (active) => ({
+  padding: '8px 16px',
+  borderRadius: '20px',
+  border: '1px solid #007bff',
+  background: active ? '#007bff' : 'white',
+  color: active ? 'white' : '#007bff',
+  cursor: 'pointer',
+  fontSize: '0.9rem'
+});
+
+const FrameFact = ({ label, value }) => (
+  <div>
+    <div style={{ fontSize: '0.75rem', color: '#888', textTransform: 'uppercase' }}>{label}</div>
+    <div style={{ fontWeight: '600', color: '#333' }}>{value}</div>
+  </div>
+);
+
+const EpicViewer = () => {
+  const { t, locale } = useI18n();
+
+  // Without a date in the URL, show EPIC's most recent day
+  const [searchParams, setSearchParams] = useSearchParams();
+  const date = searchParams.get('date') || '';
+  const collection = EPIC_COLLECTIONS.includes(searchParams.get('collection')) ? searchParams.get('collection') : 'natural';
+
+  const [dateDraft, setDateDraft] = useState(date);
+  const [frames, setFrames] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [index, setIndex] = useState(0);
+  const [playing, setPlaying] = useState(false);
+
+  const preload = useImagePreloader(frames.map(frame => frame.imageUrl));
+
+  useEffect(() => {
+    setDateDraft(date);
+
+    let cancelled = false;
+    setLoading(true);
+    setError(null);
+    setPlaying(false);
+
+    apiService.fetchEpicImages(date || null, collection)
+      .then((data) => {
+        if (cancelled) return;
+        setFrames(data);
+        setIndex(0);
+      })
+      .catch((err) => {
+        if (cancelled) return;
+        setFrames([]);
+        setError(err);
+        logError(err, 'EpicViewer.fetchEpicImages');
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [date, collection]);
+
+  // Only animate once every frame is in the cache
+  useEffect(() => {
+    if (!playing || !preload.ready) return undefined;
+
+    const timer = setInterval(() => {
+      setIndex(current => (current + 1) % frames.length);
+    }, FRAME_MS);
+
+    return () => clearInterval(timer);
+  }, [playing, preload.ready, frames.length]);
+
+  const showDay = () => {
+    try {
+      apiService.validateEpicQuery(dateDraft, collection);
+    } catch (err) {
+      setError(err);
+      return;
+    }
+    setSearchParams(dateDraft ? { date: dateDraft, collection } : { collection });
+  };
+
+  const changeCollection = (nextCollection) => {
+    setSearchParams(date ? { date, collection: nextCollection } : { collection: nextCollection });
+  };
+
+  const selectFrame = (nextIndex) => {
+    setPlaying(false);
+    setIndex(nextIndex);
+  };
+
+  const frame = frames[index];
+  const formatTime = (time) => new Intl.DateTimeFormat(locale, { timeStyle: 'short', timeZone: 'UTC' }).format(time);
+  const round = (value) => Math.round(value * 100) / 100;
+
+  return (
+    <div style={{ padding: '0 20px 40px' }}>
+      <div style={{ maxWidth: '1000px', margin: '0 auto' }}>
+
+        {/* Day Controls */}
+        <div style={cardStyle}>
+          <h3 style={{ color: '#333', marginBottom: '10px', fontSize: '1.5rem' }}>{t('epic.heading')}</h3>
+          <p style={{ color: '#666', marginBottom: '20px' }}>{t('epic.intro')}</p>
+
+          <div style={{ display: 'flex', gap: '20px', alignItems: 'flex-end', flexWrap: 'wrap' }}>
+            <div>
+              <span style={labelStyle}>{t('epic.collection')}</span>
+              <div style={{ display: 'flex', gap: '8px' }}>
+                {EPIC_COLLECTIONS.map(id => (
+                  <button
+                    key={id}
+                    onClick={() => changeCollection(id)}
+                    aria-pressed={collection === id}
+                    style={modeButtonStyle(collection === id)}
+                  >
+                    {t(`epic.${id}`)}
+                  </button>
+                ))}
+              </div>
+            </div>
+            <div>
+              <label htmlFor="epic-date" style={labelStyle}>{t('epic.date')}</label>
+              <input
+                id="epic-date"
+                type="date"
+                min={EPIC_START_DATE}
+                max={getToday()}
+                value={dateDraft}
+                onChange={(e) => setDateDraft(e.target.value)}
+                style={inputStyle}
+              />
+            </div>
+            <button
+              onClick={showDay}
+              disabled={loading}
+              style={{
+                padding: '12px 30px',
+                background: loading ? '#ccc' : 'linear-gradient(135deg, #007bff 0%, #0056b3 100%)',
+                color: 'white',
+                border: 'none',
+                borderRadius: '10px',
+                cursor: loading ? 'not-allowed' : 'pointer',
+                fontSize: '1rem',
+                fontWeight: '600'
+              }}
+            >
+              {t(loading ? 'epic.loadingButton' : 'epic.load')}
+            </button>
+          </div>
+        </div>
+
+        {/* Error State */}
+        {error && (
+          <div style={{
+            color: '#d32f2f',
+            backgroundColor: '#ffebee',
+            border: '1px solid #f44336',
+            padding: '20px',
+            borderRadius: '8px',
+            marginBottom: '20px',
+            textAlign: 'center'
+          }}>
+            <p>❌ {getErrorMessage(error)}</p>
+          </div>
+        )}
+
+        {loading && (
+          <p style={{ textAlign: 'center', color: 'white', fontSize: '1.1rem' }}>{t('epic.loading')}</p>
+        )}
+
+        {!loading && !error && frames.length === 0 && (
+          <p style={{ textAlign: 'center', color: 'white', fontSize: '1.1rem' }}>{t('epic.noImages')}</p>
+        )}
+
+        {!loading && frame && (
+          <>
+            {/* Player */}
+            <div style={cardStyle}>
+              <p style={{ color: '#555', marginTop: 0, marginBottom: '15px' }}>
+                {t('epic.dayInfo', { count: frames.length, date: frame.date })}
+              </p>
+
+              <div style={{ background: '#000', borderRadius: '12px', overflow: 'hidden', textAlign: 'center' }}>
+                <img
+                  src={frame.imageUrl}
+                  alt={t('epic.frameAlt', { time: formatTime(frame.time), date: frame.date })}
+                  style={{ width: '100%', maxWidth: '600px', aspectRatio: '1', display: 'block', margin: '0 auto' }}
+                />
+              </div>
+
+              <div style={{ display: 'flex', alignItems: 'center', gap: '15px', marginTop: '20px', flexWrap: 'wrap' }}>
+                <button
+                  onClick={() => setPlaying(!playing)}
+                  disabled={!preload.ready || frames.length < 2}
+                  style={{
+                    padding: '10px 20px',
+                    minWidth: '150px',
+                    backgroundColor: !preload.ready || frames.length < 2 ? '#ccc' : '#28a745',
+                    color: 'white',
+                    border: 'none',
+                    borderRadius: '8px',
+                    cursor: !preload.ready || frames.length < 2 ? 'not-allowed' : 'pointer',
+                    fontSize: '0.95rem'
+                  }}
+                >
+                  {!preload.ready
+                    ? t('epic.preloading', { loaded: preload.loaded, total: preload.total })
+                    : t(playing ? 'epic.pause' : 'epic.play')}
+                </button>
+                <input
+                  type="range"
+                  min="0"
+                  max={frames.length - 1}
+                  value={index}
+                  onChange={(e) => selectFrame(Number(e.target.value))}
+                  aria-label={t('epic.scrubber')}
+                  aria-valuetext={t('epic.capturedValue', { time: formatTime(frame.time) })}
+                  style={{ flex: 1, minWidth: '200px' }}
+                />
+                <span style={{ color: '#555', fontSize: '0.9rem' }}>
+                  {t('epic.frameOf', { frame: index + 1, total: frames.length })}
+                </span>
+              </div>
+
+              <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(160px, 1fr))', gap: '15px', marginTop: '20px' }}>
+                <FrameFact label={t('epic.captured')} value={t('epic.capturedValue', { time: formatTime(frame.time) })} />
+                <FrameFact label={t('epic.centroid')} value={t('epic.centroidValue', { lat: round(frame.lat), lon: round(frame.lon) })} />
+                <div>
+                  <a href={frame.fullUrl} target="_blank" rel="noopener noreferrer" style={{ color: '#007bff', textDecoration: 'none' }}>
+                    {t('epic.fullResolution')}
+                  </a>
+                </div>
+              </div>
+              {frame.caption && (
+                <p lang="en" style={{ color: '#666', fontSize: '0.9rem', marginTop: '15px', marginBottom: 0 }}>{frame.caption}</p>
+              )}
+            </div>
+
+            {/* All Frames */}
+            <div style={cardStyle}>
+              <h4 style={{ color: '#333', marginTop: 0, marginBottom: '15px' }}>{t('epic.frames')}</h4>
+              <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fill, minmax(120px, 1fr))', gap: '12px' }}>
+                {frames.map((item, itemIndex) => (
+                  <button
+                    key={item.id}
+                    onClick={() => selectFrame(itemIndex)}
+                    aria-pressed={itemIndex === index}
+                    style={{
+                      background: 'white',
+                      border: itemIndex === index ? '2px solid #007bff' : '2px solid transparent',
+                      borderRadius: '10px',
+                      padding: '6px',
+                      cursor: 'pointer',
+                      boxShadow: '0 2px 8px rgba(0,0,0,0.12)',
+                      textAlign: 'center'
+                    }}
+                  >
+                    <img
+                      src={item.imageUrl}
+                      alt=""
+                      loading="lazy"
+                      style={{ width: '100%', aspectRatio: '1', background: '#000', borderRadius: '6px', display: 'block' }}
+                    />
+                    <div style={{ fontSize: '0.85rem', fontWeight: '600', color: '#333', marginTop: '6px' }}>
+                      {t('epic.capturedValue', { time: formatTime(item.time) })}
+                    </div>
+                    <div style={{ fontSize: '0.75rem', color: '#666' }}>
+                      {t('epic.centroidValue', { lat: round(item.lat), lon: round(item.lon) })}
+                    </div>
+                  </button>
+                ))}
+              </div>
+            </div>
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default EpicViewer;
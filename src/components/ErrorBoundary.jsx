@@ -1,4 +1,5 @@
 import React from 'react';
+import { t } from '../services/i18n';
 
 class ErrorBoundary extends React.Component {
   constructor(props) {
@@ -47,6 +48,8 @@ class ErrorBoundary extends React.Component {
     });
   };
 
+  // Messages come from the current UI language; the fallback replaces the
+  // whole app, language switcher included, so it never needs to re-render for it
   render() {
     if (this.state.hasError) {
       return (
@@ -84,7 +87,7 @@ class ErrorBoundary extends React.Component {
               marginBottom: '15px',
               fontWeight: '600'
             }}>
-              Something went wrong
+              {t('errorBoundary.title')}
             </h2>
 
             {/* Error Message */}
@@ -94,8 +97,7 @@ class ErrorBoundary extends React.Component {
               marginBottom: '25px',
               lineHeight: '1.6'
             }}>
-              We encountered an unexpected error while loading the application. 
-              This might be a temporary issue.
+              {t('errorBoundary.message')}
             </p>
 
             {/* Error Details (only in development) */}
@@ -114,10 +116,10 @@ class ErrorBoundary extends React.Component {
                   color: '#495057',
                   marginBottom: '10px'
                 }}>
-                  Error Details (Development)
+                  {t('errorBoundary.details')}
                 </summary>
                 <div style={{ fontSize: '0.9rem', color: '#6c757d' }}>
-                  <p><strong>Error:</strong> {this.state.error.toString()}</p>
+                  <p><strong>{t('errorBoundary.error')}</strong> {this.state.error.toString()}</p>
                   {this.state.errorInfo && (
                     <pre style={{
                       backgroundColor: '#e9ecef',
@@ -156,7 +158,7 @@ class ErrorBoundary extends React.Component {
                 onMouseOver={(e) => e.target.style.backgroundColor = '#0056b3'}
                 onMouseOut={(e) => e.target.style.backgroundColor = '#007bff'}
               >
-                🔄 Try Again
+                {t('errorBoundary.tryAgain')}
               </button>
 
               <button
@@ -175,7 +177,7 @@ class ErrorBoundary extends React.Component {
                 onMouseOver={(e) => e.target.style.backgroundColor = '#545b62'}
                 onMouseOut={(e) => e.target.style.backgroundColor = '#6c757d'}
               >
-                🔄 Reset
+                {t('errorBoundary.reset')}
               </button>
 
               <button
@@ -194,7 +196,7 @@ class ErrorBoundary extends React.Component {
                 onMouseOver={(e) => e.target.style.backgroundColor = '#1e7e34'}
                 onMouseOut={(e) => e.target.style.backgroundColor = '#28a745'}
               >
-                🔄 Reload Page
+                {t('errorBoundary.reload')}
               </button>
             </div>
 
@@ -205,7 +207,7 @@ class ErrorBoundary extends React.Component {
                 fontSize: '0.9rem',
                 color: '#6c757d'
               }}>
-                Retry attempts: {this.state.retryCount}
+                {t('errorBoundary.retryCount', { count: this.state.retryCount })}
               </p>
             )}
 
@@ -222,8 +224,7 @@ class ErrorBoundary extends React.Component {
                 fontSize: '0.9rem',
                 color: '#0066cc'
               }}>
-                <strong>Still having issues?</strong> Please check your internet connection 
-                or try refreshing the page. If the problem persists, the service might be temporarily unavailable.
+                <strong>{t('errorBoundary.helpTitle')}</strong> {t('errorBoundary.help')}
               </p>
             </div>
           </div>
@@ -0,0 +1,257 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { useNavigate } from 'react-router-dom';
+import favoritesService from '../services/favorites';
+import useFavorites from '../hooks/useFavorites';
+import useI18n from '../hooks/useI18n';
+import { getErrorMessage, logError } from '../services/api';
+import { getToday } from '../utils/dates';
+import { downloadFile } from '../utils/download';
+
+const buttonStyle = (background, color = 'white') => ({
+  padding: '8px 16px',
+  backgroundColor: background,
+  color,
+  border: 'none',
+  borderRadius: '8px',
+  cursor: 'pointer',
+  fontSize: '0.9rem'
+});
+
+const FavoriteCard = ({ favorite, onOpen, onUpdate, onRemove, onTagClick }) => {
+  const { t } = useI18n();
+  const [tagDraft, setTagDraft] = useState(favorite.tags.join(', '));
+  const [notesDraft, setNotesDraft] = useState(favorite.notes);
+  const thumbnail = favorite.media_type === 'image' ? favorite.url : favorite.thumbnail_url;
+  const savedTags = favorite.tags.join(', ');
+
+  // Pick up changes made elsewhere, e.g. by an import
+  useEffect(() => setTagDraft(savedTags), [savedTags]);
+  useEffect(() => setNotesDraft(favorite.notes), [favorite.notes]);
+
+  return (
+    <div style={{
+      background: 'white',
+      borderRadius: '12px',
+      overflow: 'hidden',
+      boxShadow: '0 4px 15px rgba(0,0,0,0.15)',
+      display: 'flex',
+      flexDirection: 'column'
+    }}>
+      <button
+        onClick={() => onOpen(favorite)}
+        title={t('favorites.openTitle', { title: favorite.title })}
+        style={{ border: 'none', padding: '0', cursor: 'pointer', background: '#000' }}
+      >
+        {thumbnail ? (
+          <img
+            src={thumbnail}
+            lang="en"
+            alt={favorite.title}
+            loading="lazy"
+            style={{ width: '100%', height: '160px', objectFit: 'cover', display: 'block' }}
+          />
+        ) : (
+          <div style={{ height: '160px', color: 'white', display: 'flex', alignItems: 'center', justifyContent: 'center', fontSize: '2rem' }}>
+            📹
+          </div>
+        )}
+      </button>
+
+      <div style={{ padding: '15px', display: 'flex', flexDirection: 'column', gap: '10px', flex: 1 }}>
+        <div>
+          <div lang="en" style={{ fontWeight: '600', color: '#333' }}>{favorite.title}</div>
+          <div style={{ fontSize: '0.8rem', color: '#666', marginTop: '4px' }}>📅 {favorite.date}</div>
+        </div>
+
+        {favorite.tags.length > 0 && (
+          <div style={{ display: 'flex', gap: '6px', flexWrap: 'wrap' }}>
+            {favorite.tags.map(tag => (
+              <button
+                key={tag}
+                onClick={() => onTagClick(tag)}
+                style={{
+                  padding: '2px 10px',
+                  backgroundColor: '#e7f3ff',
+                  color: '#0066cc',
+                  border: 'none',
+                  borderRadius: '10px',
+                  fontSize: '0.8rem',
+                  cursor: 'pointer'
+                }}
+              >
+                #{tag}
+              </button>
+            ))}
+          </div>
+        )}
+
+        <label style={{ fontSize: '0.8rem', fontWeight: '600', color: '#333' }}>
+          {t('favorites.tags')}
+          <input
+            type="text"
+            value={tagDraft}
+            onChange={(e) => setTagDraft(e.target.value)}
+            onBlur={() => onUpdate(favorite.date, { tags: tagDraft })}
+            placeholder={t('favorites.tagsPlaceholder')}
+            style={{ display: 'block', width: '100%', marginTop: '4px', padding: '6px 8px', borderRadius: '6px', border: '1px solid #ddd' }}
+          />
+        </label>
+
+        <label style={{ fontSize: '0.8rem', fontWeight: '600', color: '#333' }}>
+          {t('favorites.notes')}
+          <textarea
+            value={notesDraft}
+            onChange={(e) => setNotesDraft(e.target.value)}
+            onBlur={() => onUpdate(favorite.date, { notes: notesDraft })}
+            rows={3}
+            style={{ display: 'block', width: '100%', marginTop: '4px', padding: '6px 8px', borderRadius: '6px', border: '1px solid #ddd', resize: 'vertical', fontFamily: 'inherit' }}
+          />
+        </label>
+
+        <div style={{ display: 'flex', gap: '8px', marginTop: 'auto' }}>
+          <button onClick={() => onOpen(favorite)} style={buttonStyle('#007bff')}>
+            {t('favorites.open')}
+          </button>
+          <button onClick={() => onRemove(favorite.date)} style={buttonStyle('#dc3545')}>
+            {t('favorites.remove')}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+const FavoritesPage = () => {
+  const { t } = useI18n();
+  const navigate = useNavigate();
+  const { favorites, updateFavorite, removeFavorite } = useFavorites();
+  const [query, setQuery] = useState('');
+  const [tagFilter, setTagFilter] = useState('');
+  const [message, setMessage] = useState(null);
+  const fileInputRef = useRef(null);
+
+  const tags = favoritesService.getTags();
+  const normalizedQuery = query.trim().toLowerCase();
+  const visible = favorites.filter(favorite => {
+    if (tagFilter && !favorite.tags.includes(tagFilter)) return false;
+    if (!normalizedQuery) return true;
+    return [favorite.title, favorite.notes, favorite.date, ...favorite.tags]
+      .some(value => (value || '').toLowerCase().includes(normalizedQuery));
+  });
+
+  const handleOpen = (favorite) => {
+    navigate(`/apod/${favorite.date}`, { state: { apod: favorite } });
+  };
+
+  const handleExport = () => {
+    downloadFile(`nasa-explorer-favorites-${getToday()}.json`, favoritesService.exportJSON(), 'application/json');
+  };
+
+  const handleImport = async (event) => {
+    const file = event.target.files[0];
+    event.target.value = ''; // Allow importing the same file again
+    if (!file) return;
+
+    try {
+      const { imported, rejected } = favoritesService.importJSON(await file.text());
+      setMessage({
+        type: 'success',
+        text: rejected
+          ? t('favorites.importedSomeRejected', { count: imported, rejected })
+          : t('favorites.imported', { count: imported })
+      });
+    } catch (err) {
+      setMessage({ type: 'error', text: getErrorMessage(err) });
+      logError(err, 'FavoritesPage.handleImport');
+    }
+  };
+
+  return (
+    <div style={{ padding: '40px 20px' }}>
+      <div style={{ maxWidth: '1000px', margin: '0 auto' }}>
+
+        {/* Toolbar */}
+        <div style={{
+          background: 'rgba(255,255,255,0.95)',
+          borderRadius: '15px',
+          padding: '30px',
+          marginBottom: '30px',
+          boxShadow: '0 8px 25px rgba(0,0,0,0.15)'
+        }}>
+          <h3 style={{ color: '#333', marginBottom: '20px', fontSize: '1.5rem' }}>
+            {t('favorites.heading', { count: favorites.length })}
+          </h3>
+
+          <div style={{ display: 'flex', gap: '15px', flexWrap: 'wrap', alignItems: 'center' }}>
+            <input
+              type="search"
+              value={query}
+              onChange={(e) => setQuery(e.target.value)}
+              placeholder={t('favorites.filter')}
+              aria-label={t('favorites.filter')}
+              style={{ flex: '1 1 220px', padding: '10px 12px', borderRadius: '10px', border: '2px solid #e0e0e0', fontSize: '0.95rem' }}
+            />
+            <select
+              value={tagFilter}
+              onChange={(e) => setTagFilter(e.target.value)}
+              aria-label={t('favorites.tagFilter')}
+              style={{ padding: '10px 12px', borderRadius: '10px', border: '2px solid #e0e0e0', fontSize: '0.95rem' }}
+            >
+              <option value="">{t('favorites.allTags')}</option>
+              {tags.map(tag => (
+                <option key={tag} value={tag}>#{tag}</option>
+              ))}
+            </select>
+            <button onClick={handleExport} disabled={favorites.length === 0} style={buttonStyle(favorites.length === 0 ? '#ccc' : '#28a745')}>
+              {t('favorites.export')}
+            </button>
+            <button onClick={() => fileInputRef.current.click()} style={buttonStyle('#6f42c1')}>
+              {t('favorites.import')}
+            </button>
+            <input
+              ref={fileInputRef}
+              type="file"
+              accept="application/json,.json"
+              onChange={handleImport}
+              style={{ display: 'none' }}
+            />
+          </div>
+
+          {message && (
+            <p style={{ marginTop: '15px', color: message.type === 'error' ? '#d32f2f' : '#28a745' }}>
+              {message.type === 'error' ? '❌' : '✅'} {message.text}
+            </p>
+          )}
+        </div>
+
+        {/* Favorites Grid */}
+        {visible.length > 0 ? (
+          <div style={{
+            display: 'grid',
+            gridTemplateColumns: 'repeat(auto-fill, minmax(260px, 1fr))',
+            gap: '20px'
+          }}>
+            {visible.map(favorite => (
+              <FavoriteCard
+                key={favorite.date}
+                favorite={favorite}
+                onOpen={handleOpen}
+                onUpdate={updateFavorite}
+                onRemove={removeFavorite}
+                onTagClick={setTagFilter}
+              />
+            ))}
+          </div>
+        ) : (
+          <p style={{ color: 'white', textAlign: 'center', fontSize: '1.1rem' }}>
+            {favorites.length === 0
+              ? t('favorites.empty')
+              : t('favorites.noMatch')}
+          </p>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default FavoritesPage;
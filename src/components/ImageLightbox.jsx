@@ -0,0 +1,365 @@
+import React, { useState, useEffect, useRef } from 'react';
+import useI18n from '../hooks/useI18n';
+
+const MIN_SCALE = 1;
+const MAX_SCALE = 8;
+const ZOOM_STEP = 1.25;
+const PAN_STEP = 60;
+
+const FOCUSABLE = 'a[href], button:not([disabled]), [tabindex]:not([tabindex="-1"])';
+
+const clampScale = (scale) => Math.min(MAX_SCALE, Math.max(MIN_SCALE, scale));
+
+const distance = (a, b) => Math.hypot(a.x - b.x, a.y - b.y);
+
+// Download the HD file with progress when CORS allows reading the body,
+// otherwise fall back to a plain image load with no progress information
+const loadHDImage = (url, onProgress, signal) => fetch(url, { signal })
+  .then(async (response) => {
+    if (!response.ok || !response.body) throw new Error(`HTTP ${response.status}`);
+
+    const total = Number(response.headers.get('Content-Length')) || 0;
+    const reader = response.body.getReader();
+    const chunks = [];
+    let received = 0;
+
+    for (;;) {
+      const { done, value } = await reader.read();
+      if (done) break;
+      chunks.push(value);
+      received += value.length;
+      onProgress(total ? received / total : null);
+    }
+
+    return URL.createObjectURL(new Blob(chunks, { type: response.headers.get('Content-Type') || 'image/jpeg' }));
+  })
+  .catch((error) => {
+    if (error.name === 'AbortError') throw error;
+    onProgress(null);
+    return new Promise((resolve, reject) => {
+      const image = new Image();
+      image.onload = () => resolve(url);
+      image.onerror = reject;
+      image.src = url;
+    });
+  });
+
+const ImageLightbox = ({ src, hdSrc, alt, onClose }) => {
+  const { t } = useI18n();
+  const [displaySrc, setDisplaySrc] = useState(src);
+  const [hdStatus, setHdStatus] = useState(hdSrc && hdSrc !== src ? 'loading' : 'none'); // none | loading | loaded | failed
+  const [progress, setProgress] = useState(0); // 0..1, or null when unknown
+  const [transform, setTransform] = useState({ scale: 1, x: 0, y: 0 });
+
+  const dialogRef = useRef(null);
+  const closeButtonRef = useRef(null);
+  const stageRef = useRef(null);
+  const pointersRef = useRef(new Map());
+  const gestureRef = useRef(null);
+
+  // Swap in the HD image once it has fully downloaded
+  useEffect(() => {
+    if (!hdSrc || hdSrc === src) return undefined;
+
+    const controller = new AbortController();
+    let objectUrl = null;
+
+    loadHDImage(hdSrc, setProgress, controller.signal)
+      .then((loadedUrl) => {
+        if (loadedUrl.startsWith('blob:')) objectUrl = loadedUrl;
+        setDisplaySrc(loadedUrl);
+        setHdStatus('loaded');
+      })
+      .catch((error) => {
+        if (error.name !== 'AbortError') setHdStatus('failed');
+      });
+
+    return () => {
+      controller.abort();
+      if (objectUrl) URL.revokeObjectURL(objectUrl);
+    };
+  }, [src, hdSrc]);
+
+  // Lock page scrolling while the lightbox is open
+  useEffect(() => {
+    const previous = document.body.style.overflow;
+    document.body.style.overflow = 'hidden';
+    return () => {
+      document.body.style.overflow = previous;
+    };
+  }, []);
+
+  // Move focus into the lightbox and give it back to the opener on close
+  useEffect(() => {
+    const opener = document.activeElement;
+    closeButtonRef.current.focus();
+    return () => opener?.focus?.();
+  }, []);
+
+  // Keep Tab and Shift+Tab cycling through the toolbar
+  const trapFocus = (event) => {
+    const focusable = Array.from(dialogRef.current.querySelectorAll(FOCUSABLE));
+    const first = focusable[0];
+    const last = focusable[focusable.length - 1];
+    const inside = dialogRef.current.contains(document.activeElement);
+
+    if (event.shiftKey && (!inside || document.activeElement === first)) {
+      event.preventDefault();
+      last.focus();
+    } else if (!event.shiftKey && (!inside || document.activeElement === last)) {
+      event.preventDefault();
+      first.focus();
+    }
+  };
+
+  // Zoom by a factor around a point given relative to the stage centre
+  const zoomAt = (factor, point = { x: 0, y: 0 }) => {
+    setTransform(prev => {
+      const scale = clampScale(prev.scale * factor);
+      if (scale === MIN_SCALE) return { scale, x: 0, y: 0 };
+
+      const ratio = scale / prev.scale;
+      return {
+        scale,
+        x: point.x - (point.x - prev.x) * ratio,
+        y: point.y - (point.y - prev.y) * ratio
+      };
+    });
+  };
+
+  const pan = (dx, dy) => {
+    setTransform(prev => (prev.scale === MIN_SCALE ? prev : { ...prev, x: prev.x + dx, y: prev.y + dy }));
+  };
+
+  const reset = () => setTransform({ scale: 1, x: 0, y: 0 });
+
+  const toStagePoint = (clientX, clientY) => {
+    const rect = stageRef.current.getBoundingClientRect();
+    return { x: clientX - rect.left - rect.width / 2, y: clientY - rect.top - rect.height / 2 };
+  };
+
+  // Wheel zoom needs a non-passive listener to stop the page (or browser) zooming
+  useEffect(() => {
+    const stage = stageRef.current;
+    const handleWheel = (event) => {
+      event.preventDefault();
+      const factor = Math.exp(-event.deltaY * (event.ctrlKey ? 0.01 : 0.002));
+      zoomAt(factor, toStagePoint(event.clientX, event.clientY));
+    };
+    stage.addEventListener('wheel', handleWheel, { passive: false });
+    return () => stage.removeEventListener('wheel', handleWheel);
+  }, []);
+
+  // Keyboard: Escape closes, +/- zoom, 0 resets, arrows pan, Tab stays inside
+  useEffect(() => {
+    const handleKey = (event) => {
+      if (event.key === 'Tab') {
+        trapFocus(event);
+        return;
+      }
+
+      switch (event.key) {
+        case 'Escape':
+          onClose();
+          break;
+        case '+':
+        case '=':
+          zoomAt(ZOOM_STEP);
+          break;
+        case '-':
+          zoomAt(1 / ZOOM_STEP);
+          break;
+        case '0':
+          reset();
+          break;
+        case 'ArrowLeft':
+          pan(PAN_STEP, 0);
+          break;
+        case 'ArrowRight':
+          pan(-PAN_STEP, 0);
+          break;
+        case 'ArrowUp':
+          pan(0, PAN_STEP);
+          break;
+        case 'ArrowDown':
+          pan(0, -PAN_STEP);
+          break;
+        default:
+          return;
+      }
+      // Keep the viewer's own shortcuts (e.g. arrow day navigation) from firing
+      event.preventDefault();
+      event.stopPropagation();
+    };
+    // Capture phase so this runs before document-level listeners
+    window.addEventListener('keydown', handleKey, true);
+    return () => window.removeEventListener('keydown', handleKey, true);
+  }, [onClose]);
+
+  // Pointer events cover mouse drag, touch drag and two-finger pinch
+  const handlePointerDown = (event) => {
+    event.currentTarget.setPointerCapture(event.pointerId);
+    pointersRef.current.set(event.pointerId, { x: event.clientX, y: event.clientY });
+    gestureRef.current = null;
+  };
+
+  const handlePointerMove = (event) => {
+    const pointers = pointersRef.current;
+    if (!pointers.has(event.pointerId)) return;
+
+    const previous = pointers.get(event.pointerId);
+    const current = { x: event.clientX, y: event.clientY };
+
+    if (pointers.size === 2) {
+      const [otherId] = Array.from(pointers.keys()).filter(id => id !== event.pointerId);
+      const other = pointers.get(otherId);
+      const before = distance(previous, other);
+      const after = distance(current, other);
+      if (before > 0) {
+        const midpoint = toStagePoint((current.x + other.x) / 2, (current.y + other.y) / 2);
+        zoomAt(after / before, midpoint);
+      }
+    } else if (pointers.size === 1) {
+      pan(current.x - previous.x, current.y - previous.y);
+    }
+
+    pointers.set(event.pointerId, current);
+  };
+
+  const handlePointerUp = (event) => {
+    pointersRef.current.delete(event.pointerId);
+  };
+
+  const handleDoubleClick = (event) => {
+    if (transform.scale > MIN_SCALE) {
+      reset();
+    } else {
+      zoomAt(2, toStagePoint(event.clientX, event.clientY));
+    }
+  };
+
+  const toolbarButtonStyle = {
+    padding: '8px 14px',
+    background: 'rgba(255,255,255,0.15)',
+    color: 'white',
+    border: '1px solid rgba(255,255,255,0.3)',
+    borderRadius: '8px',
+    cursor: 'pointer',
+    fontSize: '0.9rem',
+    textDecoration: 'none'
+  };
+
+  return (
+    <div
+      ref={dialogRef}
+      role="dialog"
+      aria-modal="true"
+      aria-label={t('lightbox.label', { title: alt })}
+      style={{
+        position: 'fixed',
+        inset: 0,
+        zIndex: 1000,
+        background: 'rgba(0,0,0,0.95)',
+        display: 'flex',
+        flexDirection: 'column'
+      }}
+    >
+      {/* Toolbar */}
+      <div style={{
+        display: 'flex',
+        alignItems: 'center',
+        justifyContent: 'space-between',
+        gap: '10px',
+        padding: '10px 15px',
+        color: 'white',
+        flexWrap: 'wrap'
+      }}>
+        <div lang="en" style={{ fontSize: '0.9rem', minWidth: 0, overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>
+          {alt}
+        </div>
+        <div style={{ display: 'flex', gap: '8px', alignItems: 'center' }}>
+          <span style={{ fontSize: '0.85rem', color: '#87ceeb', minWidth: '50px', textAlign: 'right' }}>
+            {Math.round(transform.scale * 100)}%
+          </span>
+          <button onClick={() => zoomAt(1 / ZOOM_STEP)} title={t('lightbox.zoomOut')} aria-label={t('lightbox.zoomOut')} style={toolbarButtonStyle}>➖</button>
+          <button onClick={() => zoomAt(ZOOM_STEP)} title={t('lightbox.zoomIn')} aria-label={t('lightbox.zoomIn')} style={toolbarButtonStyle}>➕</button>
+          <button onClick={reset} title={t('lightbox.resetTitle')} style={toolbarButtonStyle}>{t('lightbox.reset')}</button>
+          {hdSrc && (
+            <a href={hdSrc} target="_blank" rel="noopener noreferrer" title={t('lightbox.originalTitle')} style={toolbarButtonStyle}>
+              {t('lightbox.original')}
+            </a>
+          )}
+          <button ref={closeButtonRef} onClick={onClose} title={t('lightbox.close')} aria-label={t('lightbox.close')} style={toolbarButtonStyle}>✕</button>
+        </div>
+      </div>
+
+      {/* HD Download Progress */}
+      {hdStatus === 'loading' && (
+        <div style={{ padding: '0 15px 8px', color: '#87ceeb', fontSize: '0.8rem' }}>
+          <div style={{ height: '4px', background: 'rgba(255,255,255,0.15)', borderRadius: '2px', overflow: 'hidden' }}>
+            <div style={{
+              height: '100%',
+              width: progress === null ? '30%' : `${Math.round(progress * 100)}%`,
+              background: '#87ceeb',
+              transition: 'width 0.2s ease',
+              animation: progress === null ? 'lightbox-indeterminate 1.2s ease-in-out infinite' : 'none'
+            }} />
+          </div>
+          <div style={{ marginTop: '4px' }}>
+            {progress === null
+              ? t('lightbox.loadingHd')
+              : t('lightbox.loadingHdProgress', { percent: Math.round(progress * 100) })}
+          </div>
+        </div>
+      )}
+      {hdStatus === 'failed' && (
+        <div style={{ padding: '0 15px 8px', color: '#ffc107', fontSize: '0.8rem' }}>
+          {t('lightbox.hdFailed')}
+        </div>
+      )}
+
+      {/* Stage */}
+      <div
+        ref={stageRef}
+        onPointerDown={handlePointerDown}
+        onPointerMove={handlePointerMove}
+        onPointerUp={handlePointerUp}
+        onPointerCancel={handlePointerUp}
+        onDoubleClick={handleDoubleClick}
+        style={{
+          flex: 1,
+          overflow: 'hidden',
+          display: 'flex',
+          alignItems: 'center',
+          justifyContent: 'center',
+          touchAction: 'none',
+          cursor: transform.scale > MIN_SCALE ? 'grab' : 'zoom-in'
+        }}
+      >
+        <img
+          src={displaySrc}
+          lang="en"
+          alt={alt}
+          draggable={false}
+          style={{
+            maxWidth: '100%',
+            maxHeight: '100%',
+            objectFit: 'contain',
+            transform: `translate(${transform.x}px, ${transform.y}px) scale(${transform.scale})`,
+            transformOrigin: 'center center',
+            userSelect: 'none'
+          }}
+        />
+      </div>
+
+      <style>{`
+        @keyframes lightbox-indeterminate {
+          0% { margin-left: -30%; }
+          100% { margin-left: 100%; }
+        }
+      `}</style>
+    </div>
+  );
+};
+
+export default ImageLightbox;
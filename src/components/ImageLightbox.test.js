@@ -0,0 +1,78 @@
+import { render, screen, fireEvent } from '@testing-library/react';
+import ImageLightbox from './ImageLightbox';
+import i18n, { DEFAULT_LOCALE } from '../services/i18n';
+
+const renderLightbox = (props = {}) => {
+  const onClose = jest.fn();
+  const view = render(
+    <ImageLightbox src="https://apod.nasa.gov/horsehead.jpg" alt="Horsehead Nebula" onClose={onClose} {...props} />
+  );
+  return { ...view, onClose };
+};
+
+const press = (key, options = {}) => fireEvent.keyDown(document, { key, ...options });
+const zoomLevel = () => screen.getByText(/^\d+%$/).textContent;
+
+beforeEach(() => {
+  i18n.setLocale(DEFAULT_LOCALE);
+});
+
+test('zooms, resets and closes from the keyboard', () => {
+  const { onClose } = renderLightbox();
+  expect(zoomLevel()).toBe('100%');
+
+  press('+');
+  expect(zoomLevel()).toBe('125%');
+  press('=');
+  expect(zoomLevel()).toBe('156%');
+  press('-');
+  expect(zoomLevel()).toBe('125%');
+  press('0');
+  expect(zoomLevel()).toBe('100%');
+
+  // Zooming out stops at the fitted size
+  press('-');
+  expect(zoomLevel()).toBe('100%');
+
+  press('Escape');
+  expect(onClose).toHaveBeenCalledTimes(1);
+});
+
+test('keeps its keys from reaching the page behind it', () => {
+  const pageShortcut = jest.fn();
+  document.addEventListener('keydown', pageShortcut);
+  renderLightbox();
+
+  press('ArrowLeft');
+  press('+');
+  expect(pageShortcut).not.toHaveBeenCalled();
+
+  press('x');
+  expect(pageShortcut).toHaveBeenCalledTimes(1);
+  document.removeEventListener('keydown', pageShortcut);
+});
+
+test('traps focus in the toolbar and gives it back on close', () => {
+  const opener = document.createElement('button');
+  document.body.appendChild(opener);
+  opener.focus();
+
+  const { unmount } = renderLightbox();
+  const close = screen.getByRole('button', { name: 'Close (Esc)' });
+  const zoomOut = screen.getByRole('button', { name: 'Zoom out (-)' });
+  expect(close).toHaveFocus();
+
+  press('Tab');
+  expect(zoomOut).toHaveFocus();
+  press('Tab', { shiftKey: true });
+  expect(close).toHaveFocus();
+
+  // Focus that escaped the dialog is pulled back in
+  opener.focus();
+  press('Tab');
+  expect(zoomOut).toHaveFocus();
+
+  unmount();
+  expect(opener).toHaveFocus();
+  opener.remove();
+});
@@ -0,0 +1,93 @@
+import React, { useEffect } from 'react';
+import useI18n from '../hooks/useI18n';
+
+const KeyboardShortcutsHelp = ({ shortcuts, onClose }) => {
+  const { t } = useI18n();
+
+  // Close on Escape
+  useEffect(() => {
+    const handleKey = (event) => {
+      if (event.key === 'Escape') onClose();
+    };
+    document.addEventListener('keydown', handleKey);
+    return () => document.removeEventListener('keydown', handleKey);
+  }, [onClose]);
+
+  return (
+    <div
+      onClick={onClose}
+      style={{
+        position: 'fixed',
+        inset: 0,
+        background: 'rgba(0,0,0,0.6)',
+        display: 'flex',
+        alignItems: 'center',
+        justifyContent: 'center',
+        zIndex: 1000
+      }}
+    >
+      <div
+        role="dialog"
+        aria-modal="true"
+        aria-label={t('shortcuts.title')}
+        onClick={(e) => e.stopPropagation()}
+        style={{
+          background: 'white',
+          borderRadius: '15px',
+          padding: '30px',
+          minWidth: '320px',
+          boxShadow: '0 8px 32px rgba(0,0,0,0.4)'
+        }}
+      >
+        <h3 style={{ color: '#333', marginBottom: '20px' }}>{t('shortcuts.heading')}</h3>
+        <table style={{ width: '100%', borderCollapse: 'collapse' }}>
+          <tbody>
+            {shortcuts.map(({ keys, description }) => (
+              <tr key={description} style={{ borderBottom: '1px solid #eee' }}>
+                <td style={{ padding: '8px 15px 8px 0', whiteSpace: 'nowrap' }}>
+                  {keys.map(key => (
+                    <kbd
+                      key={key}
+                      style={{
+                        display: 'inline-block',
+                        minWidth: '28px',
+                        padding: '2px 8px',
+                        marginRight: '4px',
+                        border: '1px solid #ccc',
+                        borderBottomWidth: '3px',
+                        borderRadius: '6px',
+                        background: '#f8f9fa',
+                        color: '#333',
+                        textAlign: 'center',
+                        fontFamily: 'monospace'
+                      }}
+                    >
+                      {key}
+                    </kbd>
+                  ))}
+                </td>
+                <td style={{ padding: '8px 0', color: '#555' }}>{description}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+        <button
+          onClick={onClose}
+          style={{
+            marginTop: '20px',
+            padding: '8px 20px',
+            backgroundColor: '#007bff',
+            color: 'white',
+            border: 'none',
+            borderRadius: '8px',
+            cursor: 'pointer'
+          }}
+        >
+          {t('shortcuts.close')}
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default KeyboardShortcutsHelp;
@@ -0,0 +1,37 @@
+import React from 'react';
+import useI18n from '../hooks/useI18n';
+
+// Picks the UI language; each option is named in its own language
+const LanguageSwitcher = () => {
+  const { locale, locales, setLocale, t } = useI18n();
+
+  return (
+    <label style={{ display: 'flex', alignItems: 'center', gap: '6px', color: '#87ceeb', fontSize: '0.9rem' }}>
+      <span aria-hidden="true">🌐</span>
+      <span style={{ position: 'absolute', width: '1px', height: '1px', overflow: 'hidden', clip: 'rect(0 0 0 0)' }}>
+        {t('app.language')}
+      </span>
+      <select
+        value={locale}
+        onChange={(e) => setLocale(e.target.value)}
+        style={{
+          padding: '6px 10px',
+          background: 'transparent',
+          color: '#87ceeb',
+          border: '1px solid #87ceeb',
+          borderRadius: '20px',
+          fontSize: '0.9rem',
+          cursor: 'pointer'
+        }}
+      >
+        {locales.map(({ code, name }) => (
+          <option key={code} value={code} lang={code} style={{ color: '#000814' }}>
+            {name}
+          </option>
+        ))}
+      </select>
+    </label>
+  );
+};
+
+export default LanguageSwitcher;
@@ -0,0 +1,415 @@
+import React, { useState, useEffect } from 'react';
+import { useSearchParams } from 'react-router-dom';
+import apiService, { getErrorMessage, logError } from '../services/api';
+import { MARS_ROVERS, MARS_PAGE_SIZE, DEFAULT_ROVER } from '../services/marsRovers';
+import { getToday } from '../utils/dates';
+import useI18n from '../hooks/useI18n';
+import ImageLightbox from './ImageLightbox';
+
+const cardStyle = {
+  background: 'rgba(255,255,255,0.95)',
+  borderRadius: '15px',
+  padding: '30px',
+  marginBottom: '30px',
+  boxShadow: '0 8px 25px rgba(0,0,0,0.15)',
+  border: '1px solid rgba(255,255,255,0.3)'
+};
+
+const labelStyle = {
+  fontSize: '0.9rem',
+  fontWeight: '600',
+  color: '#333',
+  marginBottom: '8px',
+  display: 'block'
+};
+
+const inputStyle = {
+  padding: '10px 12px',
+  borderRadius: '10px',
+  border: '2px solid #e0e0e0',
+  fontSize: '0.95rem',
+  color: '#333',
+  background: 'white'
+};
+
+const modeButtonStyle = (active) => ({
+  padding: '8px 16px',
+  borderRadius: '20px',
+  border: '1px solid #c1440e',
+  background: active ? '#c1440e' : 'white',
+  color: active ? 'white' : '#c1440e',
+  cursor: 'pointer',
+  fontSize: '0.9rem'
+});
+
+const pageButtonStyle = (disabled) => ({
+  padding: '8px 16px',
+  backgroundColor: disabled ? '#ccc' : '#c1440e',
+  color: 'white',
+  border: 'none',
+  borderRadius: '8px',
+  cursor: disabled ? 'not-allowed' : 'pointer'
+});
+
+const ManifestFact = ({ label, value }) => (
+  <div>
+    <div style={{ fontSize: '0.75rem', color: '#888', textTransform: 'uppercase' }}>{label}</div>
+    <div style={{ fontWeight: '600', color: '#333' }}>{value}</div>
+  </div>
+);
+
+const MarsRoverPage = () => {
+  const { t, locale, formatDate } = useI18n();
+
+  // The query lives in the URL so results can be shared and survive navigation
+  const [searchParams, setSearchParams] = useSearchParams();
+  const rover = MARS_ROVERS[searchParams.get('rover')] ? searchParams.get('rover') : DEFAULT_ROVER;
+  const sol = searchParams.get('sol');
+  const earthDate = searchParams.get('date');
+  const camera = searchParams.get('camera') || '';
+  const page = Math.max(1, parseInt(searchParams.get('page'), 10) || 1);
+  const roverInfo = MARS_ROVERS[rover];
+
+  const [mode, setMode] = useState(earthDate ? 'date' : 'sol');
+  const [solDraft, setSolDraft] = useState(sol || '');
+  const [dateDraft, setDateDraft] = useState(earthDate || '');
+  const [cameraDraft, setCameraDraft] = useState(camera);
+  const [manifest, setManifest] = useState(null);
+  const [result, setResult] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [selectedPhoto, setSelectedPhoto] = useState(null);
+
+  // Mission manifest for the chosen rover; without a sol or date in the URL,
+  // start from the rover's latest sol
+  useEffect(() => {
+    let cancelled = false;
+    setManifest(null);
+
+    apiService.fetchMarsManifest(rover)
+      .then((data) => {
+        if (cancelled) return;
+        setManifest(data);
+        if (!sol && !earthDate) {
+          setSearchParams({ rover, sol: String(data.max_sol) }, { replace: true });
+        }
+      })
+      .catch((err) => {
+        if (cancelled) return;
+        setError(err);
+        logError(err, 'MarsRoverPage.fetchManifest');
+      });
+
+    return () => {
+      cancelled = true;
+    };
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [rover]);
+
+  // Keep the form in step with the URL (back/forward, the manifest default)
+  useEffect(() => {
+    setMode(earthDate ? 'date' : 'sol');
+    setSolDraft(sol || '');
+    setDateDraft(earthDate || '');
+    setCameraDraft(camera);
+  }, [sol, earthDate, camera]);
+
+  useEffect(() => {
+    if (!sol && !earthDate) return undefined;
+
+    let cancelled = false;
+    setLoading(true);
+    setError(null);
+
+    apiService.fetchMarsPhotos({ rover, sol, earthDate, camera: camera || null, page })
+      .then((data) => {
+        if (!cancelled) setResult(data);
+      })
+      .catch((err) => {
+        if (cancelled) return;
+        setResult(null);
+        setError(err);
+        logError(err, 'MarsRoverPage.fetchPhotos');
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [rover, sol, earthDate, camera, page]);
+
+  const changeRover = (nextRover) => {
+    setSearchParams({ rover: nextRover });
+  };
+
+  const search = () => {
+    const params = { rover };
+    if (mode === 'date') {
+      params.date = dateDraft;
+    } else {
+      params.sol = String(solDraft).trim();
+    }
+    if (cameraDraft) params.camera = cameraDraft;
+
+    // Check the form here so mistakes show up without a round trip
+    try {
+      apiService.validateMarsQuery({ rover, sol: params.sol ?? null, earthDate: params.date ?? null, camera: cameraDraft || null });
+    } catch (err) {
+      setError(err);
+      return;
+    }
+    setSearchParams(params);
+  };
+
+  const setPage = (nextPage) => {
+    const params = new URLSearchParams(searchParams);
+    params.set('page', String(nextPage));
+    setSearchParams(params);
+  };
+
+  // What the manifest says about the day being shown
+  const manifestDay = manifest?.photos?.find(entry => (
+    earthDate ? entry.earth_date === earthDate : String(entry.sol) === sol
+  ));
+  const totalPages = manifestDay && !camera ? Math.max(1, Math.ceil(manifestDay.total_photos / MARS_PAGE_SIZE)) : null;
+  const hasNextPage = totalPages ? page < totalPages : Boolean(result?.hasMore);
+  const formatNumber = (value) => new Intl.NumberFormat(locale).format(value);
+
+  return (
+    <div style={{ padding: '0 20px 40px' }}>
+      <div style={{ maxWidth: '1000px', margin: '0 auto' }}>
+
+        {/* Filters */}
+        <div style={cardStyle}>
+          <h3 style={{ color: '#333', marginBottom: '10px', fontSize: '1.5rem' }}>
+            {t('mars.heading')}
+          </h3>
+          <p style={{ color: '#666', marginBottom: '20px' }}>{t('mars.intro')}</p>
+
+          <div style={{ display: 'flex', gap: '20px', alignItems: 'flex-end', flexWrap: 'wrap' }}>
+            <div>
+              <label htmlFor="mars-rover" style={labelStyle}>{t('mars.rover')}</label>
+              <select
+                id="mars-rover"
+                value={rover}
+                onChange={(e) => changeRover(e.target.value)}
+                style={inputStyle}
+              >
+                {Object.entries(MARS_ROVERS).map(([id, { name }]) => (
+                  <option key={id} value={id}>{name}</option>
+                ))}
+              </select>
+            </div>
+
+            <div>
+              <div style={{ display: 'flex', gap: '8px', marginBottom: '8px' }}>
+                <button onClick={() => setMode('sol')} aria-pressed={mode === 'sol'} style={modeButtonStyle(mode === 'sol')}>
+                  {t('mars.bySol')}
+                </button>
+                <button onClick={() => setMode('date')} aria-pressed={mode === 'date'} style={modeButtonStyle(mode === 'date')}>
+                  {t('mars.byDate')}
+                </button>
+              </div>
+              {mode === 'sol' ? (
+                <input
+                  type="number"
+                  min="0"
+                  max={manifest?.max_sol}
+                  value={solDraft}
+                  onChange={(e) => setSolDraft(e.target.value)}
+                  aria-label={t('mars.sol')}
+                  style={{ ...inputStyle, width: '140px' }}
+                />
+              ) : (
+                <input
+                  type="date"
+                  min={roverInfo.landingDate}
+                  max={manifest?.max_date || getToday()}
+                  value={dateDraft}
+                  onChange={(e) => setDateDraft(e.target.value)}
+                  aria-label={t('mars.earthDate')}
+                  style={inputStyle}
+                />
+              )}
+            </div>
+
+            <div>
+              <label htmlFor="mars-camera" style={labelStyle}>{t('mars.camera')}</label>
+              <select
+                id="mars-camera"
+                value={cameraDraft}
+                onChange={(e) => setCameraDraft(e.target.value)}
+                style={inputStyle}
+              >
+                <option value="">{t('mars.allCameras')}</option>
+                {Object.entries(roverInfo.cameras).map(([code, name]) => (
+                  <option key={code} value={code} lang="en">{name} ({code})</option>
+                ))}
+              </select>
+            </div>
+
+            <button
+              onClick={search}
+              disabled={loading}
+              style={{
+                padding: '12px 30px',
+                background: loading ? '#ccc' : 'linear-gradient(135deg, #c1440e 0%, #8a2f08 100%)',
+                color: 'white',
+                border: 'none',
+                borderRadius: '10px',
+                cursor: loading ? 'not-allowed' : 'pointer',
+                fontSize: '1rem',
+                fontWeight: '600'
+              }}
+            >
+              {t(loading ? 'mars.loadingButton' : 'mars.search')}
+            </button>
+          </div>
+        </div>
+
+        {/* Mission Manifest */}
+        <div style={cardStyle}>
+          {manifest ? (
+            <>
+              <div style={{ display: 'flex', alignItems: 'center', gap: '12px', marginBottom: '20px', flexWrap: 'wrap' }}>
+                <h3 style={{ color: '#333', margin: 0 }}>{manifest.name}</h3>
+                <span style={{
+                  padding: '2px 10px',
+                  borderRadius: '10px',
+                  fontSize: '0.8rem',
+                  backgroundColor: manifest.status === 'active' ? '#d4edda' : '#e9ecef',
+                  color: manifest.status === 'active' ? '#155724' : '#495057'
+                }}>
+                  {t(manifest.status === 'active' ? 'mars.statusActive' : 'mars.statusComplete')}
+                </span>
+              </div>
+              <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(140px, 1fr))', gap: '15px' }}>
+                <ManifestFact label={t('mars.launched')} value={formatDate(manifest.launch_date)} />
+                <ManifestFact label={t('mars.landed')} value={formatDate(manifest.landing_date)} />
+                <ManifestFact label={t('mars.latestSol')} value={formatNumber(manifest.max_sol)} />
+                <ManifestFact label={t('mars.latestDate')} value={formatDate(manifest.max_date)} />
+                <ManifestFact label={t('mars.totalPhotos')} value={formatNumber(manifest.total_photos)} />
+              </div>
+              {(sol || earthDate) && (
+                <p style={{ marginTop: '20px', marginBottom: 0, color: '#555', fontSize: '0.9rem' }}>
+                  {manifestDay
+                    ? t('mars.dayInfo', {
+                      sol: manifestDay.sol,
+                      date: manifestDay.earth_date,
+                      count: manifestDay.total_photos,
+                      cameras: manifestDay.cameras.join(', ')
+                    })
+                    : t('mars.noPhotosDay')}
+                </p>
+              )}
+            </>
+          ) : !error && (
+            <p style={{ color: '#666', margin: 0 }}>{t('mars.manifestLoading')}</p>
+          )}
+        </div>
+
+        {/* Error State */}
+        {error && (
+          <div style={{
+            color: '#d32f2f',
+            backgroundColor: '#ffebee',
+            border: '1px solid #f44336',
+            padding: '20px',
+            borderRadius: '8px',
+            marginBottom: '20px',
+            textAlign: 'center'
+          }}>
+            <p>❌ {getErrorMessage(error)}</p>
+          </div>
+        )}
+
+        {/* Loading State */}
+        {loading && (
+          <p style={{ textAlign: 'center', color: 'white', fontSize: '1.1rem' }}>{t('mars.loading')}</p>
+        )}
+
+        {/* Photo Grid */}
+        {!loading && result && (
+          result.photos.length === 0 ? (
+            <p style={{ textAlign: 'center', color: 'white', fontSize: '1.1rem' }}>{t('mars.noPhotos')}</p>
+          ) : (
+            <>
+              <div style={{
+                display: 'grid',
+                gridTemplateColumns: 'repeat(auto-fill, minmax(200px, 1fr))',
+                gap: '20px'
+              }}>
+                {result.photos.map((photo) => {
+                  const alt = t('mars.photoAlt', { rover: photo.rover.name, id: photo.id, camera: photo.camera.full_name });
+
+                  return (
+                    <button
+                      key={photo.id}
+                      onClick={() => setSelectedPhoto({ ...photo, alt })}
+                      title={photo.camera.full_name}
+                      style={{
+                        background: 'white',
+                        border: 'none',
+                        borderRadius: '12px',
+                        overflow: 'hidden',
+                        padding: '0',
+                        cursor: 'pointer',
+                        textAlign: 'left',
+                        boxShadow: '0 4px 15px rgba(0,0,0,0.15)'
+                      }}
+                    >
+                      <img
+                        src={photo.img_src}
+                        alt={alt}
+                        loading="lazy"
+                        style={{ width: '100%', height: '150px', objectFit: 'cover', background: '#000', display: 'block' }}
+                      />
+                      <div style={{ padding: '10px' }}>
+                        <div lang="en" style={{ fontWeight: '600', color: '#333', fontSize: '0.9rem' }}>
+                          {photo.camera.name}
+                        </div>
+                        <div style={{ fontSize: '0.8rem', color: '#666', marginTop: '4px' }}>
+                          {t('mars.photoMeta', { sol: photo.sol, date: photo.earth_date })}
+                        </div>
+                      </div>
+                    </button>
+                  );
+                })}
+              </div>
+
+              {/* Pagination */}
+              <div style={{
+                display: 'flex',
+                justifyContent: 'center',
+                alignItems: 'center',
+                gap: '15px',
+                marginTop: '25px',
+                color: 'white'
+              }}>
+                <button onClick={() => setPage(page - 1)} disabled={page <= 1} style={pageButtonStyle(page <= 1)}>
+                  {t('mars.previous')}
+                </button>
+                <span>{totalPages ? t('mars.pageOf', { page, total: totalPages }) : t('mars.page', { page })}</span>
+                <button onClick={() => setPage(page + 1)} disabled={!hasNextPage} style={pageButtonStyle(!hasNextPage)}>
+                  {t('mars.next')}
+                </button>
+              </div>
+            </>
+          )
+        )}
+      </div>
+
+      {selectedPhoto && (
+        <ImageLightbox
+          src={selectedPhoto.img_src}
+          alt={selectedPhoto.alt}
+          onClose={() => setSelectedPhoto(null)}
+        />
+      )}
+    </div>
+  );
+};
+
+export default MarsRoverPage;
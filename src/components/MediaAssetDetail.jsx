@@ -0,0 +1,182 @@
+import React, { useState, useEffect, useRef } from 'react';
+import apiService, { getErrorMessage, logError } from '../services/api';
+import { NASA_CENTERS } from '../utils/mediaLibrary';
+import useI18n from '../hooks/useI18n';
+
+// Preferred renditions for the preview, smallest that still looks good first
+const PREVIEW_SIZES = {
+  image: ['large', 'medium', 'orig'],
+  video: ['mobile', 'medium', 'orig'],
+  audio: ['128k', 'orig']
+};
+
+const pickPreview = (renditions, mediaType) => {
+  const candidates = renditions.filter(rendition => rendition.kind === mediaType);
+  for (const size of PREVIEW_SIZES[mediaType] || []) {
+    const match = candidates.find(rendition => rendition.size === size);
+    if (match) return match;
+  }
+  return candidates[0] || null;
+};
+
+const MetadataRow = ({ label, children }) => (
+  <div style={{ display: 'contents' }}>
+    <dt style={{ fontWeight: '600', color: '#555' }}>{label}</dt>
+    <dd style={{ margin: 0, color: '#333' }}>{children}</dd>
+  </div>
+);
+
+// A library item's metadata, a playable preview and every available file
+const MediaAssetDetail = ({ item, onClose }) => {
+  const { t, formatDate } = useI18n();
+  const [renditions, setRenditions] = useState(null);
+  const [error, setError] = useState(null);
+  const closeRef = useRef(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    setRenditions(null);
+    setError(null);
+
+    apiService.fetchMediaAsset(item.nasaId)
+      .then((data) => {
+        if (!cancelled) setRenditions(data);
+      })
+      .catch((err) => {
+        if (cancelled) return;
+        setError(err);
+        logError(err, 'MediaAssetDetail.fetchMediaAsset');
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [item.nasaId]);
+
+  useEffect(() => {
+    closeRef.current?.focus();
+
+    const handleKey = (event) => {
+      if (event.key === 'Escape') onClose();
+    };
+    window.addEventListener('keydown', handleKey);
+    return () => window.removeEventListener('keydown', handleKey);
+  }, [onClose]);
+
+  const preview = renditions && pickPreview(renditions, item.mediaType);
+  const captions = renditions?.find(rendition => rendition.name.endsWith('.vtt'));
+
+  return (
+    <div
+      role="dialog"
+      aria-modal="true"
+      aria-labelledby="media-asset-title"
+      onClick={(e) => {
+        if (e.target === e.currentTarget) onClose();
+      }}
+      style={{
+        position: 'fixed',
+        inset: 0,
+        zIndex: 1000,
+        background: 'rgba(0,0,0,0.85)',
+        display: 'flex',
+        alignItems: 'flex-start',
+        justifyContent: 'center',
+        padding: '40px 20px',
+        overflowY: 'auto'
+      }}
+    >
+      <div style={{
+        background: 'white',
+        borderRadius: '15px',
+        padding: '30px',
+        maxWidth: '900px',
+        width: '100%',
+        boxShadow: '0 8px 25px rgba(0,0,0,0.3)'
+      }}>
+        <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'flex-start', gap: '15px', marginBottom: '20px' }}>
+          <h3 id="media-asset-title" lang="en" style={{ color: '#333', margin: 0 }}>{item.title}</h3>
+          <button
+            ref={closeRef}
+            onClick={onClose}
+            aria-label={t('media.close')}
+            style={{ background: 'none', border: 'none', fontSize: '1.5rem', cursor: 'pointer', color: '#666' }}
+          >
+            ✕
+          </button>
+        </div>
+
+        {/* Preview */}
+        <div style={{ background: '#000', borderRadius: '12px', overflow: 'hidden', textAlign: 'center', marginBottom: '20px' }}>
+          {item.mediaType === 'video' && preview ? (
+            <video controls preload="metadata" poster={item.thumbnail || undefined} style={{ width: '100%', maxHeight: '500px', display: 'block' }}>
+              <source src={preview.url} />
+              {captions && <track kind="captions" src={captions.url} srcLang="en" label="English" />}
+            </video>
+          ) : item.mediaType === 'audio' && preview ? (
+            <audio controls preload="none" src={preview.url} style={{ width: '100%', padding: '20px', boxSizing: 'border-box' }} />
+          ) : (preview || item.thumbnail) ? (
+            <img
+              src={preview?.url || item.thumbnail}
+              lang="en"
+              alt={item.title}
+              style={{ maxWidth: '100%', maxHeight: '500px', display: 'block', margin: '0 auto' }}
+            />
+          ) : null}
+        </div>
+
+        {item.description && (
+          <p lang="en" style={{ color: '#444', lineHeight: '1.6', whiteSpace: 'pre-line' }}>{item.description}</p>
+        )}
+
+        {/* Metadata */}
+        <dl style={{ display: 'grid', gridTemplateColumns: 'max-content 1fr', gap: '8px 20px', margin: '20px 0', fontSize: '0.9rem' }}>
+          <MetadataRow label={t('media.nasaId')}><span lang="en">{item.nasaId}</span></MetadataRow>
+          {item.date && <MetadataRow label={t('media.dateCreated')}>{formatDate(item.date)}</MetadataRow>}
+          <MetadataRow label={t('media.mediaType')}>{t(`media.type.${item.mediaType}`)}</MetadataRow>
+          {item.center && (
+            <MetadataRow label={t('media.center')}>
+              <span lang="en">{NASA_CENTERS[item.center.toUpperCase()] || item.center}</span>
+            </MetadataRow>
+          )}
+          {item.photographer && <MetadataRow label={t('media.photographer')}><span lang="en">{item.photographer}</span></MetadataRow>}
+          {item.location && <MetadataRow label={t('media.location')}><span lang="en">{item.location}</span></MetadataRow>}
+          {item.keywords.length > 0 && (
+            <MetadataRow label={t('media.keywords')}><span lang="en">{item.keywords.join(', ')}</span></MetadataRow>
+          )}
+        </dl>
+
+        {/* Renditions */}
+        <h4 style={{ color: '#333', marginBottom: '10px' }}>{t('media.renditions')}</h4>
+        {error ? (
+          <p style={{ color: '#d32f2f' }}>❌ {getErrorMessage(error)}</p>
+        ) : !renditions ? (
+          <p style={{ color: '#666' }}>{t('media.renditionsLoading')}</p>
+        ) : (
+          <ul style={{ listStyle: 'none', padding: 0, margin: 0, display: 'grid', gap: '6px' }}>
+            {renditions.map(rendition => (
+              <li key={rendition.url} style={{ display: 'flex', gap: '10px', alignItems: 'center', fontSize: '0.9rem' }}>
+                <span style={{
+                  padding: '2px 8px',
+                  borderRadius: '10px',
+                  backgroundColor: '#e9ecef',
+                  color: '#495057',
+                  fontSize: '0.75rem',
+                  minWidth: '70px',
+                  textAlign: 'center'
+                }}>
+                  {t(`media.kind.${rendition.kind}`)}
+                </span>
+                <a href={rendition.url} target="_blank" rel="noopener noreferrer" lang="en" style={{ color: '#007bff', wordBreak: 'break-all' }}>
+                  {rendition.name}
+                </a>
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default MediaAssetDetail;
@@ -0,0 +1,345 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { useSearchParams } from 'react-router-dom';
+import apiService, { getErrorMessage, logError } from '../services/api';
+import { MEDIA_TYPES, MEDIA_FIRST_YEAR, NASA_CENTERS } from '../utils/mediaLibrary';
+import useI18n from '../hooks/useI18n';
+import MediaAssetDetail from './MediaAssetDetail';
+
+const TYPE_ICONS = { image: '🖼️', video: '🎬', audio: '🎧' };
+
+const cardStyle = {
+  background: 'rgba(255,255,255,0.95)',
+  borderRadius: '15px',
+  padding: '30px',
+  marginBottom: '30px',
+  boxShadow: '0 8px 25px rgba(0,0,0,0.15)',
+  border: '1px solid rgba(255,255,255,0.3)'
+};
+
+const labelStyle = {
+  fontSize: '0.9rem',
+  fontWeight: '600',
+  color: '#333',
+  marginBottom: '8px',
+  display: 'block'
+};
+
+const inputStyle = {
+  padding: '10px 12px',
+  borderRadius: '10px',
+  border: '2px solid #e0e0e0',
+  fontSize: '0.95rem',
+  color: '#333',
+  background: 'white'
+};
+
+const pageButtonStyle = (disabled) => ({
+  padding: '8px 16px',
+  backgroundColor: disabled ? '#ccc' : '#007bff',
+  color: 'white',
+  border: 'none',
+  borderRadius: '8px',
+  cursor: disabled ? 'not-allowed' : 'pointer'
+});
+
+const MediaLibraryPage = () => {
+  const { t, formatDate } = useI18n();
+
+  // The search lives in the URL so it can be shared and survives navigation
+  const [searchParams, setSearchParams] = useSearchParams();
+  const query = searchParams.get('q') || '';
+  const mediaTypes = (searchParams.get('type') || '').split(',').filter(Boolean);
+  const yearStart = searchParams.get('from') || '';
+  const yearEnd = searchParams.get('to') || '';
+  const center = searchParams.get('center') || '';
+  const page = Math.max(1, parseInt(searchParams.get('page'), 10) || 1);
+  const typesKey = mediaTypes.join(',');
+
+  const [draft, setDraft] = useState({ query, mediaTypes, yearStart, yearEnd, center });
+  const [result, setResult] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [selectedItem, setSelectedItem] = useState(null);
+
+  // Keep the form in step with the URL (back/forward)
+  useEffect(() => {
+    setDraft({ query, mediaTypes: typesKey.split(',').filter(Boolean), yearStart, yearEnd, center });
+  }, [query, typesKey, yearStart, yearEnd, center]);
+
+  useEffect(() => {
+    if (!query) return undefined;
+
+    let cancelled = false;
+    setLoading(true);
+    setError(null);
+
+    apiService.searchMedia({
+      query,
+      mediaTypes: typesKey.split(',').filter(Boolean),
+      yearStart: yearStart || null,
+      yearEnd: yearEnd || null,
+      center: center || null,
+      page
+    })
+      .then((data) => {
+        if (!cancelled) setResult(data);
+      })
+      .catch((err) => {
+        if (cancelled) return;
+        setResult(null);
+        setError(err);
+        logError(err, 'MediaLibraryPage.searchMedia');
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [query, typesKey, yearStart, yearEnd, center, page]);
+
+  const updateDraft = (changes) => setDraft(prev => ({ ...prev, ...changes }));
+
+  const toggleType = (type) => {
+    updateDraft({
+      mediaTypes: draft.mediaTypes.includes(type)
+        ? draft.mediaTypes.filter(item => item !== type)
+        : [...draft.mediaTypes, type]
+    });
+  };
+
+  const search = (e) => {
+    e.preventDefault();
+
+    // Check the form here so mistakes show up without a round trip
+    try {
+      apiService.validateMediaQuery({
+        query: draft.query,
+        mediaTypes: draft.mediaTypes,
+        yearStart: draft.yearStart || null,
+        yearEnd: draft.yearEnd || null,
+        center: draft.center || null
+      });
+    } catch (err) {
+      setError(err);
+      return;
+    }
+    setError(null);
+
+    const params = { q: draft.query.trim() };
+    if (draft.mediaTypes.length > 0) params.type = MEDIA_TYPES.filter(type => draft.mediaTypes.includes(type)).join(',');
+    if (draft.yearStart) params.from = draft.yearStart;
+    if (draft.yearEnd) params.to = draft.yearEnd;
+    if (draft.center) params.center = draft.center;
+    setSearchParams(params);
+  };
+
+  const setPage = (nextPage) => {
+    const params = new URLSearchParams(searchParams);
+    params.set('page', String(nextPage));
+    setSearchParams(params);
+  };
+
+  const closeDetail = useCallback(() => setSelectedItem(null), []);
+  const currentYear = new Date().getFullYear();
+
+  return (
+    <div style={{ padding: '0 20px 40px' }}>
+      <div style={{ maxWidth: '1000px', margin: '0 auto' }}>
+
+        {/* Search Form */}
+        <form onSubmit={search} style={cardStyle}>
+          <h3 style={{ color: '#333', marginBottom: '10px', fontSize: '1.5rem' }}>{t('media.heading')}</h3>
+          <p style={{ color: '#666', marginBottom: '20px' }}>{t('media.intro')}</p>
+
+          <label htmlFor="media-query" style={labelStyle}>{t('media.keyword')}</label>
+          <input
+            id="media-query"
+            type="search"
+            value={draft.query}
+            onChange={(e) => updateDraft({ query: e.target.value })}
+            placeholder={t('media.keywordPlaceholder')}
+            style={{ ...inputStyle, width: '100%', boxSizing: 'border-box', marginBottom: '20px' }}
+          />
+
+          <div style={{ display: 'flex', gap: '20px', alignItems: 'flex-end', flexWrap: 'wrap' }}>
+            <fieldset style={{ border: 'none', padding: 0, margin: 0 }}>
+              <legend style={labelStyle}>{t('media.mediaType')}</legend>
+              <div style={{ display: 'flex', gap: '12px', paddingTop: '8px' }}>
+                {MEDIA_TYPES.map(type => (
+                  <label key={type} style={{ display: 'flex', alignItems: 'center', gap: '6px', color: '#333', cursor: 'pointer' }}>
+                    <input
+                      type="checkbox"
+                      checked={draft.mediaTypes.includes(type)}
+                      onChange={() => toggleType(type)}
+                    />
+                    {TYPE_ICONS[type]} {t(`media.type.${type}`)}
+                  </label>
+                ))}
+              </div>
+            </fieldset>
+
+            <div>
+              <label htmlFor="media-from" style={labelStyle}>{t('media.yearStart')}</label>
+              <input
+                id="media-from"
+                type="number"
+                min={MEDIA_FIRST_YEAR}
+                max={currentYear}
+                value={draft.yearStart}
+                onChange={(e) => updateDraft({ yearStart: e.target.value })}
+                style={{ ...inputStyle, width: '110px' }}
+              />
+            </div>
+            <div>
+              <label htmlFor="media-to" style={labelStyle}>{t('media.yearEnd')}</label>
+              <input
+                id="media-to"
+                type="number"
+                min={MEDIA_FIRST_YEAR}
+                max={currentYear}
+                value={draft.yearEnd}
+                onChange={(e) => updateDraft({ yearEnd: e.target.value })}
+                style={{ ...inputStyle, width: '110px' }}
+              />
+            </div>
+
+            <div>
+              <label htmlFor="media-center" style={labelStyle}>{t('media.center')}</label>
+              <select
+                id="media-center"
+                value={draft.center}
+                onChange={(e) => updateDraft({ center: e.target.value })}
+                style={inputStyle}
+              >
+                <option value="">{t('media.allCenters')}</option>
+                {Object.entries(NASA_CENTERS).map(([code, name]) => (
+                  <option key={code} value={code} lang="en">{name} ({code})</option>
+                ))}
+              </select>
+            </div>
+
+            <button
+              type="submit"
+              disabled={loading}
+              style={{
+                padding: '12px 30px',
+                background: loading ? '#ccc' : 'linear-gradient(135deg, #007bff 0%, #0056b3 100%)',
+                color: 'white',
+                border: 'none',
+                borderRadius: '10px',
+                cursor: loading ? 'not-allowed' : 'pointer',
+                fontSize: '1rem',
+                fontWeight: '600'
+              }}
+            >
+              {t(loading ? 'media.searchingButton' : 'media.search')}
+            </button>
+          </div>
+        </form>
+
+        {/* Error State */}
+        {error && (
+          <div style={{
+            color: '#d32f2f',
+            backgroundColor: '#ffebee',
+            border: '1px solid #f44336',
+            padding: '20px',
+            borderRadius: '8px',
+            marginBottom: '20px',
+            textAlign: 'center'
+          }}>
+            <p>❌ {getErrorMessage(error)}</p>
+          </div>
+        )}
+
+        {loading && (
+          <p style={{ textAlign: 'center', color: 'white', fontSize: '1.1rem' }}>{t('media.loading')}</p>
+        )}
+
+        {/* Results */}
+        {!loading && result && (
+          result.items.length === 0 ? (
+            <p style={{ textAlign: 'center', color: 'white', fontSize: '1.1rem' }}>{t('media.noResults')}</p>
+          ) : (
+            <>
+              <p style={{ color: 'white', marginBottom: '15px' }}>{t('media.resultCount', { count: result.totalHits })}</p>
+              <div style={{
+                display: 'grid',
+                gridTemplateColumns: 'repeat(auto-fill, minmax(200px, 1fr))',
+                gap: '20px'
+              }}>
+                {result.items.map(item => (
+                  <button
+                    key={item.nasaId}
+                    onClick={() => setSelectedItem(item)}
+                    style={{
+                      background: 'white',
+                      border: 'none',
+                      borderRadius: '12px',
+                      overflow: 'hidden',
+                      padding: '0',
+                      cursor: 'pointer',
+                      textAlign: 'left',
+                      boxShadow: '0 4px 15px rgba(0,0,0,0.15)'
+                    }}
+                  >
+                    {item.thumbnail ? (
+                      <img
+                        src={item.thumbnail}
+                        alt=""
+                        loading="lazy"
+                        style={{ width: '100%', height: '150px', objectFit: 'cover', background: '#000', display: 'block' }}
+                      />
+                    ) : (
+                      <div aria-hidden="true" style={{
+                        height: '150px',
+                        display: 'flex',
+                        alignItems: 'center',
+                        justifyContent: 'center',
+                        background: '#1a1a2e',
+                        fontSize: '3rem'
+                      }}>
+                        {TYPE_ICONS[item.mediaType]}
+                      </div>
+                    )}
+                    <div style={{ padding: '10px' }}>
+                      <div lang="en" style={{ fontWeight: '600', color: '#333', fontSize: '0.9rem' }}>{item.title}</div>
+                      <div style={{ fontSize: '0.8rem', color: '#666', marginTop: '4px' }}>
+                        {TYPE_ICONS[item.mediaType]} {t(`media.type.${item.mediaType}`)}
+                        {item.date && ` · ${formatDate(item.date)}`}
+                      </div>
+                    </div>
+                  </button>
+                ))}
+              </div>
+
+              {/* Pagination */}
+              <div style={{
+                display: 'flex',
+                justifyContent: 'center',
+                alignItems: 'center',
+                gap: '15px',
+                marginTop: '25px',
+                color: 'white'
+              }}>
+                <button onClick={() => setPage(page - 1)} disabled={page <= 1} style={pageButtonStyle(page <= 1)}>
+                  {t('media.previous')}
+                </button>
+                <span>{t('media.page', { page })}</span>
+                <button onClick={() => setPage(page + 1)} disabled={!result.hasMore} style={pageButtonStyle(!result.hasMore)}>
+                  {t('media.next')}
+                </button>
+              </div>
+            </>
+          )
+        )}
+      </div>
+
+      {selectedItem && <MediaAssetDetail item={selectedItem} onClose={closeDetail} />}
+    </div>
+  );
+};
+
+export default MediaLibraryPage;
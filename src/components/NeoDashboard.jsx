@@ -0,0 +1,274 @@
+import React, { useState, useEffect } from 'react';
+import { useSearchParams } from 'react-router-dom';
+import apiService, { getErrorMessage, logError, NEO_MAX_RANGE_DAYS } from '../services/api';
+import { sortApproaches } from '../utils/neo';
+import { getToday, addDays } from '../utils/dates';
+import useI18n from '../hooks/useI18n';
+import NeoTimeline from './NeoTimeline';
+
+const COLUMNS = [
+  { key: 'name', labelKey: 'neo.name' },
+  { key: 'time', labelKey: 'neo.approach' },
+  { key: 'missDistance', labelKey: 'neo.missDistance' },
+  { key: 'velocity', labelKey: 'neo.velocity' },
+  { key: 'diameter', labelKey: 'neo.diameter' }
+];
+
+const cardStyle = {
+  background: 'rgba(255,255,255,0.95)',
+  borderRadius: '15px',
+  padding: '30px',
+  marginBottom: '30px',
+  boxShadow: '0 8px 25px rgba(0,0,0,0.15)',
+  border: '1px solid rgba(255,255,255,0.3)'
+};
+
+const labelStyle = {
+  fontSize: '0.9rem',
+  fontWeight: '600',
+  color: '#333',
+  marginBottom: '8px',
+  display: 'block'
+};
+
+const inputStyle = {
+  padding: '10px 12px',
+  borderRadius: '10px',
+  border: '2px solid #e0e0e0',
+  fontSize: '0.95rem',
+  color: '#333',
+  background: 'white'
+};
+
+const cellStyle = { padding: '10px 12px', borderBottom: '1px solid #eee', textAlign: 'left' };
+
+const NeoDashboard = () => {
+  const { t, formatDate } = useI18n();
+
+  // The window lives in the URL; it defaults to the coming week
+  const [searchParams, setSearchParams] = useSearchParams();
+  const startDate = searchParams.get('start') || getToday();
+  const endDate = searchParams.get('end') || addDays(startDate, NEO_MAX_RANGE_DAYS - 1);
+
+  const [startDraft, setStartDraft] = useState(startDate);
+  const [endDraft, setEndDraft] = useState(endDate);
+  const [approaches, setApproaches] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [hazardousOnly, setHazardousOnly] = useState(false);
+  const [sort, setSort] = useState({ key: 'time', direction: 'asc' });
+
+  useEffect(() => {
+    setStartDraft(startDate);
+    setEndDraft(endDate);
+
+    let cancelled = false;
+    setLoading(true);
+    setError(null);
+
+    apiService.fetchNeoFeed(startDate, endDate)
+      .then((data) => {
+        if (!cancelled) setApproaches(data);
+      })
+      .catch((err) => {
+        if (cancelled) return;
+        setApproaches([]);
+        setError(err);
+        logError(err, 'NeoDashboard.fetchNeoFeed');
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [startDate, endDate]);
+
+  const loadWindow = () => {
+    try {
+      apiService.validateNeoRange(startDraft, endDraft);
+    } catch (err) {
+      setError(err);
+      return;
+    }
+    setSearchParams({ start: startDraft, end: endDraft });
+  };
+
+  // Clicking the sorted column again flips its direction
+  const toggleSort = (key) => {
+    setSort(prev => ({
+      key,
+      direction: prev.key === key && prev.direction === 'asc' ? 'desc' : 'asc'
+    }));
+  };
+
+  const visible = hazardousOnly ? approaches.filter(approach => approach.hazardous) : approaches;
+  const rows = sortApproaches(visible, sort.key, sort.direction);
+  const hazardousCount = approaches.filter(approach => approach.hazardous).length;
+  const formatTime = (time) => new Date(time).toLocaleString(undefined, { dateStyle: 'medium', timeStyle: 'short', timeZone: 'UTC' });
+
+  return (
+    <div style={{ padding: '0 20px 40px' }}>
+      <div style={{ maxWidth: '1000px', margin: '0 auto' }}>
+
+        {/* Window Controls */}
+        <div style={cardStyle}>
+          <h3 style={{ color: '#333', marginBottom: '10px', fontSize: '1.5rem' }}>{t('neo.heading')}</h3>
+          <p style={{ color: '#666', marginBottom: '20px' }}>{t('neo.intro')}</p>
+
+          <div style={{ display: 'flex', gap: '20px', alignItems: 'flex-end', flexWrap: 'wrap' }}>
+            <div>
+              <label htmlFor="neo-start" style={labelStyle}>{t('neo.startDate')}</label>
+              <input
+                id="neo-start"
+                type="date"
+                value={startDraft}
+                onChange={(e) => setStartDraft(e.target.value)}
+                style={inputStyle}
+              />
+            </div>
+            <div>
+              <label htmlFor="neo-end" style={labelStyle}>{t('neo.endDate')}</label>
+              <input
+                id="neo-end"
+                type="date"
+                value={endDraft}
+                min={startDraft}
+                max={startDraft ? addDays(startDraft, NEO_MAX_RANGE_DAYS - 1) : undefined}
+                onChange={(e) => setEndDraft(e.target.value)}
+                style={inputStyle}
+              />
+            </div>
+            <button
+              onClick={loadWindow}
+              disabled={loading}
+              style={{
+                padding: '12px 30px',
+                background: loading ? '#ccc' : 'linear-gradient(135deg, #007bff 0%, #0056b3 100%)',
+                color: 'white',
+                border: 'none',
+                borderRadius: '10px',
+                cursor: loading ? 'not-allowed' : 'pointer',
+                fontSize: '1rem',
+                fontWeight: '600'
+              }}
+            >
+              {t(loading ? 'neo.loadingButton' : 'neo.load')}
+            </button>
+          </div>
+        </div>
+
+        {/* Error State */}
+        {error && (
+          <div style={{
+            color: '#d32f2f',
+            backgroundColor: '#ffebee',
+            border: '1px solid #f44336',
+            padding: '20px',
+            borderRadius: '8px',
+            marginBottom: '20px',
+            textAlign: 'center'
+          }}>
+            <p>❌ {getErrorMessage(error)}</p>
+          </div>
+        )}
+
+        {loading && (
+          <p style={{ textAlign: 'center', color: 'white', fontSize: '1.1rem' }}>{t('neo.loading')}</p>
+        )}
+
+        {!loading && !error && (
+          <>
+            {/* Timeline */}
+            <div style={cardStyle}>
+              <h4 style={{ color: '#333', marginBottom: '15px' }}>{t('neo.timeline')}</h4>
+              <NeoTimeline approaches={visible} startDate={startDate} endDate={endDate} />
+            </div>
+
+            {/* Table */}
+            <div style={cardStyle}>
+              <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', flexWrap: 'wrap', gap: '10px', marginBottom: '15px' }}>
+                <span style={{ color: '#555' }}>
+                  {t('neo.summary', { count: approaches.length, hazardous: hazardousCount })}
+                </span>
+                <label style={{ display: 'flex', alignItems: 'center', gap: '8px', color: '#333', cursor: 'pointer' }}>
+                  <input
+                    type="checkbox"
+                    checked={hazardousOnly}
+                    onChange={(e) => setHazardousOnly(e.target.checked)}
+                  />
+                  {t('neo.hazardousOnly')}
+                </label>
+              </div>
+
+              {rows.length === 0 ? (
+                <p style={{ color: '#666', textAlign: 'center' }}>{t('neo.noResults')}</p>
+              ) : (
+                <div style={{ overflowX: 'auto' }}>
+                  <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '0.9rem', color: '#333' }}>
+                    <thead>
+                      <tr>
+                        {COLUMNS.map(({ key, labelKey }) => {
+                          const active = sort.key === key;
+                          return (
+                            <th
+                              key={key}
+                              aria-sort={active ? (sort.direction === 'asc' ? 'ascending' : 'descending') : 'none'}
+                              style={{ ...cellStyle, borderBottom: '2px solid #dee2e6' }}
+                            >
+                              <button
+                                onClick={() => toggleSort(key)}
+                                style={{
+                                  background: 'none',
+                                  border: 'none',
+                                  padding: 0,
+                                  font: 'inherit',
+                                  fontWeight: '600',
+                                  color: active ? '#007bff' : '#333',
+                                  cursor: 'pointer'
+                                }}
+                              >
+                                {t(labelKey)} {active ? (sort.direction === 'asc' ? '▲' : '▼') : '↕'}
+                              </button>
+                            </th>
+                          );
+                        })}
+                        <th style={{ ...cellStyle, borderBottom: '2px solid #dee2e6' }}>{t('neo.hazardous')}</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {rows.map(approach => (
+                        <tr key={approach.id} style={{ backgroundColor: approach.hazardous ? '#fff5f5' : 'transparent' }}>
+                          <td style={cellStyle}>
+                            <a href={approach.url} lang="en" target="_blank" rel="noopener noreferrer" title={t('neo.jplLink')} style={{ color: '#007bff', textDecoration: 'none' }}>
+                              {approach.name}
+                            </a>
+                          </td>
+                          <td style={cellStyle} title={formatTime(approach.time)}>{formatDate(approach.date)}</td>
+                          <td style={cellStyle}>
+                            {t('neo.distanceValue', {
+                              km: Math.round(approach.missDistance),
+                              lunar: Math.round(approach.missDistanceLunar * 10) / 10
+                            })}
+                          </td>
+                          <td style={cellStyle}>{t('neo.velocityValue', { speed: Math.round(approach.velocity * 10) / 10 })}</td>
+                          <td style={cellStyle}>
+                            {t('neo.diameterValue', { min: Math.round(approach.diameterMin), max: Math.round(approach.diameterMax) })}
+                          </td>
+                          <td style={cellStyle}>{t(approach.hazardous ? 'neo.yes' : 'neo.no')}</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              )}
+            </div>
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default NeoDashboard;
@@ -0,0 +1,95 @@
+import React from 'react';
+import useI18n from '../hooks/useI18n';
+import { addDays } from '../utils/dates';
+
+const WIDTH = 800;
+const HEIGHT = 260;
+const MARGIN = { top: 15, right: 20, bottom: 30, left: 50 };
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Close approaches plotted by time (x) and miss distance (y), sized by
+// estimated diameter, with potentially hazardous objects in red
+const NeoTimeline = ({ approaches, startDate, endDate }) => {
+  const { t, locale, formatDate } = useI18n();
+
+  const start = Date.parse(`${startDate}T00:00:00Z`);
+  const end = Date.parse(`${endDate}T00:00:00Z`) + DAY_MS;
+  const maxDistance = Math.max(1, Math.ceil(Math.max(0, ...approaches.map(a => a.missDistanceLunar))));
+  const maxDiameter = Math.max(1, ...approaches.map(a => a.diameterMax || 0));
+
+  const plotWidth = WIDTH - MARGIN.left - MARGIN.right;
+  const plotHeight = HEIGHT - MARGIN.top - MARGIN.bottom;
+  const x = (time) => MARGIN.left + ((time - start) / (end - start)) * plotWidth;
+  const y = (distance) => MARGIN.top + plotHeight - (distance / maxDistance) * plotHeight;
+
+  const days = [];
+  for (let day = startDate; day <= endDate; day = addDays(day, 1)) {
+    days.push(day);
+  }
+  const distanceTicks = [0, maxDistance / 2, maxDistance];
+  const formatNumber = (value) => new Intl.NumberFormat(locale, { maximumFractionDigits: 1 }).format(value);
+
+  return (
+    <svg
+      viewBox={`0 0 ${WIDTH} ${HEIGHT}`}
+      role="img"
+      aria-label={t('neo.timelineLabel')}
+      style={{ width: '100%', height: 'auto', display: 'block' }}
+    >
+      {/* Day columns */}
+      {days.map((day) => {
+        const left = x(Date.parse(`${day}T00:00:00Z`));
+        return (
+          <g key={day}>
+            <line x1={left} x2={left} y1={MARGIN.top} y2={MARGIN.top + plotHeight} stroke="#e9ecef" />
+            <text x={left + 4} y={HEIGHT - 10} fontSize="11" fill="#666">
+              {formatDate(day, { month: 'short', day: 'numeric' })}
+            </text>
+          </g>
+        );
+      })}
+
+      {/* Distance axis */}
+      {distanceTicks.map(tick => (
+        <g key={tick}>
+          <line x1={MARGIN.left} x2={WIDTH - MARGIN.right} y1={y(tick)} y2={y(tick)} stroke="#dee2e6" strokeDasharray="4 4" />
+          <text x={MARGIN.left - 6} y={y(tick) + 4} fontSize="11" fill="#666" textAnchor="end">
+            {formatNumber(tick)}
+          </text>
+        </g>
+      ))}
+      <text
+        x={12}
+        y={MARGIN.top + plotHeight / 2}
+        fontSize="11"
+        fill="#666"
+        textAnchor="middle"
+        transform={`rotate(-90 12 ${MARGIN.top + plotHeight / 2})`}
+      >
+        {t('neo.axisDistance')}
+      </text>
+
+      {approaches.map(approach => (
+        <circle
+          key={approach.id}
+          cx={x(approach.time)}
+          cy={y(approach.missDistanceLunar)}
+          r={3 + 9 * Math.sqrt((approach.diameterMax || 0) / maxDiameter)}
+          fill={approach.hazardous ? '#dc3545' : '#007bff'}
+          fillOpacity="0.6"
+          stroke={approach.hazardous ? '#a71d2a' : '#0056b3'}
+        >
+          <title>
+            {t('neo.timelinePoint', {
+              name: approach.name,
+              date: approach.date,
+              distance: Math.round(approach.missDistanceLunar * 10) / 10
+            })}
+          </title>
+        </circle>
+      ))}
+    </svg>
+  );
+};
+
+export default NeoTimeline;
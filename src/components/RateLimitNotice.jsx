@@ -0,0 +1,50 @@
+import React from 'react';
+import useRateLimit from '../hooks/useRateLimit';
+import useI18n from '../hooks/useI18n';
+
+// Warn once this client's own allowance is nearly used up; the quota of
+// the shared NASA key is everyone's and says nothing about this visitor
+const LOW_QUOTA = 10;
+
+const noticeStyle = {
+  maxWidth: '1000px',
+  margin: '20px auto 0',
+  boxSizing: 'border-box',
+  backgroundColor: '#fff3cd',
+  border: '1px solid #ffeaa7',
+  color: '#856404',
+  padding: '12px 20px',
+  borderRadius: '8px',
+  display: 'flex',
+  alignItems: 'center',
+  gap: '10px'
+};
+
+// Shown above every page while the server is refusing requests, with a
+// countdown to when it accepts them again, or when the allowance runs low
+const RateLimitNotice = () => {
+  const { t } = useI18n();
+  const { remaining, secondsLeft } = useRateLimit();
+
+  if (secondsLeft > 0) {
+    return (
+      <div role="status" style={noticeStyle}>
+        <span style={{ fontSize: '1.2rem' }}>⏳</span>
+        <span>{t('rateLimit.countdown', { seconds: secondsLeft })}</span>
+      </div>
+    );
+  }
+
+  if (remaining !== null && remaining < LOW_QUOTA) {
+    return (
+      <div role="status" style={noticeStyle}>
+        <span style={{ fontSize: '1.2rem' }}>⚠️</span>
+        <span>{t('rateLimit.low', { remaining })}</span>
+      </div>
+    );
+  }
+
+  return null;
+};
+
+export default RateLimitNotice;
@@ -0,0 +1,73 @@
+import React, { useEffect, useMemo, useRef } from 'react';
+import useI18n from '../hooks/useI18n';
+import { splitSentences, findSentenceAt, wordRangeAt } from '../utils/sentences';
+
+// Explanation text that highlights the sentence and word being narrated,
+// keeps them in view, and starts narration from any sentence that is clicked.
+// `position` is the character offset being spoken, or -1 when none is.
+const ReadAlongText = ({ text, position = -1, lang, onSentenceClick }) => {
+  const { t } = useI18n();
+  const sentences = useMemo(() => splitSentences(text), [text]);
+  const activeSentence = findSentenceAt(sentences, position);
+  const activeSentenceRef = useRef(null);
+
+  // Keep the sentence being read in view
+  useEffect(() => {
+    if (activeSentence >= 0) {
+      activeSentenceRef.current?.scrollIntoView?.({ block: 'nearest', behavior: 'smooth' });
+    }
+  }, [activeSentence]);
+
+  return (
+    <p lang={lang} style={{
+      lineHeight: '1.8',
+      fontSize: '1.1rem',
+      color: '#444',
+      textAlign: 'justify'
+    }}>
+      {sentences.map((sentence, index) => {
+        const isActive = index === activeSentence;
+        const [wordStart, wordEnd] = isActive
+          ? wordRangeAt(text, Math.max(position, sentence.start))
+          : [0, 0];
+
+        return (
+          <React.Fragment key={sentence.start}>
+            <span
+              ref={isActive ? activeSentenceRef : null}
+              role="button"
+              tabIndex={0}
+              title={t('apod.readFromHere')}
+              onClick={() => onSentenceClick(index)}
+              onKeyDown={(e) => {
+                if (e.key === 'Enter' || e.key === ' ') {
+                  e.preventDefault();
+                  onSentenceClick(index);
+                }
+              }}
+              style={{
+                cursor: 'pointer',
+                borderRadius: '4px',
+                backgroundColor: isActive ? '#e7f3ff' : 'transparent',
+                transition: 'background-color 0.2s ease'
+              }}
+            >
+              {isActive && wordEnd > wordStart ? (
+                <>
+                  {text.slice(sentence.start, wordStart)}
+                  <mark style={{ backgroundColor: '#ffe066', padding: '0 2px', borderRadius: '3px' }}>
+                    {text.slice(wordStart, wordEnd)}
+                  </mark>
+                  {text.slice(wordEnd, sentence.end)}
+                </>
+              ) : sentence.text}
+            </span>
+            {index < sentences.length - 1 && ' '}
+          </React.Fragment>
+        );
+      })}
+    </p>
+  );
+};
+
+export default ReadAlongText;
@@ -0,0 +1,164 @@
+import React, { useState, useEffect } from 'react';
+import { useSearchParams, useNavigate } from 'react-router-dom';
+import searchIndex, { highlightText, buildSnippet } from '../services/searchIndex';
+import useI18n from '../hooks/useI18n';
+import { APOD_START_DATE } from '../services/api';
+
+const FIRST_YEAR = Number(APOD_START_DATE.slice(0, 4));
+const CURRENT_YEAR = new Date().getFullYear();
+const YEARS = Array.from({ length: CURRENT_YEAR - FIRST_YEAR + 1 }, (_, index) => CURRENT_YEAR - index);
+
+const Highlighted = ({ text, terms }) => (
+  <>
+    {highlightText(text, terms).map((segment, index) => (
+      segment.match
+        ? <mark key={index} style={{ backgroundColor: '#ffe066', padding: '0 2px', borderRadius: '3px' }}>{segment.text}</mark>
+        : <React.Fragment key={index}>{segment.text}</React.Fragment>
+    ))}
+  </>
+);
+
+const SearchPage = () => {
+  const { t } = useI18n();
+  const navigate = useNavigate();
+  // Query and filters live in the URL so searches can be shared and revisited
+  const [searchParams, setSearchParams] = useSearchParams();
+  const query = searchParams.get('q') || '';
+  const mediaType = searchParams.get('type') || '';
+  const yearFrom = searchParams.get('from') || '';
+  const yearTo = searchParams.get('to') || '';
+
+  const [indexedCount, setIndexedCount] = useState(searchIndex.size());
+  const [indexing, setIndexing] = useState(true);
+
+  useEffect(() => {
+    searchIndex.refresh()
+      .then(setIndexedCount)
+      .finally(() => setIndexing(false));
+  }, []);
+
+  // Re-runs on every render, including the one after the index finishes loading
+  const results = searchIndex.search(query, { mediaType, yearFrom, yearTo });
+
+  const updateParam = (key, value) => {
+    const params = new URLSearchParams(searchParams);
+    if (value) {
+      params.set(key, value);
+    } else {
+      params.delete(key);
+    }
+    setSearchParams(params, { replace: true });
+  };
+
+  const selectStyle = {
+    padding: '10px 12px',
+    borderRadius: '10px',
+    border: '2px solid #e0e0e0',
+    fontSize: '0.95rem'
+  };
+
+  return (
+    <div style={{ padding: '40px 20px' }}>
+      <div style={{ maxWidth: '1000px', margin: '0 auto' }}>
+
+        {/* Search Controls */}
+        <div style={{
+          background: 'rgba(255,255,255,0.95)',
+          borderRadius: '15px',
+          padding: '30px',
+          marginBottom: '30px',
+          boxShadow: '0 8px 25px rgba(0,0,0,0.15)'
+        }}>
+          <h3 style={{ color: '#333', marginBottom: '20px', fontSize: '1.5rem' }}>
+            {t('search.heading')}
+          </h3>
+
+          <input
+            type="search"
+            value={query}
+            onChange={(e) => updateParam('q', e.target.value)}
+            placeholder={t('search.placeholder')}
+            aria-label={t('search.label')}
+            autoFocus
+            style={{ width: '100%', padding: '12px 15px', borderRadius: '10px', border: '2px solid #e0e0e0', fontSize: '1.05rem', marginBottom: '15px' }}
+          />
+
+          <div style={{ display: 'flex', gap: '15px', flexWrap: 'wrap', alignItems: 'center' }}>
+            <select value={mediaType} onChange={(e) => updateParam('type', e.target.value)} aria-label={t('search.mediaType')} style={selectStyle}>
+              <option value="">{t('search.allMedia')}</option>
+              <option value="image">{t('search.images')}</option>
+              <option value="video">{t('search.videos')}</option>
+              <option value="other">{t('search.other')}</option>
+            </select>
+            <select value={yearFrom} onChange={(e) => updateParam('from', e.target.value)} aria-label={t('search.yearFrom')} style={selectStyle}>
+              <option value="">{t('search.fromAnyYear')}</option>
+              {YEARS.map(year => <option key={year} value={year}>{t('search.fromYear', { year })}</option>)}
+            </select>
+            <select value={yearTo} onChange={(e) => updateParam('to', e.target.value)} aria-label={t('search.yearTo')} style={selectStyle}>
+              <option value="">{t('search.toAnyYear')}</option>
+              {YEARS.map(year => <option key={year} value={year}>{t('search.toYear', { year })}</option>)}
+            </select>
+          </div>
+
+          <p style={{ marginTop: '15px', fontSize: '0.85rem', color: '#666' }}>
+            {indexing ? t('search.indexing') : t('search.indexed', { count: indexedCount })}
+          </p>
+        </div>
+
+        {/* Results */}
+        {query && results.length === 0 && !indexing && (
+          <p style={{ color: 'white', textAlign: 'center', fontSize: '1.1rem' }}>
+            {t('search.noResults', { query })}
+          </p>
+        )}
+
+        <div style={{ display: 'flex', flexDirection: 'column', gap: '15px' }}>
+          {results.map(({ entry, terms }) => {
+            const thumbnail = entry.media_type === 'image' ? entry.url : entry.thumbnail_url;
+
+            return (
+              <button
+                key={entry.date}
+                onClick={() => navigate(`/apod/${entry.date}`, { state: { apod: entry } })}
+                style={{
+                  display: 'flex',
+                  gap: '15px',
+                  background: 'white',
+                  border: 'none',
+                  borderRadius: '12px',
+                  padding: '15px',
+                  textAlign: 'left',
+                  cursor: 'pointer',
+                  boxShadow: '0 4px 15px rgba(0,0,0,0.15)'
+                }}
+              >
+                {thumbnail && (
+                  <img
+                    src={thumbnail}
+                    alt=""
+                    loading="lazy"
+                    style={{ width: '120px', height: '90px', objectFit: 'cover', borderRadius: '8px', background: '#000', flexShrink: 0 }}
+                  />
+                )}
+                <div style={{ minWidth: 0 }}>
+                  <div lang="en" style={{ fontWeight: '600', color: '#333', fontSize: '1.1rem' }}>
+                    <Highlighted text={entry.title} terms={terms} />
+                  </div>
+                  <div style={{ fontSize: '0.8rem', color: '#666', margin: '4px 0 8px' }}>
+                    📅 {entry.date}
+                    {entry.copyright && <> • 📷 <span lang="en"><Highlighted text={entry.copyright} terms={terms} /></span></>}
+                  </div>
+                  <div lang="en" style={{ fontSize: '0.9rem', color: '#444', lineHeight: '1.5' }}>
+                    <Highlighted text={buildSnippet(entry.explanation, terms)} terms={terms} />
+                  </div>
+                </div>
+              </button>
+            );
+          })}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default SearchPage;
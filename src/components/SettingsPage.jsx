@@ -0,0 +1,204 @@
+import React, { useMemo } from 'react';
+import useSettings from '../hooks/useSettings';
+import useNarration from '../hooks/useNarration';
+import useI18n from '../hooks/useI18n';
+import { translate } from '../services/i18n';
+import { THEMES, SETTING_RANGES } from '../services/settings';
+
+const cardStyle = {
+  background: 'rgba(255,255,255,0.95)',
+  borderRadius: '15px',
+  padding: '30px',
+  marginBottom: '30px',
+  boxShadow: '0 8px 25px rgba(0,0,0,0.15)'
+};
+
+const labelStyle = { display: 'block', marginBottom: '5px', fontWeight: 'bold', fontSize: '0.9rem', color: '#333' };
+
+const Slider = ({ label, name, value, format, onChange }) => {
+  const { min, max, step } = SETTING_RANGES[name];
+
+  return (
+    <div>
+      <label htmlFor={`setting-${name}`} style={labelStyle}>
+        {label}: {format(value)}
+      </label>
+      <input
+        id={`setting-${name}`}
+        type="range"
+        min={min}
+        max={max}
+        step={step}
+        value={value}
+        onChange={(e) => onChange(parseFloat(e.target.value))}
+        style={{ width: '100%' }}
+      />
+      <div style={{ display: 'flex', justifyContent: 'space-between', fontSize: '0.8rem', color: '#666' }}>
+        <span>{format(min)}</span>
+        <span>{format(max)}</span>
+      </div>
+    </div>
+  );
+};
+
+const SettingsPage = () => {
+  const { t, locale } = useI18n();
+  const { settings, updateSettings, resetSettings } = useSettings();
+  // Read with the current settings when the preview button is pressed. Kept
+  // stable per language, since a new APOD reloads (and stops) the narrator
+  const previewApod = useMemo(() => ({
+    title: translate(locale, 'settings.previewTitle'),
+    explanation: translate(locale, 'settings.previewText'),
+    lang: locale
+  }), [locale]);
+  const narration = useNarration(previewApod, { preferences: settings });
+  const automaticVoice = settings.voiceURI ? null : narration.voice;
+
+  const togglePreview = () => {
+    if (narration.isPlaying) {
+      narration.stop();
+      return;
+    }
+    try {
+      narration.playSentence(0);
+    } catch (error) {
+      console.error('Speech synthesis error:', error);
+    }
+  };
+
+  const formatPercent = (value) => `${Math.round(value * 100)}%`;
+
+  return (
+    <div style={{ padding: '40px 20px' }}>
+      <div style={{ maxWidth: '800px', margin: '0 auto' }}>
+
+        {/* Narration */}
+        <div style={cardStyle}>
+          <h3 style={{ color: '#333', marginBottom: '20px', fontSize: '1.5rem' }}>
+            {t('settings.narration')}
+          </h3>
+
+          {!narration.supported && (
+            <p style={{ color: '#856404', backgroundColor: '#fff3cd', padding: '10px 15px', borderRadius: '8px', marginBottom: '20px' }}>
+              {t('settings.unsupported')}
+            </p>
+          )}
+
+          <div style={{ marginBottom: '20px' }}>
+            <label htmlFor="setting-voice" style={labelStyle}>{t('settings.voice')}</label>
+            <select
+              id="setting-voice"
+              value={settings.voiceURI || ''}
+              onChange={(e) => updateSettings({ voiceURI: e.target.value || null })}
+              style={{ width: '100%', padding: '8px', borderRadius: '4px', border: '1px solid #ddd', fontSize: '0.9rem' }}
+            >
+              <option value="">
+                {automaticVoice ? t('settings.automaticVoice', { name: automaticVoice.name }) : t('settings.automatic')}
+              </option>
+              {settings.voiceURI && !narration.voices.some(voice => voice.voiceURI === settings.voiceURI) && (
+                <option value={settings.voiceURI}>{t('settings.voiceUnavailable', { name: settings.voiceURI })}</option>
+              )}
+              {narration.voices.map(voice => (
+                <option key={voice.voiceURI} value={voice.voiceURI}>
+                  {voice.name} ({voice.lang})
+                </option>
+              ))}
+            </select>
+          </div>
+
+          <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(200px, 1fr))', gap: '20px' }}>
+            <Slider
+              label={t('settings.speed')}
+              name="rate"
+              value={settings.rate}
+              format={(value) => t('narration.rate', { rate: value })}
+              onChange={(rate) => updateSettings({ rate })}
+            />
+            <Slider
+              label={t('settings.pitch')}
+              name="pitch"
+              value={settings.pitch}
+              format={(value) => value.toFixed(1)}
+              onChange={(pitch) => updateSettings({ pitch })}
+            />
+            <Slider
+              label={t('settings.volume')}
+              name="volume"
+              value={settings.volume}
+              format={formatPercent}
+              onChange={(volume) => updateSettings({ volume })}
+            />
+          </div>
+
+          <button
+            onClick={togglePreview}
+            disabled={!narration.supported}
+            style={{
+              marginTop: '20px',
+              padding: '10px 20px',
+              backgroundColor: narration.isPlaying ? '#dc3545' : '#28a745',
+              color: 'white',
+              border: 'none',
+              borderRadius: '8px',
+              cursor: narration.supported ? 'pointer' : 'not-allowed',
+              fontSize: '1rem',
+              opacity: narration.supported ? 1 : 0.6
+            }}
+          >
+            {narration.isPlaying ? t('settings.stopPreview') : t('settings.preview')}
+          </button>
+        </div>
+
+        {/* Appearance */}
+        <div style={cardStyle}>
+          <h3 style={{ color: '#333', marginBottom: '20px', fontSize: '1.5rem' }}>
+            {t('settings.appearance')}
+          </h3>
+          <div role="radiogroup" aria-label={t('settings.theme')} style={{ display: 'flex', gap: '10px', flexWrap: 'wrap' }}>
+            {Object.keys(THEMES).map(theme => (
+              <button
+                key={theme}
+                role="radio"
+                aria-checked={settings.theme === theme}
+                onClick={() => updateSettings({ theme })}
+                style={{
+                  padding: '10px 18px',
+                  borderRadius: '20px',
+                  border: `2px solid ${settings.theme === theme ? '#007bff' : '#e0e0e0'}`,
+                  background: settings.theme === theme ? '#e7f3ff' : 'white',
+                  color: '#333',
+                  cursor: 'pointer',
+                  fontSize: '0.95rem'
+                }}
+              >
+                {t(`settings.theme.${theme}`)}
+              </button>
+            ))}
+          </div>
+        </div>
+
+        <div style={{ textAlign: 'center' }}>
+          <button
+            onClick={resetSettings}
+            style={{
+              padding: '10px 20px',
+              backgroundColor: 'transparent',
+              color: 'white',
+              border: '1px solid rgba(255,255,255,0.6)',
+              borderRadius: '8px',
+              cursor: 'pointer',
+              fontSize: '0.95rem'
+            }}
+          >
+            {t('settings.reset')}
+          </button>
+          <p style={{ marginTop: '10px', fontSize: '0.85rem', color: '#87ceeb' }}>
+            {t('settings.savedHint')}
+          </p>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default SettingsPage;
@@ -0,0 +1,311 @@
+import React, { useState, useEffect } from 'react';
+import { useSearchParams } from 'react-router-dom';
+import apiService, { getErrorMessage, logError, SPACE_WEATHER_MAX_RANGE_DAYS } from '../services/api';
+import { DONKI_START_DATE, getEventSummary, isNotableEvent } from '../utils/donki';
+import { getToday, daysAgo } from '../utils/dates';
+import useI18n from '../hooks/useI18n';
+import SpaceWeatherTimeline from './SpaceWeatherTimeline';
+
+const cardStyle = {
+  background: 'rgba(255,255,255,0.95)',
+  borderRadius: '15px',
+  padding: '30px',
+  marginBottom: '30px',
+  boxShadow: '0 8px 25px rgba(0,0,0,0.15)',
+  border: '1px solid rgba(255,255,255,0.3)'
+};
+
+const labelStyle = {
+  fontSize: '0.9rem',
+  fontWeight: '600',
+  color: '#333',
+  marginBottom: '8px',
+  display: 'block'
+};
+
+const inputStyle = {
+  padding: '10px 12px',
+  borderRadius: '10px',
+  border: '2px solid #e0e0e0',
+  fontSize: '0.95rem',
+  color: '#333',
+  background: 'white'
+};
+
+const EventFact = ({ label, children }) => (
+  <div>
+    <div style={{ fontSize: '0.75rem', color: '#888', textTransform: 'uppercase' }}>{label}</div>
+    <div style={{ fontWeight: '600', color: '#333' }}>{children}</div>
+  </div>
+);
+
+const SpaceWeatherPage = () => {
+  const { t, locale } = useI18n();
+
+  // The window and the selected event live in the URL, so the APOD view can
+  // link straight to an event; the window defaults to the last 30 days
+  const [searchParams, setSearchParams] = useSearchParams();
+  const startDate = searchParams.get('start') || daysAgo(29);
+  const endDate = searchParams.get('end') || getToday();
+  const selectedId = searchParams.get('event');
+
+  const [startDraft, setStartDraft] = useState(startDate);
+  const [endDraft, setEndDraft] = useState(endDate);
+  const [events, setEvents] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    setStartDraft(startDate);
+    setEndDraft(endDate);
+
+    let cancelled = false;
+    setLoading(true);
+    setError(null);
+
+    apiService.fetchSpaceWeather(startDate, endDate)
+      .then((data) => {
+        if (!cancelled) setEvents(data);
+      })
+      .catch((err) => {
+        if (cancelled) return;
+        setEvents([]);
+        setError(err);
+        logError(err, 'SpaceWeatherPage.fetchSpaceWeather');
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [startDate, endDate]);
+
+  const showRange = () => {
+    try {
+      apiService.validateSpaceWeatherRange(startDraft, endDraft);
+    } catch (err) {
+      setError(err);
+      return;
+    }
+    setError(null);
+    setSearchParams({ start: startDraft, end: endDraft });
+  };
+
+  const selectEvent = (event) => {
+    const params = new URLSearchParams(searchParams);
+    params.set('start', startDate);
+    params.set('end', endDate);
+    params.set('event', event.id);
+    setSearchParams(params, { replace: true });
+  };
+
+  const byId = new Map(events.map(event => [event.id, event]));
+  const selectedEvent = byId.get(selectedId) || null;
+  const formatTime = (time) => t('spaceWeather.timeValue', {
+    time: new Intl.DateTimeFormat(locale, { dateStyle: 'medium', timeStyle: 'short', timeZone: 'UTC' }).format(time)
+  });
+  const formatNumber = (value) => new Intl.NumberFormat(locale).format(value);
+  const summarize = (event) => {
+    const summary = getEventSummary(event);
+    return t(summary.key, summary.params);
+  };
+
+  return (
+    <div style={{ padding: '0 20px 40px' }}>
+      <div style={{ maxWidth: '1000px', margin: '0 auto' }}>
+
+        {/* Range Controls */}
+        <div style={cardStyle}>
+          <h3 style={{ color: '#333', marginBottom: '10px', fontSize: '1.5rem' }}>{t('spaceWeather.heading')}</h3>
+          <p style={{ color: '#666', marginBottom: '20px' }}>{t('spaceWeather.intro')}</p>
+
+          <div style={{ display: 'flex', gap: '20px', alignItems: 'flex-end', flexWrap: 'wrap' }}>
+            <div>
+              <label htmlFor="space-weather-start" style={labelStyle}>{t('spaceWeather.startDate')}</label>
+              <input
+                id="space-weather-start"
+                type="date"
+                min={DONKI_START_DATE}
+                max={getToday()}
+                value={startDraft}
+                onChange={(e) => setStartDraft(e.target.value)}
+                style={inputStyle}
+              />
+            </div>
+            <div>
+              <label htmlFor="space-weather-end" style={labelStyle}>{t('spaceWeather.endDate')}</label>
+              <input
+                id="space-weather-end"
+                type="date"
+                min={startDraft}
+                max={getToday()}
+                value={endDraft}
+                onChange={(e) => setEndDraft(e.target.value)}
+                style={inputStyle}
+              />
+            </div>
+            <button
+              onClick={showRange}
+              disabled={loading}
+              style={{
+                padding: '12px 30px',
+                background: loading ? '#ccc' : 'linear-gradient(135deg, #fd7e14 0%, #c85f0a 100%)',
+                color: 'white',
+                border: 'none',
+                borderRadius: '10px',
+                cursor: loading ? 'not-allowed' : 'pointer',
+                fontSize: '1rem',
+                fontWeight: '600'
+              }}
+            >
+              {t(loading ? 'spaceWeather.loadingButton' : 'spaceWeather.load')}
+            </button>
+          </div>
+          <p style={{ color: '#888', fontSize: '0.85rem', marginTop: '15px', marginBottom: 0 }}>
+            {t('spaceWeather.rangeHint', { max: SPACE_WEATHER_MAX_RANGE_DAYS })}
+          </p>
+        </div>
+
+        {/* Error State */}
+        {error && (
+          <div style={{
+            color: '#d32f2f',
+            backgroundColor: '#ffebee',
+            border: '1px solid #f44336',
+            padding: '20px',
+            borderRadius: '8px',
+            marginBottom: '20px',
+            textAlign: 'center'
+          }}>
+            <p>❌ {getErrorMessage(error)}</p>
+          </div>
+        )}
+
+        {loading && (
+          <p style={{ textAlign: 'center', color: 'white', fontSize: '1.1rem' }}>{t('spaceWeather.loading')}</p>
+        )}
+
+        {!loading && !error && (
+          <>
+            {/* Timeline */}
+            <div style={cardStyle}>
+              <h4 style={{ color: '#333', marginTop: 0, marginBottom: '15px' }}>{t('spaceWeather.timeline')}</h4>
+              {events.length === 0 ? (
+                <p style={{ color: '#666', margin: 0 }}>{t('spaceWeather.noEvents')}</p>
+              ) : (
+                <SpaceWeatherTimeline
+                  events={events}
+                  startDate={startDate}
+                  endDate={endDate}
+                  selectedEvent={selectedEvent}
+                  onSelect={selectEvent}
+                  formatTime={formatTime}
+                />
+              )}
+            </div>
+
+            {/* Event Details */}
+            {selectedEvent ? (
+              <section style={cardStyle} aria-labelledby="space-weather-event-title">
+                <div style={{ display: 'flex', alignItems: 'center', gap: '12px', marginBottom: '20px', flexWrap: 'wrap' }}>
+                  <h4 id="space-weather-event-title" style={{ color: '#333', margin: 0 }}>{summarize(selectedEvent)}</h4>
+                  {isNotableEvent(selectedEvent) && (
+                    <span style={{
+                      padding: '2px 10px',
+                      borderRadius: '10px',
+                      fontSize: '0.8rem',
+                      backgroundColor: '#fff3cd',
+                      color: '#856404'
+                    }}>
+                      {t('spaceWeather.notable')}
+                    </span>
+                  )}
+                </div>
+
+                <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(160px, 1fr))', gap: '15px' }}>
+                  <EventFact label={t('spaceWeather.eventType')}>{t(`spaceWeather.type.${selectedEvent.type}`)}</EventFact>
+                  <EventFact label={t('spaceWeather.started')}>{formatTime(selectedEvent.time)}</EventFact>
+                  {selectedEvent.peakTime && <EventFact label={t('spaceWeather.peak')}>{formatTime(selectedEvent.peakTime)}</EventFact>}
+                  {selectedEvent.endTime && <EventFact label={t('spaceWeather.ended')}>{formatTime(selectedEvent.endTime)}</EventFact>}
+                  {selectedEvent.classType && <EventFact label={t('spaceWeather.classType')}>{selectedEvent.classType}</EventFact>}
+                  {selectedEvent.speed != null && (
+                    <EventFact label={t('spaceWeather.speed')}>{t('spaceWeather.speedValue', { speed: Math.round(selectedEvent.speed) })}</EventFact>
+                  )}
+                  {selectedEvent.halfAngle != null && (
+                    <EventFact label={t('spaceWeather.halfAngle')}>{formatNumber(selectedEvent.halfAngle)}°</EventFact>
+                  )}
+                  {selectedEvent.type === 'GST' && (
+                    <EventFact label={t('spaceWeather.kpIndex')}>{formatNumber(selectedEvent.kpIndex)}</EventFact>
+                  )}
+                  {selectedEvent.sourceLocation && (
+                    <EventFact label={t('spaceWeather.sourceLocation')}>{selectedEvent.sourceLocation}</EventFact>
+                  )}
+                  {selectedEvent.activeRegion && (
+                    <EventFact label={t('spaceWeather.activeRegion')}>{selectedEvent.activeRegion}</EventFact>
+                  )}
+                </div>
+
+                {selectedEvent.note && (
+                  <p lang="en" style={{ color: '#555', fontSize: '0.9rem', lineHeight: '1.6', marginTop: '20px' }}>{selectedEvent.note}</p>
+                )}
+
+                {/* Related Events */}
+                <h5 style={{ color: '#333', marginTop: '20px', marginBottom: '10px', fontSize: '1rem' }}>{t('spaceWeather.related')}</h5>
+                {selectedEvent.linkedIds.length === 0 ? (
+                  <p style={{ color: '#666', margin: 0 }}>{t('spaceWeather.noRelated')}</p>
+                ) : (
+                  <ul style={{ listStyle: 'none', padding: 0, margin: 0, display: 'grid', gap: '6px' }}>
+                    {selectedEvent.linkedIds.map((id) => {
+                      const related = byId.get(id);
+                      return (
+                        <li key={id}>
+                          {related ? (
+                            <button
+                              onClick={() => selectEvent(related)}
+                              style={{
+                                background: 'none',
+                                border: 'none',
+                                padding: 0,
+                                color: '#007bff',
+                                cursor: 'pointer',
+                                fontSize: '0.9rem',
+                                textAlign: 'left'
+                              }}
+                            >
+                              {t('spaceWeather.relatedEvent', { summary: summarize(related), time: formatTime(related.time) })}
+                            </button>
+                          ) : (
+                            <span style={{ color: '#666', fontSize: '0.9rem' }}>
+                              {t('spaceWeather.outsideRange', { id })}
+                            </span>
+                          )}
+                        </li>
+                      );
+                    })}
+                  </ul>
+                )}
+
+                {selectedEvent.link && (
+                  <a
+                    href={selectedEvent.link}
+                    target="_blank"
+                    rel="noopener noreferrer"
+                    style={{ display: 'inline-block', marginTop: '20px', color: '#007bff', textDecoration: 'none' }}
+                  >
+                    {t('spaceWeather.donkiLink')}
+                  </a>
+                )}
+              </section>
+            ) : events.length > 0 && (
+              <p style={{ textAlign: 'center', color: 'white' }}>{t('spaceWeather.selectHint')}</p>
+            )}
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default SpaceWeatherPage;
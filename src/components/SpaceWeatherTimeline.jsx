@@ -0,0 +1,107 @@
+import React from 'react';
+import useI18n from '../hooks/useI18n';
+import { SPACE_WEATHER_TYPES, isNotableEvent, getEventSummary } from '../utils/donki';
+import { addDays } from '../utils/dates';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_DAY_LABELS = 8;
+
+const EVENT_COLORS = { FLR: '#fd7e14', CME: '#6f42c1', GST: '#20c997' };
+
+// One lane per event type with a marker per event; the selected event and
+// the events linked to it are outlined
+const SpaceWeatherTimeline = ({ events, startDate, endDate, selectedEvent, onSelect, formatTime }) => {
+  const { t, formatDate } = useI18n();
+
+  const start = Date.parse(`${startDate}T00:00:00Z`);
+  const end = Date.parse(`${endDate}T00:00:00Z`) + DAY_MS;
+  const position = (time) => `${Math.min(100, Math.max(0, ((time - start) / (end - start)) * 100))}%`;
+
+  const dayCount = Math.round((end - start) / DAY_MS);
+  const labelEvery = Math.ceil(dayCount / MAX_DAY_LABELS);
+  const dayLabels = [];
+  for (let day = 0; day < dayCount; day += labelEvery) {
+    dayLabels.push(addDays(startDate, day));
+  }
+
+  const linked = new Set(selectedEvent?.linkedIds || []);
+
+  return (
+    <div role="group" aria-label={t('spaceWeather.timelineLabel')}>
+      {SPACE_WEATHER_TYPES.map((type) => {
+        const laneEvents = events.filter(event => event.type === type);
+
+        return (
+          <div key={type} style={{ display: 'flex', alignItems: 'center', gap: '12px', marginBottom: '10px' }}>
+            <div style={{ width: '170px', flexShrink: 0, fontSize: '0.85rem', color: '#333' }}>
+              <span aria-hidden="true" style={{
+                display: 'inline-block',
+                width: '10px',
+                height: '10px',
+                borderRadius: '50%',
+                background: EVENT_COLORS[type],
+                marginRight: '6px'
+              }} />
+              {t(`spaceWeather.lane.${type}`, { count: laneEvents.length })}
+            </div>
+            <div style={{ position: 'relative', flex: 1, height: '36px', background: '#f1f3f5', borderRadius: '18px' }}>
+              {laneEvents.map((event) => {
+                const summary = getEventSummary(event);
+                const selected = selectedEvent?.id === event.id;
+                const size = isNotableEvent(event) ? 18 : 12;
+
+                return (
+                  <button
+                    key={event.id}
+                    onClick={() => onSelect(event)}
+                    aria-pressed={selected}
+                    aria-label={t('spaceWeather.marker', { summary: t(summary.key, summary.params), time: formatTime(event.time) })}
+                    title={t(summary.key, summary.params)}
+                    style={{
+                      position: 'absolute',
+                      left: position(event.time),
+                      top: '50%',
+                      transform: 'translate(-50%, -50%)',
+                      width: `${size}px`,
+                      height: `${size}px`,
+                      padding: 0,
+                      borderRadius: '50%',
+                      background: EVENT_COLORS[type],
+                      border: selected ? '3px solid #212529' : linked.has(event.id) ? '3px solid #ffc107' : '1px solid white',
+                      boxSizing: 'content-box',
+                      cursor: 'pointer',
+                      zIndex: selected ? 2 : 1
+                    }}
+                  />
+                );
+              })}
+            </div>
+          </div>
+        );
+      })}
+
+      {/* Day labels */}
+      <div style={{ display: 'flex', gap: '12px' }}>
+        <div style={{ width: '170px', flexShrink: 0 }} />
+        <div style={{ position: 'relative', flex: 1, height: '20px' }}>
+          {dayLabels.map(day => (
+            <span
+              key={day}
+              style={{
+                position: 'absolute',
+                left: position(Date.parse(`${day}T00:00:00Z`)),
+                fontSize: '0.75rem',
+                color: '#666',
+                whiteSpace: 'nowrap'
+              }}
+            >
+              {formatDate(day, { month: 'short', day: 'numeric' })}
+            </span>
+          ))}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default SpaceWeatherTimeline;
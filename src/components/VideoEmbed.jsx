@@ -0,0 +1,144 @@
+import React, { useState, useEffect } from 'react';
+import useI18n from '../hooks/useI18n';
+import { getVideoEmbed, getAPODPageUrl } from '../utils/media';
+
+// 16:9 box that scales with the card width
+const responsiveFrameStyle = {
+  position: 'relative',
+  width: '100%',
+  paddingTop: '56.25%',
+  background: '#000'
+};
+
+const fillStyle = {
+  position: 'absolute',
+  top: 0,
+  left: 0,
+  width: '100%',
+  height: '100%',
+  border: 'none'
+};
+
+const linkButtonStyle = {
+  display: 'inline-block',
+  padding: '10px 20px',
+  backgroundColor: '#007bff',
+  color: 'white',
+  textDecoration: 'none',
+  borderRadius: '8px',
+  fontSize: '1rem'
+};
+
+const VideoEmbed = ({ apod }) => {
+  const { t } = useI18n();
+  const embed = apod.media_type === 'video' ? getVideoEmbed(apod.url) : null;
+  // Hosted players are only loaded after a click, so nothing is requested
+  // from YouTube or Vimeo until the user asks for it
+  const [activated, setActivated] = useState(false);
+
+  useEffect(() => {
+    setActivated(false);
+  }, [apod.url]);
+
+  if (embed?.type === 'file') {
+    return (
+      <div style={responsiveFrameStyle}>
+        <video
+          controls
+          preload="metadata"
+          poster={apod.thumbnail_url}
+          style={fillStyle}
+        >
+          <source src={embed.src} type={embed.mimeType} />
+          <a href={embed.src}>{t('video.download')}</a>
+        </video>
+      </div>
+    );
+  }
+
+  if (embed) {
+    return (
+      <div style={responsiveFrameStyle}>
+        {activated ? (
+          <iframe
+            src={embed.embedUrl}
+            title={apod.title}
+            allow="autoplay; encrypted-media; fullscreen; picture-in-picture"
+            allowFullScreen
+            referrerPolicy="strict-origin-when-cross-origin"
+            style={fillStyle}
+          />
+        ) : (
+          <button
+            onClick={() => setActivated(true)}
+            aria-label={t('video.playLabel', { title: apod.title })}
+            style={{
+              ...fillStyle,
+              cursor: 'pointer',
+              background: apod.thumbnail_url
+                ? `#000 url("${apod.thumbnail_url}") center / cover no-repeat`
+                : 'linear-gradient(135deg, #000814 0%, #1e3c72 100%)',
+              display: 'flex',
+              flexDirection: 'column',
+              alignItems: 'center',
+              justifyContent: 'center',
+              gap: '10px',
+              color: 'white'
+            }}
+          >
+            <span style={{
+              width: '72px',
+              height: '72px',
+              borderRadius: '50%',
+              background: 'rgba(0,0,0,0.7)',
+              display: 'flex',
+              alignItems: 'center',
+              justifyContent: 'center',
+              fontSize: '2rem'
+            }}>
+              ▶
+            </span>
+            <span style={{ background: 'rgba(0,0,0,0.7)', padding: '4px 10px', borderRadius: '6px', fontSize: '0.85rem' }}>
+              {t('video.play', { host: embed.type === 'youtube' ? 'YouTube' : 'Vimeo' })}
+            </span>
+          </button>
+        )}
+      </div>
+    );
+  }
+
+  // Unknown media types ("other") or video hosts we cannot embed
+  return (
+    <div style={{ padding: '20px', textAlign: 'center' }}>
+      {apod.thumbnail_url && (
+        <img
+          src={apod.thumbnail_url}
+          lang="en"
+          alt={apod.title}
+          style={{ width: '100%', maxHeight: '400px', objectFit: 'contain', background: '#000', marginBottom: '15px' }}
+        />
+      )}
+      <p style={{ marginBottom: '15px', color: '#666' }}>
+        {apod.media_type === 'video'
+          ? t('video.unplayable')
+          : t('video.unsupported')}
+      </p>
+      {apod.url ? (
+        <a href={apod.url} target="_blank" rel="noopener noreferrer" style={linkButtonStyle}>
+          {t('video.openOriginal')}
+        </a>
+      ) : (
+        <a
+          href={getAPODPageUrl(apod.date)}
+          target="_blank"
+          rel="noopener noreferrer"
+          style={linkButtonStyle}
+        >
+          {t('video.openApod')}
+        </a>
+      )}
+    </div>
+  );
+};
+
+export default VideoEmbed;
@@ -0,0 +1,20 @@
+import { useSyncExternalStore } from 'react';
+import favoritesService from '../services/favorites';
+
+const subscribe = (listener) => favoritesService.subscribe(listener);
+const getSnapshot = () => favoritesService.getAll();
+
+// Re-renders whenever the favorites collection changes (in this tab or another)
+const useFavorites = () => {
+  const favorites = useSyncExternalStore(subscribe, getSnapshot);
+
+  return {
+    favorites,
+    isFavorite: (date) => favorites.some(favorite => favorite.date === date),
+    toggleFavorite: (apod) => favoritesService.toggle(apod),
+    updateFavorite: (date, changes) => favoritesService.update(date, changes),
+    removeFavorite: (date) => favoritesService.remove(date)
+  };
+};
+
+export default useFavorites;
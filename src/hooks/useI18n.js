@@ -0,0 +1,20 @@
+import { useSyncExternalStore } from 'react';
+import i18n, { translate, formatDate, LOCALES } from '../services/i18n';
+
+const subscribe = (listener) => i18n.subscribe(listener);
+const getSnapshot = () => i18n.getLocale();
+
+// Messages and dates in the current UI language; re-renders when it changes
+const useI18n = () => {
+  const locale = useSyncExternalStore(subscribe, getSnapshot);
+
+  return {
+    locale,
+    locales: LOCALES,
+    setLocale: (code) => i18n.setLocale(code),
+    t: (key, params) => translate(locale, key, params),
+    formatDate: (date, options) => formatDate(date, locale, options)
+  };
+};
+
+export default useI18n;
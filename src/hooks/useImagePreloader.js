@@ -0,0 +1,39 @@
+import { useState, useEffect } from 'react';
+
+// Loads every URL into the browser cache ahead of time so an animation can
+// step through them without flicker. Failed images count as settled, so one
+// missing frame never blocks the rest
+const useImagePreloader = (urls) => {
+  const [settled, setSettled] = useState(0);
+  const key = urls.join('\n');
+
+  useEffect(() => {
+    setSettled(0);
+    if (!key) return undefined;
+
+    let cancelled = false;
+    const images = key.split('\n').map((url) => {
+      const image = new Image();
+      image.onload = image.onerror = () => {
+        if (!cancelled) setSettled(count => count + 1);
+      };
+      image.src = url;
+      return image;
+    });
+
+    return () => {
+      cancelled = true;
+      images.forEach((image) => {
+        image.onload = image.onerror = null;
+      });
+    };
+  }, [key]);
+
+  return {
+    loaded: settled,
+    total: urls.length,
+    ready: urls.length > 0 && settled >= urls.length
+  };
+};
+
+export default useImagePreloader;
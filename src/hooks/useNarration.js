@@ -0,0 +1,49 @@
+import { useState, useEffect, useRef, useSyncExternalStore } from 'react';
+import { createNarrator } from '../services/narration';
+
+// Narrates an APOD. Pass { engine } (e.g. a fake speech engine) to replace the
+// browser's speechSynthesis, { preferences } with any of voiceURI, rate, pitch
+// and volume, and { onError } to hear about engine failures.
+const useNarration = (apod, { engine, preferences, onError } = {}) => {
+  const [narrator] = useState(() => createNarrator(engine));
+  const state = useSyncExternalStore(narrator.subscribe, narrator.getState);
+
+  const onErrorRef = useRef(onError);
+  useEffect(() => {
+    onErrorRef.current = onError;
+  });
+
+  useEffect(() => narrator.on('error', (event) => onErrorRef.current?.(event)), [narrator]);
+
+  useEffect(() => {
+    if (preferences) narrator.configure(preferences);
+  }, [narrator, preferences]);
+
+  // Reload (and stop) whenever a different APOD is shown
+  useEffect(() => {
+    narrator.load(apod);
+  }, [narrator, apod]);
+
+  // Don't keep talking after the view goes away
+  useEffect(() => () => narrator.stop(), [narrator]);
+
+  return {
+    ...state,
+    isPlaying: state.status !== 'idle',
+    isPaused: state.status === 'paused',
+    play: narrator.play,
+    playSentence: narrator.playSentence,
+    pause: narrator.pause,
+    resume: narrator.resume,
+    stop: narrator.stop,
+    next: narrator.next,
+    previous: narrator.previous,
+    configure: narrator.configure,
+    setVoice: narrator.setVoice,
+    setRate: narrator.setRate,
+    setPitch: narrator.setPitch,
+    setVolume: narrator.setVolume
+  };
+};
+
+export default useNarration;
@@ -0,0 +1,32 @@
+import { useState, useEffect } from 'react';
+import apiService, { logError, networkService } from '../services/api';
+
+// Notable flares, CMEs and storms on `date`; an empty list until they arrive,
+// while offline, or if the lookup fails (the marker is a nice-to-have).
+// apiService keeps each date's lookup, so paging back and forth through
+// APODs does not ask DONKI again
+const useNotableSpaceWeather = (date) => {
+  const [events, setEvents] = useState([]);
+
+  useEffect(() => {
+    setEvents([]);
+    if (!date || !networkService.isOnline()) return undefined;
+
+    let cancelled = false;
+    apiService.fetchNotableSpaceWeather(date)
+      .then((notable) => {
+        if (!cancelled) setEvents(notable);
+      })
+      .catch((error) => {
+        logError(error, 'useNotableSpaceWeather');
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [date]);
+
+  return events;
+};
+
+export default useNotableSpaceWeather;
@@ -0,0 +1,29 @@
+import { useState, useEffect, useSyncExternalStore } from 'react';
+import { rateLimitService } from '../services/api';
+
+const subscribe = (listener) => rateLimitService.subscribe(listener);
+const getSnapshot = () => rateLimitService.getStatus();
+
+// The request quota last reported by the server, plus the seconds until
+// requests are accepted again, counting down once a second while it lasts
+const useRateLimit = () => {
+  const status = useSyncExternalStore(subscribe, getSnapshot);
+  const [secondsLeft, setSecondsLeft] = useState(() => rateLimitService.secondsUntilRetry());
+
+  useEffect(() => {
+    setSecondsLeft(rateLimitService.secondsUntilRetry());
+    if (!status.retryAt) return undefined;
+
+    const timer = setInterval(() => {
+      const seconds = rateLimitService.secondsUntilRetry();
+      setSecondsLeft(seconds);
+      if (seconds === 0) clearInterval(timer);
+    }, 1000);
+
+    return () => clearInterval(timer);
+  }, [status.retryAt]);
+
+  return { ...status, secondsLeft };
+};
+
+export default useRateLimit;
@@ -0,0 +1,18 @@
+import { useSyncExternalStore } from 'react';
+import settingsService from '../services/settings';
+
+const subscribe = (listener) => settingsService.subscribe(listener);
+const getSnapshot = () => settingsService.get();
+
+// Re-renders whenever a setting changes (in this tab or another)
+const useSettings = () => {
+  const settings = useSyncExternalStore(subscribe, getSnapshot);
+
+  return {
+    settings,
+    updateSettings: (changes) => settingsService.update(changes),
+    resetSettings: () => settingsService.reset()
+  };
+};
+
+export default useSettings;
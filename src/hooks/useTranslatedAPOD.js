@@ -0,0 +1,38 @@
+import { useState, useEffect } from 'react';
+import translationService from '../services/translation';
+import { logError } from '../services/api';
+
+const IDLE = { apod: null, loading: false, error: null };
+
+// Translates an APOD into `lang`; apod is null until the translation arrives,
+// or when no translation was asked for
+const useTranslatedAPOD = (apod, lang) => {
+  const [result, setResult] = useState(IDLE);
+
+  useEffect(() => {
+    if (!apod || !lang) {
+      setResult(IDLE);
+      return undefined;
+    }
+
+    let cancelled = false;
+    setResult({ apod: null, loading: true, error: null });
+
+    translationService.translateAPOD(apod, lang)
+      .then(translated => {
+        if (!cancelled) setResult({ apod: translated, loading: false, error: null });
+      })
+      .catch(error => {
+        logError(error, 'useTranslatedAPOD');
+        if (!cancelled) setResult({ apod: null, loading: false, error });
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [apod, lang]);
+
+  return result;
+};
+
+export default useTranslatedAPOD;
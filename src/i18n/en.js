@@ -0,0 +1,463 @@
+// English messages, the reference catalog every other language falls back to.
+// Keys are grouped by screen; see services/i18n for the placeholder syntax.
+
+const en = {
+  // App shell
+  'app.title': 'NASA Explorer',
+  'app.agency': 'National Aeronautics and Space Administration',
+  'app.nasa': 'NASA',
+  'app.logoAlt': 'NASA Logo',
+  'app.language': 'Language',
+  'nav.apod': 'APOD',
+  'nav.gallery': 'Gallery',
+  'nav.search': 'Search',
+  'nav.favorites': 'Favorites',
+  'nav.settings': 'Settings',
+  'nav.about': 'About',
+  'nav.mars': 'Mars',
+  'nav.asteroids': 'Asteroids',
+  'nav.earth': 'Earth',
+  'nav.library': 'Library',
+  'nav.spaceWeather': 'Space Weather',
+  'footer.tagline': 'Inspiring the next generation of explorers',
+  'footer.dataProvidedBy': 'Data provided by',
+  'footer.dataSource': 'NASA Open Data API',
+  'footer.builtWith': 'Built with ❤️ for space exploration • © 2025 NASA Explorer',
+
+  // Error boundary
+  'errorBoundary.title': 'Something went wrong',
+  'errorBoundary.message': 'We encountered an unexpected error while loading the application. This might be a temporary issue.',
+  'errorBoundary.details': 'Error Details (Development)',
+  'errorBoundary.error': 'Error:',
+  'errorBoundary.tryAgain': '🔄 Try Again',
+  'errorBoundary.reset': '🔄 Reset',
+  'errorBoundary.reload': '🔄 Reload Page',
+  'errorBoundary.retryCount': 'Retry attempts: {count, number}',
+  'errorBoundary.helpTitle': 'Still having issues?',
+  'errorBoundary.help': 'Please check your internet connection or try refreshing the page. If the problem persists, the service might be temporarily unavailable.',
+
+  // Rate-limit notice
+  'rateLimit.countdown': 'Too many requests right now. New requests are possible in {seconds, number} s.',
+  'rateLimit.low': 'You are close to the request limit, with {remaining, number} requests left for now. Pictures you have already seen still load from the cache.',
+
+  // Error messages (services/api getErrorMessage)
+  'errors.network': 'Network connection issue. Please check your internet connection and try again.',
+  'errors.server': 'Server error. Please try again later.',
+  'errors.client': 'Invalid request. Please check your input.',
+  'errors.rateLimit': 'Too many requests. Please wait a moment and try again.',
+  'errors.rateLimitWait': 'Too many requests. You can try again in {seconds, number} s.',
+  'errors.validation': 'Invalid input provided.',
+  'errors.unknown': 'An unexpected error occurred.',
+  'errors.dateFormat': 'Invalid date format. Please use YYYY-MM-DD format.',
+  'errors.dateInFuture': 'Date cannot be in the future.',
+  'errors.dateTooEarly': 'Date must be after {date, date} (APOD start date).',
+  'errors.startDateRequired': 'Please choose a start date.',
+  'errors.rangeOrder': 'Start date must be on or before the end date.',
+  'errors.rangeTooLong': 'Date range cannot be longer than {max, number} days.',
+  'errors.count': 'Count must be a whole number between 1 and {max, number}.',
+  'errors.marsRover': 'Please choose a Mars rover.',
+  'errors.marsSol': 'Sol must be a whole number of 0 or more.',
+  'errors.marsBeforeLanding': '{rover} landed on {date, date}. Please choose a later date.',
+  'errors.marsCamera': 'That camera is not on {rover}.',
+  'errors.datesRequired': 'Please choose a start and an end date.',
+  'errors.neoRangeTooLong': 'The asteroid feed covers at most {max, number} days at a time.',
+  'errors.epicCollection': 'Please choose natural or enhanced imagery.',
+  'errors.epicTooEarly': 'EPIC imagery starts on {date, date}.',
+  'errors.mediaQuery': 'Please enter a keyword to search for.',
+  'errors.mediaType': 'Please choose images, videos or audio.',
+  'errors.mediaYear': 'Years must be whole numbers between {min} and {max}.',
+  'errors.mediaYearOrder': 'The start year must be on or before the end year.',
+  'errors.mediaCenter': 'Please choose a NASA center from the list.',
+  'errors.mediaAsset': 'This item has no NASA ID.',
+  'errors.donkiTooEarly': 'Space weather records start on {date, date}.',
+  'errors.donkiRangeTooLong': 'The timeline covers at most {max, number} days at a time.',
+  'errors.importJson': 'The selected file is not valid JSON.',
+  'errors.importCollection': 'The selected file does not contain a favorites collection.',
+  'errors.importEmpty': 'No valid favorites were found in the selected file.',
+
+  // APOD viewer
+  'apod.offline': 'You are currently offline. Previously viewed and saved pictures are still available.',
+  'apod.heading': 'Astronomy Picture of the Day',
+  'apod.intro': "Discover the cosmos through NASA's daily featured astronomical images and scientific explanations",
+  'apod.selectDate': '📅 Select Date',
+  'apod.loadingButton': '🔄 Loading...',
+  'apod.loadSaved': '📦 Load Saved APOD',
+  'apod.fetch': '🚀 Fetch APOD',
+  'apod.dataSource': '📊 Data Source',
+  'apod.dataSourceName': 'NASA APOD API',
+  'apod.since': 'Since {date, date}',
+  'apod.retries': 'Retries: {count, number}',
+  'apod.clearCache': '🗑️ Clear cache',
+  'apod.cacheCleared': '✅ Cache cleared',
+  'apod.previous': '◀ Previous',
+  'apod.previousTitle': 'Previous day (←)',
+  'apod.today': '📍 Today',
+  'apod.todayTitle': 'Today (T)',
+  'apod.random': '🎲 Random',
+  'apod.randomTitle': 'Random date (R)',
+  'apod.next': 'Next ▶',
+  'apod.nextTitle': 'Next day (→)',
+  'apod.shortcutsTitle': 'Keyboard shortcuts (?)',
+  'apod.loading': 'Fetching astronomy data...',
+  'apod.retryAttempt': 'Retry attempt {count, number}',
+  'apod.tryAgain': 'Try Again',
+  'apod.reload': 'Reload Page',
+  'apod.notSavedOffline': 'This date has not been saved for offline viewing. Connect to the internet to load it.',
+  'apod.export': '📄 Export…',
+  'apod.exportLabel': 'Export transcript',
+  'apod.exportTitle': 'Download the narration text with its details',
+  'apod.exportMarkdown': 'Markdown transcript (.md)',
+  'apod.exportText': 'Plain text transcript (.txt)',
+  'apod.exportVtt': 'WebVTT captions (.vtt)',
+  'apod.addFavorite': 'Add to favorites',
+  'apod.removeFavorite': 'Remove from favorites',
+  'apod.favorite': '☆ Favorite',
+  'apod.favorited': '★ Favorited',
+  'apod.date': '📅 {date, date}',
+  'apod.copyright': '📷 {name}',
+  'apod.cached': '📦 Cached content',
+  'apod.spaceWeather': '☀️ Notable space weather ({count, number})',
+  'apod.hdVersion': '🔍 HD Version',
+  'apod.description': '📖 Description:',
+  'apod.translate': '🌐 Translate:',
+  'apod.originalText': 'Original (English)',
+  'apod.translating': '🔄 Translating...',
+  'apod.translationFailed': '⚠️ {error} Showing the original text.',
+  'apod.englishOriginal': 'English (original)',
+  'apod.translatedBy': '{language} · {provider}',
+  'apod.sentenceHint': '💡 Click any sentence to start the narration from there.',
+  'apod.readFromHere': 'Read aloud from here',
+
+  // Date calendar
+  'calendar.choose': '📅 Choose a date',
+  'calendar.dialog': 'Choose an APOD date',
+  'calendar.previousYear': 'Previous year',
+  'calendar.previousMonth': 'Previous month',
+  'calendar.nextMonth': 'Next month',
+  'calendar.nextYear': 'Next year',
+  'calendar.month': 'Month',
+  'calendar.year': 'Year',
+  'calendar.favorite': 'Favorite',
+  'calendar.viewed': 'Viewed',
+  'calendar.cached': 'Saved offline',
+  'calendar.today': 'Today',
+
+  // Keyboard shortcuts
+  'shortcuts.previous': 'Previous day',
+  'shortcuts.next': 'Next day',
+  'shortcuts.today': "Today's picture",
+  'shortcuts.random': 'Random date',
+  'shortcuts.help': 'Show or hide this help',
+  'shortcuts.title': 'Keyboard shortcuts',
+  'shortcuts.heading': '⌨️ Keyboard Shortcuts',
+  'shortcuts.close': 'Close',
+
+  // Videos and other media
+  'video.download': 'Download the video',
+  'video.playLabel': 'Play video: {title}',
+  'video.play': 'Play video ({host})',
+  'video.unplayable': '📹 This video cannot be played here',
+  'video.unsupported': '🧩 This APOD features media that cannot be shown here',
+  'video.openOriginal': '↗️ Open on the original site',
+  'video.openApod': '↗️ View on apod.nasa.gov',
+
+  // Image lightbox
+  'lightbox.label': 'Image viewer: {title}',
+  'lightbox.zoomOut': 'Zoom out (-)',
+  'lightbox.zoomIn': 'Zoom in (+)',
+  'lightbox.resetTitle': 'Reset zoom (0)',
+  'lightbox.reset': '↺ Reset',
+  'lightbox.originalTitle': 'Open the original file',
+  'lightbox.original': '↗️ Original',
+  'lightbox.close': 'Close (Esc)',
+  'lightbox.loadingHd': 'Loading HD image...',
+  'lightbox.loadingHdProgress': 'Loading HD image {percent, number}%',
+  'lightbox.hdFailed': '⚠️ The HD image could not be loaded; showing the standard version.',
+
+  // APOD gallery
+  'gallery.heading': '🖼️ APOD Gallery',
+  'gallery.range': '📅 Date Range',
+  'gallery.random': '🎲 Random',
+  'gallery.startDate': 'Start Date',
+  'gallery.endDate': 'End Date',
+  'gallery.count': 'Number of Pictures',
+  'gallery.loading': '🔄 Loading...',
+  'gallery.load': '🚀 Load Gallery',
+  'gallery.previous': '◀ Previous',
+  'gallery.next': 'Next ▶',
+  'gallery.page': 'Page {page, number} of {total, number}',
+
+  // Search
+  'search.heading': '🔎 Search Pictures',
+  'search.label': 'Search pictures',
+  'search.placeholder': 'e.g. Horsehead Nebula, aurora, Hubble',
+  'search.mediaType': 'Media type',
+  'search.allMedia': 'All media',
+  'search.images': 'Images',
+  'search.videos': 'Videos',
+  'search.other': 'Other',
+  'search.yearFrom': 'From year',
+  'search.fromAnyYear': 'From any year',
+  'search.fromYear': 'From {year}',
+  'search.yearTo': 'To year',
+  'search.toAnyYear': 'To any year',
+  'search.toYear': 'To {year}',
+  'search.indexing': '🔄 Indexing saved pictures...',
+  'search.indexed': 'Pictures searched: {count, number}, from those you have viewed, saved or browsed.',
+  'search.noResults': 'No pictures match “{query}”. Browse the gallery to add more pictures to the search.',
+
+  // Favorites
+  'favorites.heading': '⭐ Favorites ({count, number})',
+  'favorites.filter': 'Filter by title, notes or tag',
+  'favorites.tagFilter': 'Tag',
+  'favorites.allTags': 'All tags',
+  'favorites.export': '⬇️ Export JSON',
+  'favorites.import': '⬆️ Import JSON',
+  'favorites.imported': 'Favorites imported: {count, number}.',
+  'favorites.importedSomeRejected': 'Favorites imported: {count, number}. Entries skipped as invalid: {rejected, number}.',
+  'favorites.empty': 'No favorites yet. Use the ☆ Favorite button on any picture to save it here.',
+  'favorites.noMatch': 'No favorites match the current filter.',
+  'favorites.openTitle': 'Open {title}',
+  'favorites.tags': '🏷️ Tags (comma separated)',
+  'favorites.tagsPlaceholder': 'nebula, classroom',
+  'favorites.notes': '📝 Notes',
+  'favorites.open': '🔭 Open',
+  'favorites.remove': '🗑️ Remove',
+
+  // Settings
+  'settings.narration': '🔊 Narration',
+  'settings.unsupported': '⚠️ Speech synthesis is not supported in this browser, but your settings are still saved.',
+  'settings.voice': '🎭 Voice:',
+  'settings.automatic': 'Automatic',
+  'settings.automaticVoice': 'Automatic ({name})',
+  'settings.voiceUnavailable': '{name} (not available here)',
+  'settings.speed': '⚡ Speed',
+  'settings.pitch': '🎵 Pitch',
+  'settings.volume': '🔉 Volume',
+  'settings.preview': '▶️ Preview voice',
+  'settings.stopPreview': '⏹️ Stop preview',
+  'settings.previewTitle': 'Voice preview',
+  'settings.previewText': 'This is how the Astronomy Picture of the Day descriptions will sound with these settings.',
+  'settings.appearance': '🎨 Appearance',
+  'settings.theme': 'Theme',
+  'settings.theme.cosmic': '🌌 Cosmic blue',
+  'settings.theme.midnight': '🌑 Midnight',
+  'settings.theme.nebula': '🟣 Nebula',
+  'settings.reset': '↺ Reset to defaults',
+  'settings.savedHint': 'Settings are saved in this browser and apply straight away.',
+
+  // About
+  'about.heading': 'About NASA Explorer',
+  'about.mission': '🚀 Our Mission',
+  'about.missionText': "To make NASA's incredible astronomical discoveries accessible to everyone through cutting-edge web technology and AI-powered features.",
+  'about.features': '⭐ Features',
+  'about.featureImagery': '🖼️ High-resolution space imagery',
+  'about.featureSpeech': '🤖 AI-powered text-to-speech',
+  'about.featureDates': '📅 Explore any date since 1995',
+  'about.featureMars': '🔴 Mars rover photos by sol, date and camera',
+  'about.featureAsteroids': '☄️ Near-Earth asteroid close approaches',
+  'about.featureEarth': '🌍 Animated EPIC views of the whole Earth',
+  'about.featureLibrary': "📚 Search NASA's image, video and audio archive",
+  'about.featureSpaceWeather': '☀️ Space-weather timeline of flares, CMEs and storms',
+  'about.featureVoices': '🔊 Multiple voice options',
+  'about.featureResponsive': '📱 Responsive design',
+  'about.technology': '💻 Technology',
+  'about.frontend': 'Frontend:',
+  'about.frontendValue': 'React.js with modern hooks',
+  'about.backend': 'Backend:',
+  'about.backendValue': 'Node.js & Express API',
+  'about.ai': 'AI:',
+  'about.aiValue': 'Web Speech API integration',
+  'about.data': 'Data:',
+  'about.dataValue': 'NASA APOD API',
+  'about.connect': '📧 Connect',
+  'about.connectText': 'Built with passion for space exploration and modern web development.',
+  'about.github': '🐙 GitHub',
+  'about.portfolio': '💼 Portfolio',
+
+  // Narration controls
+  'narration.heading': '🤖 AI Audio Narration',
+  'narration.play': '▶️ Play Description',
+  'narration.previous': 'Previous sentence',
+  'narration.next': 'Next sentence',
+  'narration.pause': '⏸️ Pause',
+  'narration.resume': '▶️ Resume',
+  'narration.stop': '⏹️ Stop',
+  'narration.voice': '🎭 Voice:',
+  'narration.speed': '⚡ Speed: {rate, number}x',
+  'narration.rate': '{rate, number}x',
+  'narration.noMatchingVoice': '⚠️ No {language} voice is installed, so {voice} will read the translation.',
+  'narration.defaultVoice': 'the default voice',
+  'narration.moreSettings': '⚙️ Pitch, volume and more settings',
+  'narration.paused': '⏸️ Paused',
+  'narration.playing': '🔊 Playing audio description...',
+  'narration.progress': 'Narration progress',
+  'narration.sentence': 'Sentence {current, number} of {total, number}',
+  'narration.failed': 'Speech synthesis failed. Please try again or check your audio settings.',
+  'narration.unsupported': 'Speech synthesis is not supported in your browser.',
+
+  // Mars rover photos
+  'mars.heading': '🔴 Mars Rover Photos',
+  'mars.intro': "Browse the raw images sent back by NASA's Mars rovers, by sol (Martian day) or by Earth date.",
+  'mars.rover': '🤖 Rover',
+  'mars.bySol': '🔴 Sol',
+  'mars.byDate': '📅 Earth date',
+  'mars.sol': 'Sol (Martian day)',
+  'mars.earthDate': 'Earth date',
+  'mars.camera': '📷 Camera',
+  'mars.allCameras': 'All cameras',
+  'mars.search': '🚀 Find Photos',
+  'mars.loadingButton': '🔄 Loading...',
+  'mars.manifestLoading': 'Loading mission details...',
+  'mars.statusActive': '🟢 Active',
+  'mars.statusComplete': '🏁 Mission complete',
+  'mars.launched': 'Launched',
+  'mars.landed': 'Landed',
+  'mars.latestSol': 'Latest sol',
+  'mars.latestDate': 'Latest photos',
+  'mars.totalPhotos': 'Total photos',
+  'mars.dayInfo': 'Sol {sol, number} ({date, date}): {count, number} photos from {cameras}',
+  'mars.noPhotosDay': 'No photos were taken on this day.',
+  'mars.noPhotos': 'No photos match these filters. Try another camera or day.',
+  'mars.loading': 'Fetching photos from Mars...',
+  'mars.photoAlt': '{rover} photo {id} from the {camera}',
+  'mars.photoMeta': 'Sol {sol, number} · {date, date}',
+  'mars.page': 'Page {page, number}',
+  'mars.pageOf': 'Page {page, number} of {total, number}',
+  'mars.previous': '◀ Previous',
+  'mars.next': 'Next ▶',
+
+  // Near-Earth objects
+  'neo.heading': '☄️ Near-Earth Objects',
+  'neo.intro': "Asteroids making close approaches to Earth, from NASA's NeoWs feed.",
+  'neo.startDate': 'Start Date',
+  'neo.endDate': 'End Date',
+  'neo.load': '🚀 Load Asteroids',
+  'neo.loadingButton': '🔄 Loading...',
+  'neo.loading': 'Tracking asteroids...',
+  'neo.hazardousOnly': '⚠️ Potentially hazardous only',
+  'neo.summary': '{count, number} close approaches, {hazardous, number} potentially hazardous',
+  'neo.timeline': '📈 Close-approach timeline',
+  'neo.timelineLabel': 'Close approaches by date and miss distance',
+  'neo.axisDistance': 'Miss distance (lunar distances)',
+  'neo.timelinePoint': '{name} · {date, date} · {distance, number} LD',
+  'neo.name': 'Name',
+  'neo.approach': 'Close approach',
+  'neo.missDistance': 'Miss distance',
+  'neo.velocity': 'Velocity',
+  'neo.diameter': 'Est. diameter',
+  'neo.hazardous': 'Hazardous',
+  'neo.distanceValue': '{km, number} km ({lunar, number} LD)',
+  'neo.velocityValue': '{speed, number} km/s',
+  'neo.diameterValue': '{min, number}–{max, number} m',
+  'neo.yes': '⚠️ Yes',
+  'neo.no': 'No',
+  'neo.noResults': 'No asteroids match this filter.',
+  'neo.jplLink': 'Open in the JPL Small-Body Database',
+
+  // EPIC Earth imagery
+  'epic.heading': '🌍 Earth from DSCOVR',
+  'epic.intro': "Full-disk images of Earth's sunlit side, taken from a million miles away by the EPIC camera on NASA's DSCOVR spacecraft.",
+  'epic.collection': 'Imagery',
+  'epic.natural': '🌈 Natural color',
+  'epic.enhanced': '✨ Enhanced color',
+  'epic.date': 'Date (leave empty for the latest)',
+  'epic.load': '🚀 Show Earth',
+  'epic.loadingButton': '🔄 Loading...',
+  'epic.loading': 'Receiving images from DSCOVR...',
+  'epic.noImages': 'No EPIC images are available for this day. Try another date.',
+  'epic.dayInfo': '{count, number} images on {date, date}',
+  'epic.frameAlt': 'Earth at {time} UTC on {date, date}',
+  'epic.play': '▶️ Play',
+  'epic.pause': '⏸️ Pause',
+  'epic.preloading': '⏳ Preloading {loaded, number}/{total, number}',
+  'epic.scrubber': 'Animation frame',
+  'epic.frameOf': 'Frame {frame, number} of {total, number}',
+  'epic.captured': 'Captured',
+  'epic.capturedValue': '{time} UTC',
+  'epic.centroid': 'Centroid',
+  'epic.centroidValue': '{lat, number}°, {lon, number}°',
+  'epic.fullResolution': '🔍 Full resolution',
+  'epic.frames': '🖼️ All frames',
+
+  // NASA Image and Video Library
+  'media.heading': '📚 NASA Image and Video Library',
+  'media.intro': "Search NASA's archive of mission photos, videos and audio recordings.",
+  'media.keyword': 'Keyword',
+  'media.keywordPlaceholder': 'e.g. Apollo 11, Hubble, Artemis',
+  'media.mediaType': 'Media type',
+  'media.type.image': 'Image',
+  'media.type.video': 'Video',
+  'media.type.audio': 'Audio',
+  'media.yearStart': 'From year',
+  'media.yearEnd': 'To year',
+  'media.center': 'NASA center',
+  'media.allCenters': 'All centers',
+  'media.search': '🔍 Search',
+  'media.searchingButton': '🔄 Searching...',
+  'media.loading': 'Searching the archive...',
+  'media.noResults': 'Nothing in the library matches this search. Try fewer filters.',
+  'media.resultCount': '{count, number} results',
+  'media.page': 'Page {page, number}',
+  'media.previous': '◀ Previous',
+  'media.next': 'Next ▶',
+  'media.close': 'Close',
+  'media.nasaId': 'NASA ID',
+  'media.dateCreated': 'Created',
+  'media.photographer': 'Credit',
+  'media.location': 'Location',
+  'media.keywords': 'Keywords',
+  'media.renditions': '📁 Available files',
+  'media.renditionsLoading': 'Loading files...',
+  'media.kind.image': 'Image',
+  'media.kind.video': 'Video',
+  'media.kind.audio': 'Audio',
+  'media.kind.captions': 'Captions',
+  'media.kind.metadata': 'Metadata',
+  'media.kind.other': 'File',
+
+  // DONKI space weather
+  'spaceWeather.heading': '☀️ Space Weather',
+  'spaceWeather.intro': "Solar flares, coronal mass ejections and geomagnetic storms from NASA's DONKI database.",
+  'spaceWeather.startDate': 'Start Date',
+  'spaceWeather.endDate': 'End Date',
+  'spaceWeather.load': '🚀 Show Events',
+  'spaceWeather.loadingButton': '🔄 Loading...',
+  'spaceWeather.loading': 'Checking on the Sun...',
+  'spaceWeather.rangeHint': 'Up to {max, number} days at a time.',
+  'spaceWeather.timeline': '📈 Event timeline',
+  'spaceWeather.timelineLabel': 'Space-weather events by type and start time',
+  'spaceWeather.lane.FLR': 'Solar flares ({count, number})',
+  'spaceWeather.lane.CME': 'CMEs ({count, number})',
+  'spaceWeather.lane.GST': 'Geomagnetic storms ({count, number})',
+  'spaceWeather.type.FLR': 'Solar flare',
+  'spaceWeather.type.CME': 'Coronal mass ejection',
+  'spaceWeather.type.GST': 'Geomagnetic storm',
+  'spaceWeather.summary.FLR': '{classType} solar flare',
+  'spaceWeather.summary.CME': 'CME at {speed, number} km/s',
+  'spaceWeather.summary.CMEUnknownSpeed': 'Coronal mass ejection',
+  'spaceWeather.summary.GST': 'Geomagnetic storm, Kp {kp, number}',
+  'spaceWeather.marker': '{summary}, {time}',
+  'spaceWeather.timeValue': '{time} UTC',
+  'spaceWeather.noEvents': 'No flares, CMEs or storms were recorded in this range.',
+  'spaceWeather.selectHint': 'Select an event on the timeline to see its details.',
+  'spaceWeather.notable': '⚠️ Notable',
+  'spaceWeather.eventType': 'Type',
+  'spaceWeather.started': 'Started',
+  'spaceWeather.peak': 'Peak',
+  'spaceWeather.ended': 'Ended',
+  'spaceWeather.classType': 'Class',
+  'spaceWeather.speed': 'Speed',
+  'spaceWeather.speedValue': '{speed, number} km/s',
+  'spaceWeather.halfAngle': 'Half angle',
+  'spaceWeather.kpIndex': 'Highest Kp index',
+  'spaceWeather.sourceLocation': 'Source location',
+  'spaceWeather.activeRegion': 'Active region',
+  'spaceWeather.related': '🔗 Related events',
+  'spaceWeather.noRelated': 'DONKI lists no related events.',
+  'spaceWeather.relatedEvent': '{summary} · {time}',
+  'spaceWeather.outsideRange': '{id} (outside this date range)',
+  'spaceWeather.donkiLink': 'Open in DONKI'
+};
+
+export default en;
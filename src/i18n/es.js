@@ -0,0 +1,462 @@
+// Spanish messages; missing keys fall back to English
+
+const es = {
+  // App shell
+  'app.title': 'NASA Explorer',
+  'app.agency': 'Administración Nacional de Aeronáutica y el Espacio',
+  'app.nasa': 'NASA',
+  'app.logoAlt': 'Logotipo de la NASA',
+  'app.language': 'Idioma',
+  'nav.apod': 'APOD',
+  'nav.gallery': 'Galería',
+  'nav.search': 'Buscar',
+  'nav.favorites': 'Favoritos',
+  'nav.settings': 'Ajustes',
+  'nav.about': 'Acerca de',
+  'nav.mars': 'Marte',
+  'nav.asteroids': 'Asteroides',
+  'nav.earth': 'Tierra',
+  'nav.library': 'Biblioteca',
+  'nav.spaceWeather': 'Clima espacial',
+  'footer.tagline': 'Inspirando a la próxima generación de exploradores',
+  'footer.dataProvidedBy': 'Datos proporcionados por',
+  'footer.dataSource': 'NASA Open Data API',
+  'footer.builtWith': 'Hecho con ❤️ para la exploración espacial • © 2025 NASA Explorer',
+
+  // Error boundary
+  'errorBoundary.title': 'Algo salió mal',
+  'errorBoundary.message': 'Se produjo un error inesperado al cargar la aplicación. Puede tratarse de un problema temporal.',
+  'errorBoundary.details': 'Detalles del error (desarrollo)',
+  'errorBoundary.error': 'Error:',
+  'errorBoundary.tryAgain': '🔄 Reintentar',
+  'errorBoundary.reset': '🔄 Restablecer',
+  'errorBoundary.reload': '🔄 Recargar la página',
+  'errorBoundary.retryCount': 'Intentos: {count, number}',
+  'errorBoundary.helpTitle': '¿Sigues teniendo problemas?',
+  'errorBoundary.help': 'Comprueba tu conexión a internet o recarga la página. Si el problema continúa, es posible que el servicio no esté disponible temporalmente.',
+
+  // Rate-limit notice
+  'rateLimit.countdown': 'Demasiadas solicitudes en este momento. Podrás hacer nuevas solicitudes en {seconds, number} s.',
+  'rateLimit.low': 'Estás cerca del límite de solicitudes: te quedan {remaining, number} por ahora. Las imágenes que ya has visto se siguen cargando desde la caché.',
+
+  // Error messages (services/api getErrorMessage)
+  'errors.network': 'Problema de conexión. Comprueba tu conexión a internet e inténtalo de nuevo.',
+  'errors.server': 'Error del servidor. Inténtalo de nuevo más tarde.',
+  'errors.client': 'Solicitud no válida. Revisa los datos introducidos.',
+  'errors.rateLimit': 'Demasiadas solicitudes. Espera un momento e inténtalo de nuevo.',
+  'errors.rateLimitWait': 'Demasiadas solicitudes. Podrás intentarlo de nuevo en {seconds, number} s.',
+  'errors.validation': 'Los datos introducidos no son válidos.',
+  'errors.unknown': 'Se produjo un error inesperado.',
+  'errors.dateFormat': 'Formato de fecha no válido. Usa el formato AAAA-MM-DD.',
+  'errors.dateInFuture': 'La fecha no puede estar en el futuro.',
+  'errors.dateTooEarly': 'La fecha debe ser posterior al {date, date} (inicio de APOD).',
+  'errors.startDateRequired': 'Elige una fecha de inicio.',
+  'errors.rangeOrder': 'La fecha de inicio debe ser anterior o igual a la fecha final.',
+  'errors.rangeTooLong': 'El intervalo no puede superar los {max, number} días.',
+  'errors.count': 'La cantidad debe ser un número entero entre 1 y {max, number}.',
+  'errors.marsRover': 'Elige un rover de Marte.',
+  'errors.marsSol': 'El sol debe ser un número entero igual o mayor que 0.',
+  'errors.marsBeforeLanding': '{rover} aterrizó el {date, date}. Elige una fecha posterior.',
+  'errors.marsCamera': '{rover} no tiene esa cámara.',
+  'errors.datesRequired': 'Elige una fecha de inicio y una de fin.',
+  'errors.neoRangeTooLong': 'El registro de asteroides abarca como máximo {max, number} días cada vez.',
+  'errors.epicCollection': 'Elige imágenes en color natural o realzado.',
+  'errors.epicTooEarly': 'Las imágenes de EPIC comienzan el {date, date}.',
+  'errors.mediaQuery': 'Escribe una palabra clave para buscar.',
+  'errors.mediaType': 'Elige imágenes, vídeos o audio.',
+  'errors.mediaYear': 'Los años deben ser números enteros entre {min} y {max}.',
+  'errors.mediaYearOrder': 'El año inicial debe ser igual o anterior al año final.',
+  'errors.mediaCenter': 'Elige un centro de la NASA de la lista.',
+  'errors.mediaAsset': 'Este elemento no tiene ID de la NASA.',
+  'errors.donkiTooEarly': 'Los registros de clima espacial comienzan el {date, date}.',
+  'errors.donkiRangeTooLong': 'La cronología abarca como máximo {max, number} días cada vez.',
+  'errors.importJson': 'El archivo seleccionado no es JSON válido.',
+  'errors.importCollection': 'El archivo seleccionado no contiene una colección de favoritos.',
+  'errors.importEmpty': 'No se encontraron favoritos válidos en el archivo seleccionado.',
+
+  // APOD viewer
+  'apod.offline': 'Estás sin conexión. Las imágenes vistas y guardadas anteriormente siguen disponibles.',
+  'apod.heading': 'Imagen astronómica del día',
+  'apod.intro': 'Descubre el cosmos con las imágenes astronómicas diarias de la NASA y sus explicaciones científicas',
+  'apod.selectDate': '📅 Elegir fecha',
+  'apod.loadingButton': '🔄 Cargando...',
+  'apod.loadSaved': '📦 Cargar APOD guardada',
+  'apod.fetch': '🚀 Obtener APOD',
+  'apod.dataSource': '📊 Fuente de datos',
+  'apod.dataSourceName': 'API APOD de la NASA',
+  'apod.since': 'Desde el {date, date}',
+  'apod.retries': 'Reintentos: {count, number}',
+  'apod.clearCache': '🗑️ Vaciar caché',
+  'apod.cacheCleared': '✅ Caché vaciada',
+  'apod.previous': '◀ Anterior',
+  'apod.previousTitle': 'Día anterior (←)',
+  'apod.today': '📍 Hoy',
+  'apod.todayTitle': 'Hoy (T)',
+  'apod.random': '🎲 Aleatoria',
+  'apod.randomTitle': 'Fecha aleatoria (R)',
+  'apod.next': 'Siguiente ▶',
+  'apod.nextTitle': 'Día siguiente (→)',
+  'apod.shortcutsTitle': 'Atajos de teclado (?)',
+  'apod.loading': 'Obteniendo datos astronómicos...',
+  'apod.retryAttempt': 'Intento {count, number}',
+  'apod.tryAgain': 'Reintentar',
+  'apod.reload': 'Recargar la página',
+  'apod.notSavedOffline': 'Esta fecha no se ha guardado para verla sin conexión. Conéctate a internet para cargarla.',
+  'apod.export': '📄 Exportar…',
+  'apod.exportLabel': 'Exportar transcripción',
+  'apod.exportTitle': 'Descarga el texto de la narración con sus detalles',
+  'apod.exportMarkdown': 'Transcripción en Markdown (.md)',
+  'apod.exportText': 'Transcripción en texto plano (.txt)',
+  'apod.exportVtt': 'Subtítulos WebVTT (.vtt)',
+  'apod.addFavorite': 'Añadir a favoritos',
+  'apod.removeFavorite': 'Quitar de favoritos',
+  'apod.favorite': '☆ Favorito',
+  'apod.favorited': '★ En favoritos',
+  'apod.date': '📅 {date, date}',
+  'apod.copyright': '📷 {name}',
+  'apod.cached': '📦 Contenido en caché',
+  'apod.spaceWeather': '☀️ Clima espacial destacado ({count, number})',
+  'apod.hdVersion': '🔍 Versión HD',
+  'apod.description': '📖 Descripción:',
+  'apod.translate': '🌐 Traducir:',
+  'apod.originalText': 'Original (inglés)',
+  'apod.translating': '🔄 Traduciendo...',
+  'apod.translationFailed': '⚠️ {error} Se muestra el texto original.',
+  'apod.englishOriginal': 'Inglés (original)',
+  'apod.translatedBy': '{language} · {provider}',
+  'apod.sentenceHint': '💡 Haz clic en cualquier frase para empezar la narración desde ahí.',
+  'apod.readFromHere': 'Leer en voz alta desde aquí',
+
+  // Date calendar
+  'calendar.choose': '📅 Elige una fecha',
+  'calendar.dialog': 'Elige una fecha de APOD',
+  'calendar.previousYear': 'Año anterior',
+  'calendar.previousMonth': 'Mes anterior',
+  'calendar.nextMonth': 'Mes siguiente',
+  'calendar.nextYear': 'Año siguiente',
+  'calendar.month': 'Mes',
+  'calendar.year': 'Año',
+  'calendar.favorite': 'Favorita',
+  'calendar.viewed': 'Vista',
+  'calendar.cached': 'Guardada sin conexión',
+  'calendar.today': 'Hoy',
+
+  // Keyboard shortcuts
+  'shortcuts.previous': 'Día anterior',
+  'shortcuts.next': 'Día siguiente',
+  'shortcuts.today': 'Imagen de hoy',
+  'shortcuts.random': 'Fecha aleatoria',
+  'shortcuts.help': 'Mostrar u ocultar esta ayuda',
+  'shortcuts.title': 'Atajos de teclado',
+  'shortcuts.heading': '⌨️ Atajos de teclado',
+  'shortcuts.close': 'Cerrar',
+
+  // Videos and other media
+  'video.download': 'Descargar el vídeo',
+  'video.playLabel': 'Reproducir vídeo: {title}',
+  'video.play': 'Reproducir vídeo ({host})',
+  'video.unplayable': '📹 Este vídeo no se puede reproducir aquí',
+  'video.unsupported': '🧩 Esta APOD contiene un medio que no se puede mostrar aquí',
+  'video.openOriginal': '↗️ Abrir en el sitio original',
+  'video.openApod': '↗️ Ver en apod.nasa.gov',
+
+  // Image lightbox
+  'lightbox.label': 'Visor de imágenes: {title}',
+  'lightbox.zoomOut': 'Alejar (-)',
+  'lightbox.zoomIn': 'Acercar (+)',
+  'lightbox.resetTitle': 'Restablecer el zoom (0)',
+  'lightbox.reset': '↺ Restablecer',
+  'lightbox.originalTitle': 'Abrir el archivo original',
+  'lightbox.original': '↗️ Original',
+  'lightbox.close': 'Cerrar (Esc)',
+  'lightbox.loadingHd': 'Cargando la imagen HD...',
+  'lightbox.loadingHdProgress': 'Cargando la imagen HD {percent, number} %',
+  'lightbox.hdFailed': '⚠️ No se pudo cargar la imagen HD; se muestra la versión estándar.',
+
+  // APOD gallery
+  'gallery.heading': '🖼️ Galería APOD',
+  'gallery.range': '📅 Intervalo de fechas',
+  'gallery.random': '🎲 Aleatorias',
+  'gallery.startDate': 'Fecha de inicio',
+  'gallery.endDate': 'Fecha de fin',
+  'gallery.count': 'Número de imágenes',
+  'gallery.loading': '🔄 Cargando...',
+  'gallery.load': '🚀 Cargar galería',
+  'gallery.previous': '◀ Anterior',
+  'gallery.next': 'Siguiente ▶',
+  'gallery.page': 'Página {page, number} de {total, number}',
+
+  // Search
+  'search.heading': '🔎 Buscar imágenes',
+  'search.label': 'Buscar imágenes',
+  'search.placeholder': 'p. ej. Nebulosa Cabeza de Caballo, aurora, Hubble',
+  'search.mediaType': 'Tipo de medio',
+  'search.allMedia': 'Todos los medios',
+  'search.images': 'Imágenes',
+  'search.videos': 'Vídeos',
+  'search.other': 'Otros',
+  'search.yearFrom': 'Desde el año',
+  'search.fromAnyYear': 'Desde cualquier año',
+  'search.fromYear': 'Desde {year}',
+  'search.yearTo': 'Hasta el año',
+  'search.toAnyYear': 'Hasta cualquier año',
+  'search.toYear': 'Hasta {year}',
+  'search.indexing': '🔄 Indexando las imágenes guardadas...',
+  'search.indexed': 'Imágenes buscadas: {count, number}, entre las que has visto, guardado o explorado.',
+  'search.noResults': 'Ninguna imagen coincide con «{query}». Explora la galería para añadir más imágenes a la búsqueda.',
+
+  // Favorites
+  'favorites.heading': '⭐ Favoritos ({count, number})',
+  'favorites.filter': 'Filtrar por título, notas o etiqueta',
+  'favorites.tagFilter': 'Etiqueta',
+  'favorites.allTags': 'Todas las etiquetas',
+  'favorites.export': '⬇️ Exportar JSON',
+  'favorites.import': '⬆️ Importar JSON',
+  'favorites.imported': 'Favoritos importados: {count, number}.',
+  'favorites.importedSomeRejected': 'Favoritos importados: {count, number}. Entradas omitidas por no ser válidas: {rejected, number}.',
+  'favorites.empty': 'Aún no hay favoritos. Usa el botón ☆ Favorita en cualquier imagen para guardarla aquí.',
+  'favorites.noMatch': 'Ningún favorito coincide con el filtro actual.',
+  'favorites.openTitle': 'Abrir {title}',
+  'favorites.tags': '🏷️ Etiquetas (separadas por comas)',
+  'favorites.tagsPlaceholder': 'nebulosa, clase',
+  'favorites.notes': '📝 Notas',
+  'favorites.open': '🔭 Abrir',
+  'favorites.remove': '🗑️ Quitar',
+
+  // Settings
+  'settings.narration': '🔊 Narración',
+  'settings.unsupported': '⚠️ Este navegador no admite la síntesis de voz, pero tus ajustes se guardan igualmente.',
+  'settings.voice': '🎭 Voz:',
+  'settings.automatic': 'Automática',
+  'settings.automaticVoice': 'Automática ({name})',
+  'settings.voiceUnavailable': '{name} (no disponible aquí)',
+  'settings.speed': '⚡ Velocidad',
+  'settings.pitch': '🎵 Tono',
+  'settings.volume': '🔉 Volumen',
+  'settings.preview': '▶️ Probar la voz',
+  'settings.stopPreview': '⏹️ Detener la prueba',
+  'settings.previewTitle': 'Prueba de voz',
+  'settings.previewText': 'Así sonarán las descripciones de la Imagen Astronómica del Día con estos ajustes.',
+  'settings.appearance': '🎨 Apariencia',
+  'settings.theme': 'Tema',
+  'settings.theme.cosmic': '🌌 Azul cósmico',
+  'settings.theme.midnight': '🌑 Medianoche',
+  'settings.theme.nebula': '🟣 Nebulosa',
+  'settings.reset': '↺ Restablecer valores predeterminados',
+  'settings.savedHint': 'Los ajustes se guardan en este navegador y se aplican al instante.',
+
+  // About
+  'about.heading': 'Acerca de NASA Explorer',
+  'about.mission': '🚀 Nuestra misión',
+  'about.missionText': 'Hacer que los increíbles descubrimientos astronómicos de la NASA sean accesibles para todos mediante tecnología web de vanguardia y funciones basadas en IA.',
+  'about.features': '⭐ Funciones',
+  'about.featureImagery': '🖼️ Imágenes del espacio en alta resolución',
+  'about.featureSpeech': '🤖 Lectura en voz alta con IA',
+  'about.featureDates': '📅 Explora cualquier fecha desde 1995',
+  'about.featureMars': '🔴 Fotos de los róveres de Marte por sol, fecha y cámara',
+  'about.featureAsteroids': '☄️ Aproximaciones de asteroides cercanos a la Tierra',
+  'about.featureEarth': '🌍 Vistas animadas de EPIC de toda la Tierra',
+  'about.featureLibrary': '📚 Busca en el archivo de imágenes, vídeos y audio de la NASA',
+  'about.featureSpaceWeather': '☀️ Cronología de la meteorología espacial: fulguraciones, CME y tormentas',
+  'about.featureVoices': '🔊 Varias voces a elegir',
+  'about.featureResponsive': '📱 Diseño adaptable',
+  'about.technology': '💻 Tecnología',
+  'about.frontend': 'Frontend:',
+  'about.frontendValue': 'React.js con hooks modernos',
+  'about.backend': 'Backend:',
+  'about.backendValue': 'API con Node.js y Express',
+  'about.ai': 'IA:',
+  'about.aiValue': 'Integración con la Web Speech API',
+  'about.data': 'Datos:',
+  'about.dataValue': 'API APOD de la NASA',
+  'about.connect': '📧 Contacto',
+  'about.connectText': 'Creado con pasión por la exploración espacial y el desarrollo web moderno.',
+  'about.github': '🐙 GitHub',
+  'about.portfolio': '💼 Portafolio',
+
+  // Narration controls
+  'narration.heading': '🤖 Narración de audio con IA',
+  'narration.play': '▶️ Reproducir descripción',
+  'narration.previous': 'Frase anterior',
+  'narration.next': 'Frase siguiente',
+  'narration.pause': '⏸️ Pausa',
+  'narration.resume': '▶️ Continuar',
+  'narration.stop': '⏹️ Detener',
+  'narration.voice': '🎭 Voz:',
+  'narration.speed': '⚡ Velocidad: {rate, number}x',
+  'narration.rate': '{rate, number}x',
+  'narration.noMatchingVoice': '⚠️ No hay ninguna voz en {language} instalada, así que {voice} leerá la traducción.',
+  'narration.defaultVoice': 'la voz predeterminada',
+  'narration.moreSettings': '⚙️ Tono, volumen y más ajustes',
+  'narration.paused': '⏸️ En pausa',
+  'narration.playing': '🔊 Reproduciendo la descripción...',
+  'narration.progress': 'Progreso de la narración',
+  'narration.sentence': 'Frase {current, number} de {total, number}',
+  'narration.failed': 'La síntesis de voz ha fallado. Inténtalo de nuevo o revisa la configuración de audio.',
+  'narration.unsupported': 'Tu navegador no admite la síntesis de voz.',
+
+  // Mars rover photos
+  'mars.heading': '🔴 Fotos de los rovers de Marte',
+  'mars.intro': 'Explora las imágenes enviadas por los rovers de la NASA en Marte, por sol (día marciano) o por fecha terrestre.',
+  'mars.rover': '🤖 Rover',
+  'mars.bySol': '🔴 Sol',
+  'mars.byDate': '📅 Fecha terrestre',
+  'mars.sol': 'Sol (día marciano)',
+  'mars.earthDate': 'Fecha terrestre',
+  'mars.camera': '📷 Cámara',
+  'mars.allCameras': 'Todas las cámaras',
+  'mars.search': '🚀 Buscar fotos',
+  'mars.loadingButton': '🔄 Cargando...',
+  'mars.manifestLoading': 'Cargando los datos de la misión...',
+  'mars.statusActive': '🟢 Activo',
+  'mars.statusComplete': '🏁 Misión completada',
+  'mars.launched': 'Lanzamiento',
+  'mars.landed': 'Aterrizaje',
+  'mars.latestSol': 'Último sol',
+  'mars.latestDate': 'Últimas fotos',
+  'mars.totalPhotos': 'Fotos en total',
+  'mars.dayInfo': 'Sol {sol, number} ({date, date}): {count, number} fotos de {cameras}',
+  'mars.noPhotosDay': 'No se tomaron fotos ese día.',
+  'mars.noPhotos': 'Ninguna foto coincide con estos filtros. Prueba con otra cámara u otro día.',
+  'mars.loading': 'Obteniendo fotos de Marte...',
+  'mars.photoAlt': 'Foto {id} de {rover} tomada con la {camera}',
+  'mars.photoMeta': 'Sol {sol, number} · {date, date}',
+  'mars.page': 'Página {page, number}',
+  'mars.pageOf': 'Página {page, number} de {total, number}',
+  'mars.previous': '◀ Anterior',
+  'mars.next': 'Siguiente ▶',
+
+  // Near-Earth objects
+  'neo.heading': '☄️ Objetos cercanos a la Tierra',
+  'neo.intro': 'Asteroides que se acercan a la Tierra, según el servicio NeoWs de la NASA.',
+  'neo.startDate': 'Fecha de inicio',
+  'neo.endDate': 'Fecha de fin',
+  'neo.load': '🚀 Cargar asteroides',
+  'neo.loadingButton': '🔄 Cargando...',
+  'neo.loading': 'Rastreando asteroides...',
+  'neo.hazardousOnly': '⚠️ Solo potencialmente peligrosos',
+  'neo.summary': '{count, number} aproximaciones, {hazardous, number} potencialmente peligrosas',
+  'neo.timeline': '📈 Cronología de aproximaciones',
+  'neo.timelineLabel': 'Aproximaciones por fecha y distancia mínima',
+  'neo.axisDistance': 'Distancia mínima (distancias lunares)',
+  'neo.timelinePoint': '{name} · {date, date} · {distance, number} DL',
+  'neo.name': 'Nombre',
+  'neo.approach': 'Aproximación',
+  'neo.missDistance': 'Distancia mínima',
+  'neo.velocity': 'Velocidad',
+  'neo.diameter': 'Diámetro est.',
+  'neo.hazardous': 'Peligroso',
+  'neo.distanceValue': '{km, number} km ({lunar, number} DL)',
+  'neo.velocityValue': '{speed, number} km/s',
+  'neo.diameterValue': '{min, number}–{max, number} m',
+  'neo.yes': '⚠️ Sí',
+  'neo.no': 'No',
+  'neo.noResults': 'Ningún asteroide coincide con este filtro.',
+  'neo.jplLink': 'Abrir en la base de datos de cuerpos menores del JPL',
+
+  // EPIC Earth imagery
+  'epic.heading': '🌍 La Tierra desde DSCOVR',
+  'epic.intro': 'Imágenes del disco completo de la cara iluminada de la Tierra, tomadas a millón y medio de kilómetros por la cámara EPIC de la nave DSCOVR de la NASA.',
+  'epic.collection': 'Imágenes',
+  'epic.natural': '🌈 Color natural',
+  'epic.enhanced': '✨ Color realzado',
+  'epic.date': 'Fecha (vacía para la más reciente)',
+  'epic.load': '🚀 Mostrar la Tierra',
+  'epic.loadingButton': '🔄 Cargando...',
+  'epic.loading': 'Recibiendo imágenes de DSCOVR...',
+  'epic.noImages': 'No hay imágenes de EPIC para este día. Prueba otra fecha.',
+  'epic.dayInfo': '{count, number} imágenes del {date, date}',
+  'epic.frameAlt': 'La Tierra a las {time} UTC del {date, date}',
+  'epic.play': '▶️ Reproducir',
+  'epic.pause': '⏸️ Pausa',
+  'epic.preloading': '⏳ Precargando {loaded, number}/{total, number}',
+  'epic.scrubber': 'Fotograma de la animación',
+  'epic.frameOf': 'Fotograma {frame, number} de {total, number}',
+  'epic.captured': 'Captura',
+  'epic.capturedValue': '{time} UTC',
+  'epic.centroid': 'Centroide',
+  'epic.centroidValue': '{lat, number}°, {lon, number}°',
+  'epic.fullResolution': '🔍 Resolución completa',
+  'epic.frames': '🖼️ Todos los fotogramas',
+
+  // NASA Image and Video Library
+  'media.heading': '📚 Biblioteca de imágenes y vídeos de la NASA',
+  'media.intro': 'Busca en el archivo de la NASA fotos, vídeos y grabaciones de audio de sus misiones.',
+  'media.keyword': 'Palabra clave',
+  'media.keywordPlaceholder': 'p. ej. Apollo 11, Hubble, Artemis',
+  'media.mediaType': 'Tipo de medio',
+  'media.type.image': 'Imagen',
+  'media.type.video': 'Vídeo',
+  'media.type.audio': 'Audio',
+  'media.yearStart': 'Desde el año',
+  'media.yearEnd': 'Hasta el año',
+  'media.center': 'Centro de la NASA',
+  'media.allCenters': 'Todos los centros',
+  'media.search': '🔍 Buscar',
+  'media.searchingButton': '🔄 Buscando...',
+  'media.loading': 'Buscando en el archivo...',
+  'media.noResults': 'Nada en la biblioteca coincide con esta búsqueda. Prueba con menos filtros.',
+  'media.resultCount': '{count, number} resultados',
+  'media.page': 'Página {page, number}',
+  'media.previous': '◀ Anterior',
+  'media.next': 'Siguiente ▶',
+  'media.close': 'Cerrar',
+  'media.nasaId': 'ID de la NASA',
+  'media.dateCreated': 'Creado',
+  'media.photographer': 'Créditos',
+  'media.location': 'Lugar',
+  'media.keywords': 'Palabras clave',
+  'media.renditions': '📁 Archivos disponibles',
+  'media.renditionsLoading': 'Cargando archivos...',
+  'media.kind.image': 'Imagen',
+  'media.kind.video': 'Vídeo',
+  'media.kind.audio': 'Audio',
+  'media.kind.captions': 'Subtítulos',
+  'media.kind.metadata': 'Metadatos',
+  'media.kind.other': 'Archivo',
+
+  // DONKI space weather
+  'spaceWeather.heading': '☀️ Clima espacial',
+  'spaceWeather.intro': 'Fulguraciones solares, eyecciones de masa coronal y tormentas geomagnéticas de la base de datos DONKI de la NASA.',
+  'spaceWeather.startDate': 'Fecha de inicio',
+  'spaceWeather.endDate': 'Fecha de fin',
+  'spaceWeather.load': '🚀 Mostrar eventos',
+  'spaceWeather.loadingButton': '🔄 Cargando...',
+  'spaceWeather.loading': 'Observando el Sol...',
+  'spaceWeather.rangeHint': 'Hasta {max, number} días cada vez.',
+  'spaceWeather.timeline': '📈 Cronología de eventos',
+  'spaceWeather.timelineLabel': 'Eventos de clima espacial por tipo y hora de inicio',
+  'spaceWeather.lane.FLR': 'Fulguraciones solares ({count, number})',
+  'spaceWeather.lane.CME': 'EMC ({count, number})',
+  'spaceWeather.lane.GST': 'Tormentas geomagnéticas ({count, number})',
+  'spaceWeather.type.FLR': 'Fulguración solar',
+  'spaceWeather.type.CME': 'Eyección de masa coronal',
+  'spaceWeather.type.GST': 'Tormenta geomagnética',
+  'spaceWeather.summary.FLR': 'Fulguración solar {classType}',
+  'spaceWeather.summary.CME': 'EMC a {speed, number} km/s',
+  'spaceWeather.summary.CMEUnknownSpeed': 'Eyección de masa coronal',
+  'spaceWeather.summary.GST': 'Tormenta geomagnética, Kp {kp, number}',
+  'spaceWeather.marker': '{summary}, {time}',
+  'spaceWeather.timeValue': '{time} UTC',
+  'spaceWeather.noEvents': 'No se registraron fulguraciones, EMC ni tormentas en este intervalo.',
+  'spaceWeather.selectHint': 'Selecciona un evento de la cronología para ver sus detalles.',
+  'spaceWeather.notable': '⚠️ Destacado',
+  'spaceWeather.eventType': 'Tipo',
+  'spaceWeather.started': 'Inicio',
+  'spaceWeather.peak': 'Máximo',
+  'spaceWeather.ended': 'Fin',
+  'spaceWeather.classType': 'Clase',
+  'spaceWeather.speed': 'Velocidad',
+  'spaceWeather.speedValue': '{speed, number} km/s',
+  'spaceWeather.halfAngle': 'Semiángulo',
+  'spaceWeather.kpIndex': 'Índice Kp máximo',
+  'spaceWeather.sourceLocation': 'Región de origen',
+  'spaceWeather.activeRegion': 'Región activa',
+  'spaceWeather.related': '🔗 Eventos relacionados',
+  'spaceWeather.noRelated': 'DONKI no indica eventos relacionados.',
+  'spaceWeather.relatedEvent': '{summary} · {time}',
+  'spaceWeather.outsideRange': '{id} (fuera de este intervalo)',
+  'spaceWeather.donkiLink': 'Abrir en DONKI'
+};
+
+export default es;
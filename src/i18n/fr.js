@@ -0,0 +1,462 @@
+// French messages; missing keys fall back to English
+
+const fr = {
+  // App shell
+  'app.title': 'NASA Explorer',
+  'app.agency': "Administration nationale de l'aéronautique et de l'espace",
+  'app.nasa': 'NASA',
+  'app.logoAlt': 'Logo de la NASA',
+  'app.language': 'Langue',
+  'nav.apod': 'APOD',
+  'nav.gallery': 'Galerie',
+  'nav.search': 'Recherche',
+  'nav.favorites': 'Favoris',
+  'nav.settings': 'Paramètres',
+  'nav.about': 'À propos',
+  'nav.mars': 'Mars',
+  'nav.asteroids': 'Astéroïdes',
+  'nav.earth': 'Terre',
+  'nav.library': 'Médiathèque',
+  'nav.spaceWeather': 'Météo spatiale',
+  'footer.tagline': 'Inspirer la prochaine génération d’explorateurs',
+  'footer.dataProvidedBy': 'Données fournies par',
+  'footer.dataSource': 'NASA Open Data API',
+  'footer.builtWith': 'Conçu avec ❤️ pour l’exploration spatiale • © 2025 NASA Explorer',
+
+  // Error boundary
+  'errorBoundary.title': 'Une erreur est survenue',
+  'errorBoundary.message': 'Une erreur inattendue s’est produite lors du chargement de l’application. Le problème est peut-être temporaire.',
+  'errorBoundary.details': 'Détails de l’erreur (développement)',
+  'errorBoundary.error': 'Erreur :',
+  'errorBoundary.tryAgain': '🔄 Réessayer',
+  'errorBoundary.reset': '🔄 Réinitialiser',
+  'errorBoundary.reload': '🔄 Recharger la page',
+  'errorBoundary.retryCount': 'Tentatives : {count, number}',
+  'errorBoundary.helpTitle': 'Toujours un problème ?',
+  'errorBoundary.help': 'Vérifiez votre connexion internet ou actualisez la page. Si le problème persiste, le service est peut-être momentanément indisponible.',
+
+  // Rate-limit notice
+  'rateLimit.countdown': 'Trop de requêtes pour le moment. De nouvelles requêtes seront possibles dans {seconds, number} s.',
+  'rateLimit.low': 'Vous approchez de la limite de requêtes : il vous en reste {remaining, number} pour le moment. Les images déjà vues se chargent toujours depuis le cache.',
+
+  // Error messages (services/api getErrorMessage)
+  'errors.network': 'Problème de connexion. Vérifiez votre connexion internet et réessayez.',
+  'errors.server': 'Erreur du serveur. Réessayez plus tard.',
+  'errors.client': 'Requête invalide. Vérifiez votre saisie.',
+  'errors.rateLimit': 'Trop de requêtes. Patientez un instant puis réessayez.',
+  'errors.rateLimitWait': 'Trop de requêtes. Vous pourrez réessayer dans {seconds, number} s.',
+  'errors.validation': 'Saisie invalide.',
+  'errors.unknown': 'Une erreur inattendue s’est produite.',
+  'errors.dateFormat': 'Format de date invalide. Utilisez le format AAAA-MM-JJ.',
+  'errors.dateInFuture': 'La date ne peut pas être dans le futur.',
+  'errors.dateTooEarly': 'La date doit être postérieure au {date, date} (début d’APOD).',
+  'errors.startDateRequired': 'Choisissez une date de début.',
+  'errors.rangeOrder': 'La date de début doit précéder ou égaler la date de fin.',
+  'errors.rangeTooLong': 'La période ne peut pas dépasser {max, number} jours.',
+  'errors.count': 'Le nombre doit être un entier compris entre 1 et {max, number}.',
+  'errors.marsRover': 'Choisissez un rover martien.',
+  'errors.marsSol': 'Le sol doit être un nombre entier supérieur ou égal à 0.',
+  'errors.marsBeforeLanding': '{rover} s’est posé le {date, date}. Choisissez une date plus récente.',
+  'errors.marsCamera': '{rover} ne possède pas cette caméra.',
+  'errors.datesRequired': 'Choisissez une date de début et une date de fin.',
+  'errors.neoRangeTooLong': 'Le flux d’astéroïdes couvre au plus {max, number} jours à la fois.',
+  'errors.epicCollection': 'Choisissez des images en couleurs naturelles ou rehaussées.',
+  'errors.epicTooEarly': 'Les images EPIC commencent le {date, date}.',
+  'errors.mediaQuery': 'Saisissez un mot-clé à rechercher.',
+  'errors.mediaType': 'Choisissez des images, des vidéos ou de l’audio.',
+  'errors.mediaYear': 'Les années doivent être des nombres entiers entre {min} et {max}.',
+  'errors.mediaYearOrder': 'L’année de début doit être antérieure ou égale à l’année de fin.',
+  'errors.mediaCenter': 'Choisissez un centre de la NASA dans la liste.',
+  'errors.mediaAsset': 'Cet élément n’a pas d’identifiant NASA.',
+  'errors.donkiTooEarly': 'Les relevés de météo spatiale commencent le {date, date}.',
+  'errors.donkiRangeTooLong': 'La chronologie couvre au plus {max, number} jours à la fois.',
+  'errors.importJson': 'Le fichier choisi n’est pas un JSON valide.',
+  'errors.importCollection': 'Le fichier choisi ne contient pas de collection de favoris.',
+  'errors.importEmpty': 'Aucun favori valide n’a été trouvé dans le fichier choisi.',
+
+  // APOD viewer
+  'apod.offline': 'Vous êtes hors ligne. Les images déjà consultées et enregistrées restent disponibles.',
+  'apod.heading': 'Image astronomique du jour',
+  'apod.intro': 'Découvrez le cosmos grâce aux images astronomiques quotidiennes de la NASA et à leurs explications scientifiques',
+  'apod.selectDate': '📅 Choisir une date',
+  'apod.loadingButton': '🔄 Chargement...',
+  'apod.loadSaved': '📦 Charger l’APOD enregistrée',
+  'apod.fetch': '🚀 Charger l’APOD',
+  'apod.dataSource': '📊 Source des données',
+  'apod.dataSourceName': 'API APOD de la NASA',
+  'apod.since': 'Depuis le {date, date}',
+  'apod.retries': 'Nouvelles tentatives : {count, number}',
+  'apod.clearCache': '🗑️ Vider le cache',
+  'apod.cacheCleared': '✅ Cache vidé',
+  'apod.previous': '◀ Précédent',
+  'apod.previousTitle': 'Jour précédent (←)',
+  'apod.today': '📍 Aujourd’hui',
+  'apod.todayTitle': 'Aujourd’hui (T)',
+  'apod.random': '🎲 Au hasard',
+  'apod.randomTitle': 'Date au hasard (R)',
+  'apod.next': 'Suivant ▶',
+  'apod.nextTitle': 'Jour suivant (→)',
+  'apod.shortcutsTitle': 'Raccourcis clavier (?)',
+  'apod.loading': 'Récupération des données astronomiques...',
+  'apod.retryAttempt': 'Tentative {count, number}',
+  'apod.tryAgain': 'Réessayer',
+  'apod.reload': 'Recharger la page',
+  'apod.notSavedOffline': 'Cette date n’a pas été enregistrée pour une consultation hors ligne. Connectez-vous à internet pour la charger.',
+  'apod.export': '📄 Exporter…',
+  'apod.exportLabel': 'Exporter la transcription',
+  'apod.exportTitle': 'Télécharger le texte de la narration et ses détails',
+  'apod.exportMarkdown': 'Transcription Markdown (.md)',
+  'apod.exportText': 'Transcription texte brut (.txt)',
+  'apod.exportVtt': 'Sous-titres WebVTT (.vtt)',
+  'apod.addFavorite': 'Ajouter aux favoris',
+  'apod.removeFavorite': 'Retirer des favoris',
+  'apod.favorite': '☆ Favori',
+  'apod.favorited': '★ Dans les favoris',
+  'apod.date': '📅 {date, date}',
+  'apod.copyright': '📷 {name}',
+  'apod.cached': '📦 Contenu en cache',
+  'apod.spaceWeather': '☀️ Météo spatiale notable ({count, number})',
+  'apod.hdVersion': '🔍 Version HD',
+  'apod.description': '📖 Description :',
+  'apod.translate': '🌐 Traduire :',
+  'apod.originalText': 'Original (anglais)',
+  'apod.translating': '🔄 Traduction...',
+  'apod.translationFailed': '⚠️ {error} Le texte original est affiché.',
+  'apod.englishOriginal': 'Anglais (original)',
+  'apod.translatedBy': '{language} · {provider}',
+  'apod.sentenceHint': '💡 Cliquez sur une phrase pour lancer la narration à partir de celle-ci.',
+  'apod.readFromHere': 'Lire à voix haute à partir d’ici',
+
+  // Date calendar
+  'calendar.choose': '📅 Choisir une date',
+  'calendar.dialog': 'Choisir une date d’APOD',
+  'calendar.previousYear': 'Année précédente',
+  'calendar.previousMonth': 'Mois précédent',
+  'calendar.nextMonth': 'Mois suivant',
+  'calendar.nextYear': 'Année suivante',
+  'calendar.month': 'Mois',
+  'calendar.year': 'Année',
+  'calendar.favorite': 'Favori',
+  'calendar.viewed': 'Consultée',
+  'calendar.cached': 'Enregistrée hors ligne',
+  'calendar.today': 'Aujourd’hui',
+
+  // Keyboard shortcuts
+  'shortcuts.previous': 'Jour précédent',
+  'shortcuts.next': 'Jour suivant',
+  'shortcuts.today': 'Image du jour',
+  'shortcuts.random': 'Date au hasard',
+  'shortcuts.help': 'Afficher ou masquer cette aide',
+  'shortcuts.title': 'Raccourcis clavier',
+  'shortcuts.heading': '⌨️ Raccourcis clavier',
+  'shortcuts.close': 'Fermer',
+
+  // Videos and other media
+  'video.download': 'Télécharger la vidéo',
+  'video.playLabel': 'Lire la vidéo : {title}',
+  'video.play': 'Lire la vidéo ({host})',
+  'video.unplayable': '📹 Cette vidéo ne peut pas être lue ici',
+  'video.unsupported': '🧩 Cette APOD contient un média qui ne peut pas être affiché ici',
+  'video.openOriginal': '↗️ Ouvrir sur le site d’origine',
+  'video.openApod': '↗️ Voir sur apod.nasa.gov',
+
+  // Image lightbox
+  'lightbox.label': 'Visionneuse d’images : {title}',
+  'lightbox.zoomOut': 'Zoom arrière (-)',
+  'lightbox.zoomIn': 'Zoom avant (+)',
+  'lightbox.resetTitle': 'Réinitialiser le zoom (0)',
+  'lightbox.reset': '↺ Réinitialiser',
+  'lightbox.originalTitle': 'Ouvrir le fichier d’origine',
+  'lightbox.original': '↗️ Original',
+  'lightbox.close': 'Fermer (Échap)',
+  'lightbox.loadingHd': 'Chargement de l’image HD...',
+  'lightbox.loadingHdProgress': 'Chargement de l’image HD {percent, number} %',
+  'lightbox.hdFailed': '⚠️ Impossible de charger l’image HD ; la version standard est affichée.',
+
+  // APOD gallery
+  'gallery.heading': '🖼️ Galerie APOD',
+  'gallery.range': '📅 Période',
+  'gallery.random': '🎲 Au hasard',
+  'gallery.startDate': 'Date de début',
+  'gallery.endDate': 'Date de fin',
+  'gallery.count': 'Nombre d’images',
+  'gallery.loading': '🔄 Chargement...',
+  'gallery.load': '🚀 Charger la galerie',
+  'gallery.previous': '◀ Précédent',
+  'gallery.next': 'Suivant ▶',
+  'gallery.page': 'Page {page, number} sur {total, number}',
+
+  // Search
+  'search.heading': '🔎 Rechercher des images',
+  'search.label': 'Rechercher des images',
+  'search.placeholder': 'p. ex. nébuleuse de la Tête de Cheval, aurore, Hubble',
+  'search.mediaType': 'Type de média',
+  'search.allMedia': 'Tous les médias',
+  'search.images': 'Images',
+  'search.videos': 'Vidéos',
+  'search.other': 'Autres',
+  'search.yearFrom': 'À partir de l’année',
+  'search.fromAnyYear': 'Depuis n’importe quelle année',
+  'search.fromYear': 'À partir de {year}',
+  'search.yearTo': 'Jusqu’à l’année',
+  'search.toAnyYear': 'Jusqu’à n’importe quelle année',
+  'search.toYear': 'Jusqu’à {year}',
+  'search.indexing': '🔄 Indexation des images enregistrées...',
+  'search.indexed': 'Images parcourues : {count, number}, parmi celles que vous avez consultées, enregistrées ou parcourues.',
+  'search.noResults': 'Aucune image ne correspond à « {query} ». Parcourez la galerie pour ajouter des images à la recherche.',
+
+  // Favorites
+  'favorites.heading': '⭐ Favoris ({count, number})',
+  'favorites.filter': 'Filtrer par titre, notes ou étiquette',
+  'favorites.tagFilter': 'Étiquette',
+  'favorites.allTags': 'Toutes les étiquettes',
+  'favorites.export': '⬇️ Exporter en JSON',
+  'favorites.import': '⬆️ Importer un JSON',
+  'favorites.imported': 'Favoris importés : {count, number}.',
+  'favorites.importedSomeRejected': 'Favoris importés : {count, number}. Entrées ignorées car non valides : {rejected, number}.',
+  'favorites.empty': 'Aucun favori pour l’instant. Utilisez le bouton ☆ Favori sur une image pour l’enregistrer ici.',
+  'favorites.noMatch': 'Aucun favori ne correspond au filtre actuel.',
+  'favorites.openTitle': 'Ouvrir {title}',
+  'favorites.tags': '🏷️ Étiquettes (séparées par des virgules)',
+  'favorites.tagsPlaceholder': 'nébuleuse, classe',
+  'favorites.notes': '📝 Notes',
+  'favorites.open': '🔭 Ouvrir',
+  'favorites.remove': '🗑️ Retirer',
+
+  // Settings
+  'settings.narration': '🔊 Narration',
+  'settings.unsupported': '⚠️ Ce navigateur ne prend pas en charge la synthèse vocale, mais vos paramètres sont tout de même enregistrés.',
+  'settings.voice': '🎭 Voix :',
+  'settings.automatic': 'Automatique',
+  'settings.automaticVoice': 'Automatique ({name})',
+  'settings.voiceUnavailable': '{name} (indisponible ici)',
+  'settings.speed': '⚡ Vitesse',
+  'settings.pitch': '🎵 Hauteur',
+  'settings.volume': '🔉 Volume',
+  'settings.preview': '▶️ Écouter la voix',
+  'settings.stopPreview': '⏹️ Arrêter l’écoute',
+  'settings.previewTitle': 'Aperçu de la voix',
+  'settings.previewText': 'Voici comment les descriptions de l’image astronomique du jour sonneront avec ces paramètres.',
+  'settings.appearance': '🎨 Apparence',
+  'settings.theme': 'Thème',
+  'settings.theme.cosmic': '🌌 Bleu cosmique',
+  'settings.theme.midnight': '🌑 Minuit',
+  'settings.theme.nebula': '🟣 Nébuleuse',
+  'settings.reset': '↺ Rétablir les valeurs par défaut',
+  'settings.savedHint': 'Les paramètres sont enregistrés dans ce navigateur et s’appliquent immédiatement.',
+
+  // About
+  'about.heading': 'À propos de NASA Explorer',
+  'about.mission': '🚀 Notre mission',
+  'about.missionText': 'Rendre les incroyables découvertes astronomiques de la NASA accessibles à tous grâce à des technologies web de pointe et à des fonctions d’IA.',
+  'about.features': '⭐ Fonctionnalités',
+  'about.featureImagery': '🖼️ Images spatiales en haute résolution',
+  'about.featureSpeech': '🤖 Synthèse vocale par IA',
+  'about.featureDates': '📅 Explorez n’importe quelle date depuis 1995',
+  'about.featureMars': '🔴 Photos des rovers martiens par sol, date et caméra',
+  'about.featureAsteroids': '☄️ Passages rapprochés des astéroïdes géocroiseurs',
+  'about.featureEarth': '🌍 Vues animées de la Terre entière par EPIC',
+  'about.featureLibrary': '📚 Recherchez dans les archives d’images, de vidéos et de sons de la NASA',
+  'about.featureSpaceWeather': '☀️ Chronologie de la météo spatiale : éruptions, CME et tempêtes',
+  'about.featureVoices': '🔊 Plusieurs voix au choix',
+  'about.featureResponsive': '📱 Interface adaptative',
+  'about.technology': '💻 Technologie',
+  'about.frontend': 'Interface :',
+  'about.frontendValue': 'React.js avec des hooks modernes',
+  'about.backend': 'Serveur :',
+  'about.backendValue': 'API Node.js et Express',
+  'about.ai': 'IA :',
+  'about.aiValue': 'Intégration de la Web Speech API',
+  'about.data': 'Données :',
+  'about.dataValue': 'API APOD de la NASA',
+  'about.connect': '📧 Contact',
+  'about.connectText': 'Conçu avec passion pour l’exploration spatiale et le développement web moderne.',
+  'about.github': '🐙 GitHub',
+  'about.portfolio': '💼 Portfolio',
+
+  // Narration controls
+  'narration.heading': '🤖 Narration audio par IA',
+  'narration.play': '▶️ Lire la description',
+  'narration.previous': 'Phrase précédente',
+  'narration.next': 'Phrase suivante',
+  'narration.pause': '⏸️ Pause',
+  'narration.resume': '▶️ Reprendre',
+  'narration.stop': '⏹️ Arrêter',
+  'narration.voice': '🎭 Voix :',
+  'narration.speed': '⚡ Vitesse : {rate, number}x',
+  'narration.rate': '{rate, number}x',
+  'narration.noMatchingVoice': '⚠️ Aucune voix en {language} n’est installée : {voice} lira la traduction.',
+  'narration.defaultVoice': 'la voix par défaut',
+  'narration.moreSettings': '⚙️ Hauteur, volume et autres paramètres',
+  'narration.paused': '⏸️ En pause',
+  'narration.playing': '🔊 Lecture de la description...',
+  'narration.progress': 'Progression de la narration',
+  'narration.sentence': 'Phrase {current, number} sur {total, number}',
+  'narration.failed': 'La synthèse vocale a échoué. Réessayez ou vérifiez vos réglages audio.',
+  'narration.unsupported': 'Votre navigateur ne prend pas en charge la synthèse vocale.',
+
+  // Mars rover photos
+  'mars.heading': '🔴 Photos des rovers martiens',
+  'mars.intro': 'Parcourez les images envoyées par les rovers de la NASA sur Mars, par sol (jour martien) ou par date terrestre.',
+  'mars.rover': '🤖 Rover',
+  'mars.bySol': '🔴 Sol',
+  'mars.byDate': '📅 Date terrestre',
+  'mars.sol': 'Sol (jour martien)',
+  'mars.earthDate': 'Date terrestre',
+  'mars.camera': '📷 Caméra',
+  'mars.allCameras': 'Toutes les caméras',
+  'mars.search': '🚀 Trouver des photos',
+  'mars.loadingButton': '🔄 Chargement...',
+  'mars.manifestLoading': 'Chargement des informations de mission...',
+  'mars.statusActive': '🟢 En activité',
+  'mars.statusComplete': '🏁 Mission terminée',
+  'mars.launched': 'Lancement',
+  'mars.landed': 'Atterrissage',
+  'mars.latestSol': 'Dernier sol',
+  'mars.latestDate': 'Dernières photos',
+  'mars.totalPhotos': 'Photos au total',
+  'mars.dayInfo': 'Sol {sol, number} ({date, date}) : {count, number} photos prises par {cameras}',
+  'mars.noPhotosDay': 'Aucune photo n’a été prise ce jour-là.',
+  'mars.noPhotos': 'Aucune photo ne correspond à ces filtres. Essayez une autre caméra ou un autre jour.',
+  'mars.loading': 'Récupération des photos martiennes...',
+  'mars.photoAlt': 'Photo {id} de {rover} prise par la {camera}',
+  'mars.photoMeta': 'Sol {sol, number} · {date, date}',
+  'mars.page': 'Page {page, number}',
+  'mars.pageOf': 'Page {page, number} sur {total, number}',
+  'mars.previous': '◀ Précédent',
+  'mars.next': 'Suivant ▶',
+
+  // Near-Earth objects
+  'neo.heading': '☄️ Géocroiseurs',
+  'neo.intro': 'Les astéroïdes qui passent près de la Terre, d’après le service NeoWs de la NASA.',
+  'neo.startDate': 'Date de début',
+  'neo.endDate': 'Date de fin',
+  'neo.load': '🚀 Charger les astéroïdes',
+  'neo.loadingButton': '🔄 Chargement...',
+  'neo.loading': 'Suivi des astéroïdes...',
+  'neo.hazardousOnly': '⚠️ Potentiellement dangereux uniquement',
+  'neo.summary': '{count, number} passages rapprochés, dont {hazardous, number} potentiellement dangereux',
+  'neo.timeline': '📈 Chronologie des passages',
+  'neo.timelineLabel': 'Passages rapprochés par date et distance minimale',
+  'neo.axisDistance': 'Distance minimale (distances lunaires)',
+  'neo.timelinePoint': '{name} · {date, date} · {distance, number} DL',
+  'neo.name': 'Nom',
+  'neo.approach': 'Passage rapproché',
+  'neo.missDistance': 'Distance minimale',
+  'neo.velocity': 'Vitesse',
+  'neo.diameter': 'Diamètre est.',
+  'neo.hazardous': 'Dangereux',
+  'neo.distanceValue': '{km, number} km ({lunar, number} DL)',
+  'neo.velocityValue': '{speed, number} km/s',
+  'neo.diameterValue': '{min, number}–{max, number} m',
+  'neo.yes': '⚠️ Oui',
+  'neo.no': 'Non',
+  'neo.noResults': 'Aucun astéroïde ne correspond à ce filtre.',
+  'neo.jplLink': 'Ouvrir dans la base de données des petits corps du JPL',
+
+  // EPIC Earth imagery
+  'epic.heading': '🌍 La Terre vue par DSCOVR',
+  'epic.intro': 'Images du disque complet de la face éclairée de la Terre, prises à un million et demi de kilomètres par la caméra EPIC de la sonde DSCOVR de la NASA.',
+  'epic.collection': 'Images',
+  'epic.natural': '🌈 Couleurs naturelles',
+  'epic.enhanced': '✨ Couleurs rehaussées',
+  'epic.date': 'Date (vide pour la plus récente)',
+  'epic.load': '🚀 Afficher la Terre',
+  'epic.loadingButton': '🔄 Chargement...',
+  'epic.loading': 'Réception des images de DSCOVR...',
+  'epic.noImages': 'Aucune image EPIC pour ce jour. Essayez une autre date.',
+  'epic.dayInfo': '{count, number} images du {date, date}',
+  'epic.frameAlt': 'La Terre à {time} UTC le {date, date}',
+  'epic.play': '▶️ Lecture',
+  'epic.pause': '⏸️ Pause',
+  'epic.preloading': '⏳ Préchargement {loaded, number}/{total, number}',
+  'epic.scrubber': 'Image de l’animation',
+  'epic.frameOf': 'Image {frame, number} sur {total, number}',
+  'epic.captured': 'Prise de vue',
+  'epic.capturedValue': '{time} UTC',
+  'epic.centroid': 'Centroïde',
+  'epic.centroidValue': '{lat, number}°, {lon, number}°',
+  'epic.fullResolution': '🔍 Pleine résolution',
+  'epic.frames': '🖼️ Toutes les images',
+
+  // NASA Image and Video Library
+  'media.heading': '📚 Médiathèque de la NASA',
+  'media.intro': 'Parcourez les archives de la NASA : photos, vidéos et enregistrements audio des missions.',
+  'media.keyword': 'Mot-clé',
+  'media.keywordPlaceholder': 'ex. Apollo 11, Hubble, Artemis',
+  'media.mediaType': 'Type de média',
+  'media.type.image': 'Image',
+  'media.type.video': 'Vidéo',
+  'media.type.audio': 'Audio',
+  'media.yearStart': 'De l’année',
+  'media.yearEnd': 'À l’année',
+  'media.center': 'Centre de la NASA',
+  'media.allCenters': 'Tous les centres',
+  'media.search': '🔍 Rechercher',
+  'media.searchingButton': '🔄 Recherche...',
+  'media.loading': 'Recherche dans les archives...',
+  'media.noResults': 'Rien dans la médiathèque ne correspond à cette recherche. Essayez avec moins de filtres.',
+  'media.resultCount': '{count, number} résultats',
+  'media.page': 'Page {page, number}',
+  'media.previous': '◀ Précédent',
+  'media.next': 'Suivant ▶',
+  'media.close': 'Fermer',
+  'media.nasaId': 'Identifiant NASA',
+  'media.dateCreated': 'Création',
+  'media.photographer': 'Crédit',
+  'media.location': 'Lieu',
+  'media.keywords': 'Mots-clés',
+  'media.renditions': '📁 Fichiers disponibles',
+  'media.renditionsLoading': 'Chargement des fichiers...',
+  'media.kind.image': 'Image',
+  'media.kind.video': 'Vidéo',
+  'media.kind.audio': 'Audio',
+  'media.kind.captions': 'Sous-titres',
+  'media.kind.metadata': 'Métadonnées',
+  'media.kind.other': 'Fichier',
+
+  // DONKI space weather
+  'spaceWeather.heading': '☀️ Météo spatiale',
+  'spaceWeather.intro': 'Éruptions solaires, éjections de masse coronale et tempêtes géomagnétiques issues de la base DONKI de la NASA.',
+  'spaceWeather.startDate': 'Date de début',
+  'spaceWeather.endDate': 'Date de fin',
+  'spaceWeather.load': '🚀 Afficher les événements',
+  'spaceWeather.loadingButton': '🔄 Chargement...',
+  'spaceWeather.loading': 'Observation du Soleil...',
+  'spaceWeather.rangeHint': 'Jusqu’à {max, number} jours à la fois.',
+  'spaceWeather.timeline': '📈 Chronologie des événements',
+  'spaceWeather.timelineLabel': 'Événements de météo spatiale par type et heure de début',
+  'spaceWeather.lane.FLR': 'Éruptions solaires ({count, number})',
+  'spaceWeather.lane.CME': 'EMC ({count, number})',
+  'spaceWeather.lane.GST': 'Tempêtes géomagnétiques ({count, number})',
+  'spaceWeather.type.FLR': 'Éruption solaire',
+  'spaceWeather.type.CME': 'Éjection de masse coronale',
+  'spaceWeather.type.GST': 'Tempête géomagnétique',
+  'spaceWeather.summary.FLR': 'Éruption solaire {classType}',
+  'spaceWeather.summary.CME': 'EMC à {speed, number} km/s',
+  'spaceWeather.summary.CMEUnknownSpeed': 'Éjection de masse coronale',
+  'spaceWeather.summary.GST': 'Tempête géomagnétique, Kp {kp, number}',
+  'spaceWeather.marker': '{summary}, {time}',
+  'spaceWeather.timeValue': '{time} UTC',
+  'spaceWeather.noEvents': 'Aucune éruption, EMC ni tempête n’a été relevée sur cette période.',
+  'spaceWeather.selectHint': 'Sélectionnez un événement sur la chronologie pour voir ses détails.',
+  'spaceWeather.notable': '⚠️ Notable',
+  'spaceWeather.eventType': 'Type',
+  'spaceWeather.started': 'Début',
+  'spaceWeather.peak': 'Maximum',
+  'spaceWeather.ended': 'Fin',
+  'spaceWeather.classType': 'Classe',
+  'spaceWeather.speed': 'Vitesse',
+  'spaceWeather.speedValue': '{speed, number} km/s',
+  'spaceWeather.halfAngle': 'Demi-angle',
+  'spaceWeather.kpIndex': 'Indice Kp maximal',
+  'spaceWeather.sourceLocation': 'Région source',
+  'spaceWeather.activeRegion': 'Région active',
+  'spaceWeather.related': '🔗 Événements liés',
+  'spaceWeather.noRelated': 'DONKI n’indique aucun événement lié.',
+  'spaceWeather.relatedEvent': '{summary} · {time}',
+  'spaceWeather.outsideRange': '{id} (hors de cette période)',
+  'spaceWeather.donkiLink': 'Ouvrir dans DONKI'
+};
+
+export default fr;
@@ -0,0 +1,64 @@
+// Pseudo-localization: every message becomes accented text between ⟦ and ⟧,
+// e.g. "Next day" -> "⟦Ñéxţ ðåý⟧". Anything still readable as plain English
+// when the pseudo-locale is active was never passed through the catalogs.
+
+const ACCENTS = {
+  a: 'å', b: 'ƀ', c: 'ç', d: 'ð', e: 'é', f: 'ƒ', g: 'ĝ', h: 'ĥ', i: 'î', j: 'ĵ', k: 'ķ', l: 'ļ', m: 'ɱ',
+  n: 'ñ', o: 'ö', p: 'þ', q: 'ǫ', r: 'ŕ', s: 'š', t: 'ţ', u: 'û', v: 'ṽ', w: 'ŵ', x: 'ẋ', y: 'ý', z: 'ž',
+  A: 'Å', B: 'Ɓ', C: 'Ç', D: 'Ð', E: 'É', F: 'Ƒ', G: 'Ĝ', H: 'Ĥ', I: 'Î', J: 'Ĵ', K: 'Ķ', L: 'Ļ', M: 'Ṁ',
+  N: 'Ñ', O: 'Ö', P: 'Þ', Q: 'Ǫ', R: 'Ŕ', S: 'Š', T: 'Ţ', U: 'Û', V: 'Ṽ', W: 'Ŵ', X: 'Ẋ', Y: 'Ý', Z: 'Ž'
+};
+
+export const PSEUDO_START = '⟦';
+export const PSEUDO_END = '⟧';
+
+// Placeholders such as {count} are left alone so they still get filled in
+const pseudoMessage = (message) => PSEUDO_START + message
+  .split(/(\{[^}]+\})/)
+  .map(part => (part.startsWith('{') ? part : part.replace(/[a-z]/gi, letter => ACCENTS[letter])))
+  .join('') + PSEUDO_END;
+
+export const pseudoLocalize = (messages) => Object.fromEntries(
+  Object.entries(messages).map(([key, message]) => [key, pseudoMessage(message)])
+);
+
+// Attributes whose text is read out or shown to the user
+const CHECKED_ATTRIBUTES = ['title', 'aria-label', 'alt', 'placeholder'];
+
+// Whether `element` sits inside something marked with a lang attribute
+const isMarked = (root, element) => {
+  const marked = element.closest('[lang]');
+  return Boolean(marked && root.contains(marked));
+};
+
+// Whether `text` has Latin letters outside pseudo-localized messages
+const hasPlainText = (text) => /[a-z]/i.test(text.replace(/⟦[^⟧]*⟧/g, ''));
+
+// Text and attributes (title, aria-label, alt, placeholder) under `root` that
+// contain Latin letters outside pseudo-localized messages. Elements with a
+// lang attribute hold content in a known language (APOD text, language
+// names) and are skipped. Attributes are reported as name="value".
+export const findUntranslatedText = (root) => {
+  const found = [];
+  const walker = root.ownerDocument.createTreeWalker(root, 1 | 4 /* NodeFilter.SHOW_ELEMENT | SHOW_TEXT */);
+
+  for (let node = root; node; node = walker.nextNode()) {
+    if (node.nodeType === 1) {
+      if (isMarked(root, node)) continue;
+      CHECKED_ATTRIBUTES.forEach((name) => {
+        const value = node.getAttribute(name);
+        if (value && hasPlainText(value)) {
+          found.push(`${name}="${value}"`);
+        }
+      });
+      continue;
+    }
+
+    if (node.parentElement.tagName === 'STYLE' || isMarked(root, node.parentElement)) continue;
+    if (hasPlainText(node.textContent)) {
+      found.push(node.textContent.trim());
+    }
+  }
+
+  return found;
+};
@@ -0,0 +1,33 @@
+// Registers public/service-worker.js so the app shell and viewed APODs work offline.
+// Only active in production builds; the dev server serves fresh files on every request.
+
+const SERVICE_WORKER_URL = `${process.env.PUBLIC_URL}/service-worker.js`;
+
+const isSupported = () => typeof navigator !== 'undefined' && 'serviceWorker' in navigator;
+
+export const register = () => {
+  if (process.env.NODE_ENV !== 'production' || !isSupported()) return;
+
+  window.addEventListener('load', () => {
+    navigator.serviceWorker
+      .register(SERVICE_WORKER_URL)
+      .catch(error => console.error('Service worker registration failed:', error));
+  });
+};
+
+export const unregister = () => {
+  if (!isSupported()) return;
+
+  navigator.serviceWorker.ready
+    .then(registration => registration.unregister())
+    .catch(error => console.error('Service worker unregistration failed:', error));
+};
+
+// Ask the service worker to store image files for offline viewing
+export const precacheImages = (urls) => {
+  if (!isSupported() || !urls.length) return;
+
+  navigator.serviceWorker.ready
+    .then(registration => registration.active?.postMessage({ type: 'PRECACHE_IMAGES', urls }))
+    .catch(error => console.warn('Image precaching failed:', error));
+};
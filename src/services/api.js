@@ -1,4 +1,46 @@
-const API_BASE_URL = 'https://nasa-explorer-server.onrender.com/';
+import apodCache from './apodCache';
+import { getToday, daysAgo } from '../utils/dates';
+import { t, translate } from './i18n';
+import { MARS_ROVERS, MARS_PAGE_SIZE } from './marsRovers';
+import { toApproaches } from '../utils/neo';
+import { toEpicFrames, EPIC_COLLECTIONS, EPIC_START_DATE } from '../utils/epic';
+import { toSpaceWeatherEvents, isNotableEvent, DONKI_START_DATE } from '../utils/donki';
+import { toMediaResults, toRenditions, MEDIA_TYPES, MEDIA_PAGE_SIZE, MEDIA_FIRST_YEAR, NASA_CENTERS } from '../utils/mediaLibrary';
+
+// APOD comes from the Render backend unless REACT_APP_API_URL points
+// elsewhere, e.g. '/' for the api/ gateway deployed with the app. Both serve
+// /api/apod and /api/apod/:date and answer in the same envelope.
+const API_BASE_URL = process.env.REACT_APP_API_URL || 'https://nasa-explorer-server.onrender.com/';
+
+// The other NASA APIs go through the api/ gateway, deployed with the app.
+// Set REACT_APP_PROXY_URL when the app is served from elsewhere.
+const PROXY_BASE_URL = process.env.REACT_APP_PROXY_URL || '/';
+
+// Pages the user opens try the gateway at '/' regardless, but lookups nobody
+// asked for (the space-weather marker) only run once REACT_APP_PROXY_URL says
+// the gateway is there: deployments of the app alone, next to the Render
+// backend, have none
+export const isGatewayConfigured = () => Boolean(process.env.REACT_APP_PROXY_URL);
+
+// APOD archive bounds
+export const APOD_START_DATE = '1995-06-16';
+const MAX_RANGE_DAYS = 100;
+const MAX_RANDOM_COUNT = 100;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// NeoWs feed windows are limited by NASA
+export const NEO_MAX_RANGE_DAYS = 7;
+
+// Longest space-weather window the timeline shows at once
+export const SPACE_WEATHER_MAX_RANGE_DAYS = 31;
+
+// Lookups of the notable space weather on a date, kept for the session
+const notableSpaceWeather = new Map();
+
+// Offline prefetch settings
+const PREFETCH_DAYS = 7;
+const PREFETCH_INTERVAL = 6 * 60 * 60 * 1000; // 6 hours
+const PREFETCH_STORAGE_KEY = 'nasa-explorer:lastPrefetch';
 
 // Error types for better error handling
 export const ErrorTypes = {
@@ -22,18 +64,107 @@ export class APIError extends Error {
   }
 }
 
+// Validation errors keep their message key so getErrorMessage can show them
+// in the current UI language; the message itself stays in English for logs
+export const validationError = (messageKey, messageParams = {}) => {
+  const error = new APIError(translate('en', messageKey, messageParams), ErrorTypes.VALIDATION, 400, false);
+  error.messageKey = messageKey;
+  error.messageParams = messageParams;
+  return error;
+};
+
 // Retry configuration
 const RETRY_CONFIG = {
   maxRetries: 3,
   baseDelay: 1000, // 1 second
   maxDelay: 10000, // 10 seconds
-  backoffMultiplier: 2
+  backoffMultiplier: 2,
+  // Longest server-requested wait to sit out silently; beyond it the error
+  // is shown with a countdown instead
+  maxServerDelay: 30000 // 30 seconds
+};
+
+// Calculate delay for retry: the server's Retry-After when it sent one,
+// otherwise exponential backoff. Both get jitter so clients that failed
+// together do not all retry at the same moment
+const calculateRetryDelay = (attempt, error = null) => {
+  if (error?.retryAfter != null) {
+    return error.retryAfter + Math.random() * RETRY_CONFIG.baseDelay;
+  }
+  
+  const delay = Math.min(
+    RETRY_CONFIG.baseDelay * Math.pow(RETRY_CONFIG.backoffMultiplier, attempt),
+    RETRY_CONFIG.maxDelay
+  );
+  return delay / 2 + Math.random() * (delay / 2);
 };
 
-// Calculate delay for retry with exponential backoff
-const calculateRetryDelay = (attempt) => {
-  const delay = RETRY_CONFIG.baseDelay * Math.pow(RETRY_CONFIG.backoffMultiplier, attempt);
-  return Math.min(delay, RETRY_CONFIG.maxDelay);
+// Retry-After is either a number of seconds or an HTTP date; resolves to
+// milliseconds from now, or null when missing or unreadable
+const parseRetryAfter = (value) => {
+  if (!value) return null;
+  
+  if (/^\d+$/.test(value.trim())) {
+    return Number(value) * 1000;
+  }
+  
+  const time = Date.parse(value);
+  return Number.isNaN(time) ? null : Math.max(0, time - Date.now());
+};
+
+// RateLimit-Reset is sent either as seconds until the reset or as the
+// reset's Unix time in seconds; resolves to a timestamp
+const parseRateLimitReset = (value) => {
+  const seconds = Number(value);
+  if (value == null || value === '' || !Number.isFinite(seconds)) return null;
+  return seconds > 1e9 ? seconds * 1000 : Date.now() + seconds * 1000;
+};
+
+// Request quota as last reported by the server, for the countdown in the UI.
+// limit, remaining and resetAt are this client's own allowance; shared is
+// the quota of the NASA key every visitor uses. retryAt is set while
+// requests are being refused
+const EMPTY_RATE_LIMIT = {
+  limit: null,
+  remaining: null,
+  resetAt: null,
+  retryAt: null,
+  shared: { limit: null, remaining: null }
+};
+let rateLimitStatus = EMPTY_RATE_LIMIT;
+const rateLimitListeners = new Set();
+
+const updateRateLimit = (changes) => {
+  rateLimitStatus = { ...rateLimitStatus, ...changes };
+  rateLimitListeners.forEach(listener => listener());
+};
+
+const headerNumber = (headers, name) => {
+  const value = headers.get(name);
+  return value == null || value === '' || !Number.isFinite(Number(value)) ? null : Number(value);
+};
+
+// Record the rate-limit headers of any response that has them: RateLimit-*
+// for this client's allowance, X-RateLimit-* for NASA's shared quota
+const readRateLimitHeaders = (response) => {
+  const headers = response.headers;
+  if (typeof headers?.get !== 'function') return;
+  
+  const changes = {};
+  const remaining = headerNumber(headers, 'RateLimit-Remaining');
+  if (remaining !== null) {
+    changes.remaining = remaining;
+    changes.limit = headerNumber(headers, 'RateLimit-Limit');
+    changes.resetAt = parseRateLimitReset(headers.get('RateLimit-Reset'));
+  }
+  const sharedRemaining = headerNumber(headers, 'X-RateLimit-Remaining');
+  if (sharedRemaining !== null) {
+    changes.shared = { limit: headerNumber(headers, 'X-RateLimit-Limit'), remaining: sharedRemaining };
+  }
+  
+  if (Object.keys(changes).length > 0) {
+    updateRateLimit(changes);
+  }
 };
 
 // Check if error is retryable
@@ -55,18 +186,28 @@ const isRetryableError = (error) => {
   return false;
 };
 
-// Enhanced fetch with retry logic
+// Enhanced fetch with retry logic. Background requests (`background: true`)
+// leave the rate-limit state alone, so a refused lookup the user never asked
+// for does not start the countdown shown across the app
 const fetchWithRetry = async (url, options = {}, retryCount = 0) => {
+  const { background = false, ...fetchOptions } = options;
+  
   try {
     const controller = new AbortController();
     const timeoutId = setTimeout(() => controller.abort(), 10000); // 10 second timeout
     
     const response = await fetch(url, {
-      ...options,
+      ...fetchOptions,
       signal: controller.signal
     });
     
     clearTimeout(timeoutId);
+    if (!background) {
+      readRateLimitHeaders(response);
+      if (response.ok && rateLimitStatus.retryAt) {
+        updateRateLimit({ retryAt: null });
+      }
+    }
     
     if (!response.ok) {
       let errorType = ErrorTypes.UNKNOWN;
@@ -83,13 +224,36 @@ const fetchWithRetry = async (url, options = {}, retryCount = 0) => {
         retryable = false;
       }
       
+      // Both backends send { error: { message } } (the gateway adds a code);
+      // older api/ functions sent { error } as a string
       const errorData = await response.json().catch(() => ({}));
-      throw new APIError(
-        errorData.error?.message || `HTTP ${response.status}: ${response.statusText}`,
+      const serverMessage = typeof errorData.error === 'string' ? errorData.error : errorData.error?.message;
+      const apiError = new APIError(
+        serverMessage || `HTTP ${response.status}: ${response.statusText}`,
         errorType,
         response.status,
         retryable
       );
+      if (errorData.error?.code) {
+        apiError.code = errorData.error.code;
+      }
+      
+      // How long the server wants us to wait: Retry-After, or else until the
+      // quota resets if it has run out
+      if (response.status === 429) {
+        let retryAfter = parseRetryAfter(response.headers?.get?.('Retry-After'));
+        if (retryAfter == null && rateLimitStatus.remaining === 0 && rateLimitStatus.resetAt) {
+          retryAfter = Math.max(0, rateLimitStatus.resetAt - Date.now());
+        }
+        if (retryAfter != null) {
+          apiError.retryAfter = retryAfter;
+          apiError.retryAt = Date.now() + retryAfter;
+          if (!background) {
+            updateRateLimit({ retryAt: apiError.retryAt });
+          }
+        }
+      }
+      throw apiError;
     }
     
     return response;
@@ -129,16 +293,47 @@ const fetchWithRetry = async (url, options = {}, retryCount = 0) => {
   }
 };
 
+// Read a successful response. The gateway and the Render backend wrap
+// results as { success, data }; deployments of the older api/ functions sent
+// NASA's JSON as it is, so anything without the envelope is returned whole
+const readData = async (response) => {
+  const body = await response.json();
+  
+  if (body && typeof body === 'object' && typeof body.success === 'boolean') {
+    if (!body.success) {
+      throw new APIError(
+        body.error?.message || 'The server could not complete the request',
+        ErrorTypes.SERVER,
+        response.status,
+        true
+      );
+    }
+    return body.data;
+  }
+  
+  return body;
+};
+
 // Retry wrapper
 const withRetry = async (fetchFn, retryCount = 0) => {
   try {
     return await fetchFn();
   } catch (error) {
+    // Retrying cannot help while the browser reports no connection
+    if (typeof navigator !== 'undefined' && navigator.onLine === false) {
+      throw error;
+    }
+    
     if (retryCount >= RETRY_CONFIG.maxRetries || !isRetryableError(error)) {
       throw error;
     }
     
-    const delay = calculateRetryDelay(retryCount);
+    // A long wait is better shown to the user than spent on a spinner
+    if (error.retryAfter > RETRY_CONFIG.maxServerDelay) {
+      throw error;
+    }
+    
+    const delay = Math.round(calculateRetryDelay(retryCount, error));
     console.log(`Retrying request in ${delay}ms (attempt ${retryCount + 1}/${RETRY_CONFIG.maxRetries})`);
     
     await new Promise(resolve => setTimeout(resolve, delay));
@@ -146,34 +341,256 @@ const withRetry = async (fetchFn, retryCount = 0) => {
   }
 };
 
+// Fetch a single APOD entry from the server and store it in the cache
+const requestAPOD = (date) => {
+  // thumbs=true adds thumbnail_url for videos, used as the player poster
+  const endpoint = date ? `${API_BASE_URL}api/apod/${date}?thumbs=true` : `${API_BASE_URL}api/apod?thumbs=true`;
+  
+  return withRetry(async () => {
+    const response = await fetchWithRetry(endpoint);
+    const data = await readData(response);
+    
+    await apodCache.set(date || data.date, data);
+    return data;
+  });
+};
+
+// Fetch a list of APOD entries, cache them and sort them newest first
+const fetchAPODList = (endpoint) => withRetry(async () => {
+  const response = await fetchWithRetry(endpoint);
+  const data = await readData(response);
+  
+  const entries = Array.isArray(data) ? data : [data];
+  await apodCache.setMany(entries);
+  return entries.sort((a, b) => b.date.localeCompare(a.date));
+});
+
 // API service functions
 export const apiService = {
-  // Fetch APOD data
-  async fetchAPOD(date = null) {
-    const endpoint = date ? `${API_BASE_URL}api/apod/${date}` : `${API_BASE_URL}api/apod`;
+  // Fetch APOD data, resolving to { data, fromCache }. Past dates are served
+  // from the cache; today's entry is returned from the cache too, then
+  // revalidated and handed to onRevalidate
+  async fetchAPOD(date = null, { onRevalidate } = {}) {
+    const cacheKey = date || getToday();
+    const cached = await apodCache.get(cacheKey);
     
-    return withRetry(async () => {
-      const response = await fetchWithRetry(endpoint);
-      const data = await response.json();
-      
-      if (!data.success) {
-        throw new APIError(
-          data.error?.message || 'Failed to fetch APOD data',
-          ErrorTypes.SERVER,
-          response.status,
-          true
-        );
+    if (cached) {
+      if (cacheKey >= getToday()) {
+        requestAPOD(date)
+          .then((fresh) => {
+            if (JSON.stringify(fresh) !== JSON.stringify(cached.data) && onRevalidate) {
+              onRevalidate(fresh);
+            }
+          })
+          .catch(error => logError(error, 'apiService.fetchAPOD revalidate'));
       }
-      
-      return data.data;
+      return { data: cached.data, fromCache: true };
+    }
+    
+    return { data: await requestAPOD(date), fromCache: false };
+  },
+  
+  // Warm the cache for a date the user is likely to open next. Never throws
+  async prefetchAPOD(date) {
+    try {
+      this.validateDate(date);
+      if (await apodCache.get(date)) return;
+      await requestAPOD(date);
+    } catch (error) {
+      // Prefetching is best effort; the real fetch reports any problem
+    }
+  },
+  
+  // Fetch the most recent week into the cache so it can be viewed offline.
+  // Runs at most once per PREFETCH_INTERVAL and resolves to [] when skipped
+  async prefetchRecentAPODs() {
+    const lastPrefetch = Number(localStorage.getItem(PREFETCH_STORAGE_KEY)) || 0;
+    if (Date.now() - lastPrefetch < PREFETCH_INTERVAL) {
+      return [];
+    }
+    
+    const entries = await this.fetchAPODRange(daysAgo(PREFETCH_DAYS - 1));
+    localStorage.setItem(PREFETCH_STORAGE_KEY, String(Date.now()));
+    return entries;
+  },
+  
+  // Remove every cached APOD response
+  async clearCache() {
+    await apodCache.clear();
+    localStorage.removeItem(PREFETCH_STORAGE_KEY);
+    
+    // Responses and images kept by the service worker for offline use
+    if (typeof caches !== 'undefined') {
+      const keys = await caches.keys();
+      await Promise.all(
+        keys
+          .filter(key => key.startsWith('nasa-explorer-data') || key.startsWith('nasa-explorer-images'))
+          .map(key => caches.delete(key))
+      );
+    }
+  },
+  
+  // Fetch every APOD between two dates (inclusive), newest first
+  async fetchAPODRange(startDate, endDate = null) {
+    const params = new URLSearchParams({ start_date: startDate, thumbs: 'true' });
+    if (endDate) {
+      params.set('end_date', endDate);
+    }
+    
+    return fetchAPODList(`${API_BASE_URL}api/apod?${params.toString()}`);
+  },
+  
+  // Fetch a number of randomly chosen APOD entries
+  async fetchRandomAPODs(count) {
+    const params = new URLSearchParams({ count: String(count), thumbs: 'true' });
+    return fetchAPODList(`${API_BASE_URL}api/apod?${params.toString()}`);
+  },
+  
+  // One page of Mars rover photos for a sol or an Earth date, optionally from
+  // a single camera. Resolves to { photos, page, hasMore }
+  async fetchMarsPhotos({ rover, sol = null, earthDate = null, camera = null, page = 1 }) {
+    this.validateMarsQuery({ rover, sol, earthDate, camera });
+    
+    const params = new URLSearchParams({ rover, page: String(page) });
+    if (earthDate) {
+      params.set('earth_date', earthDate);
+    } else {
+      params.set('sol', String(sol));
+    }
+    if (camera) {
+      params.set('camera', camera);
+    }
+    
+    return withRetry(async () => {
+      const response = await fetchWithRetry(`${PROXY_BASE_URL}api/mars-photos?${params.toString()}`);
+      const data = await readData(response);
+      const photos = data.photos || [];
+      return { photos, page, hasMore: photos.length === MARS_PAGE_SIZE };
+    });
+  },
+  
+  // Mission manifest for a rover: status, dates, max_sol, total_photos and
+  // the photos taken on each sol (photos: [{ sol, earth_date, total_photos, cameras }])
+  async fetchMarsManifest(rover) {
+    if (!MARS_ROVERS[rover]) {
+      throw validationError('errors.marsRover');
+    }
+    
+    return withRetry(async () => {
+      const response = await fetchWithRetry(`${PROXY_BASE_URL}api/mars-manifest?rover=${rover}`);
+      const data = await readData(response);
+      return data.photo_manifest;
+    });
+  },
+  
+  // Asteroid close approaches between two dates (inclusive), as flat records
+  // in time order; see utils/neo for their fields
+  async fetchNeoFeed(startDate, endDate) {
+    this.validateNeoRange(startDate, endDate);
+    
+    const params = new URLSearchParams({ start_date: startDate, end_date: endDate });
+    return withRetry(async () => {
+      const response = await fetchWithRetry(`${PROXY_BASE_URL}api/neo-feed?${params.toString()}`);
+      return toApproaches(await readData(response));
+    });
+  },
+  
+  // EPIC frames of the whole Earth for one day, oldest first; without a date
+  // EPIC returns its most recent day of imagery
+  async fetchEpicImages(date, collection = 'natural') {
+    this.validateEpicQuery(date, collection);
+    
+    const params = new URLSearchParams({ collection });
+    if (date) {
+      params.set('date', date);
+    }
+    
+    return withRetry(async () => {
+      const response = await fetchWithRetry(`${PROXY_BASE_URL}api/epic?${params.toString()}`);
+      return toEpicFrames(await readData(response), collection);
     });
   },
   
+  // Search the NASA Image and Video Library. mediaTypes is a list drawn from
+  // MEDIA_TYPES (empty for all), years are whole years and center a key of
+  // NASA_CENTERS
+  async searchMedia({ query, mediaTypes = [], yearStart = null, yearEnd = null, center = null, page = 1 }) {
+    this.validateMediaQuery({ query, mediaTypes, yearStart, yearEnd, center });
+    
+    const params = new URLSearchParams({ q: query.trim(), page: String(page), page_size: String(MEDIA_PAGE_SIZE) });
+    if (mediaTypes.length > 0) {
+      params.set('media_type', mediaTypes.join(','));
+    }
+    if (yearStart) {
+      params.set('year_start', String(yearStart));
+    }
+    if (yearEnd) {
+      params.set('year_end', String(yearEnd));
+    }
+    if (center) {
+      params.set('center', center);
+    }
+    
+    return withRetry(async () => {
+      const response = await fetchWithRetry(`${PROXY_BASE_URL}api/media-search?${params.toString()}`);
+      const data = await readData(response);
+      return { ...toMediaResults(data.collection), page };
+    });
+  },
+  
+  // Every file (rendition) available for a library item
+  async fetchMediaAsset(nasaId) {
+    if (!nasaId) {
+      throw validationError('errors.mediaAsset');
+    }
+    
+    const params = new URLSearchParams({ nasa_id: nasaId });
+    return withRetry(async () => {
+      const response = await fetchWithRetry(`${PROXY_BASE_URL}api/media-asset?${params.toString()}`);
+      const data = await readData(response);
+      return toRenditions(data.collection);
+    });
+  },
+  
+  // Solar flares, CMEs and geomagnetic storms that began between two dates
+  // (inclusive), as flat records in time order; see utils/donki
+  async fetchSpaceWeather(startDate, endDate) {
+    this.validateSpaceWeatherRange(startDate, endDate);
+    
+    const params = new URLSearchParams({ start_date: startDate, end_date: endDate });
+    return withRetry(async () => {
+      const response = await fetchWithRetry(`${PROXY_BASE_URL}api/space-weather?${params.toString()}`);
+      return toSpaceWeatherEvents(await readData(response));
+    });
+  },
+  
+  // Notable events on one day, for the marker on the APOD view. Days before
+  // DONKI's records simply have none. The marker is looked up in the
+  // background: not at all without a configured gateway or while requests
+  // are refused, once per date and without retries
+  async fetchNotableSpaceWeather(date) {
+    if (date < DONKI_START_DATE || !isGatewayConfigured() || rateLimitService.secondsUntilRetry() > 0) {
+      return [];
+    }
+    
+    if (!notableSpaceWeather.has(date)) {
+      this.validateSpaceWeatherRange(date, date);
+      const params = new URLSearchParams({ start_date: date, end_date: date });
+      const lookup = fetchWithRetry(`${PROXY_BASE_URL}api/space-weather?${params.toString()}`, { background: true })
+        .then(readData)
+        .then(data => toSpaceWeatherEvents(data).filter(event => event.date === date && isNotableEvent(event)));
+      // Failed lookups are tried again the next time the date is shown
+      lookup.catch(() => notableSpaceWeather.delete(date));
+      notableSpaceWeather.set(date, lookup);
+    }
+    return notableSpaceWeather.get(date);
+  },
+  
   // Health check
   async healthCheck() {
     return withRetry(async () => {
       const response = await fetchWithRetry(`${API_BASE_URL}health`);
-      return await response.json();
+      return await readData(response);
     });
   },
   
@@ -181,36 +598,171 @@ export const apiService = {
   validateDate(date) {
     if (!date) return { valid: true };
     
-    const dateRegex = /^\d{4}-\d{2}-\d{2}$/;
-    if (!dateRegex.test(date)) {
-      throw new APIError(
-        'Invalid date format. Please use YYYY-MM-DD format.',
-        ErrorTypes.VALIDATION,
-        400,
-        false
-      );
+    if (!DATE_PATTERN.test(date)) {
+      throw validationError('errors.dateFormat');
     }
     
     const selectedDate = new Date(date);
     const today = new Date();
-    const minDate = new Date('1995-06-16');
+    const minDate = new Date(APOD_START_DATE);
     
     if (selectedDate > today) {
-      throw new APIError(
-        'Date cannot be in the future.',
-        ErrorTypes.VALIDATION,
-        400,
-        false
-      );
+      throw validationError('errors.dateInFuture');
     }
     
     if (selectedDate < minDate) {
-      throw new APIError(
-        'Date must be after June 16, 1995 (APOD start date).',
-        ErrorTypes.VALIDATION,
-        400,
-        false
-      );
+      throw validationError('errors.dateTooEarly', { date: APOD_START_DATE });
+    }
+    
+    return { valid: true };
+  },
+  
+  // Validate a start/end date pair for range requests
+  validateDateRange(startDate, endDate) {
+    if (!startDate) {
+      throw validationError('errors.startDateRequired');
+    }
+    
+    this.validateDate(startDate);
+    this.validateDate(endDate);
+    
+    const start = new Date(startDate);
+    const end = endDate ? new Date(endDate) : new Date();
+    
+    if (start > end) {
+      throw validationError('errors.rangeOrder');
+    }
+    
+    const days = Math.round((end - start) / (24 * 60 * 60 * 1000)) + 1;
+    if (days > MAX_RANGE_DAYS) {
+      throw validationError('errors.rangeTooLong', { max: MAX_RANGE_DAYS });
+    }
+    
+    return { valid: true };
+  },
+  
+  // Validate a Mars photo query: a known rover and camera, and either a sol
+  // or an Earth date since the rover landed
+  validateMarsQuery({ rover, sol = null, earthDate = null, camera = null }) {
+    const roverInfo = MARS_ROVERS[rover];
+    if (!roverInfo) {
+      throw validationError('errors.marsRover');
+    }
+    
+    if (earthDate) {
+      this.validateDate(earthDate);
+      if (earthDate < roverInfo.landingDate) {
+        throw validationError('errors.marsBeforeLanding', { rover: roverInfo.name, date: roverInfo.landingDate });
+      }
+    } else if (sol === null || sol === '' || !Number.isInteger(Number(sol)) || Number(sol) < 0) {
+      throw validationError('errors.marsSol');
+    }
+    
+    if (camera && !roverInfo.cameras[camera]) {
+      throw validationError('errors.marsCamera', { rover: roverInfo.name });
+    }
+    
+    return { valid: true };
+  },
+  
+  // Validate a NeoWs feed window. Unlike APOD dates these may lie in the
+  // future, since close approaches are predicted ahead of time
+  validateNeoRange(startDate, endDate) {
+    if (!startDate || !endDate) {
+      throw validationError('errors.datesRequired');
+    }
+    
+    if (!DATE_PATTERN.test(startDate) || !DATE_PATTERN.test(endDate)) {
+      throw validationError('errors.dateFormat');
+    }
+    
+    if (startDate > endDate) {
+      throw validationError('errors.rangeOrder');
+    }
+    
+    const days = Math.round((new Date(endDate) - new Date(startDate)) / (24 * 60 * 60 * 1000)) + 1;
+    if (days > NEO_MAX_RANGE_DAYS) {
+      throw validationError('errors.neoRangeTooLong', { max: NEO_MAX_RANGE_DAYS });
+    }
+    
+    return { valid: true };
+  },
+  
+  // Validate an EPIC request: a known collection and, optionally, a day
+  // within the EPIC archive
+  validateEpicQuery(date, collection) {
+    if (!EPIC_COLLECTIONS.includes(collection)) {
+      throw validationError('errors.epicCollection');
+    }
+    
+    if (date) {
+      this.validateDate(date);
+      if (date < EPIC_START_DATE) {
+        throw validationError('errors.epicTooEarly', { date: EPIC_START_DATE });
+      }
+    }
+    
+    return { valid: true };
+  },
+  
+  // Validate a space-weather window: like APOD dates, but bounded by DONKI's
+  // records and the timeline's length
+  validateSpaceWeatherRange(startDate, endDate) {
+    if (!startDate || !endDate) {
+      throw validationError('errors.datesRequired');
+    }
+    
+    this.validateDate(startDate);
+    this.validateDate(endDate);
+    
+    if (startDate < DONKI_START_DATE) {
+      throw validationError('errors.donkiTooEarly', { date: DONKI_START_DATE });
+    }
+    
+    if (startDate > endDate) {
+      throw validationError('errors.rangeOrder');
+    }
+    
+    const days = Math.round((new Date(endDate) - new Date(startDate)) / (24 * 60 * 60 * 1000)) + 1;
+    if (days > SPACE_WEATHER_MAX_RANGE_DAYS) {
+      throw validationError('errors.donkiRangeTooLong', { max: SPACE_WEATHER_MAX_RANGE_DAYS });
+    }
+    
+    return { valid: true };
+  },
+  
+  // Validate a media library search before it reaches the proxy
+  validateMediaQuery({ query, mediaTypes = [], yearStart = null, yearEnd = null, center = null }) {
+    if (!query || !query.trim()) {
+      throw validationError('errors.mediaQuery');
+    }
+    
+    if (!mediaTypes.every(type => MEDIA_TYPES.includes(type))) {
+      throw validationError('errors.mediaType');
+    }
+    
+    const currentYear = new Date().getFullYear();
+    for (const year of [yearStart, yearEnd]) {
+      if (year !== null && year !== '' && (!Number.isInteger(Number(year)) || year < MEDIA_FIRST_YEAR || year > currentYear)) {
+        throw validationError('errors.mediaYear', { min: MEDIA_FIRST_YEAR, max: currentYear });
+      }
+    }
+    
+    if (yearStart && yearEnd && Number(yearStart) > Number(yearEnd)) {
+      throw validationError('errors.mediaYearOrder');
+    }
+    
+    if (center && !NASA_CENTERS[center]) {
+      throw validationError('errors.mediaCenter');
+    }
+    
+    return { valid: true };
+  },
+  
+  // Validate the number of random entries requested
+  validateCount(count) {
+    if (!Number.isInteger(count) || count < 1 || count > MAX_RANDOM_COUNT) {
+      throw validationError('errors.count', { max: MAX_RANDOM_COUNT });
     }
     
     return { valid: true };
@@ -234,26 +786,56 @@ export const networkService = {
   }
 };
 
-// Error message helpers
+// Request quota reported by the server. getStatus returns the same object
+// until something changes, so it can back useSyncExternalStore
+export const rateLimitService = {
+  getStatus() {
+    return rateLimitStatus;
+  },
+  
+  subscribe(listener) {
+    rateLimitListeners.add(listener);
+    return () => rateLimitListeners.delete(listener);
+  },
+  
+  // Seconds until requests are accepted again; 0 when they already are
+  secondsUntilRetry(now = Date.now()) {
+    return rateLimitStatus.retryAt ? Math.max(0, Math.ceil((rateLimitStatus.retryAt - now) / 1000)) : 0;
+  },
+  
+  reset() {
+    updateRateLimit(EMPTY_RATE_LIMIT);
+  }
+};
+
+// Error message helpers, in the current UI language. Anything carrying a
+// messageKey (validation errors, or plain { messageKey } objects) is looked up
+// in the catalogs; messages from the server are shown as they are.
 export const getErrorMessage = (error) => {
+  if (error.messageKey) {
+    return t(error.messageKey, error.messageParams);
+  }
+  
   if (error instanceof APIError) {
     switch (error.type) {
       case ErrorTypes.NETWORK:
-        return 'Network connection issue. Please check your internet connection and try again.';
+        return t('errors.network');
       case ErrorTypes.SERVER:
-        return 'Server error. Please try again later.';
+        return t('errors.server');
       case ErrorTypes.CLIENT:
-        return error.message || 'Invalid request. Please check your input.';
+        return error.message || t('errors.client');
       case ErrorTypes.RATE_LIMIT:
-        return 'Too many requests. Please wait a moment and try again.';
+        return error.retryAt && error.retryAt > Date.now()
+          ? t('errors.rateLimitWait', { seconds: Math.ceil((error.retryAt - Date.now()) / 1000) })
+          : t('errors.rateLimit');
       case ErrorTypes.VALIDATION:
-        return error.message || 'Invalid input provided.';
+        return error.message || t('errors.validation');
       default:
-        return error.message || 'An unexpected error occurred.';
+        return error.message || t('errors.unknown');
     }
   }
   
-  return error.message || 'An unexpected error occurred.';
+  return error.message || t('errors.unknown');
 };
 
 // Error logging (for debugging)
@@ -0,0 +1,438 @@
+import apiService, { APIError, ErrorTypes, getErrorMessage, rateLimitService } from './api';
+import apodCache from './apodCache';
+import { MARS_PAGE_SIZE } from './marsRovers';
+import { getToday } from '../utils/dates';
+
+const jsonResponse = (body, status = 200, headers = {}) => Promise.resolve({
+  ok: status >= 200 && status < 300,
+  status,
+  statusText: status === 200 ? 'OK' : 'Bad Request',
+  headers: new Headers(headers),
+  json: () => Promise.resolve(body)
+});
+
+const photo = (id) => ({
+  id,
+  sol: 1000,
+  earth_date: '2015-05-30',
+  img_src: `https://mars.nasa.gov/${id}.jpg`,
+  camera: { name: 'FHAZ', full_name: 'Front Hazard Avoidance Camera' },
+  rover: { name: 'Curiosity' }
+});
+
+afterEach(() => {
+  delete global.fetch;
+  delete process.env.REACT_APP_PROXY_URL;
+  rateLimitService.reset();
+  jest.restoreAllMocks();
+});
+
+// Run retry waits at once, recording their length; the 10 s request timeout
+// is left alone
+const recordRetryDelays = () => {
+  const delays = [];
+  jest.spyOn(global, 'setTimeout').mockImplementation((callback, ms) => {
+    if (ms !== 10000) {
+      delays.push(ms);
+      callback();
+    }
+    return 0;
+  });
+  jest.spyOn(Math, 'random').mockReturnValue(0);
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  return delays;
+};
+
+const apod = (date, title) => ({ date, title, explanation: 'An explanation.', media_type: 'image', url: `https://apod.nasa.gov/${date}.jpg` });
+
+test('reports whether an APOD came from the cache or the network', async () => {
+  await apodCache.clear();
+  await apodCache.set('2024-01-15', apod('2024-01-15', 'Horsehead Nebula'));
+  global.fetch = jest.fn(() => jsonResponse({ success: true, data: apod('2024-01-16', 'Orion Nebula') }));
+
+  expect(await apiService.fetchAPOD('2024-01-15')).toEqual({ data: apod('2024-01-15', 'Horsehead Nebula'), fromCache: true });
+  expect(global.fetch).not.toHaveBeenCalled();
+
+  expect(await apiService.fetchAPOD('2024-01-16')).toEqual({ data: apod('2024-01-16', 'Orion Nebula'), fromCache: false });
+  expect(global.fetch).toHaveBeenCalledTimes(1);
+});
+
+test('serves today\'s APOD from the cache, then hands the fresh copy to onRevalidate', async () => {
+  const today = getToday();
+  await apodCache.clear();
+  await apodCache.set(today, apod(today, 'Yesterday\'s guess'));
+  global.fetch = jest.fn(() => jsonResponse({ success: true, data: apod(today, 'Today\'s picture') }));
+
+  let onRevalidate;
+  const revalidated = new Promise((resolve) => { onRevalidate = resolve; });
+  const result = await apiService.fetchAPOD(today, { onRevalidate });
+
+  expect(result).toEqual({ data: apod(today, 'Yesterday\'s guess'), fromCache: true });
+  expect(await revalidated).toEqual(apod(today, 'Today\'s picture'));
+  expect(global.fetch.mock.calls[0][0]).toContain(`api/apod/${today}`);
+  expect((await apodCache.get(today)).data.title).toBe('Today\'s picture');
+});
+
+test('fetches a page of Mars photos through the api/ proxy', async () => {
+  global.fetch = jest.fn(() => jsonResponse({ photos: Array.from({ length: MARS_PAGE_SIZE }, (_, i) => photo(i)) }));
+
+  const result = await apiService.fetchMarsPhotos({ rover: 'curiosity', sol: 1000, camera: 'FHAZ', page: 2 });
+
+  const url = new URL(global.fetch.mock.calls[0][0], 'http://localhost');
+  expect(url.pathname).toBe('/api/mars-photos');
+  expect(Object.fromEntries(url.searchParams)).toEqual({ rover: 'curiosity', sol: '1000', camera: 'FHAZ', page: '2' });
+  expect(result).toMatchObject({ page: 2, hasMore: true });
+  expect(result.photos).toHaveLength(MARS_PAGE_SIZE);
+});
+
+test('queries by Earth date and reports the last page', async () => {
+  global.fetch = jest.fn(() => jsonResponse({ photos: [photo(1)] }));
+
+  const result = await apiService.fetchMarsPhotos({ rover: 'curiosity', earthDate: '2015-05-30' });
+
+  const url = new URL(global.fetch.mock.calls[0][0], 'http://localhost');
+  expect(url.searchParams.get('earth_date')).toBe('2015-05-30');
+  expect(url.searchParams.has('sol')).toBe(false);
+  expect(result.hasMore).toBe(false);
+});
+
+test('returns the rover manifest', async () => {
+  global.fetch = jest.fn(() => jsonResponse({ photo_manifest: { name: 'Spirit', max_sol: 2208 } }));
+
+  expect(await apiService.fetchMarsManifest('spirit')).toEqual({ name: 'Spirit', max_sol: 2208 });
+  expect(global.fetch.mock.calls[0][0]).toBe('/api/mars-manifest?rover=spirit');
+});
+
+test('validates Mars queries before calling the proxy', async () => {
+  global.fetch = jest.fn();
+
+  const cases = [
+    [{ rover: 'sojourner', sol: 1 }, 'errors.marsRover'],
+    [{ rover: 'curiosity', sol: -1 }, 'errors.marsSol'],
+    [{ rover: 'curiosity', sol: '' }, 'errors.marsSol'],
+    [{ rover: 'curiosity', sol: 1.5 }, 'errors.marsSol'],
+    [{ rover: 'curiosity', earthDate: '2010-01-01' }, 'errors.marsBeforeLanding'],
+    [{ rover: 'spirit', sol: 10, camera: 'MAHLI' }, 'errors.marsCamera']
+  ];
+  for (const [query, messageKey] of cases) {
+    await expect(apiService.fetchMarsPhotos(query)).rejects.toMatchObject({ type: ErrorTypes.VALIDATION, messageKey });
+  }
+  expect(() => apiService.validateMarsQuery({ rover: 'perseverance', sol: 0, camera: 'SKYCAM' })).not.toThrow();
+  expect(global.fetch).not.toHaveBeenCalled();
+});
+
+test('surfaces proxy errors as non-retryable client errors', async () => {
+  global.fetch = jest.fn(() => jsonResponse({ error: 'Provide either sol or earth_date' }, 400));
+
+  const error = await apiService.fetchMarsPhotos({ rover: 'curiosity', sol: 5 }).catch(err => err);
+
+  expect(error).toBeInstanceOf(APIError);
+  expect(error).toMatchObject({ type: ErrorTypes.CLIENT, status: 400, message: 'Provide either sol or earth_date' });
+  expect(global.fetch).toHaveBeenCalledTimes(1);
+});
+
+test('unwraps the gateway envelope', async () => {
+  global.fetch = jest.fn(() => jsonResponse({ success: true, data: { photo_manifest: { name: 'Spirit', max_sol: 2208 } } }));
+
+  expect(await apiService.fetchMarsManifest('spirit')).toEqual({ name: 'Spirit', max_sol: 2208 });
+});
+
+test('reads APOD lists with or without the envelope', async () => {
+  const entry = (date) => ({ date, title: `APOD ${date}`, media_type: 'image' });
+
+  global.fetch = jest.fn(() => jsonResponse({ success: true, data: [entry('2024-01-01'), entry('2024-01-02')] }));
+  expect((await apiService.fetchAPODRange('2024-01-01', '2024-01-02')).map(e => e.date)).toEqual(['2024-01-02', '2024-01-01']);
+
+  global.fetch = jest.fn(() => jsonResponse([entry('2024-02-01')]));
+  expect((await apiService.fetchRandomAPODs(1)).map(e => e.date)).toEqual(['2024-02-01']);
+});
+
+test('keeps the gateway error code on the error', async () => {
+  global.fetch = jest.fn(() => jsonResponse({
+    success: false,
+    error: { code: 'UNKNOWN_PARAMETER', message: 'Unknown parameter "foo"' }
+  }, 400));
+
+  const error = await apiService.fetchMarsPhotos({ rover: 'curiosity', sol: 5 }).catch(err => err);
+
+  expect(error).toMatchObject({ type: ErrorTypes.CLIENT, status: 400, code: 'UNKNOWN_PARAMETER', message: 'Unknown parameter "foo"' });
+});
+
+test('fetches the asteroid feed for a window and flattens it', async () => {
+  global.fetch = jest.fn(() => jsonResponse({
+    element_count: 1,
+    near_earth_objects: {
+      '2024-03-01': [{
+        id: '3542519',
+        name: '(2010 PK9)',
+        nasa_jpl_url: 'https://ssd.jpl.nasa.gov/tools/sbdb_lookup.html#/?sstr=3542519',
+        is_potentially_hazardous_asteroid: true,
+        estimated_diameter: { meters: { estimated_diameter_min: 120, estimated_diameter_max: 270 } },
+        close_approach_data: [{
+          close_approach_date: '2024-03-01',
+          epoch_date_close_approach: 1709280000000,
+          relative_velocity: { kilometers_per_second: '14.2' },
+          miss_distance: { kilometers: '5123456.7', lunar: '13.3' },
+          orbiting_body: 'Earth'
+        }]
+      }]
+    }
+  }));
+
+  const approaches = await apiService.fetchNeoFeed('2024-03-01', '2024-03-07');
+
+  expect(global.fetch.mock.calls[0][0]).toBe('/api/neo-feed?start_date=2024-03-01&end_date=2024-03-07');
+  expect(approaches).toEqual([expect.objectContaining({
+    id: '3542519',
+    name: '2010 PK9',
+    hazardous: true,
+    velocity: 14.2,
+    missDistance: 5123456.7,
+    missDistanceLunar: 13.3
+  })]);
+});
+
+test('validates asteroid feed windows like APOD dates', async () => {
+  global.fetch = jest.fn();
+
+  for (const [[start, end], messageKey] of [
+    [['2024-03-01', ''], 'errors.datesRequired'],
+    [['2024-3-1', '2024-03-02'], 'errors.dateFormat'],
+    [['2024-03-05', '2024-03-01'], 'errors.rangeOrder'],
+    [['2024-03-01', '2024-03-08'], 'errors.neoRangeTooLong']
+  ]) {
+    await expect(apiService.fetchNeoFeed(start, end)).rejects.toMatchObject({ type: ErrorTypes.VALIDATION, messageKey });
+  }
+  expect(global.fetch).not.toHaveBeenCalled();
+
+  // Predicted approaches make future windows valid
+  expect(() => apiService.validateNeoRange('2099-01-01', '2099-01-07')).not.toThrow();
+});
+
+test('fetches a day of EPIC frames, or the latest day without a date', async () => {
+  global.fetch = jest.fn(() => jsonResponse([{
+    identifier: '20240305003633',
+    image: 'epic_1b_20240305003633',
+    caption: 'Earth from DSCOVR',
+    date: '2024-03-05 00:36:33',
+    centroid_coordinates: { lat: 3.9, lon: 160.2 }
+  }]));
+
+  const frames = await apiService.fetchEpicImages('2024-03-05', 'natural');
+  expect(global.fetch.mock.calls[0][0]).toBe('/api/epic?collection=natural&date=2024-03-05');
+  expect(frames[0]).toMatchObject({ date: '2024-03-05', lat: 3.9, lon: 160.2 });
+
+  await apiService.fetchEpicImages(null, 'enhanced');
+  expect(global.fetch.mock.calls[1][0]).toBe('/api/epic?collection=enhanced');
+});
+
+test('validates EPIC collections and dates', async () => {
+  global.fetch = jest.fn();
+
+  for (const [[date, collection], messageKey] of [
+    [['2024-03-05', 'infrared'], 'errors.epicCollection'],
+    [['2024/03/05', 'natural'], 'errors.dateFormat'],
+    [['2099-01-01', 'natural'], 'errors.dateInFuture'],
+    [['2015-01-01', 'natural'], 'errors.epicTooEarly']
+  ]) {
+    await expect(apiService.fetchEpicImages(date, collection)).rejects.toMatchObject({ type: ErrorTypes.VALIDATION, messageKey });
+  }
+  expect(global.fetch).not.toHaveBeenCalled();
+});
+
+test('searches the media library with only the filters that are set', async () => {
+  global.fetch = jest.fn(() => jsonResponse({
+    collection: {
+      metadata: { total_hits: 1 },
+      items: [{ data: [{ nasa_id: 'PIA12235', title: 'Hubble Deep Field', media_type: 'image', date_created: '2009-10-01T00:00:00Z' }] }]
+    }
+  }));
+
+  const result = await apiService.searchMedia({ query: ' hubble ', mediaTypes: ['image', 'video'], yearStart: 2000, center: 'GSFC', page: 2 });
+
+  const url = new URL(global.fetch.mock.calls[0][0], 'http://localhost');
+  expect(url.pathname).toBe('/api/media-search');
+  expect(Object.fromEntries(url.searchParams)).toEqual({
+    q: 'hubble',
+    page: '2',
+    page_size: '24',
+    media_type: 'image,video',
+    year_start: '2000',
+    center: 'GSFC'
+  });
+  expect(result).toMatchObject({ totalHits: 1, hasMore: false, page: 2, items: [{ nasaId: 'PIA12235', date: '2009-10-01' }] });
+});
+
+test('lists the renditions of a media asset', async () => {
+  global.fetch = jest.fn(() => jsonResponse({
+    collection: { items: [{ href: 'http://images-assets.nasa.gov/image/PIA12235/PIA12235~orig.jpg' }] }
+  }));
+
+  expect(await apiService.fetchMediaAsset('PIA12235')).toEqual([{
+    url: 'https://images-assets.nasa.gov/image/PIA12235/PIA12235~orig.jpg',
+    name: 'PIA12235~orig.jpg',
+    size: 'orig',
+    kind: 'image'
+  }]);
+  expect(global.fetch.mock.calls[0][0]).toBe('/api/media-asset?nasa_id=PIA12235');
+});
+
+test('validates media library searches before calling the proxy', async () => {
+  global.fetch = jest.fn();
+
+  for (const [query, messageKey] of [
+    [{ query: '  ' }, 'errors.mediaQuery'],
+    [{ query: 'moon', mediaTypes: ['model'] }, 'errors.mediaType'],
+    [{ query: 'moon', yearStart: 1850 }, 'errors.mediaYear'],
+    [{ query: 'moon', yearEnd: '19x9' }, 'errors.mediaYear'],
+    [{ query: 'moon', yearStart: 2010, yearEnd: 2000 }, 'errors.mediaYearOrder'],
+    [{ query: 'moon', center: 'XYZ' }, 'errors.mediaCenter']
+  ]) {
+    await expect(apiService.searchMedia(query)).rejects.toMatchObject({ type: ErrorTypes.VALIDATION, messageKey });
+  }
+  await expect(apiService.fetchMediaAsset('')).rejects.toMatchObject({ messageKey: 'errors.mediaAsset' });
+  expect(global.fetch).not.toHaveBeenCalled();
+});
+
+test('fetches space-weather events for a window', async () => {
+  global.fetch = jest.fn(() => jsonResponse({
+    flares: [{ flrID: 'F1', beginTime: '2024-05-14T16:46Z', classType: 'X8.7' }],
+    cmes: [],
+    storms: [{ gstID: 'G1', startTime: '2024-05-10T15:00Z', allKpIndex: [{ kpIndex: 9 }] }]
+  }));
+
+  const events = await apiService.fetchSpaceWeather('2024-05-01', '2024-05-31');
+
+  expect(global.fetch.mock.calls[0][0]).toBe('/api/space-weather?start_date=2024-05-01&end_date=2024-05-31');
+  expect(events.map(event => event.id)).toEqual(['G1', 'F1']);
+});
+
+test('keeps only notable events on the day for the APOD marker', async () => {
+  process.env.REACT_APP_PROXY_URL = '/';
+  global.fetch = jest.fn(() => jsonResponse({
+    flares: [
+      { flrID: 'F1', beginTime: '2024-05-14T16:46Z', classType: 'X8.7' },
+      { flrID: 'F2', beginTime: '2024-05-14T09:00Z', classType: 'C2.0' }
+    ]
+  }));
+
+  expect((await apiService.fetchNotableSpaceWeather('2024-05-14')).map(event => event.id)).toEqual(['F1']);
+  expect(await apiService.fetchNotableSpaceWeather('2005-01-01')).toEqual([]);
+  expect(global.fetch).toHaveBeenCalledTimes(1);
+
+  // Each date is looked up once
+  expect(await apiService.fetchNotableSpaceWeather('2024-05-14')).toHaveLength(1);
+  expect(global.fetch).toHaveBeenCalledTimes(1);
+});
+
+test('skips the space-weather marker without a configured gateway', async () => {
+  global.fetch = jest.fn();
+
+  expect(await apiService.fetchNotableSpaceWeather('2024-05-15')).toEqual([]);
+  expect(global.fetch).not.toHaveBeenCalled();
+});
+
+test('keeps the background space-weather lookup out of the rate-limit state', async () => {
+  process.env.REACT_APP_PROXY_URL = '/';
+  global.fetch = jest.fn(() => jsonResponse(
+    { success: false, error: { code: 'RATE_LIMITED', message: 'Slow down' } },
+    429,
+    { 'Retry-After': '2', 'RateLimit-Remaining': '0', 'RateLimit-Limit': '60' }
+  ));
+
+  await expect(apiService.fetchNotableSpaceWeather('2024-05-16')).rejects.toMatchObject({ type: ErrorTypes.RATE_LIMIT });
+  expect(global.fetch).toHaveBeenCalledTimes(1);
+  expect(rateLimitService.getStatus()).toMatchObject({ retryAt: null, remaining: null });
+  expect(rateLimitService.secondsUntilRetry()).toBe(0);
+
+  // A failed lookup is tried again the next time the date is shown
+  global.fetch = jest.fn(() => jsonResponse({ flares: [{ flrID: 'F3', beginTime: '2024-05-16T08:00Z', classType: 'X1.0' }] }));
+  expect((await apiService.fetchNotableSpaceWeather('2024-05-16')).map(event => event.id)).toEqual(['F3']);
+});
+
+test('validates space-weather windows', async () => {
+  global.fetch = jest.fn();
+
+  for (const [[start, end], messageKey] of [
+    [['', '2024-05-01'], 'errors.datesRequired'],
+    [['2024-05-01', '2099-01-01'], 'errors.dateInFuture'],
+    [['2009-12-01', '2009-12-02'], 'errors.donkiTooEarly'],
+    [['2024-05-10', '2024-05-01'], 'errors.rangeOrder'],
+    [['2024-05-01', '2024-06-01'], 'errors.donkiRangeTooLong']
+  ]) {
+    await expect(apiService.fetchSpaceWeather(start, end)).rejects.toMatchObject({ type: ErrorTypes.VALIDATION, messageKey });
+  }
+  expect(global.fetch).not.toHaveBeenCalled();
+  expect(() => apiService.validateSpaceWeatherRange('2024-05-01', '2024-05-31')).not.toThrow();
+});
+
+test('waits as long as Retry-After asks before retrying', async () => {
+  const delays = recordRetryDelays();
+  global.fetch = jest.fn()
+    .mockImplementationOnce(() => jsonResponse({ success: false, error: { code: 'RATE_LIMITED', message: 'Slow down' } }, 429, { 'Retry-After': '3' }))
+    .mockImplementation(() => jsonResponse({ success: true, data: { photo_manifest: { name: 'Spirit' } } }));
+
+  expect(await apiService.fetchMarsManifest('spirit')).toEqual({ name: 'Spirit' });
+  expect(delays).toEqual([3000]);
+  expect(rateLimitService.getStatus().retryAt).toBeNull();
+});
+
+test('backs off exponentially with jitter without a Retry-After', async () => {
+  const delays = recordRetryDelays();
+  global.fetch = jest.fn(() => jsonResponse({ error: 'Unavailable' }, 503));
+
+  await expect(apiService.fetchMarsManifest('spirit')).rejects.toMatchObject({ type: ErrorTypes.SERVER });
+  // Math.random() is 0, the low end of each jittered window
+  expect(delays).toEqual([500, 1000, 2000]);
+});
+
+test('leaves long waits to the user with a countdown', async () => {
+  const delays = recordRetryDelays();
+  global.fetch = jest.fn(() => jsonResponse({ success: false, error: { code: 'RATE_LIMITED', message: 'Slow down' } }, 429, { 'Retry-After': '120' }));
+
+  const error = await apiService.fetchMarsManifest('spirit').catch(err => err);
+
+  expect(global.fetch).toHaveBeenCalledTimes(1);
+  expect(delays).toEqual([]);
+  expect(error).toMatchObject({ type: ErrorTypes.RATE_LIMIT, retryAfter: 120000 });
+  expect(rateLimitService.secondsUntilRetry()).toBe(120);
+  expect(getErrorMessage(error)).toBe('Too many requests. You can try again in 120 s.');
+});
+
+test('records the client\'s allowance apart from the shared quota', async () => {
+  global.fetch = jest.fn(() => jsonResponse(
+    { success: true, data: { photo_manifest: { name: 'Spirit' } } },
+    200,
+    {
+      'RateLimit-Limit': '60',
+      'RateLimit-Remaining': '0',
+      'RateLimit-Reset': '90',
+      'X-RateLimit-Limit': '1000',
+      'X-RateLimit-Remaining': '950'
+    }
+  ));
+
+  await apiService.fetchMarsManifest('spirit');
+
+  const status = rateLimitService.getStatus();
+  expect(status).toMatchObject({ limit: 60, remaining: 0, shared: { limit: 1000, remaining: 950 } });
+  expect(status.resetAt).toBeGreaterThan(Date.now() + 85000);
+
+  // With the allowance used up, a bare 429 waits until the reset
+  global.fetch = jest.fn(() => jsonResponse({ error: 'Too many requests' }, 429));
+  const error = await apiService.fetchMarsManifest('spirit').catch(err => err);
+  expect(error.retryAfter).toBeGreaterThan(85000);
+  expect(global.fetch).toHaveBeenCalledTimes(1);
+});
+
+test('does not take the shared quota for the client\'s own', async () => {
+  global.fetch = jest.fn(() => jsonResponse(
+    { success: true, data: { photo_manifest: { name: 'Spirit' } } },
+    200,
+    { 'X-RateLimit-Limit': '1000', 'X-RateLimit-Remaining': '3' }
+  ));
+
+  await apiService.fetchMarsManifest('spirit');
+
+  expect(rateLimitService.getStatus()).toMatchObject({ remaining: null, shared: { remaining: 3 } });
+});
@@ -0,0 +1,174 @@
+// Persistent APOD response cache backed by IndexedDB, keyed by date
+
+const DB_NAME = 'nasa-explorer';
+const DB_VERSION = 1;
+const STORE_NAME = 'apod';
+
+// Cache limits
+export const CACHE_CONFIG = {
+  maxEntries: 365,
+  maxAge: 30 * 24 * 60 * 60 * 1000 // 30 days
+};
+
+let dbPromise = null;
+const memoryStore = new Map();
+
+const openDatabase = () => {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(STORE_NAME)) {
+          db.createObjectStore(STORE_NAME, { keyPath: 'date' });
+        }
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    }).catch((error) => {
+      dbPromise = null; // Allow a later call to try again
+      throw error;
+    });
+  }
+
+  return dbPromise;
+};
+
+const promisifyRequest = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+// Run a callback against the object store and wait for the transaction to finish
+const withStore = async (mode, callback) => {
+  const db = await openDatabase();
+  const transaction = db.transaction(STORE_NAME, mode);
+  const done = new Promise((resolve, reject) => {
+    transaction.oncomplete = resolve;
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+
+  const result = await callback(transaction.objectStore(STORE_NAME));
+  await done;
+  return result;
+};
+
+const indexedDBBackend = {
+  get: (date) => withStore('readonly', store => promisifyRequest(store.get(date))),
+  getAll: () => withStore('readonly', store => promisifyRequest(store.getAll())),
+  putMany: (entries) => withStore('readwrite', store => Promise.all(entries.map(entry => promisifyRequest(store.put(entry))))),
+  deleteMany: (dates) => withStore('readwrite', store => Promise.all(dates.map(date => promisifyRequest(store.delete(date))))),
+  clear: () => withStore('readwrite', store => promisifyRequest(store.clear()))
+};
+
+const memoryBackend = {
+  get: async (date) => memoryStore.get(date),
+  getAll: async () => Array.from(memoryStore.values()),
+  putMany: async (entries) => entries.forEach(entry => memoryStore.set(entry.date, entry)),
+  deleteMany: async (dates) => dates.forEach(date => memoryStore.delete(date)),
+  clear: async () => memoryStore.clear()
+};
+
+// Fall back to memory when IndexedDB is missing or blocked (old browsers, private mode, tests)
+const getBackend = async () => {
+  if (typeof indexedDB === 'undefined') {
+    return memoryBackend;
+  }
+
+  try {
+    await openDatabase();
+    return indexedDBBackend;
+  } catch (error) {
+    console.warn('IndexedDB unavailable, using in-memory APOD cache:', error);
+    return memoryBackend;
+  }
+};
+
+const isExpired = (entry) => Date.now() - entry.cachedAt > CACHE_CONFIG.maxAge;
+
+// Cache failures are logged and treated as misses so they never break fetching
+export const apodCache = {
+  async get(date) {
+    try {
+      const backend = await getBackend();
+      const entry = await backend.get(date);
+      if (!entry) return null;
+
+      if (isExpired(entry)) {
+        await backend.deleteMany([date]);
+        return null;
+      }
+
+      // Record the access for least-recently-used eviction
+      const touched = { ...entry, accessedAt: Date.now() };
+      backend.putMany([touched]).catch(() => {});
+      return touched;
+    } catch (error) {
+      console.warn('APOD cache read failed:', error);
+      return null;
+    }
+  },
+
+  async set(date, data) {
+    return this.setMany([{ ...data, date }]);
+  },
+
+  async setMany(items) {
+    if (!items.length) return;
+
+    try {
+      const now = Date.now();
+      const backend = await getBackend();
+      await backend.putMany(items.map(data => ({
+        date: data.date,
+        data,
+        cachedAt: now,
+        accessedAt: now
+      })));
+      await this.prune();
+    } catch (error) {
+      console.warn('APOD cache write failed:', error);
+    }
+  },
+
+  async getAll() {
+    try {
+      const backend = await getBackend();
+      const entries = await backend.getAll();
+      return entries.filter(entry => !isExpired(entry));
+    } catch (error) {
+      console.warn('APOD cache read failed:', error);
+      return [];
+    }
+  },
+
+  // Drop expired entries, then the least recently used ones above the size limit
+  async prune() {
+    const backend = await getBackend();
+    const entries = await backend.getAll();
+
+    const expired = entries.filter(isExpired);
+    const fresh = entries
+      .filter(entry => !isExpired(entry))
+      .sort((a, b) => b.accessedAt - a.accessedAt);
+    const overflow = fresh.slice(CACHE_CONFIG.maxEntries);
+
+    const stale = [...expired, ...overflow].map(entry => entry.date);
+    if (stale.length) {
+      await backend.deleteMany(stale);
+    }
+  },
+
+  async clear() {
+    try {
+      const backend = await getBackend();
+      await backend.clear();
+    } catch (error) {
+      console.warn('APOD cache clear failed:', error);
+    }
+  }
+};
+
+export default apodCache;
@@ -0,0 +1,46 @@
+import apodCache, { CACHE_CONFIG } from './apodCache';
+
+const entry = (date) => ({ date, title: `APOD ${date}`, media_type: 'image' });
+
+beforeEach(async () => {
+  await apodCache.clear();
+});
+
+test('stores and returns entries by date', async () => {
+  await apodCache.set('2024-01-15', entry('2024-01-15'));
+
+  const cached = await apodCache.get('2024-01-15');
+  expect(cached.data.title).toBe('APOD 2024-01-15');
+  expect(await apodCache.get('2024-01-16')).toBeNull();
+});
+
+test('treats entries older than maxAge as misses', async () => {
+  const now = Date.now();
+  const spy = jest.spyOn(Date, 'now').mockReturnValue(now);
+  await apodCache.set('2024-01-15', entry('2024-01-15'));
+
+  spy.mockReturnValue(now + CACHE_CONFIG.maxAge + 1);
+  expect(await apodCache.get('2024-01-15')).toBeNull();
+  spy.mockRestore();
+});
+
+test('evicts the least recently used entries above maxEntries', async () => {
+  const originalMax = CACHE_CONFIG.maxEntries;
+  CACHE_CONFIG.maxEntries = 2;
+  const spy = jest.spyOn(Date, 'now');
+
+  spy.mockReturnValue(1000);
+  await apodCache.set('2024-01-01', entry('2024-01-01'));
+  spy.mockReturnValue(2000);
+  await apodCache.set('2024-01-02', entry('2024-01-02'));
+  spy.mockReturnValue(3000);
+  await apodCache.get('2024-01-01');
+  spy.mockReturnValue(4000);
+  await apodCache.set('2024-01-03', entry('2024-01-03'));
+
+  const dates = (await apodCache.getAll()).map(cached => cached.date).sort();
+  expect(dates).toEqual(['2024-01-01', '2024-01-03']);
+
+  spy.mockRestore();
+  CACHE_CONFIG.maxEntries = originalMax;
+});
@@ -0,0 +1,106 @@
+// In-memory stand-in for the Web Speech API, for driving narration in tests.
+// Nothing is spoken: utterances are recorded and the test decides when they
+// reach a word boundary, finish or fail.
+
+const DEFAULT_VOICES = [
+  { name: 'Fake English', lang: 'en-US', localService: true, default: true, voiceURI: 'fake-en' },
+  { name: 'Fake French', lang: 'fr-FR', localService: true, default: false, voiceURI: 'fake-fr' }
+];
+
+export const createFakeSpeechEngine = ({ voices = DEFAULT_VOICES } = {}) => {
+  const spoken = [];
+  const listeners = new Set();
+  let availableVoices = voices;
+  let queue = [];
+
+  const fire = (utterance, type, event = {}) => {
+    const handler = utterance[`on${type}`];
+    if (handler) handler({ utterance, ...event });
+  };
+
+  const synth = {
+    speaking: false,
+    paused: false,
+
+    speak(utterance) {
+      spoken.push(utterance);
+      queue.push(utterance);
+      synth.speaking = true;
+      if (queue.length === 1) fire(utterance, 'start');
+    },
+
+    // Like browsers, cancelling reports the dropped utterances as interrupted
+    cancel() {
+      const dropped = queue;
+      queue = [];
+      synth.speaking = false;
+      dropped.forEach(utterance => fire(utterance, 'error', { error: 'interrupted' }));
+    },
+
+    pause() {
+      synth.paused = true;
+    },
+
+    resume() {
+      synth.paused = false;
+    },
+
+    getVoices() {
+      return availableVoices;
+    },
+
+    addEventListener(type, listener) {
+      if (type === 'voiceschanged') listeners.add(listener);
+    },
+
+    removeEventListener(type, listener) {
+      listeners.delete(listener);
+    }
+  };
+
+  const createUtterance = (text) => ({
+    text,
+    voice: null,
+    rate: 1,
+    pitch: 1,
+    volume: 1,
+    lang: ''
+  });
+
+  const current = () => queue[0] || null;
+
+  return {
+    synth,
+    createUtterance,
+    spoken,
+    current,
+
+    // Report a word boundary in the utterance being spoken
+    boundary(charIndex) {
+      fire(current(), 'boundary', { name: 'word', charIndex });
+    },
+
+    // Finish the utterance being spoken and start the next queued one
+    finish() {
+      const utterance = queue.shift();
+      const next = queue[0];
+      synth.speaking = queue.length > 0;
+      fire(utterance, 'end');
+      // Anything spoken from the end handler has already started in speak()
+      if (next && queue[0] === next) fire(next, 'start');
+    },
+
+    fail(error = 'synthesis-failed') {
+      const utterance = queue.shift();
+      synth.speaking = queue.length > 0;
+      fire(utterance, 'error', { error });
+    },
+
+    setVoices(next) {
+      availableVoices = next;
+      listeners.forEach(listener => listener());
+    }
+  };
+};
+
+export default createFakeSpeechEngine;
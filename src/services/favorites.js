@@ -0,0 +1,189 @@
+import { validationError } from './api';
+
+// Favorite APODs persisted in localStorage, with free-form tags and notes
+
+const STORAGE_KEY = 'nasa-explorer:favorites';
+const EXPORT_VERSION = 1;
+
+// APOD fields kept with each favorite so it can be shown without refetching
+const APOD_FIELDS = ['date', 'title', 'explanation', 'url', 'hdurl', 'thumbnail_url', 'media_type', 'copyright'];
+
+// Fields of an imported favorite that must be text or http(s) links when present
+const TEXT_FIELDS = ['explanation', 'media_type', 'copyright', 'notes'];
+const LINK_FIELDS = ['url', 'hdurl', 'thumbnail_url'];
+
+const listeners = new Set();
+let favorites = null;
+
+const pickAPODFields = (apod) => APOD_FIELDS.reduce((picked, field) => {
+  if (apod[field] !== undefined) {
+    picked[field] = apod[field];
+  }
+  return picked;
+}, {});
+
+const isHttpUrl = (value) => {
+  if (typeof value !== 'string') return false;
+  try {
+    return ['http:', 'https:'].includes(new URL(value).protocol);
+  } catch (error) {
+    return false;
+  }
+};
+
+// Imported files are untrusted: links end up in src and href attributes, so
+// anything but http(s) (e.g. javascript: URLs) rejects the entry. Entries
+// without a url are kept, as APODs of unknown media types have none
+const isValidImport = (item) => Boolean(item)
+  && typeof item.date === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(item.date)
+  && typeof item.title === 'string' && item.title.trim() !== ''
+  && TEXT_FIELDS.every(field => item[field] === undefined || typeof item[field] === 'string')
+  && LINK_FIELDS.every(field => item[field] === undefined || isHttpUrl(item[field]))
+  && (item.tags === undefined || (Array.isArray(item.tags) && item.tags.every(tag => typeof tag === 'string')));
+
+const normalizeTags = (tags) => Array.from(new Set(
+  (Array.isArray(tags) ? tags : String(tags || '').split(','))
+    .map(tag => String(tag).trim().toLowerCase())
+    .filter(Boolean)
+));
+
+const load = () => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    return Array.isArray(stored) ? stored : [];
+  } catch (error) {
+    console.warn('Could not read favorites, starting empty:', error);
+    return [];
+  }
+};
+
+const getFavorites = () => {
+  if (!favorites) {
+    favorites = load();
+  }
+  return favorites;
+};
+
+// Replace the list, persist it and notify subscribers. A new array is always
+// created so React can detect the change through useSyncExternalStore
+const commit = (next) => {
+  favorites = [...next].sort((a, b) => b.date.localeCompare(a.date));
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(favorites));
+  } catch (error) {
+    console.error('Could not save favorites:', error);
+  }
+  listeners.forEach(listener => listener());
+};
+
+// Keep other tabs in sync
+if (typeof window !== 'undefined') {
+  window.addEventListener('storage', (event) => {
+    if (event.key !== STORAGE_KEY) return;
+    favorites = load();
+    listeners.forEach(listener => listener());
+  });
+}
+
+export const favoritesService = {
+  getAll() {
+    return getFavorites();
+  },
+
+  get(date) {
+    return getFavorites().find(favorite => favorite.date === date) || null;
+  },
+
+  isFavorite(date) {
+    return Boolean(this.get(date));
+  },
+
+  add(apod, { tags = [], notes = '' } = {}) {
+    if (this.isFavorite(apod.date)) return;
+
+    commit([
+      ...getFavorites(),
+      { ...pickAPODFields(apod), tags: normalizeTags(tags), notes, addedAt: new Date().toISOString() }
+    ]);
+  },
+
+  remove(date) {
+    commit(getFavorites().filter(favorite => favorite.date !== date));
+  },
+
+  toggle(apod) {
+    if (this.isFavorite(apod.date)) {
+      this.remove(apod.date);
+    } else {
+      this.add(apod);
+    }
+  },
+
+  update(date, { tags, notes }) {
+    commit(getFavorites().map(favorite => {
+      if (favorite.date !== date) return favorite;
+      return {
+        ...favorite,
+        ...(tags !== undefined && { tags: normalizeTags(tags) }),
+        ...(notes !== undefined && { notes })
+      };
+    }));
+  },
+
+  // Every tag in use, alphabetically
+  getTags() {
+    return Array.from(new Set(getFavorites().flatMap(favorite => favorite.tags))).sort();
+  },
+
+  exportJSON() {
+    return JSON.stringify({
+      version: EXPORT_VERSION,
+      exportedAt: new Date().toISOString(),
+      favorites: getFavorites()
+    }, null, 2);
+  },
+
+  // Import a collection exported by exportJSON. Existing favorites are kept;
+  // imported tags are merged and imported notes win when both have some.
+  // Returns { imported, rejected }: favorites added or updated, and entries
+  // skipped as invalid
+  importJSON(json) {
+    let parsed;
+    try {
+      parsed = JSON.parse(json);
+    } catch (error) {
+      throw validationError('errors.importJson');
+    }
+
+    const imported = Array.isArray(parsed) ? parsed : parsed?.favorites;
+    if (!Array.isArray(imported)) {
+      throw validationError('errors.importCollection');
+    }
+
+    const valid = imported.filter(isValidImport);
+    if (valid.length === 0 && imported.length > 0) {
+      throw validationError('errors.importEmpty');
+    }
+
+    const byDate = new Map(getFavorites().map(favorite => [favorite.date, favorite]));
+    valid.forEach(item => {
+      const existing = byDate.get(item.date);
+      byDate.set(item.date, {
+        ...pickAPODFields(item),
+        tags: normalizeTags([...(existing?.tags || []), ...normalizeTags(item.tags)]),
+        notes: item.notes || existing?.notes || '',
+        addedAt: existing?.addedAt || item.addedAt || new Date().toISOString()
+      });
+    });
+
+    commit(Array.from(byDate.values()));
+    return { imported: valid.length, rejected: imported.length - valid.length };
+  },
+
+  subscribe(listener) {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+  }
+};
+
+export default favoritesService;
@@ -0,0 +1,70 @@
+import favoritesService from './favorites';
+
+const apod = (date, title = `APOD ${date}`) => ({
+  date,
+  title,
+  explanation: 'An explanation.',
+  url: `https://apod.nasa.gov/${date}.jpg`,
+  media_type: 'image',
+  service_version: 'v1'
+});
+
+beforeEach(() => {
+  favoritesService.getAll().forEach(favorite => favoritesService.remove(favorite.date));
+});
+
+test('toggles favorites and keeps only APOD fields', () => {
+  favoritesService.toggle(apod('2024-01-15'));
+
+  expect(favoritesService.isFavorite('2024-01-15')).toBe(true);
+  expect(favoritesService.get('2024-01-15').service_version).toBeUndefined();
+
+  favoritesService.toggle(apod('2024-01-15'));
+  expect(favoritesService.isFavorite('2024-01-15')).toBe(false);
+});
+
+test('normalizes tags and stores notes', () => {
+  favoritesService.add(apod('2024-01-15'));
+  favoritesService.update('2024-01-15', { tags: 'Nebula, classroom, nebula, ', notes: 'Use in week 3' });
+
+  expect(favoritesService.get('2024-01-15')).toMatchObject({
+    tags: ['nebula', 'classroom'],
+    notes: 'Use in week 3'
+  });
+});
+
+test('round-trips through JSON export and merges on import', () => {
+  favoritesService.add(apod('2024-01-15'), { tags: ['nebula'] });
+  const exported = favoritesService.exportJSON();
+
+  favoritesService.remove('2024-01-15');
+  favoritesService.add(apod('2024-01-16'));
+  favoritesService.add(apod('2024-01-15'), { tags: ['orion'] });
+
+  expect(favoritesService.importJSON(exported)).toEqual({ imported: 1, rejected: 0 });
+  expect(favoritesService.getAll().map(favorite => favorite.date)).toEqual(['2024-01-16', '2024-01-15']);
+  expect(favoritesService.get('2024-01-15').tags).toEqual(['orion', 'nebula']);
+});
+
+test('skips entries with unsafe links or fields of the wrong type', () => {
+  const entries = [
+    apod('2024-01-15'),
+    // eslint-disable-next-line no-script-url
+    { ...apod('2024-01-16'), url: 'javascript:alert(1)' },
+    { ...apod('2024-01-17'), hdurl: 'data:text/html,<script></script>' },
+    { ...apod('2024-01-18'), title: { text: 'Not a string' } },
+    { ...apod('2024-01-19'), notes: 42 },
+    { ...apod('2024-01-20'), url: ['https://apod.nasa.gov/a.jpg'] },
+    { ...apod('2024-01-21'), tags: [{ name: 'nebula' }] },
+    { ...apod('2024-01-22'), url: 'http://apod.nasa.gov/2024-01-22.jpg' }
+  ];
+
+  expect(favoritesService.importJSON(JSON.stringify(entries))).toEqual({ imported: 2, rejected: 6 });
+  expect(favoritesService.getAll().map(favorite => favorite.date)).toEqual(['2024-01-22', '2024-01-15']);
+});
+
+test('rejects files that are not a favorites collection', () => {
+  expect(() => favoritesService.importJSON('not json')).toThrow('not valid JSON');
+  expect(() => favoritesService.importJSON('{"items": []}')).toThrow('does not contain a favorites collection');
+  expect(() => favoritesService.importJSON('[{ "date": "15/01/2024" }]')).toThrow(expect.objectContaining({ messageKey: 'errors.importEmpty' }));
+});
@@ -0,0 +1,132 @@
+import en from '../i18n/en';
+import es from '../i18n/es';
+import fr from '../i18n/fr';
+import { pseudoLocalize } from '../i18n/pseudo';
+
+// UI language: message catalogs, the chosen locale (persisted in localStorage)
+// and locale-aware formatting. Messages may contain {name} placeholders, or
+// {name, date} / {name, number} to format the value for the locale.
+
+const STORAGE_KEY = 'nasa-explorer:locale';
+
+export const DEFAULT_LOCALE = 'en';
+
+// Accented, bracketed English for spotting untranslated strings; see i18n/pseudo
+export const PSEUDO_LOCALE = 'en-XA';
+
+const CATALOGS = {
+  en,
+  es,
+  fr,
+  [PSEUDO_LOCALE]: pseudoLocalize(en)
+};
+
+// Languages offered in the switcher, named in their own language
+export const LOCALES = [
+  { code: 'en', name: 'English' },
+  { code: 'es', name: 'Español' },
+  { code: 'fr', name: 'Français' },
+  ...(process.env.NODE_ENV !== 'production' ? [{ code: PSEUDO_LOCALE, name: 'Pseudo' }] : [])
+];
+
+const isSupported = (code) => LOCALES.some(locale => locale.code === code);
+
+// The first browser language we have a catalog for
+const detectLocale = () => {
+  const preferred = typeof navigator !== 'undefined'
+    ? [...(navigator.languages || []), navigator.language].filter(Boolean)
+    : [];
+  const match = preferred
+    .map(tag => tag.split('-')[0].toLowerCase())
+    .find(isSupported);
+  return match || DEFAULT_LOCALE;
+};
+
+const load = () => {
+  try {
+    const stored = localStorage.getItem(STORAGE_KEY);
+    return isSupported(stored) ? stored : detectLocale();
+  } catch (error) {
+    return detectLocale();
+  }
+};
+
+const listeners = new Set();
+let locale = null;
+
+const notify = () => listeners.forEach(listener => listener());
+
+if (typeof window !== 'undefined') {
+  window.addEventListener('storage', (event) => {
+    if (event.key !== STORAGE_KEY) return;
+    locale = load();
+    notify();
+  });
+}
+
+// Dates are YYYY-MM-DD strings; format them in UTC so the day never shifts
+export const formatDate = (date, localeCode = i18n.getLocale(), options = { dateStyle: 'long' }) => {
+  const parsed = new Date(`${date}T00:00:00Z`);
+  if (Number.isNaN(parsed.getTime())) return String(date);
+  return new Intl.DateTimeFormat(localeCode, { ...options, timeZone: 'UTC' }).format(parsed);
+};
+
+const formatValue = (value, format, localeCode) => {
+  if (format === 'date') return formatDate(value, localeCode);
+  if (format === 'number') return new Intl.NumberFormat(localeCode).format(value);
+  return String(value);
+};
+
+const warned = new Set();
+
+// Look a message up in `localeCode`, falling back to English and then to the key
+export const translate = (localeCode, key, params = {}) => {
+  let message = CATALOGS[localeCode]?.[key];
+  if (message === undefined) {
+    if (process.env.NODE_ENV === 'development' && !warned.has(`${localeCode}:${key}`)) {
+      warned.add(`${localeCode}:${key}`);
+      console.warn(`Missing ${localeCode} translation for "${key}"`);
+    }
+    message = CATALOGS[DEFAULT_LOCALE][key] ?? key;
+  }
+
+  return message.replace(/\{(\w+)(?:,\s*(date|number))?\}/g, (placeholder, name, format) => (
+    params[name] === undefined ? placeholder : formatValue(params[name], format, localeCode)
+  ));
+};
+
+export const i18n = {
+  getLocale() {
+    if (!locale) {
+      locale = load();
+    }
+    return locale;
+  },
+
+  setLocale(code) {
+    if (!isSupported(code)) {
+      throw new Error(`Unsupported locale: ${code}`);
+    }
+    locale = code;
+    try {
+      localStorage.setItem(STORAGE_KEY, code);
+    } catch (error) {
+      console.error('Could not save language:', error);
+    }
+    notify();
+  },
+
+  subscribe(listener) {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+  },
+
+  // Messages in the current locale, for code outside React components
+  t(key, params) {
+    return translate(i18n.getLocale(), key, params);
+  }
+};
+
+export const t = (key, params) => i18n.t(key, params);
+
+export default i18n;
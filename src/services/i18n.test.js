@@ -0,0 +1,92 @@
+import i18n, { translate, formatDate, DEFAULT_LOCALE, PSEUDO_LOCALE } from './i18n';
+import apiService, { getErrorMessage, APIError, ErrorTypes } from './api';
+import en from '../i18n/en';
+import es from '../i18n/es';
+import fr from '../i18n/fr';
+import { pseudoLocalize, findUntranslatedText } from '../i18n/pseudo';
+
+beforeEach(() => {
+  i18n.setLocale(DEFAULT_LOCALE);
+});
+
+test('every catalog has exactly the English keys', () => {
+  expect(Object.keys(es).sort()).toEqual(Object.keys(en).sort());
+  expect(Object.keys(fr).sort()).toEqual(Object.keys(en).sort());
+});
+
+test('fills in placeholders, formatting dates and numbers for the locale', () => {
+  expect(translate('en', 'apod.since', { date: '1995-06-16' })).toBe('Since June 16, 1995');
+  expect(translate('fr', 'apod.since', { date: '1995-06-16' })).toBe('Depuis le 16 juin 1995');
+  expect(translate('fr', 'narration.speed', { rate: 1.5 })).toBe('⚡ Vitesse : 1,5x');
+  expect(translate('es', 'narration.sentence', { current: 2 })).toBe('Frase 2 de {total, number}');
+});
+
+test('falls back to English, then to the key', () => {
+  expect(translate('de', 'nav.gallery')).toBe('Gallery');
+  expect(translate('es', 'missing.key')).toBe('missing.key');
+});
+
+test('formats dates without shifting the day', () => {
+  expect(formatDate('2024-01-01', 'en')).toBe('January 1, 2024');
+  expect(formatDate('2024-01-01', 'es')).toBe('1 de enero de 2024');
+  expect(formatDate('not a date', 'en')).toBe('not a date');
+});
+
+test('persists the chosen locale and notifies subscribers', () => {
+  const listener = jest.fn();
+  const unsubscribe = i18n.subscribe(listener);
+
+  i18n.setLocale('es');
+
+  expect(listener).toHaveBeenCalledTimes(1);
+  expect(localStorage.getItem('nasa-explorer:locale')).toBe('es');
+  expect(i18n.t('nav.settings')).toBe('Ajustes');
+  expect(() => i18n.setLocale('xx')).toThrow('Unsupported locale');
+  unsubscribe();
+});
+
+test('translates error messages, including validation errors', () => {
+  i18n.setLocale('fr');
+
+  expect(getErrorMessage(new APIError('boom', ErrorTypes.NETWORK, 0, true))).toMatch(/^Problème de connexion/);
+  expect(getErrorMessage({ messageKey: 'narration.unsupported' })).toBe('Votre navigateur ne prend pas en charge la synthèse vocale.');
+
+  let validation;
+  try {
+    apiService.validateDate('1990-01-01');
+  } catch (error) {
+    validation = error;
+  }
+  // Logged in English, shown in the UI language
+  expect(validation.message).toBe('Date must be after June 16, 1995 (APOD start date).');
+  expect(getErrorMessage(validation)).toBe('La date doit être postérieure au 16 juin 1995 (début d’APOD).');
+});
+
+test('pseudo-localizes messages but keeps their placeholders', () => {
+  expect(pseudoLocalize({ greeting: 'Next day {count, number}' })).toEqual({ greeting: '⟦Ñéẋţ ðåý {count, number}⟧' });
+
+  i18n.setLocale(PSEUDO_LOCALE);
+  expect(i18n.t('apod.retries', { count: 3 })).toBe('⟦Ŕéţŕîéš: 3⟧');
+});
+
+test('finds text that skipped the catalogs', () => {
+  const root = document.createElement('div');
+  root.innerHTML = `
+    <h1>${i18n.t('app.title')}</h1>
+    <p>⟦Ţŕåñšļåţéð⟧ 42</p>
+    <p>Hard-coded label</p>
+    <p lang="en">APOD explanation text</p>
+    <button title="Read aloud from here" aria-label="${i18n.t('app.title')}"></button>
+    <img alt="⟦Åļţ⟧" src="x.jpg">
+    <input placeholder="Search">
+    <img lang="en" alt="Horsehead Nebula" src="y.jpg">
+  `;
+
+  expect(findUntranslatedText(root)).toEqual([
+    'NASA Explorer',
+    'Hard-coded label',
+    'title="Read aloud from here"',
+    'aria-label="NASA Explorer"',
+    'placeholder="Search"'
+  ]);
+});
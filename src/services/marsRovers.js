@@ -0,0 +1,65 @@
+// Rovers and cameras served by NASA's Mars Rover Photos API. Camera codes are
+// what the API expects; the names are NASA's own.
+
+export const MARS_PAGE_SIZE = 25; // photos per page, fixed by the API
+
+export const DEFAULT_ROVER = 'curiosity';
+
+export const MARS_ROVERS = {
+  curiosity: {
+    name: 'Curiosity',
+    landingDate: '2012-08-06',
+    cameras: {
+      FHAZ: 'Front Hazard Avoidance Camera',
+      RHAZ: 'Rear Hazard Avoidance Camera',
+      MAST: 'Mast Camera',
+      CHEMCAM: 'Chemistry and Camera Complex',
+      MAHLI: 'Mars Hand Lens Imager',
+      MARDI: 'Mars Descent Imager',
+      NAVCAM: 'Navigation Camera'
+    }
+  },
+  perseverance: {
+    name: 'Perseverance',
+    landingDate: '2021-02-18',
+    cameras: {
+      EDL_RUCAM: 'Rover Up-Look Camera',
+      EDL_RDCAM: 'Rover Down-Look Camera',
+      EDL_DDCAM: 'Descent Stage Down-Look Camera',
+      EDL_PUCAM1: 'Parachute Up-Look Camera A',
+      EDL_PUCAM2: 'Parachute Up-Look Camera B',
+      NAVCAM_LEFT: 'Navigation Camera - Left',
+      NAVCAM_RIGHT: 'Navigation Camera - Right',
+      MCZ_LEFT: 'Mast Camera Zoom - Left',
+      MCZ_RIGHT: 'Mast Camera Zoom - Right',
+      FRONT_HAZCAM_LEFT_A: 'Front Hazard Avoidance Camera - Left',
+      FRONT_HAZCAM_RIGHT_A: 'Front Hazard Avoidance Camera - Right',
+      REAR_HAZCAM_LEFT: 'Rear Hazard Avoidance Camera - Left',
+      REAR_HAZCAM_RIGHT: 'Rear Hazard Avoidance Camera - Right',
+      SKYCAM: 'MEDA Skycam',
+      SHERLOC_WATSON: 'SHERLOC WATSON Camera'
+    }
+  },
+  opportunity: {
+    name: 'Opportunity',
+    landingDate: '2004-01-25',
+    cameras: {
+      FHAZ: 'Front Hazard Avoidance Camera',
+      RHAZ: 'Rear Hazard Avoidance Camera',
+      NAVCAM: 'Navigation Camera',
+      PANCAM: 'Panoramic Camera',
+      MINITES: 'Miniature Thermal Emission Spectrometer (Mini-TES)'
+    }
+  },
+  spirit: {
+    name: 'Spirit',
+    landingDate: '2004-01-04',
+    cameras: {
+      FHAZ: 'Front Hazard Avoidance Camera',
+      RHAZ: 'Rear Hazard Avoidance Camera',
+      NAVCAM: 'Navigation Camera',
+      PANCAM: 'Panoramic Camera',
+      MINITES: 'Miniature Thermal Emission Spectrometer (Mini-TES)'
+    }
+  }
+};
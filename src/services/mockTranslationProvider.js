@@ -0,0 +1,24 @@
+import { APIError, ErrorTypes } from './api';
+
+// Offline translation provider for tests and local development: "translates"
+// by tagging each text with the target language, e.g. "[fr] Horsehead Nebula".
+// Every request is recorded in `calls`; pass { fail: true } to simulate an outage.
+export const createMockTranslationProvider = ({ fail = false } = {}) => {
+  const calls = [];
+
+  return {
+    id: 'mock',
+    name: 'Mock translator',
+    calls,
+
+    translate(texts, { from, to }) {
+      calls.push({ texts, from, to });
+      if (fail) {
+        return Promise.reject(new APIError('Mock translation failure.', ErrorTypes.SERVER, 503, true));
+      }
+      return Promise.resolve(texts.map(text => `[${to}] ${text}`));
+    }
+  };
+};
+
+export default createMockTranslationProvider;
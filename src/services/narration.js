@@ -0,0 +1,200 @@
+import { createSpeechQueue } from './speechQueue';
+import { splitSentences } from '../utils/sentences';
+
+// Reads APOD descriptions aloud. Wraps the sentence queue with voice handling
+// and an event API so any view can narrate, and so tests can swap in a fake
+// engine (see fakeSpeechEngine.js) instead of the browser's speechSynthesis.
+
+const getBrowserSynth = () => (typeof window !== 'undefined' && 'speechSynthesis' in window
+  ? window.speechSynthesis
+  : undefined);
+
+// The full text read for an APOD. Translated APODs (tagged with a `lang`) are
+// read without the English intro phrases.
+export const getNarrationText = (apod) => {
+  if (!apod) return '';
+  if (apod.lang && apod.lang !== 'en') return `${apod.title}. ${apod.explanation}`;
+
+  // Create a natural reading experience
+  let speechText = `Today's Astronomy Picture of the Day is titled: ${apod.title}.`;
+
+  if (apod.copyright) {
+    speechText += ` This image is by ${apod.copyright}.`;
+  }
+
+  speechText += ` Here's the description: ${apod.explanation}`;
+
+  return speechText;
+};
+
+// The intro as one segment, then one segment per sentence of the explanation.
+// Explanation segments keep their offsets so the spoken word can be highlighted.
+export const getNarrationSegments = (apod) => {
+  if (!apod) return [];
+
+  const text = getNarrationText(apod);
+  const intro = text.slice(0, text.length - apod.explanation.length).trim();
+
+  return [
+    { text: intro, start: null },
+    ...splitSentences(apod.explanation).map(({ text: sentence, start }) => ({ text: sentence, start }))
+  ];
+};
+
+const getBrowserLocale = () => (typeof navigator !== 'undefined' && navigator.language) || 'en-US';
+
+const normalizeTag = (tag) => (tag || '').replace('_', '-').toLowerCase();
+// "en-GB" -> "en"
+const getLanguage = (tag) => normalizeTag(tag).split('-')[0];
+
+// Default voice for text in `lang`: a voice for that language, ideally in the
+// user's own regional variant, preferring the engine's default and voices that
+// work offline. Voice names are not used; they vary too much between engines.
+export const pickDefaultVoice = (voices, { lang = 'en', locale = getBrowserLocale() } = {}) => {
+  const language = getLanguage(lang);
+  const region = normalizeTag(locale).startsWith(`${language}-`) ? normalizeTag(locale) : null;
+
+  const score = (voice) => {
+    const voiceLang = normalizeTag(voice.lang);
+    let value = 0;
+    if (getLanguage(voiceLang) === language) value += 4;
+    if (region && voiceLang === region) value += 2;
+    if (voice.default) value += 1;
+    if (voice.localService) value += 1;
+    return value;
+  };
+
+  return voices.reduce((best, voice) => (best === null || score(voice) > score(best) ? voice : best), null);
+};
+
+const PREFERENCE_KEYS = ['voiceURI', 'rate', 'pitch', 'volume'];
+
+// Events: 'change' with the latest state, 'error' with the engine's error event.
+// State: { status, segment, total, position, progress, voices, voice, voiceURI,
+// rate, pitch, volume, lang, hasMatchingVoice, supported }. A null voiceURI picks
+// a voice automatically. The chosen voice always reads the original English text,
+// but translations switch to a voice for their language unless it already matches.
+export const createNarrator = ({ synth = getBrowserSynth(), createUtterance } = {}) => {
+  const listeners = { change: new Set(), error: new Set() };
+  let voices = [];
+  let voice = null;
+  let lang = 'en';
+  let preferences = { voiceURI: null, rate: 1, pitch: 1, volume: 1 };
+  let applied = {};
+  let state = null;
+
+  const emit = (type, payload) => {
+    listeners[type].forEach(listener => listener(payload));
+  };
+
+  // A new object per change so React can detect it through useSyncExternalStore
+  const update = () => {
+    state = {
+      ...queue.getState(),
+      ...preferences,
+      voices,
+      voice,
+      lang,
+      hasMatchingVoice: Boolean(voice) && getLanguage(voice.lang) === getLanguage(lang),
+      supported: Boolean(synth)
+    };
+    emit('change', state);
+  };
+
+  const queue = createSpeechQueue({
+    synth,
+    createUtterance,
+    onChange: update,
+    onError: (event) => emit('error', event)
+  });
+
+  // Hand the current options to the queue; it restarts the current sentence,
+  // so only do so when something actually changed
+  const applyOptions = () => {
+    const preferred = voices.find(candidate => candidate.voiceURI === preferences.voiceURI);
+    const isTranslated = getLanguage(lang) !== 'en';
+    voice = preferred && (!isTranslated || getLanguage(preferred.lang) === getLanguage(lang))
+      ? preferred
+      : pickDefaultVoice(voices, { lang });
+    const options = { voice, lang, rate: preferences.rate, pitch: preferences.pitch, volume: preferences.volume };
+
+    if (Object.keys(options).some(key => options[key] !== applied[key])) {
+      applied = options;
+      queue.setOptions(options);
+    }
+  };
+
+  // Voices load asynchronously in most browsers; a chosen voice that is not
+  // offered (yet) falls back to the automatic pick
+  const loadVoices = () => {
+    try {
+      voices = synth.getVoices();
+      applyOptions();
+      update();
+    } catch (error) {
+      console.warn('Speech synthesis not supported:', error);
+    }
+  };
+
+  const configure = (changes) => {
+    const next = { ...preferences };
+    PREFERENCE_KEYS.forEach(key => {
+      if (changes[key] !== undefined) next[key] = changes[key];
+    });
+    if (PREFERENCE_KEYS.every(key => next[key] === preferences[key])) return;
+
+    preferences = next;
+    applyOptions();
+    update();
+  };
+
+  const on = (type, listener) => {
+    const wasIdle = listeners.change.size === 0;
+    listeners[type].add(listener);
+
+    // Only watch for voice changes while someone is listening
+    if (type === 'change' && wasIdle && synth) {
+      loadVoices();
+      synth.addEventListener('voiceschanged', loadVoices);
+    }
+
+    return () => {
+      listeners[type].delete(listener);
+      if (type === 'change' && listeners.change.size === 0 && synth) {
+        synth.removeEventListener('voiceschanged', loadVoices);
+      }
+    };
+  };
+
+  update();
+
+  return {
+    on,
+    subscribe: (listener) => on('change', listener),
+    getState: () => state,
+
+    load(apod) {
+      queue.load(getNarrationSegments(apod));
+      lang = apod?.lang || 'en';
+      applyOptions();
+      update();
+    },
+
+    // Segment 0 is the intro
+    play: (segment = 0) => queue.play(segment),
+    // Start from a sentence of the explanation
+    playSentence: (index) => queue.play(index + 1),
+    pause: () => queue.pause(),
+    resume: () => queue.resume(),
+    stop: () => queue.stop(),
+    next: () => queue.next(),
+    previous: () => queue.previous(),
+
+    // Apply any of { voiceURI, rate, pitch, volume }
+    configure,
+    setVoice: (next) => configure({ voiceURI: next ? next.voiceURI : null }),
+    setRate: (rate) => configure({ rate }),
+    setPitch: (pitch) => configure({ pitch }),
+    setVolume: (volume) => configure({ volume })
+  };
+};
@@ -0,0 +1,175 @@
+import { renderHook, act } from '@testing-library/react';
+import { createNarrator, getNarrationSegments, pickDefaultVoice } from './narration';
+import { createFakeSpeechEngine } from './fakeSpeechEngine';
+import useNarration from '../hooks/useNarration';
+
+const APOD = {
+  date: '2024-01-15',
+  title: 'The Horsehead Nebula',
+  copyright: 'Jane Doe',
+  explanation: 'A dark cloud of gas. It looks like a horse.'
+};
+
+test('reads the intro followed by each sentence of the explanation', () => {
+  const segments = getNarrationSegments(APOD);
+
+  expect(segments[0]).toEqual({
+    text: "Today's Astronomy Picture of the Day is titled: The Horsehead Nebula. This image is by Jane Doe. Here's the description:",
+    start: null
+  });
+  expect(segments.slice(1)).toEqual([
+    { text: 'A dark cloud of gas.', start: 0 },
+    { text: 'It looks like a horse.', start: 21 }
+  ]);
+  expect(getNarrationSegments(null)).toEqual([]);
+});
+
+test('defaults to a voice for the text language in the user\'s regional variant', () => {
+  const voices = [
+    { name: 'Amélie', lang: 'fr-FR', voiceURI: 'fr', localService: true, default: true },
+    { name: 'Aria Online (Natural)', lang: 'en-IN', voiceURI: 'en-in', localService: false },
+    { name: 'Daniel', lang: 'en-GB', voiceURI: 'en-gb', localService: true },
+    { name: 'Samantha', lang: 'en_US', voiceURI: 'en-us', localService: true }
+  ];
+
+  expect(pickDefaultVoice(voices, { locale: 'en-GB' }).voiceURI).toBe('en-gb');
+  expect(pickDefaultVoice(voices, { locale: 'en-US' }).voiceURI).toBe('en-us');
+  // Any English voice will do for someone browsing in another language
+  expect(pickDefaultVoice(voices, { locale: 'de-DE' }).lang).toMatch(/^en/);
+  expect(pickDefaultVoice(voices, { lang: 'fr', locale: 'en-GB' }).voiceURI).toBe('fr');
+  expect(pickDefaultVoice([])).toBeNull();
+});
+
+test('emits state changes while playing, pausing and stopping', () => {
+  const engine = createFakeSpeechEngine();
+  const narrator = createNarrator(engine);
+  const onChange = jest.fn();
+  narrator.subscribe(onChange);
+  narrator.load(APOD);
+
+  narrator.playSentence(1);
+  expect(engine.current().text).toBe('It looks like a horse.');
+  expect(narrator.getState()).toMatchObject({ status: 'playing', segment: 2, position: 21 });
+
+  narrator.pause();
+  expect(narrator.getState().status).toBe('paused');
+  narrator.resume();
+  narrator.stop();
+  expect(narrator.getState().status).toBe('idle');
+  expect(onChange.mock.calls.map(([state]) => state.status)).toEqual(
+    expect.arrayContaining(['playing', 'paused', 'idle'])
+  );
+});
+
+test('picks a default voice and keeps the chosen one when voices reload', () => {
+  const engine = createFakeSpeechEngine();
+  const narrator = createNarrator(engine);
+  const unsubscribe = narrator.subscribe(() => {});
+  const [english, french] = engine.synth.getVoices();
+
+  expect(narrator.getState().voice).toBe(english);
+
+  narrator.setVoice(french);
+  engine.setVoices([english, french]);
+  expect(narrator.getState().voice).toBe(french);
+
+  // Falls back to a default while the chosen voice is missing, without forgetting it
+  engine.setVoices([english]);
+  expect(narrator.getState()).toMatchObject({ voice: english, voiceURI: 'fake-fr' });
+  engine.setVoices([english, french]);
+  expect(narrator.getState().voice).toBe(french);
+  unsubscribe();
+});
+
+test('applies voice and rate changes to the sentence being read', () => {
+  const engine = createFakeSpeechEngine();
+  const narrator = createNarrator(engine);
+  narrator.subscribe(() => {});
+  narrator.load(APOD);
+  narrator.playSentence(0);
+  engine.boundary(7);
+
+  narrator.setRate(1.5);
+  expect(engine.current()).toMatchObject({ text: 'cloud of gas.', rate: 1.5 });
+
+  narrator.setVoice(engine.synth.getVoices()[1]);
+  expect(engine.current().voice.lang).toBe('fr-FR');
+
+  narrator.configure({ pitch: 0.8, volume: 0.5 });
+  expect(engine.current()).toMatchObject({ pitch: 0.8, volume: 0.5 });
+  expect(narrator.getState()).toMatchObject({ rate: 1.5, pitch: 0.8, volume: 0.5, voiceURI: 'fake-fr', position: 7 });
+});
+
+test('does not restart the sentence when nothing changed', () => {
+  const engine = createFakeSpeechEngine();
+  const narrator = createNarrator(engine);
+  narrator.subscribe(() => {});
+  narrator.load(APOD);
+  narrator.play();
+
+  const count = engine.spoken.length;
+  narrator.configure({ rate: 1, voiceURI: null });
+  expect(engine.spoken.length).toBe(count);
+});
+
+test('reads translations without the English intro, in a matching voice', () => {
+  const engine = createFakeSpeechEngine();
+  const narrator = createNarrator(engine);
+  narrator.subscribe(() => {});
+  const [english, french] = engine.synth.getVoices();
+  narrator.setVoice(english);
+
+  narrator.load({ ...APOD, lang: 'fr', title: 'La nébuleuse', explanation: 'Un nuage sombre.' });
+  narrator.play();
+
+  expect(engine.current()).toMatchObject({ text: 'La nébuleuse.', voice: french, lang: 'fr' });
+  expect(narrator.getState()).toMatchObject({ lang: 'fr', hasMatchingVoice: true, voiceURI: 'fake-en' });
+
+  // Back in English the chosen voice is used again
+  narrator.load(APOD);
+  expect(narrator.getState().voice).toBe(english);
+
+  engine.setVoices([english]);
+  narrator.load({ ...APOD, lang: 'ja' });
+  expect(narrator.getState().hasMatchingVoice).toBe(false);
+});
+
+test('forwards engine errors to error listeners', () => {
+  const engine = createFakeSpeechEngine();
+  const narrator = createNarrator(engine);
+  const onError = jest.fn();
+  narrator.on('error', onError);
+  narrator.load(APOD);
+  narrator.play();
+
+  engine.fail('audio-busy');
+  expect(onError).toHaveBeenCalledWith(expect.objectContaining({ error: 'audio-busy' }));
+});
+
+test('useNarration drives narration for the given APOD', () => {
+  const engine = createFakeSpeechEngine();
+  const { result, rerender, unmount } = renderHook(
+    ({ apod, preferences }) => useNarration(apod, { engine, preferences }),
+    { initialProps: { apod: APOD } }
+  );
+
+  expect(result.current).toMatchObject({ isPlaying: false, total: 3, supported: true });
+
+  act(() => result.current.play());
+  expect(result.current.isPlaying).toBe(true);
+  act(() => result.current.pause());
+  expect(result.current.isPaused).toBe(true);
+
+  // A new APOD stops narration
+  const nextAPOD = { ...APOD, date: '2024-01-16', explanation: 'One sentence.' };
+  rerender({ apod: nextAPOD });
+  expect(result.current).toMatchObject({ isPlaying: false, total: 2 });
+
+  act(() => result.current.play());
+  rerender({ apod: nextAPOD, preferences: { rate: 1.25, volume: 0.5, theme: 'midnight' } });
+  expect(result.current).toMatchObject({ rate: 1.25, volume: 0.5 });
+  expect(engine.current()).toMatchObject({ rate: 1.25, volume: 0.5 });
+
+  unmount();
+  expect(engine.synth.speaking).toBe(false);
+});
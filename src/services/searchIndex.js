@@ -0,0 +1,211 @@
+import apodCache from './apodCache';
+import favoritesService from './favorites';
+
+// In-memory full-text index over APOD entries that have been fetched or cached
+
+// Matches in the title count more than matches in the explanation
+const FIELD_WEIGHTS = {
+  title: 3,
+  copyright: 2,
+  explanation: 1
+};
+
+// Prefix matches (e.g. "neb" -> "nebula") score lower than whole-word matches
+const PREFIX_WEIGHT = 0.5;
+const MIN_PREFIX_LENGTH = 3;
+
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'in', 'is', 'it',
+  'its', 'of', 'on', 'or', 'that', 'the', 'this', 'to', 'was', 'with'
+]);
+
+const documents = new Map(); // date -> { entry, fields: { title: Map(term -> count), ... } }
+const postings = new Map(); // term -> Set(date)
+
+export const tokenize = (text) => (text || '')
+  .toLowerCase()
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .split(/[^a-z0-9]+/)
+  .filter(token => token && !STOP_WORDS.has(token));
+
+const countTerms = (text) => tokenize(text).reduce((counts, term) => {
+  counts.set(term, (counts.get(term) || 0) + 1);
+  return counts;
+}, new Map());
+
+const removeDocument = (date) => {
+  const existing = documents.get(date);
+  if (!existing) return;
+
+  Object.values(existing.fields).forEach(terms => {
+    terms.forEach((count, term) => {
+      const dates = postings.get(term);
+      if (!dates) return;
+      dates.delete(date);
+      if (dates.size === 0) postings.delete(term);
+    });
+  });
+  documents.delete(date);
+};
+
+// Terms in the index matching a query token, with the weight of each match
+const expandToken = (token) => {
+  const matches = [];
+  if (postings.has(token)) {
+    matches.push({ term: token, weight: 1 });
+  }
+  if (token.length >= MIN_PREFIX_LENGTH) {
+    postings.forEach((dates, term) => {
+      if (term !== token && term.startsWith(token)) {
+        matches.push({ term, weight: PREFIX_WEIGHT });
+      }
+    });
+  }
+  return matches;
+};
+
+const matchesFilters = (entry, { mediaType, yearFrom, yearTo }) => {
+  if (mediaType && entry.media_type !== mediaType) return false;
+
+  const year = Number(entry.date.slice(0, 4));
+  if (yearFrom && year < Number(yearFrom)) return false;
+  if (yearTo && year > Number(yearTo)) return false;
+
+  return true;
+};
+
+export const searchIndex = {
+  addEntries(entries) {
+    entries.forEach(entry => {
+      if (!entry?.date || !entry.title) return;
+
+      removeDocument(entry.date);
+      const fields = {
+        title: countTerms(entry.title),
+        explanation: countTerms(entry.explanation),
+        copyright: countTerms(entry.copyright)
+      };
+      documents.set(entry.date, { entry, fields });
+
+      Object.values(fields).forEach(terms => {
+        terms.forEach((count, term) => {
+          if (!postings.has(term)) postings.set(term, new Set());
+          postings.get(term).add(entry.date);
+        });
+      });
+    });
+  },
+
+  // (Re)index everything in the APOD cache and the favorites. Every fetched
+  // entry passes through the cache, so this picks up new ones too
+  async refresh() {
+    const cached = await apodCache.getAll();
+    this.addEntries(cached.map(item => item.data));
+    this.addEntries(favoritesService.getAll());
+    return this.size();
+  },
+
+  size() {
+    return documents.size;
+  },
+
+  // Ranked search; every query word must match a word (or word prefix) in some field.
+  // Returns [{ entry, score, terms }] where terms are the index terms that matched
+  search(query, filters = {}) {
+    const tokens = Array.from(new Set(tokenize(query)));
+    if (tokens.length === 0) return [];
+
+    const totalDocuments = documents.size;
+    const scores = new Map(); // date -> { score, terms: Set, tokensMatched: Set }
+
+    tokens.forEach(token => {
+      expandToken(token).forEach(({ term, weight }) => {
+        const dates = postings.get(term);
+        const idf = Math.log(1 + totalDocuments / dates.size);
+
+        dates.forEach(date => {
+          const { entry, fields } = documents.get(date);
+          if (!matchesFilters(entry, filters)) return;
+
+          const termScore = Object.entries(fields).reduce((sum, [field, terms]) => {
+            const count = terms.get(term) || 0;
+            return sum + FIELD_WEIGHTS[field] * (count / (count + 1.2));
+          }, 0);
+
+          const result = scores.get(date) || { score: 0, terms: new Set(), tokensMatched: new Set() };
+          result.score += termScore * idf * weight;
+          result.terms.add(term);
+          result.tokensMatched.add(token);
+          scores.set(date, result);
+        });
+      });
+    });
+
+    const phrase = query.trim().toLowerCase();
+
+    return Array.from(scores.entries())
+      .filter(([, result]) => result.tokensMatched.size === tokens.length)
+      .map(([date, result]) => {
+        const { entry } = documents.get(date);
+        // Exact phrase in the title is the strongest signal
+        const phraseBonus = tokens.length > 1 && entry.title.toLowerCase().includes(phrase) ? 10 : 0;
+        return { entry, score: result.score + phraseBonus, terms: Array.from(result.terms) };
+      })
+      .sort((a, b) => b.score - a.score || b.entry.date.localeCompare(a.entry.date))
+      .slice(0, filters.limit || 50);
+  },
+
+  clear() {
+    documents.clear();
+    postings.clear();
+  }
+};
+
+// Split text into [{ text, match }] segments, marking words that start with a matched term
+export const highlightText = (text, terms) => {
+  if (!text) return [];
+  if (!terms.length) return [{ text, match: false }];
+
+  const segments = [];
+  const wordPattern = /[\p{L}\p{N}]+/gu;
+  let lastIndex = 0;
+  let match;
+
+  while ((match = wordPattern.exec(text)) !== null) {
+    const [normalized] = tokenize(match[0]);
+    if (normalized && terms.some(term => normalized === term || normalized.startsWith(term))) {
+      if (match.index > lastIndex) {
+        segments.push({ text: text.slice(lastIndex, match.index), match: false });
+      }
+      segments.push({ text: match[0], match: true });
+      lastIndex = match.index + match[0].length;
+    }
+  }
+
+  if (lastIndex < text.length) {
+    segments.push({ text: text.slice(lastIndex), match: false });
+  }
+  return segments;
+};
+
+// A window of the text around the first matched word
+export const buildSnippet = (text, terms, length = 200) => {
+  if (!text || text.length <= length) return text || '';
+
+  let firstMatch = 0;
+  let offset = 0;
+  for (const segment of highlightText(text, terms)) {
+    if (segment.match) {
+      firstMatch = offset;
+      break;
+    }
+    offset += segment.text.length;
+  }
+
+  const start = Math.max(0, firstMatch - Math.floor(length / 3));
+  const end = Math.min(text.length, start + length);
+  return `${start > 0 ? '…' : ''}${text.slice(start, end).trim()}${end < text.length ? '…' : ''}`;
+};
+
+export default searchIndex;
@@ -0,0 +1,62 @@
+import searchIndex, { highlightText, buildSnippet } from './searchIndex';
+
+const entries = [
+  {
+    date: '2024-01-15',
+    title: 'The Horsehead Nebula',
+    explanation: 'One of the most identifiable nebulae in the sky, the Horsehead Nebula in Orion.',
+    copyright: 'Jane Stargazer',
+    media_type: 'image'
+  },
+  {
+    date: '2023-03-01',
+    title: 'Aurora over Iceland',
+    explanation: 'Green aurora ripples above a glacier. A faint nebula glows behind it.',
+    media_type: 'image'
+  },
+  {
+    date: '2019-07-20',
+    title: 'Apollo 11 Landing Video',
+    explanation: 'Relive the landing in the Sea of Tranquility.',
+    media_type: 'video'
+  }
+];
+
+beforeEach(() => {
+  searchIndex.clear();
+  searchIndex.addEntries(entries);
+});
+
+test('ranks title matches above explanation matches', () => {
+  const results = searchIndex.search('nebula');
+  expect(results.map(result => result.entry.date)).toEqual(['2024-01-15', '2023-03-01']);
+});
+
+test('requires every query word and matches word prefixes', () => {
+  expect(searchIndex.search('horsehead orion')).toHaveLength(1);
+  expect(searchIndex.search('horsehead aurora')).toHaveLength(0);
+  expect(searchIndex.search('auro')[0].entry.date).toBe('2023-03-01');
+});
+
+test('searches the copyright field', () => {
+  expect(searchIndex.search('stargazer')[0].entry.date).toBe('2024-01-15');
+});
+
+test('filters by media type and year range', () => {
+  expect(searchIndex.search('landing', { mediaType: 'image' })).toHaveLength(0);
+  expect(searchIndex.search('landing', { mediaType: 'video' })).toHaveLength(1);
+  expect(searchIndex.search('nebula', { yearFrom: 2024 })).toHaveLength(1);
+  expect(searchIndex.search('nebula', { yearTo: 2023 })).toHaveLength(1);
+});
+
+test('highlights matched words and builds a snippet around the first match', () => {
+  const segments = highlightText('The Horsehead Nebula', ['horsehead']);
+  expect(segments).toEqual([
+    { text: 'The ', match: false },
+    { text: 'Horsehead', match: true },
+    { text: ' Nebula', match: false }
+  ]);
+
+  const longText = `${'Stars fill the sky. '.repeat(20)}An aurora appears.`;
+  expect(buildSnippet(longText, ['aurora'], 60)).toMatch(/^….*aurora/);
+});
@@ -0,0 +1,110 @@
+import { LANGUAGES } from './translation';
+
+// User preferences persisted in localStorage: narration voice and delivery,
+// translation language and theme
+
+const STORAGE_KEY = 'nasa-explorer:settings';
+
+export const THEMES = {
+  cosmic: '🌌 Cosmic blue',
+  midnight: '🌑 Midnight',
+  nebula: '🟣 Nebula'
+};
+
+export const SETTING_RANGES = {
+  rate: { min: 0.5, max: 2, step: 0.1 },
+  pitch: { min: 0, max: 2, step: 0.1 },
+  volume: { min: 0, max: 1, step: 0.05 }
+};
+
+export const DEFAULT_SETTINGS = {
+  voiceURI: null, // null picks a voice automatically
+  rate: 1,
+  pitch: 1,
+  volume: 1,
+  translateTo: null, // null shows the original English text
+  theme: 'cosmic'
+};
+
+const listeners = new Set();
+let settings = null;
+
+// Drop unknown keys and out-of-range values, falling back to defaults
+const sanitize = (values) => {
+  const clean = { ...DEFAULT_SETTINGS };
+  if (!values || typeof values !== 'object') return clean;
+
+  if (typeof values.voiceURI === 'string' && values.voiceURI) {
+    clean.voiceURI = values.voiceURI;
+  }
+  Object.entries(SETTING_RANGES).forEach(([key, { min, max }]) => {
+    const value = Number(values[key]);
+    if (values[key] !== undefined && values[key] !== null && Number.isFinite(value)) {
+      clean[key] = Math.min(max, Math.max(min, value));
+    }
+  });
+  if (LANGUAGES.some(language => language.code === values.translateTo)) {
+    clean.translateTo = values.translateTo;
+  }
+  if (THEMES[values.theme]) {
+    clean.theme = values.theme;
+  }
+
+  return clean;
+};
+
+const load = () => {
+  try {
+    return sanitize(JSON.parse(localStorage.getItem(STORAGE_KEY)));
+  } catch (error) {
+    console.warn('Could not read settings, using defaults:', error);
+    return { ...DEFAULT_SETTINGS };
+  }
+};
+
+// Replace the settings, persist them and notify subscribers
+const commit = (next) => {
+  settings = next;
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(settings));
+  } catch (error) {
+    console.error('Could not save settings:', error);
+  }
+  listeners.forEach(listener => listener());
+};
+
+// Keep other tabs in sync
+if (typeof window !== 'undefined') {
+  window.addEventListener('storage', (event) => {
+    if (event.key !== STORAGE_KEY) return;
+    settings = load();
+    listeners.forEach(listener => listener());
+  });
+}
+
+export const settingsService = {
+  // The same object is returned until something changes
+  get() {
+    if (!settings) {
+      settings = load();
+    }
+    return settings;
+  },
+
+  update(changes) {
+    commit(sanitize({ ...settingsService.get(), ...changes }));
+    return settings;
+  },
+
+  reset() {
+    commit({ ...DEFAULT_SETTINGS });
+    return settings;
+  },
+
+  subscribe(listener) {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+  }
+};
+
+export default settingsService;
@@ -0,0 +1,37 @@
+import settingsService, { DEFAULT_SETTINGS } from './settings';
+
+beforeEach(() => {
+  settingsService.reset();
+});
+
+test('starts from the defaults', () => {
+  expect(settingsService.get()).toEqual(DEFAULT_SETTINGS);
+});
+
+test('persists updates to localStorage and notifies subscribers', () => {
+  const listener = jest.fn();
+  const unsubscribe = settingsService.subscribe(listener);
+
+  settingsService.update({ rate: 1.5, voiceURI: 'Samantha', theme: 'midnight' });
+
+  expect(listener).toHaveBeenCalledTimes(1);
+  expect(JSON.parse(localStorage.getItem('nasa-explorer:settings'))).toMatchObject({
+    rate: 1.5,
+    voiceURI: 'Samantha',
+    theme: 'midnight'
+  });
+  unsubscribe();
+});
+
+test('clamps out-of-range values and ignores unknown ones', () => {
+  settingsService.update({ rate: 9, pitch: -1, volume: 'loud', theme: 'neon', colour: 'red' });
+
+  expect(settingsService.get()).toEqual({ ...DEFAULT_SETTINGS, rate: 2, pitch: 0 });
+});
+
+test('picks up changes made in another tab', () => {
+  localStorage.setItem('nasa-explorer:settings', JSON.stringify({ volume: 0.5 }));
+  window.dispatchEvent(new StorageEvent('storage', { key: 'nasa-explorer:settings' }));
+
+  expect(settingsService.get().volume).toBe(0.5);
+});
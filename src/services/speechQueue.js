@@ -0,0 +1,229 @@
+// Narration is spoken one sentence at a time rather than as a single utterance:
+// some browsers silently stop long utterances after about 15 seconds, and short
+// utterances let playback seek and pick up rate or voice changes mid-way
+
+const MAX_CHUNK_LENGTH = 200;
+const CLAUSE_BREAK = /[,;:—–]\s+/g;
+
+// Errors reported for utterances we cancelled ourselves
+const CANCELLED_ERRORS = ['interrupted', 'canceled'];
+
+// Split an over-long sentence at clause breaks (or spaces) so no chunk is too long
+// to be spoken in one go. Returns [{ text, offset }] with offsets into `text`.
+export const chunkSentence = (text) => {
+  const chunks = [];
+  let rest = 0;
+
+  while (text.length - rest > MAX_CHUNK_LENGTH) {
+    const slice = text.slice(rest, rest + MAX_CHUNK_LENGTH);
+    let cut = -1;
+    let match;
+    CLAUSE_BREAK.lastIndex = 0;
+    while ((match = CLAUSE_BREAK.exec(slice)) !== null) {
+      cut = match.index + match[0].length;
+    }
+    if (cut <= 0) cut = slice.lastIndexOf(' ') + 1;
+    if (cut <= 0) cut = MAX_CHUNK_LENGTH;
+
+    chunks.push({ text: slice.slice(0, cut).trim(), offset: rest });
+    rest += cut;
+  }
+  chunks.push({ text: text.slice(rest).trim(), offset: rest });
+
+  return chunks.filter(chunk => chunk.text);
+};
+
+// Segments are [{ text, start }], one per sentence; `start` is where the segment
+// begins in the text being highlighted (null when it is not part of it).
+// onChange receives { status, segment, total, position, progress } where status is
+// 'idle' | 'playing' | 'paused' and position is the offset of the word being spoken.
+// `synth` and `createUtterance` default to the browser's Web Speech API.
+export const createSpeechQueue = ({
+  synth = typeof window !== 'undefined' ? window.speechSynthesis : undefined,
+  createUtterance = (text) => new SpeechSynthesisUtterance(text),
+  onChange = () => {},
+  onError = () => {}
+} = {}) => {
+  let items = []; // chunks: { text, segment, start, before }
+  let segmentCount = 0;
+  let totalLength = 0;
+  let index = 0;
+  let resumeOffset = 0; // where the current chunk was restarted from
+  let boundary = 0; // last word boundary within the restarted chunk
+  let status = 'idle';
+  let options = { voice: null, lang: '', rate: 1, pitch: 1, volume: 1 };
+  let current = null;
+  let restartOnResume = false;
+
+  const getState = () => {
+    const item = items[index];
+    const spoken = resumeOffset + boundary;
+    const active = Boolean(item) && status !== 'idle';
+
+    return {
+      status,
+      segment: active ? item.segment : -1,
+      total: segmentCount,
+      position: active && item.start !== null ? item.start + spoken : -1,
+      progress: active && totalLength ? (item.before + spoken) / totalLength : 0
+    };
+  };
+
+  const emit = () => onChange(getState());
+
+  const cancelCurrent = () => {
+    // Clear first so events from the cancelled utterance are ignored
+    current = null;
+    if (synth) synth.cancel();
+  };
+
+  const finish = () => {
+    cancelCurrent();
+    status = 'idle';
+    index = 0;
+    resumeOffset = 0;
+    boundary = 0;
+    emit();
+  };
+
+  const speakCurrent = () => {
+    if (!synth) throw new Error('Speech synthesis is not supported');
+
+    const utterance = createUtterance(items[index].text.slice(resumeOffset));
+    if (options.voice) utterance.voice = options.voice;
+    if (options.lang) utterance.lang = options.lang;
+    utterance.rate = options.rate;
+    utterance.pitch = options.pitch;
+    utterance.volume = options.volume;
+
+    utterance.onboundary = (event) => {
+      if (utterance !== current) return;
+      boundary = event.charIndex;
+      emit();
+    };
+
+    utterance.onend = () => {
+      if (utterance !== current) return;
+      if (index + 1 >= items.length) {
+        finish();
+        return;
+      }
+      index += 1;
+      resumeOffset = 0;
+      speakCurrent();
+      emit();
+    };
+
+    utterance.onerror = (event) => {
+      if (utterance !== current || CANCELLED_ERRORS.includes(event.error)) return;
+      finish();
+      onError(event);
+    };
+
+    current = utterance;
+    boundary = 0;
+    // Engines stay paused across cancel(), which would hold the new utterance
+    synth.resume();
+    synth.speak(utterance);
+  };
+
+  // Speak the current chunk again from the last word reached
+  const restartCurrent = () => {
+    resumeOffset += boundary;
+    cancelCurrent();
+    speakCurrent();
+  };
+
+  const firstChunkOf = (segment) => items.findIndex(item => item.segment === segment);
+
+  const play = (segment = 0) => {
+    const target = firstChunkOf(Math.min(Math.max(segment, 0), segmentCount - 1));
+    if (target < 0) return;
+
+    cancelCurrent();
+    index = target;
+    resumeOffset = 0;
+    restartOnResume = false;
+    status = 'playing';
+    speakCurrent();
+    emit();
+  };
+
+  return {
+    getState,
+
+    load(segments) {
+      if (status !== 'idle') cancelCurrent();
+      status = 'idle';
+      index = 0;
+      resumeOffset = 0;
+      boundary = 0;
+      totalLength = 0;
+      segmentCount = segments.length;
+      items = [];
+
+      segments.forEach(({ text, start }, segment) => {
+        chunkSentence(text).forEach(chunk => {
+          items.push({
+            text: chunk.text,
+            segment,
+            start: start === null ? null : start + chunk.offset,
+            before: totalLength + chunk.offset
+          });
+        });
+        totalLength += text.length;
+      });
+      emit();
+    },
+
+    play,
+
+    pause() {
+      if (status !== 'playing') return;
+      synth.pause();
+      status = 'paused';
+      emit();
+    },
+
+    resume() {
+      if (status !== 'paused') return;
+      status = 'playing';
+      if (restartOnResume) {
+        restartOnResume = false;
+        restartCurrent();
+      } else {
+        synth.resume();
+      }
+      emit();
+    },
+
+    stop() {
+      finish();
+    },
+
+    next() {
+      if (status === 'idle') return;
+      const segment = items[index].segment + 1;
+      if (segment >= segmentCount) {
+        finish();
+      } else {
+        play(segment);
+      }
+    },
+
+    previous() {
+      if (status === 'idle') return;
+      play(items[index].segment - 1);
+    },
+
+    // Rate and voice changes take effect from the word being spoken
+    setOptions(next) {
+      options = { ...options, ...next };
+      if (status === 'playing') {
+        restartCurrent();
+      } else if (status === 'paused') {
+        restartOnResume = true;
+      }
+    }
+  };
+};
@@ -0,0 +1,100 @@
+import { chunkSentence, createSpeechQueue } from './speechQueue';
+import { createFakeSpeechEngine } from './fakeSpeechEngine';
+
+const SEGMENTS = [
+  { text: 'Intro.', start: null },
+  { text: 'First sentence here.', start: 0 },
+  { text: 'Second one.', start: 21 }
+];
+
+const setup = (callbacks = {}) => {
+  const engine = createFakeSpeechEngine();
+  const queue = createSpeechQueue({ synth: engine.synth, createUtterance: engine.createUtterance, ...callbacks });
+  queue.load(SEGMENTS);
+  return { engine, queue };
+};
+
+test('keeps short sentences whole and splits long ones at clause breaks', () => {
+  expect(chunkSentence('Short sentence.')).toEqual([{ text: 'Short sentence.', offset: 0 }]);
+
+  const long = `${'word '.repeat(30)}then a clause, ${'more '.repeat(30)}end.`;
+  const chunks = chunkSentence(long);
+  expect(chunks.length).toBeGreaterThan(1);
+  chunks.forEach(chunk => {
+    expect(chunk.text.length).toBeLessThanOrEqual(200);
+    expect(long.slice(chunk.offset).startsWith(chunk.text)).toBe(true);
+  });
+});
+
+test('speaks segments one at a time and finishes idle', () => {
+  const onChange = jest.fn();
+  const { engine, queue } = setup({ onChange });
+  queue.play();
+
+  expect(engine.current().text).toBe('Intro.');
+  expect(queue.getState()).toMatchObject({ status: 'playing', segment: 0, total: 3, position: -1 });
+
+  engine.finish();
+  expect(engine.current().text).toBe('First sentence here.');
+  engine.boundary(6);
+  expect(queue.getState().position).toBe(6);
+
+  engine.finish();
+  engine.finish();
+  expect(queue.getState()).toMatchObject({ status: 'idle', segment: -1, progress: 0 });
+  expect(onChange).toHaveBeenCalled();
+});
+
+test('skips forward and back by sentence', () => {
+  const { engine, queue } = setup();
+  queue.play(1);
+
+  queue.next();
+  expect(engine.current().text).toBe('Second one.');
+  queue.previous();
+  expect(engine.current().text).toBe('First sentence here.');
+  queue.next();
+  queue.next();
+  expect(queue.getState().status).toBe('idle');
+});
+
+test('keeps its position when the rate changes', () => {
+  const { engine, queue } = setup();
+  queue.play(1);
+  engine.boundary(6);
+
+  queue.setOptions({ rate: 1.5 });
+  expect(engine.current().text).toBe('sentence here.');
+  expect(engine.current().rate).toBe(1.5);
+  expect(queue.getState()).toMatchObject({ status: 'playing', segment: 1, position: 6 });
+
+  // Events from the cancelled utterance are ignored
+  const { spoken } = engine;
+  spoken[spoken.length - 2].onend();
+  expect(queue.getState().segment).toBe(1);
+  expect(engine.current().text).toBe('sentence here.');
+});
+
+test('applies option changes made while paused on resume', () => {
+  const { engine, queue } = setup();
+  queue.play(2);
+  queue.pause();
+  expect(engine.synth.paused).toBe(true);
+
+  queue.setOptions({ voice: engine.synth.getVoices()[1] });
+  const count = engine.spoken.length;
+  queue.resume();
+  expect(engine.spoken.length).toBe(count + 1);
+  expect(engine.current().voice.lang).toBe('fr-FR');
+  expect(engine.synth.paused).toBe(false);
+});
+
+test('reports engine errors and stops', () => {
+  const onError = jest.fn();
+  const { engine, queue } = setup({ onError });
+  queue.play();
+
+  engine.fail();
+  expect(onError).toHaveBeenCalledWith(expect.objectContaining({ error: 'synthesis-failed' }));
+  expect(queue.getState().status).toBe('idle');
+});
@@ -0,0 +1,84 @@
+import { getNarrationText, getNarrationSegments } from './narration';
+import { getAPODPageUrl } from '../utils/media';
+
+// Transcripts and captions of the narration for an APOD, for use alongside
+// other recordings of the same text
+
+// Typical unhurried narration pace, plus pauses after sentences and commas
+const WORDS_PER_MINUTE = 150;
+const SENTENCE_PAUSE = 0.4;
+const COMMA_PAUSE = 0.15;
+const MIN_CUE_SECONDS = 1;
+
+// Copyright lines from the API often contain stray newlines
+const clean = (text) => String(text || '').replace(/\s+/g, ' ').trim();
+
+const getMetadata = (apod) => [
+  ['Date', apod.date],
+  ['Credit', clean(apod.copyright) || 'Public domain (NASA)'],
+  ['Media', apod.media_type],
+  ['URL', apod.url],
+  ['HD URL', apod.hdurl],
+  ['Source', getAPODPageUrl(apod.date)]
+].filter(([, value]) => value);
+
+// Intro and explanation as separate paragraphs
+const getParagraphs = (apod) => {
+  const text = getNarrationText(apod);
+  const intro = text.slice(0, text.length - apod.explanation.length).trim();
+  return [intro, clean(apod.explanation)];
+};
+
+export const getTranscriptFilename = (apod, extension) => `apod-${apod.date}-transcript.${extension}`;
+
+export const buildMarkdownTranscript = (apod) => [
+  `# ${clean(apod.title)}`,
+  getMetadata(apod).map(([label, value]) => `- **${label}:** ${value}`).join('\n'),
+  '## Narration transcript',
+  ...getParagraphs(apod),
+  '---',
+  '_Text from NASA\'s Astronomy Picture of the Day, exported from NASA Explorer._'
+].join('\n\n') + '\n';
+
+export const buildTextTranscript = (apod) => [
+  clean(apod.title),
+  getMetadata(apod).map(([label, value]) => `${label}: ${value}`).join('\n'),
+  ...getParagraphs(apod)
+].join('\n\n') + '\n';
+
+// Seconds a segment is expected to take to read at `rate` (1 = normal speed)
+export const estimateDuration = (text, rate = 1) => {
+  const words = text.split(/\s+/).filter(Boolean).length;
+  const commas = (text.match(/[,;:]/g) || []).length;
+  const seconds = (words / WORDS_PER_MINUTE) * 60 + commas * COMMA_PAUSE;
+  return Math.max(MIN_CUE_SECONDS, seconds / rate) + SENTENCE_PAUSE;
+};
+
+const formatTimestamp = (seconds) => {
+  const totalMs = Math.round(seconds * 1000);
+  const hours = Math.floor(totalMs / 3600000);
+  const minutes = Math.floor(totalMs / 60000) % 60;
+  const secs = Math.floor(totalMs / 1000) % 60;
+  const ms = totalMs % 1000;
+  const pad = (value, length = 2) => String(value).padStart(length, '0');
+  return `${pad(hours)}:${pad(minutes)}:${pad(secs)}.${pad(ms, 3)}`;
+};
+
+// Cue text may not contain "-->" and must escape markup characters
+const escapeCueText = (text) => text
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;');
+
+// One cue per narrated sentence, timed by estimateDuration
+export const buildWebVTT = (apod, { rate = 1 } = {}) => {
+  let time = 0;
+  const cues = getNarrationSegments(apod).map(({ text }, index) => {
+    const start = time;
+    time += estimateDuration(text, rate);
+    return `${index + 1}\n${formatTimestamp(start)} --> ${formatTimestamp(time)}\n${escapeCueText(clean(text))}`;
+  });
+
+  const title = clean(apod.title).replace(/-->/g, '->');
+  return [`WEBVTT - ${title} (${apod.date}), estimated timings`, ...cues].join('\n\n') + '\n';
+};
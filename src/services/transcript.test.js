@@ -0,0 +1,53 @@
+import { buildMarkdownTranscript, buildTextTranscript, buildWebVTT, estimateDuration } from './transcript';
+
+const APOD = {
+  date: '2024-01-15',
+  title: 'The Horsehead Nebula',
+  copyright: '\nJane Doe\n',
+  media_type: 'image',
+  url: 'https://apod.nasa.gov/apod/image/2401/horsehead.jpg',
+  explanation: 'A dark cloud of gas, dust and stars. It looks like a <horse> & rider.'
+};
+
+test('formats a Markdown transcript with metadata', () => {
+  const markdown = buildMarkdownTranscript(APOD);
+
+  expect(markdown.startsWith('# The Horsehead Nebula\n\n- **Date:** 2024-01-15\n- **Credit:** Jane Doe\n')).toBe(true);
+  expect(markdown).toContain('- **Source:** https://apod.nasa.gov/apod/ap240115.html');
+  expect(markdown).toContain("## Narration transcript\n\nToday's Astronomy Picture of the Day is titled: The Horsehead Nebula.");
+  expect(markdown).toContain('\n\nA dark cloud of gas, dust and stars.');
+  expect(markdown).not.toContain('HD URL');
+});
+
+test('formats a plain text transcript', () => {
+  const text = buildTextTranscript({ ...APOD, copyright: undefined });
+
+  expect(text.split('\n\n')[0]).toBe('The Horsehead Nebula');
+  expect(text).toContain('Credit: Public domain (NASA)');
+  expect(text).not.toContain('**');
+});
+
+test('estimates longer durations for longer or slower sentences', () => {
+  const short = estimateDuration('One two three.');
+  const long = estimateDuration('One two three four five six seven eight nine ten, eleven twelve.');
+
+  expect(long).toBeGreaterThan(short);
+  expect(estimateDuration('One two three four five six seven eight nine ten.', 0.5))
+    .toBeGreaterThan(estimateDuration('One two three four five six seven eight nine ten.'));
+});
+
+test('builds WebVTT cues for each narrated sentence', () => {
+  const vtt = buildWebVTT(APOD);
+  const [header, ...cues] = vtt.trim().split('\n\n');
+
+  expect(header).toBe('WEBVTT - The Horsehead Nebula (2024-01-15), estimated timings');
+  expect(cues).toHaveLength(3);
+  expect(cues[0]).toMatch(/^1\n00:00:00\.000 --> 00:00:\d\d\.\d{3}\nToday's Astronomy Picture/);
+  expect(cues[2]).toContain('It looks like a &lt;horse&gt; &amp; rider.');
+
+  // Each cue starts where the previous one ended
+  const times = cues.map(cue => cue.split('\n')[1].split(' --> '));
+  times.slice(1).forEach(([start], index) => {
+    expect(start).toBe(times[index][1]);
+  });
+});
@@ -0,0 +1,181 @@
+import { APIError, ErrorTypes } from './api';
+import { splitSentences } from '../utils/sentences';
+import { createMockTranslationProvider } from './mockTranslationProvider';
+
+// Translation of APOD titles and explanations through a pluggable provider.
+// A provider is { id, name, translate(texts, { from, to }) } where translate
+// resolves to the translated texts in the same order, and rejects with an APIError.
+
+// APOD text is always published in English
+export const SOURCE_LANGUAGE = 'en';
+
+export const LANGUAGES = [
+  { code: 'es', name: 'Español' },
+  { code: 'fr', name: 'Français' },
+  { code: 'de', name: 'Deutsch' },
+  { code: 'it', name: 'Italiano' },
+  { code: 'pt', name: 'Português' },
+  { code: 'nl', name: 'Nederlands' },
+  { code: 'hi', name: 'हिन्दी' },
+  { code: 'ja', name: '日本語' },
+  { code: 'zh', name: '中文' },
+  { code: 'ar', name: 'العربية' }
+];
+
+const MYMEMORY_URL = 'https://api.mymemory.translated.net/get';
+// MyMemory rejects queries over 500 bytes
+const MYMEMORY_MAX_LENGTH = 450;
+
+// Group whole sentences into pieces of at most maxLength characters
+const batchSentences = (text, maxLength) => splitSentences(text).reduce((batches, { text: sentence }) => {
+  const last = batches[batches.length - 1];
+  if (last && last.length + sentence.length + 1 <= maxLength) {
+    batches[batches.length - 1] = `${last} ${sentence}`;
+  } else {
+    batches.push(sentence);
+  }
+  return batches;
+}, []);
+
+const request = async (url, options, providerName) => {
+  let response;
+  try {
+    response = await fetch(url, options);
+  } catch (error) {
+    throw new APIError(`Could not reach ${providerName}.`, ErrorTypes.NETWORK, null, true);
+  }
+
+  if (response.status === 429) {
+    throw new APIError(`${providerName} translation limit reached.`, ErrorTypes.RATE_LIMIT, 429, true);
+  }
+  if (!response.ok) {
+    const type = response.status >= 500 ? ErrorTypes.SERVER : ErrorTypes.CLIENT;
+    throw new APIError(`${providerName} could not translate this text.`, type, response.status, response.status >= 500);
+  }
+
+  return response.json();
+};
+
+// Free, keyless MyMemory API. Anonymous use has a small daily quota; passing
+// a contact email raises it.
+export const createMyMemoryProvider = ({ email } = {}) => {
+  const translateText = async (text, from, to) => {
+    const pieces = [];
+    for (const piece of batchSentences(text, MYMEMORY_MAX_LENGTH)) {
+      const params = new URLSearchParams({ q: piece, langpair: `${from}|${to}` });
+      if (email) params.set('de', email);
+
+      const data = await request(`${MYMEMORY_URL}?${params}`, {}, 'MyMemory');
+      // Quota and validation errors come back with HTTP 200 and their own status
+      const status = Number(data.responseStatus);
+      if (status !== 200) {
+        const type = status === 429 ? ErrorTypes.RATE_LIMIT : ErrorTypes.SERVER;
+        throw new APIError(data.responseDetails || 'MyMemory could not translate this text.', type, status, false);
+      }
+      pieces.push(data.responseData.translatedText);
+    }
+    return pieces.join(' ');
+  };
+
+  return {
+    id: 'mymemory',
+    name: 'MyMemory',
+
+    async translate(texts, { from, to }) {
+      const translated = [];
+      for (const text of texts) {
+        translated.push(await translateText(text, from, to));
+      }
+      return translated;
+    }
+  };
+};
+
+// Any LibreTranslate server, e.g. a self-hosted one
+export const createLibreTranslateProvider = ({ url, apiKey } = {}) => ({
+  id: 'libretranslate',
+  name: 'LibreTranslate',
+
+  async translate(texts, { from, to }) {
+    const data = await request(`${String(url).replace(/\/$/, '')}/translate`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ q: texts, source: from, target: to, format: 'text', ...(apiKey && { api_key: apiKey }) })
+    }, 'LibreTranslate');
+
+    return Array.isArray(data.translatedText) ? data.translatedText : [data.translatedText];
+  }
+});
+
+// Chosen at build time with REACT_APP_TRANSLATION_PROVIDER. Translating sends
+// APOD text to a third party, so there is no provider (and no translation)
+// unless one is named
+export const createDefaultProvider = () => {
+  switch (process.env.REACT_APP_TRANSLATION_PROVIDER) {
+    case 'mymemory':
+      return createMyMemoryProvider({ email: process.env.REACT_APP_MYMEMORY_EMAIL });
+    case 'libretranslate':
+      return createLibreTranslateProvider({
+        url: process.env.REACT_APP_LIBRETRANSLATE_URL,
+        apiKey: process.env.REACT_APP_LIBRETRANSLATE_API_KEY
+      });
+    case 'mock':
+      return createMockTranslationProvider();
+    default:
+      return null;
+  }
+};
+
+let provider; // null when translation is off, undefined until first asked
+const cache = new Map(); // `${provider}:${date}:${lang}` -> Promise
+
+export const translationService = {
+  getProvider() {
+    if (provider === undefined) {
+      provider = createDefaultProvider();
+    }
+    return provider;
+  },
+
+  isAvailable() {
+    return translationService.getProvider() !== null;
+  },
+
+  setProvider(next) {
+    provider = next;
+    cache.clear();
+  },
+
+  getLanguageName(code) {
+    const language = LANGUAGES.find(candidate => candidate.code === code);
+    return language ? language.name : code;
+  },
+
+  // Resolves to a copy of the APOD with its title and explanation in `lang`,
+  // tagged with `lang` and keeping the English text under `original`
+  translateAPOD(apod, lang) {
+    if (!lang || lang === SOURCE_LANGUAGE) return Promise.resolve(apod);
+
+    const current = translationService.getProvider();
+    if (!current) {
+      return Promise.reject(new APIError('No translation provider is configured.', ErrorTypes.CLIENT, 0, false));
+    }
+    const key = `${current.id}:${apod.date}:${lang}`;
+    if (!cache.has(key)) {
+      const pending = current.translate([apod.title, apod.explanation], { from: SOURCE_LANGUAGE, to: lang })
+        .then(([title, explanation]) => ({
+          ...apod,
+          title,
+          explanation,
+          lang,
+          original: { title: apod.title, explanation: apod.explanation }
+        }));
+      // Failed translations can be retried
+      pending.catch(() => cache.delete(key));
+      cache.set(key, pending);
+    }
+    return cache.get(key);
+  }
+};
+
+export default translationService;
@@ -0,0 +1,110 @@
+import translationService, { createDefaultProvider, createMyMemoryProvider, createLibreTranslateProvider } from './translation';
+import { createMockTranslationProvider } from './mockTranslationProvider';
+import { APIError, ErrorTypes } from './api';
+
+const APOD = {
+  date: '2024-01-15',
+  title: 'Horsehead Nebula',
+  explanation: 'A dark cloud of gas. It looks like a horse.'
+};
+
+const jsonResponse = (body, status = 200) => Promise.resolve({
+  ok: status >= 200 && status < 300,
+  status,
+  json: () => Promise.resolve(body)
+});
+
+afterEach(() => {
+  delete global.fetch;
+  delete process.env.REACT_APP_TRANSLATION_PROVIDER;
+});
+
+test('uses no remote provider unless one is configured', async () => {
+  expect(createDefaultProvider()).toBeNull();
+
+  process.env.REACT_APP_TRANSLATION_PROVIDER = 'mymemory';
+  expect(createDefaultProvider().id).toBe('mymemory');
+  process.env.REACT_APP_TRANSLATION_PROVIDER = 'libretranslate';
+  expect(createDefaultProvider().id).toBe('libretranslate');
+
+  translationService.setProvider(null);
+  expect(translationService.isAvailable()).toBe(false);
+  await expect(translationService.translateAPOD(APOD, 'fr')).rejects.toBeInstanceOf(APIError);
+  expect(await translationService.translateAPOD(APOD, 'en')).toBe(APOD);
+});
+
+test('translates the title and explanation through the provider', async () => {
+  const provider = createMockTranslationProvider();
+  translationService.setProvider(provider);
+
+  const translated = await translationService.translateAPOD(APOD, 'fr');
+
+  expect(translated).toMatchObject({
+    date: '2024-01-15',
+    lang: 'fr',
+    title: '[fr] Horsehead Nebula',
+    explanation: '[fr] A dark cloud of gas. It looks like a horse.',
+    original: { title: APOD.title, explanation: APOD.explanation }
+  });
+  expect(provider.calls).toEqual([{ texts: [APOD.title, APOD.explanation], from: 'en', to: 'fr' }]);
+});
+
+test('caches translations per date and language', async () => {
+  const provider = createMockTranslationProvider();
+  translationService.setProvider(provider);
+
+  await translationService.translateAPOD(APOD, 'de');
+  await translationService.translateAPOD(APOD, 'de');
+  await translationService.translateAPOD(APOD, 'es');
+
+  expect(provider.calls).toHaveLength(2);
+  expect(await translationService.translateAPOD(APOD, 'en')).toBe(APOD);
+});
+
+test('does not cache failed translations', async () => {
+  const failing = createMockTranslationProvider({ fail: true });
+  translationService.setProvider(failing);
+
+  await expect(translationService.translateAPOD(APOD, 'it')).rejects.toBeInstanceOf(APIError);
+  await expect(translationService.translateAPOD(APOD, 'it')).rejects.toBeInstanceOf(APIError);
+  expect(failing.calls).toHaveLength(2);
+});
+
+test('MyMemory provider translates long text in sentence batches', async () => {
+  global.fetch = jest.fn(url => {
+    const query = new URL(url).searchParams.get('q');
+    return jsonResponse({ responseStatus: 200, responseData: { translatedText: `<${query.length}>` } });
+  });
+  const longText = Array.from({ length: 30 }, (_, index) => `Sentence number ${index} is about the sky.`).join(' ');
+
+  const [title, explanation] = await createMyMemoryProvider().translate(['Title', longText], { from: 'en', to: 'fr' });
+
+  expect(title).toBe('<5>');
+  expect(global.fetch.mock.calls.length).toBeGreaterThan(2);
+  global.fetch.mock.calls.forEach(([url]) => {
+    expect(new URL(url).searchParams.get('langpair')).toBe('en|fr');
+    expect(new URL(url).searchParams.get('q').length).toBeLessThanOrEqual(450);
+  });
+  expect(explanation.split(' ').length).toBe(global.fetch.mock.calls.length - 1);
+});
+
+test('MyMemory quota errors become rate limit errors', async () => {
+  global.fetch = jest.fn(() => jsonResponse({ responseStatus: 429, responseDetails: 'MYMEMORY WARNING: YOU USED ALL AVAILABLE FREE TRANSLATIONS FOR TODAY.' }));
+
+  await expect(createMyMemoryProvider().translate(['Hello.'], { from: 'en', to: 'fr' }))
+    .rejects.toMatchObject({ type: ErrorTypes.RATE_LIMIT });
+});
+
+test('LibreTranslate provider sends all texts in one request', async () => {
+  global.fetch = jest.fn(() => jsonResponse({ translatedText: ['Hola', 'Una nube.'] }));
+  const provider = createLibreTranslateProvider({ url: 'https://translate.example.org/', apiKey: 'secret' });
+
+  expect(await provider.translate(['Hello', 'A cloud.'], { from: 'en', to: 'es' })).toEqual(['Hola', 'Una nube.']);
+
+  const [url, options] = global.fetch.mock.calls[0];
+  expect(url).toBe('https://translate.example.org/translate');
+  expect(JSON.parse(options.body)).toEqual({ q: ['Hello', 'A cloud.'], source: 'en', target: 'es', format: 'text', api_key: 'secret' });
+
+  global.fetch = jest.fn(() => jsonResponse({ error: 'Unavailable' }, 503));
+  await expect(provider.translate(['Hello'], { from: 'en', to: 'es' })).rejects.toMatchObject({ type: ErrorTypes.SERVER });
+});
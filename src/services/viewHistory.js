@@ -0,0 +1,40 @@
+// Dates of APODs the user has opened, persisted in localStorage
+
+const STORAGE_KEY = 'nasa-explorer:viewed';
+const MAX_ENTRIES = 2000;
+
+const load = () => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    return Array.isArray(stored) ? stored : [];
+  } catch (error) {
+    return [];
+  }
+};
+
+export const viewHistory = {
+  // Most recent last
+  getAll() {
+    return load();
+  },
+
+  has(date) {
+    return load().includes(date);
+  },
+
+  add(date) {
+    const dates = load().filter(viewed => viewed !== date);
+    dates.push(date);
+    try {
+      localStorage.setItem(STORAGE_KEY, JSON.stringify(dates.slice(-MAX_ENTRIES)));
+    } catch (error) {
+      console.warn('Could not save view history:', error);
+    }
+  },
+
+  clear() {
+    localStorage.removeItem(STORAGE_KEY);
+  }
+};
+
+export default viewHistory;
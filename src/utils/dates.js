@@ -0,0 +1,32 @@
+// Date helpers shared across the APOD views (all dates are YYYY-MM-DD strings)
+
+export const toISODate = (date) => date.toISOString().split('T')[0];
+
+export const getToday = () => toISODate(new Date());
+
+export const daysAgo = (days) => {
+  const date = new Date();
+  date.setDate(date.getDate() - days);
+  return toISODate(date);
+};
+
+// Shift a YYYY-MM-DD date by a number of days (UTC, so DST never skips a day)
+export const addDays = (date, days) => {
+  const shifted = new Date(`${date}T00:00:00Z`);
+  shifted.setUTCDate(shifted.getUTCDate() + days);
+  return toISODate(shifted);
+};
+
+export const clampDate = (date, min, max) => {
+  if (date < min) return min;
+  if (date > max) return max;
+  return date;
+};
+
+// A uniformly random date between min and max (inclusive)
+export const randomDate = (min, max) => {
+  const start = new Date(`${min}T00:00:00Z`).getTime();
+  const end = new Date(`${max}T00:00:00Z`).getTime();
+  const dayCount = Math.round((end - start) / (24 * 60 * 60 * 1000));
+  return addDays(min, Math.floor(Math.random() * (dayCount + 1)));
+};
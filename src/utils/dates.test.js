@@ -0,0 +1,20 @@
+import { addDays, clampDate, randomDate } from './dates';
+
+test('addDays crosses month and year boundaries', () => {
+  expect(addDays('2024-02-28', 1)).toBe('2024-02-29');
+  expect(addDays('2024-03-01', -1)).toBe('2024-02-29');
+  expect(addDays('2023-12-31', 1)).toBe('2024-01-01');
+});
+
+test('clampDate keeps dates inside the bounds', () => {
+  expect(clampDate('1995-06-15', '1995-06-16', '2024-01-01')).toBe('1995-06-16');
+  expect(clampDate('2024-01-02', '1995-06-16', '2024-01-01')).toBe('2024-01-01');
+  expect(clampDate('2000-01-01', '1995-06-16', '2024-01-01')).toBe('2000-01-01');
+});
+
+test('randomDate stays within the bounds', () => {
+  for (let i = 0; i < 50; i++) {
+    const date = randomDate('2024-01-01', '2024-01-03');
+    expect(['2024-01-01', '2024-01-02', '2024-01-03']).toContain(date);
+  }
+});
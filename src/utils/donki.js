@@ -0,0 +1,104 @@
+// Helpers for DONKI space-weather data: one flat record per event, whether
+// an event is notable, and the message that summarises it
+
+// Event types, in the order the timeline shows them
+export const SPACE_WEATHER_TYPES = ['FLR', 'CME', 'GST'];
+
+// DONKI's records start in 2010
+export const DONKI_START_DATE = '2010-01-01';
+
+// What counts as notable: flares of class M5 or above, CMEs of at least
+// 1000 km/s and geomagnetic storms of Kp 7 (G3, "strong") or above
+const NOTABLE_FLARE_CLASS = /^(X|M[5-9])/;
+const NOTABLE_CME_SPEED = 1000;
+const NOTABLE_KP_INDEX = 7;
+
+const toDate = (time) => new Date(time).toISOString().slice(0, 10);
+
+const linkedIds = (event) => (event.linkedEvents || []).map(linked => linked.activityID);
+
+// The analysis DONKI marks as most accurate, or the first one
+const bestAnalysis = (cme) => {
+  const analyses = cme.cmeAnalyses || [];
+  return analyses.find(analysis => analysis.isMostAccurate) || analyses[0] || {};
+};
+
+const fromFlare = (flare) => ({
+  id: flare.flrID,
+  type: 'FLR',
+  time: Date.parse(flare.beginTime),
+  peakTime: flare.peakTime ? Date.parse(flare.peakTime) : null,
+  endTime: flare.endTime ? Date.parse(flare.endTime) : null,
+  classType: flare.classType,
+  sourceLocation: flare.sourceLocation,
+  activeRegion: flare.activeRegionNum,
+  link: flare.link,
+  linkedIds: linkedIds(flare)
+});
+
+const fromCME = (cme) => {
+  const analysis = bestAnalysis(cme);
+  return {
+    id: cme.activityID,
+    type: 'CME',
+    time: Date.parse(cme.startTime),
+    speed: analysis.speed ?? null,
+    halfAngle: analysis.halfAngle ?? null,
+    sourceLocation: cme.sourceLocation || null,
+    activeRegion: cme.activeRegionNum,
+    note: cme.note,
+    link: cme.link,
+    linkedIds: linkedIds(cme)
+  };
+};
+
+const fromStorm = (storm) => ({
+  id: storm.gstID,
+  type: 'GST',
+  time: Date.parse(storm.startTime),
+  kpIndex: Math.max(0, ...(storm.allKpIndex || []).map(reading => reading.kpIndex)),
+  link: storm.link,
+  linkedIds: linkedIds(storm)
+});
+
+// The proxy answers { flares, cmes, storms } with DONKI's lists; DONKI
+// sends an empty body rather than [] when nothing happened
+export const toSpaceWeatherEvents = ({ flares, cmes, storms } = {}) => {
+  const list = (value) => (Array.isArray(value) ? value : []);
+
+  return [
+    ...list(flares).map(fromFlare),
+    ...list(cmes).map(fromCME),
+    ...list(storms).map(fromStorm)
+  ]
+    .filter(event => !Number.isNaN(event.time))
+    .map(event => ({ ...event, date: toDate(event.time) }))
+    .sort((a, b) => a.time - b.time);
+};
+
+export const isNotableEvent = (event) => {
+  switch (event.type) {
+    case 'FLR':
+      return NOTABLE_FLARE_CLASS.test(event.classType || '');
+    case 'CME':
+      return event.speed >= NOTABLE_CME_SPEED;
+    case 'GST':
+      return event.kpIndex >= NOTABLE_KP_INDEX;
+    default:
+      return false;
+  }
+};
+
+// A one-line summary as a message key and its parameters
+export const getEventSummary = (event) => {
+  switch (event.type) {
+    case 'FLR':
+      return { key: 'spaceWeather.summary.FLR', params: { classType: event.classType } };
+    case 'CME':
+      return event.speed
+        ? { key: 'spaceWeather.summary.CME', params: { speed: Math.round(event.speed) } }
+        : { key: 'spaceWeather.summary.CMEUnknownSpeed', params: {} };
+    default:
+      return { key: 'spaceWeather.summary.GST', params: { kp: event.kpIndex } };
+  }
+};
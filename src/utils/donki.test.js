@@ -0,0 +1,63 @@
+import { toSpaceWeatherEvents, isNotableEvent, getEventSummary } from './donki';
+
+const FLARE = {
+  flrID: '2024-05-14T16:46:00-FLR-001',
+  beginTime: '2024-05-14T16:46Z',
+  peakTime: '2024-05-14T16:51Z',
+  endTime: '2024-05-14T17:02Z',
+  classType: 'X8.7',
+  sourceLocation: 'S18W89',
+  activeRegionNum: 13664,
+  linkedEvents: [{ activityID: '2024-05-14T17:36:00-CME-001' }],
+  link: 'https://webtools.ccmc.gsfc.nasa.gov/DONKI/view/FLR/30000/-1'
+};
+
+const CME = {
+  activityID: '2024-05-14T17:36:00-CME-001',
+  startTime: '2024-05-14T17:36Z',
+  sourceLocation: '',
+  note: 'Fast CME to the west.',
+  cmeAnalyses: [
+    { speed: 900, halfAngle: 30, isMostAccurate: false },
+    { speed: 2010, halfAngle: 45, isMostAccurate: true }
+  ],
+  linkedEvents: null
+};
+
+const STORM = {
+  gstID: '2024-05-10T15:00:00-GST-001',
+  startTime: '2024-05-10T15:00Z',
+  allKpIndex: [{ kpIndex: 8 }, { kpIndex: 9 }, { kpIndex: 7.67 }]
+};
+
+test('merges flares, CMEs and storms into one time-ordered list', () => {
+  const events = toSpaceWeatherEvents({ flares: [FLARE], cmes: [CME], storms: [STORM] });
+
+  expect(events.map(event => event.type)).toEqual(['GST', 'FLR', 'CME']);
+  expect(events[0]).toMatchObject({ id: STORM.gstID, date: '2024-05-10', kpIndex: 9, linkedIds: [] });
+  expect(events[1]).toMatchObject({
+    classType: 'X8.7',
+    activeRegion: 13664,
+    time: Date.UTC(2024, 4, 14, 16, 46),
+    endTime: Date.UTC(2024, 4, 14, 17, 2),
+    linkedIds: [CME.activityID]
+  });
+  expect(events[2]).toMatchObject({ speed: 2010, halfAngle: 45, sourceLocation: null });
+  // DONKI's empty answers are not lists
+  expect(toSpaceWeatherEvents({ flares: '', cmes: null })).toEqual([]);
+});
+
+test('flags notable events and summarises them as messages', () => {
+  const [storm, flare, cme] = toSpaceWeatherEvents({ flares: [FLARE], cmes: [CME], storms: [STORM] });
+
+  expect([storm, flare, cme].every(isNotableEvent)).toBe(true);
+  expect(isNotableEvent({ ...flare, classType: 'M4.9' })).toBe(false);
+  expect(isNotableEvent({ ...flare, classType: 'M5.1' })).toBe(true);
+  expect(isNotableEvent({ ...cme, speed: null })).toBe(false);
+  expect(isNotableEvent({ ...storm, kpIndex: 6.33 })).toBe(false);
+
+  expect(getEventSummary(flare)).toEqual({ key: 'spaceWeather.summary.FLR', params: { classType: 'X8.7' } });
+  expect(getEventSummary(cme)).toEqual({ key: 'spaceWeather.summary.CME', params: { speed: 2010 } });
+  expect(getEventSummary({ ...cme, speed: null }).key).toBe('spaceWeather.summary.CMEUnknownSpeed');
+  expect(getEventSummary(storm)).toEqual({ key: 'spaceWeather.summary.GST', params: { kp: 9 } });
+});
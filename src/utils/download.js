@@ -0,0 +1,19 @@
+// How long the blob URL stays valid after the click. Revoking it sooner can
+// cancel a download the browser has not finished reading; FileSaver.js waits
+// as long
+export const REVOKE_DELAY_MS = 40 * 1000;
+
+// Save generated text as a file through a temporary link. Firefox only follows
+// links that are in the document
+export const downloadFile = (filename, content, type = 'text/plain') => {
+  const blob = new Blob([content], { type: `${type};charset=utf-8` });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.style.display = 'none';
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), REVOKE_DELAY_MS);
+};
@@ -0,0 +1,34 @@
+import { downloadFile, REVOKE_DELAY_MS } from './download';
+
+beforeEach(() => {
+  jest.useFakeTimers();
+  URL.createObjectURL = jest.fn(() => 'blob:transcript');
+  URL.revokeObjectURL = jest.fn();
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+  delete URL.createObjectURL;
+  delete URL.revokeObjectURL;
+});
+
+test('clicks a link in the document and revokes the URL afterwards', () => {
+  const clicked = [];
+  jest.spyOn(HTMLAnchorElement.prototype, 'click').mockImplementation(function click() {
+    clicked.push({ href: this.href, download: this.download, attached: document.body.contains(this) });
+  });
+
+  downloadFile('apod-2024-01-15.vtt', 'WEBVTT', 'text/vtt');
+
+  expect(URL.createObjectURL).toHaveBeenCalledWith(expect.objectContaining({ type: 'text/vtt;charset=utf-8' }));
+  expect(clicked).toEqual([{ href: 'blob:transcript', download: 'apod-2024-01-15.vtt', attached: true }]);
+  expect(document.querySelectorAll('a')).toHaveLength(0);
+  expect(URL.revokeObjectURL).not.toHaveBeenCalled();
+
+  // Not while the browser may still be reading the blob
+  jest.advanceTimersByTime(1000);
+  expect(URL.revokeObjectURL).not.toHaveBeenCalled();
+
+  jest.advanceTimersByTime(REVOKE_DELAY_MS);
+  expect(URL.revokeObjectURL).toHaveBeenCalledWith('blob:transcript');
+});
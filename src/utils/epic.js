@@ -0,0 +1,30 @@
+// Helpers for DSCOVR EPIC imagery: collections and one flat record per frame
+
+export const EPIC_COLLECTIONS = ['natural', 'enhanced'];
+
+// First day of EPIC imagery in the public archive
+export const EPIC_START_DATE = '2015-06-13';
+
+const ARCHIVE_URL = 'https://epic.gsfc.nasa.gov/archive';
+
+// EPIC metadata dates look like '2015-10-31 00:36:33' and are in UTC. The
+// archive serves each frame as a small JPEG (good for animation) and a full
+// resolution PNG, under the capture day's year/month/day folders
+export const toEpicFrames = (items, collection) => (items || [])
+  .map((item) => {
+    const [day, clock] = item.date.split(' ');
+    const folder = `${ARCHIVE_URL}/${collection}/${day.replace(/-/g, '/')}`;
+
+    return {
+      id: item.identifier,
+      image: item.image,
+      caption: item.caption,
+      date: day,
+      time: Date.parse(`${day}T${clock}Z`),
+      lat: item.centroid_coordinates?.lat,
+      lon: item.centroid_coordinates?.lon,
+      imageUrl: `${folder}/jpg/${item.image}.jpg`,
+      fullUrl: `${folder}/png/${item.image}.png`
+    };
+  })
+  .sort((a, b) => a.time - b.time);
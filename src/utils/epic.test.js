@@ -0,0 +1,28 @@
+import { toEpicFrames } from './epic';
+
+const item = (image, date, lat, lon) => ({
+  identifier: image.replace(/\D/g, ''),
+  caption: "This image was taken by NASA's EPIC camera onboard the NOAA DSCOVR spacecraft",
+  image,
+  date,
+  centroid_coordinates: { lat, lon }
+});
+
+test('orders frames by capture time and builds archive URLs', () => {
+  const frames = toEpicFrames([
+    item('epic_1b_20240305120000', '2024-03-05 12:00:00', 4.1, -20.5),
+    item('epic_1b_20240305003633', '2024-03-05 00:36:33', 3.9, 160.2)
+  ], 'enhanced');
+
+  expect(frames.map(frame => frame.image)).toEqual(['epic_1b_20240305003633', 'epic_1b_20240305120000']);
+  expect(frames[0]).toMatchObject({
+    id: '120240305003633',
+    date: '2024-03-05',
+    time: Date.UTC(2024, 2, 5, 0, 36, 33),
+    lat: 3.9,
+    lon: 160.2,
+    imageUrl: 'https://epic.gsfc.nasa.gov/archive/enhanced/2024/03/05/jpg/epic_1b_20240305003633.jpg',
+    fullUrl: 'https://epic.gsfc.nasa.gov/archive/enhanced/2024/03/05/png/epic_1b_20240305003633.png'
+  });
+  expect(toEpicFrames(null, 'natural')).toEqual([]);
+});
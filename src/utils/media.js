@@ -0,0 +1,79 @@
+// Work out how to embed an APOD video URL
+
+const VIDEO_FILE_TYPES = {
+  mp4: 'video/mp4',
+  m4v: 'video/mp4',
+  webm: 'video/webm',
+  ogg: 'video/ogg',
+  ogv: 'video/ogg',
+  mov: 'video/quicktime'
+};
+
+const YOUTUBE_ID = /^[\w-]{11}$/;
+
+const parseURL = (url) => {
+  try {
+    // APOD sometimes returns protocol-relative URLs
+    return new URL(url.startsWith('//') ? `https:${url}` : url);
+  } catch (error) {
+    return null;
+  }
+};
+
+const getYouTubeId = (parsed) => {
+  const host = parsed.hostname.replace(/^www\.|^m\./, '');
+  let id = null;
+
+  if (host === 'youtu.be') {
+    id = parsed.pathname.slice(1);
+  } else if (host === 'youtube.com' || host === 'youtube-nocookie.com') {
+    const [, section, value] = parsed.pathname.split('/');
+    if (section === 'watch') {
+      id = parsed.searchParams.get('v');
+    } else if (['embed', 'shorts', 'v'].includes(section)) {
+      id = value;
+    }
+  }
+
+  return id && YOUTUBE_ID.test(id) ? id : null;
+};
+
+const getVimeoId = (parsed) => {
+  const host = parsed.hostname.replace(/^www\./, '');
+  if (host !== 'vimeo.com' && host !== 'player.vimeo.com') return null;
+
+  const match = parsed.pathname.match(/(?:\/video)?\/(\d+)/);
+  return match ? match[1] : null;
+};
+
+// Returns { type: 'youtube' | 'vimeo', embedUrl } for hosted players (on their
+// privacy-friendly domains), { type: 'file', src, mimeType } for direct video
+// files, or null when the URL cannot be embedded
+export const getVideoEmbed = (url) => {
+  if (!url) return null;
+  const parsed = parseURL(url);
+  if (!parsed) return null;
+
+  const youTubeId = getYouTubeId(parsed);
+  if (youTubeId) {
+    const params = new URLSearchParams({ rel: '0', autoplay: '1' });
+    const start = parsed.searchParams.get('start') || parsed.searchParams.get('t');
+    if (start && /^\d+$/.test(start)) params.set('start', start);
+    return { type: 'youtube', embedUrl: `https://www.youtube-nocookie.com/embed/${youTubeId}?${params}` };
+  }
+
+  const vimeoId = getVimeoId(parsed);
+  if (vimeoId) {
+    return { type: 'vimeo', embedUrl: `https://player.vimeo.com/video/${vimeoId}?dnt=1&autoplay=1` };
+  }
+
+  const extension = parsed.pathname.split('.').pop().toLowerCase();
+  if (VIDEO_FILE_TYPES[extension]) {
+    return { type: 'file', src: parsed.href, mimeType: VIDEO_FILE_TYPES[extension] };
+  }
+
+  return null;
+};
+
+// The apod.nasa.gov page for a date, e.g. 2024-01-15 -> .../ap240115.html
+export const getAPODPageUrl = (date) => `https://apod.nasa.gov/apod/ap${date.slice(2).replace(/-/g, '')}.html`;
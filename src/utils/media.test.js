@@ -0,0 +1,35 @@
+import { getVideoEmbed, getAPODPageUrl } from './media';
+
+test('embeds YouTube links through youtube-nocookie.com', () => {
+  const expected = 'https://www.youtube-nocookie.com/embed/dQw4w9WgXcQ?rel=0&autoplay=1';
+  expect(getVideoEmbed('https://www.youtube.com/embed/dQw4w9WgXcQ?rel=0').embedUrl).toBe(expected);
+  expect(getVideoEmbed('https://www.youtube.com/watch?v=dQw4w9WgXcQ').embedUrl).toBe(expected);
+  expect(getVideoEmbed('https://youtu.be/dQw4w9WgXcQ').embedUrl).toBe(expected);
+  expect(getVideoEmbed('//www.youtube.com/embed/dQw4w9WgXcQ').type).toBe('youtube');
+});
+
+test('embeds Vimeo links with do-not-track enabled', () => {
+  expect(getVideoEmbed('https://vimeo.com/123456789')).toEqual({
+    type: 'vimeo',
+    embedUrl: 'https://player.vimeo.com/video/123456789?dnt=1&autoplay=1'
+  });
+  expect(getVideoEmbed('https://player.vimeo.com/video/123456789').type).toBe('vimeo');
+});
+
+test('plays direct video files natively', () => {
+  expect(getVideoEmbed('https://apod.nasa.gov/apod/image/2401/comet.mp4')).toEqual({
+    type: 'file',
+    src: 'https://apod.nasa.gov/apod/image/2401/comet.mp4',
+    mimeType: 'video/mp4'
+  });
+});
+
+test('returns null for URLs it cannot embed', () => {
+  expect(getVideoEmbed('https://apod.nasa.gov/apod/ap240101.html')).toBeNull();
+  expect(getVideoEmbed('not a url')).toBeNull();
+  expect(getVideoEmbed(undefined)).toBeNull();
+});
+
+test('links to the apod.nasa.gov page for a date', () => {
+  expect(getAPODPageUrl('2024-01-15')).toBe('https://apod.nasa.gov/apod/ap240115.html');
+});
@@ -0,0 +1,84 @@
+// Helpers for the NASA Image and Video Library (images-api.nasa.gov)
+
+export const MEDIA_TYPES = ['image', 'video', 'audio'];
+
+// Results per page; the library allows up to 100
+export const MEDIA_PAGE_SIZE = 24;
+
+// The oldest items in the library date from the 1920s
+export const MEDIA_FIRST_YEAR = 1920;
+
+// NASA centers that tag items in the library
+export const NASA_CENTERS = {
+  AFRC: 'Armstrong Flight Research Center',
+  ARC: 'Ames Research Center',
+  GRC: 'Glenn Research Center',
+  GSFC: 'Goddard Space Flight Center',
+  HQ: 'NASA Headquarters',
+  JPL: 'Jet Propulsion Laboratory',
+  JSC: 'Johnson Space Center',
+  KSC: 'Kennedy Space Center',
+  LARC: 'Langley Research Center',
+  MSFC: 'Marshall Space Flight Center',
+  SSC: 'Stennis Space Center'
+};
+
+const RENDITION_KINDS = {
+  jpg: 'image',
+  jpeg: 'image',
+  png: 'image',
+  gif: 'image',
+  tif: 'image',
+  tiff: 'image',
+  mp4: 'video',
+  mov: 'video',
+  m4v: 'video',
+  mp3: 'audio',
+  m4a: 'audio',
+  wav: 'audio',
+  srt: 'captions',
+  vtt: 'captions',
+  json: 'metadata'
+};
+
+// Asset hrefs still use http:// although the host serves HTTPS
+const toHttps = (href) => href.replace(/^http:\/\//, 'https://');
+
+// Search responses are Collection+JSON: each item has a one-element `data`
+// array with the metadata and `links` with its previews
+export const toMediaResults = (collection = {}) => ({
+  items: (collection.items || []).map((item) => {
+    const data = item.data?.[0] || {};
+    const preview = (item.links || []).find(link => link.rel === 'preview');
+
+    return {
+      nasaId: data.nasa_id,
+      title: data.title,
+      description: data.description,
+      mediaType: data.media_type,
+      date: data.date_created?.slice(0, 10),
+      center: data.center,
+      keywords: data.keywords || [],
+      photographer: data.photographer || data.secondary_creator,
+      location: data.location,
+      thumbnail: preview ? toHttps(preview.href) : null
+    };
+  }),
+  totalHits: collection.metadata?.total_hits || 0,
+  hasMore: (collection.links || []).some(link => link.rel === 'next')
+});
+
+// Asset responses list every file for an item. Names look like
+// 'PIA12235~orig.jpg', where the part after '~' is the rendition size
+export const toRenditions = (collection = {}) => (collection.items || []).map(({ href }) => {
+  const url = toHttps(href);
+  const name = decodeURIComponent(url.split('/').pop());
+  const extension = name.split('.').pop().toLowerCase();
+
+  return {
+    url,
+    name,
+    size: name.match(/~(\w+)\.\w+$/)?.[1] || null,
+    kind: RENDITION_KINDS[extension] || 'other'
+  };
+});
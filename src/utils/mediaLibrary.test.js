@@ -0,0 +1,56 @@
+import { toMediaResults, toRenditions } from './mediaLibrary';
+
+test('flattens search results and reports whether more pages exist', () => {
+  const results = toMediaResults({
+    metadata: { total_hits: 412 },
+    links: [{ rel: 'next', prompt: 'Next', href: 'https://images-api.nasa.gov/search?q=apollo&page=2' }],
+    items: [
+      {
+        href: 'https://images-assets.nasa.gov/image/as11-40-5874/collection.json',
+        data: [{
+          nasa_id: 'as11-40-5874',
+          title: 'Apollo 11 Mission image - Astronaut Edwin Aldrin',
+          media_type: 'image',
+          date_created: '1969-07-20T00:00:00Z',
+          center: 'JSC',
+          keywords: ['APOLLO 11', 'Moon']
+        }],
+        links: [{ rel: 'preview', render: 'image', href: 'http://images-assets.nasa.gov/image/as11-40-5874/as11-40-5874~thumb.jpg' }]
+      },
+      {
+        data: [{ nasa_id: 'Apollo11Audio', title: 'Apollo 11 audio', media_type: 'audio', date_created: '1969-07-21T00:00:00Z' }]
+      }
+    ]
+  });
+
+  expect(results.totalHits).toBe(412);
+  expect(results.hasMore).toBe(true);
+  expect(results.items[0]).toMatchObject({
+    nasaId: 'as11-40-5874',
+    date: '1969-07-20',
+    center: 'JSC',
+    keywords: ['APOLLO 11', 'Moon'],
+    thumbnail: 'https://images-assets.nasa.gov/image/as11-40-5874/as11-40-5874~thumb.jpg'
+  });
+  expect(results.items[1]).toMatchObject({ mediaType: 'audio', keywords: [], thumbnail: null });
+  expect(toMediaResults(undefined)).toEqual({ items: [], totalHits: 0, hasMore: false });
+});
+
+test('labels each rendition by size and kind', () => {
+  const renditions = toRenditions({
+    items: [
+      { href: 'http://images-assets.nasa.gov/video/KSC-1/KSC-1~orig.mp4' },
+      { href: 'http://images-assets.nasa.gov/video/KSC-1/KSC-1~mobile.mp4' },
+      { href: 'http://images-assets.nasa.gov/video/KSC-1/KSC-1.vtt' },
+      { href: 'http://images-assets.nasa.gov/video/KSC-1/metadata.json' }
+    ]
+  });
+
+  expect(renditions.map(({ size, kind }) => [size, kind])).toEqual([
+    ['orig', 'video'],
+    ['mobile', 'video'],
+    [null, 'captions'],
+    [null, 'metadata']
+  ]);
+  expect(renditions[0]).toMatchObject({ url: 'https://images-assets.nasa.gov/video/KSC-1/KSC-1~orig.mp4', name: 'KSC-1~orig.mp4' });
+});
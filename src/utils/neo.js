@@ -0,0 +1,49 @@
+// Helpers for NeoWs feed data: one flat record per close approach, and sorting
+
+// NeoWs feed responses group objects by date:
+// { near_earth_objects: { 'YYYY-MM-DD': [neo, ...] } }. Each neo's first
+// close_approach_data entry is the approach on that date.
+export const toApproaches = (feed) => Object.values(feed?.near_earth_objects || {})
+  .flat()
+  .map((neo) => {
+    const approach = neo.close_approach_data?.[0] || {};
+    const diameter = neo.estimated_diameter?.meters || {};
+
+    return {
+      id: neo.id,
+      name: neo.name.replace(/^\((.*)\)$/, '$1'),
+      url: neo.nasa_jpl_url,
+      hazardous: Boolean(neo.is_potentially_hazardous_asteroid),
+      magnitude: neo.absolute_magnitude_h,
+      diameterMin: diameter.estimated_diameter_min,
+      diameterMax: diameter.estimated_diameter_max,
+      date: approach.close_approach_date,
+      time: approach.epoch_date_close_approach,
+      velocity: Number(approach.relative_velocity?.kilometers_per_second),
+      missDistance: Number(approach.miss_distance?.kilometers),
+      missDistanceLunar: Number(approach.miss_distance?.lunar),
+      orbitingBody: approach.orbiting_body
+    };
+  })
+  .sort((a, b) => a.time - b.time);
+
+// Columns the dashboard can sort by, and the value each one compares
+export const NEO_SORT_KEYS = {
+  name: approach => approach.name,
+  time: approach => approach.time,
+  missDistance: approach => approach.missDistance,
+  velocity: approach => approach.velocity,
+  diameter: approach => approach.diameterMax
+};
+
+export const sortApproaches = (approaches, key, direction = 'asc') => {
+  const value = NEO_SORT_KEYS[key];
+  const sign = direction === 'desc' ? -1 : 1;
+
+  return [...approaches].sort((a, b) => {
+    const left = value(a);
+    const right = value(b);
+    const order = typeof left === 'string' ? left.localeCompare(right) : left - right;
+    return order * sign;
+  });
+};
@@ -0,0 +1,55 @@
+import { toApproaches, sortApproaches } from './neo';
+
+const neo = (id, { date, time, km, kms, diameter, hazardous = false }) => ({
+  id,
+  name: `(2024 ${id})`,
+  nasa_jpl_url: `https://ssd.jpl.nasa.gov/tools/sbdb_lookup.html#/?sstr=${id}`,
+  absolute_magnitude_h: 24.1,
+  is_potentially_hazardous_asteroid: hazardous,
+  estimated_diameter: { meters: { estimated_diameter_min: diameter / 2, estimated_diameter_max: diameter } },
+  close_approach_data: [{
+    close_approach_date: date,
+    epoch_date_close_approach: time,
+    relative_velocity: { kilometers_per_second: String(kms) },
+    miss_distance: { kilometers: String(km), lunar: String(km / 384400) },
+    orbiting_body: 'Earth'
+  }]
+});
+
+const FEED = {
+  element_count: 3,
+  near_earth_objects: {
+    '2024-01-02': [neo('BB', { date: '2024-01-02', time: 300, km: 1000000, kms: 5, diameter: 40 })],
+    '2024-01-01': [
+      neo('AA', { date: '2024-01-01', time: 200, km: 7500000, kms: 12.5, diameter: 300, hazardous: true }),
+      neo('CC', { date: '2024-01-01', time: 100, km: 400000, kms: 20, diameter: 15 })
+    ]
+  }
+};
+
+test('flattens the feed into close approaches in time order', () => {
+  const approaches = toApproaches(FEED);
+
+  expect(approaches.map(approach => approach.name)).toEqual(['2024 CC', '2024 AA', '2024 BB']);
+  expect(approaches[1]).toMatchObject({
+    id: 'AA',
+    hazardous: true,
+    date: '2024-01-01',
+    velocity: 12.5,
+    missDistance: 7500000,
+    diameterMin: 150,
+    diameterMax: 300,
+    orbitingBody: 'Earth'
+  });
+  expect(toApproaches({})).toEqual([]);
+});
+
+test('sorts by any column in either direction without mutating the list', () => {
+  const approaches = toApproaches(FEED);
+
+  expect(sortApproaches(approaches, 'missDistance').map(a => a.id)).toEqual(['CC', 'BB', 'AA']);
+  expect(sortApproaches(approaches, 'velocity', 'desc').map(a => a.id)).toEqual(['CC', 'AA', 'BB']);
+  expect(sortApproaches(approaches, 'diameter', 'desc').map(a => a.id)).toEqual(['AA', 'BB', 'CC']);
+  expect(sortApproaches(approaches, 'name').map(a => a.id)).toEqual(['AA', 'BB', 'CC']);
+  expect(approaches.map(a => a.id)).toEqual(['CC', 'AA', 'BB']);
+});
@@ -0,0 +1,58 @@
+// Split narration text into sentences, keeping their positions in the source
+
+// A period after one of these does not end the sentence
+const ABBREVIATIONS = new Set(['dr', 'mr', 'mrs', 'ms', 'st', 'mt', 'vs', 'approx', 'fig', 'e.g', 'i.e', 'etc']);
+
+// Sentence-ending punctuation, optional closing quotes/brackets, then whitespace
+// before something that can start a new sentence
+const SENTENCE_END = /[.!?]+["'”’)\]]*\s+(?=["'“‘([]?[A-Z0-9])/g;
+
+const endsWithAbbreviation = (text, punctuationIndex) => {
+  const before = text.slice(0, punctuationIndex).match(/(\S+)$/);
+  return Boolean(before) && ABBREVIATIONS.has(before[1].toLowerCase());
+};
+
+// Returns [{ text, start, end }] where start/end are offsets into `text`;
+// surrounding whitespace is left out of each range
+export const splitSentences = (text) => {
+  if (!text) return [];
+
+  const sentences = [];
+  const push = (start, end) => {
+    const raw = text.slice(start, end);
+    const leading = raw.length - raw.trimStart().length;
+    const trimmed = raw.trim();
+    if (trimmed) {
+      sentences.push({ text: trimmed, start: start + leading, end: start + leading + trimmed.length });
+    }
+  };
+
+  let start = 0;
+  SENTENCE_END.lastIndex = 0;
+  let match;
+  while ((match = SENTENCE_END.exec(text)) !== null) {
+    if (match[0].startsWith('.') && endsWithAbbreviation(text, match.index)) continue;
+    const end = match.index + match[0].length;
+    push(start, end);
+    start = end;
+  }
+  push(start, text.length);
+
+  return sentences;
+};
+
+// Index of the sentence containing `position`, or -1 when it falls outside them all
+export const findSentenceAt = (sentences, position) => {
+  if (position < 0) return -1;
+  return sentences.findIndex((sentence, index) => {
+    const next = sentences[index + 1];
+    return position >= sentence.start && (next ? position < next.start : position <= sentence.end);
+  });
+};
+
+// The word starting at `position`, as [start, end) offsets
+export const wordRangeAt = (text, position, length = 0) => {
+  if (length > 0) return [position, position + length];
+  const match = text.slice(position).match(/^[^\s]+/);
+  return [position, position + (match ? match[0].length : 0)];
+};
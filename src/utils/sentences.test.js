@@ -0,0 +1,42 @@
+import { splitSentences, findSentenceAt, wordRangeAt } from './sentences';
+
+const EXPLANATION = 'What is that in the sky? It is the Horsehead Nebula, about 1,500 light-years away. ' +
+  'Dr. Smith imaged it at f/2.8 from Mt. Lemmon! The image (e.g. in red) shows hydrogen gas.';
+
+test('splits text into sentences with their source offsets', () => {
+  const sentences = splitSentences(EXPLANATION);
+
+  expect(sentences.map(sentence => sentence.text)).toEqual([
+    'What is that in the sky?',
+    'It is the Horsehead Nebula, about 1,500 light-years away.',
+    'Dr. Smith imaged it at f/2.8 from Mt. Lemmon!',
+    'The image (e.g. in red) shows hydrogen gas.'
+  ]);
+  sentences.forEach(({ text, start, end }) => {
+    expect(EXPLANATION.slice(start, end)).toBe(text);
+  });
+});
+
+test('handles empty text and text without final punctuation', () => {
+  expect(splitSentences('')).toEqual([]);
+  expect(splitSentences(undefined)).toEqual([]);
+  expect(splitSentences('  A lone fragment ')).toEqual([{ text: 'A lone fragment', start: 2, end: 17 }]);
+});
+
+test('finds the sentence containing a character position', () => {
+  const sentences = splitSentences(EXPLANATION);
+
+  expect(findSentenceAt(sentences, 0)).toBe(0);
+  expect(findSentenceAt(sentences, EXPLANATION.indexOf('Horsehead'))).toBe(1);
+  // The gap between sentences belongs to the earlier one
+  expect(findSentenceAt(sentences, sentences[1].start - 1)).toBe(0);
+  expect(findSentenceAt(sentences, EXPLANATION.indexOf('hydrogen'))).toBe(3);
+  expect(findSentenceAt(sentences, -1)).toBe(-1);
+  expect(findSentenceAt(sentences, EXPLANATION.length + 5)).toBe(-1);
+});
+
+test('returns the range of the word at a position', () => {
+  const position = EXPLANATION.indexOf('Horsehead');
+  expect(wordRangeAt(EXPLANATION, position)).toEqual([position, position + 'Horsehead'.length]);
+  expect(wordRangeAt(EXPLANATION, position, 4)).toEqual([position, position + 4]);
+});